@@ -0,0 +1,252 @@
+/**
+ * batches.js
+ *
+ * Lifecycle commands for the batches in the database: list them with their
+ * status at the API, inspect the outcome per company, cancel a batch that is
+ * still processing and re-process the results of a processed batch (e.g. after
+ * a parser fix) without submitting it again. The requests of every batch are
+ * archived when it is submitted (see lib/batch-archive.js), so the exact prompt
+ * of a company can be shown and a batch can be resubmitted as it was sent.
+ *
+ * Usage:
+ *   node src/batches.js [list]                   - List all batches with their API status and request counts
+ *   node src/batches.js inspect <batchId>        - Show the outcome of each company in a batch
+ *   node src/batches.js cancel <batchId>         - Cancel a batch that is still processing
+ *   node src/batches.js reprocess <batchId>      - Parse the results of a processed batch again and export them
+ *   node src/batches.js show <batchId> <company> - Show the archived request of a company in a batch
+ *   node src/batches.js resubmit <batchId>       - Submit the archived requests of a batch again as a new batch
+ */
+
+import config from './config.js';
+import { logToFile } from './utils.js';
+import { cancelBatch, processBatchResults, resubmitBatch } from './claude-batch-extractor.js';
+import { exportAllFormats } from './exporter.js';
+import * as persistence from './lib/persistence.js';
+import { getLlmClient } from './lib/llm/index.js';
+import { getBatchArchivePath, findArchivedRequest, formatArchivedRequest } from './lib/batch-archive.js';
+
+const COMMANDS = ['list', 'inspect', 'cancel', 'reprocess', 'show', 'resubmit'];
+
+/**
+ * Get the status of a batch at the API
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} - { batch } or { error } if the batch cannot be retrieved
+ */
+async function retrieveBatch(batchId) {
+  try {
+    return { batch: await getLlmClient().retrieveBatch(batchId) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Format the request counts of a batch
+ * @param {Object} counts - request_counts of the API batch
+ * @returns {string} - e.g. "processing 0, succeeded 12, errored 1, canceled 0, expired 0"
+ */
+function formatRequestCounts(counts) {
+  return ['processing', 'succeeded', 'errored', 'canceled', 'expired']
+    .map(type => `${type} ${counts[type] || 0}`)
+    .join(', ');
+}
+
+/**
+ * Describe how a batch relates to other batches
+ * @param {Object} record - Batch record from the database
+ * @returns {string} - e.g. " (attempt 2, retries msgbatch_01...)", or an empty string for a first attempt
+ */
+function formatLineage(record) {
+  const notes = [];
+  if (record.parent_batch_id) {
+    notes.push(`attempt ${record.attempt}, retries ${record.parent_batch_id}`);
+  }
+  if (record.resubmitted_from) {
+    notes.push(`resubmitted from ${record.resubmitted_from}`);
+  }
+  if (record.canceled_at) {
+    notes.push(`canceled ${record.canceled_at}`);
+  }
+  return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+}
+
+/**
+ * List all batches
+ */
+async function listBatches() {
+  const records = await persistence.getAllBatches();
+  
+  if (records.length === 0) {
+    console.log('No batches in the database');
+    return;
+  }
+  
+  console.log(`${records.length} ${records.length === 1 ? 'batch' : 'batches'} (${config.llmProvider} provider)\n`);
+  
+  for (const record of records) {
+    const companyIds = await persistence.getBatchCompanyIds(record.batch_id);
+    const { batch, error } = await retrieveBatch(record.batch_id);
+    
+    console.log(`${record.batch_id}${formatLineage(record)}`);
+    console.log(`  Created: ${record.created_at}, ${companyIds.length} companies`);
+    console.log(`  Local status: ${record.status}${record.message ? ` - ${record.message}` : ''}`);
+    console.log(batch
+      ? `  API status: ${batch.processing_status} (${formatRequestCounts(batch.request_counts)})`
+      : `  API status: unavailable (${error})`);
+  }
+}
+
+/**
+ * Show the outcome of each company in a batch
+ * @param {string} batchId - Batch ID
+ */
+async function inspectBatch(batchId) {
+  const record = await persistence.getBatch(batchId);
+  if (!record) {
+    throw new Error(`Batch ${batchId} is not in the database`);
+  }
+  
+  const { batch, error } = await retrieveBatch(batchId);
+  
+  console.log(`Batch ${batchId}${formatLineage(record)}`);
+  console.log(`Created: ${record.created_at}`);
+  console.log(`Local status: ${record.status}${record.message ? ` - ${record.message}` : ''}`);
+  console.log(batch
+    ? `API status: ${batch.processing_status} (${formatRequestCounts(batch.request_counts)})`
+    : `API status: unavailable (${error})`);
+  console.log(`Request archive: ${record.archive_path || 'none'}`);
+  
+  // Request outcomes are only available once the batch has ended
+  const outcomes = new Map();
+  if (batch && batch.processing_status === 'ended') {
+    for await (const result of await getLlmClient().getBatchResults(batchId)) {
+      const message = result.result.error?.error?.message || result.result.error?.message;
+      outcomes.set(result.custom_id, message ? `${result.result.type}: ${message}` : result.result.type);
+    }
+  }
+  
+  const companyIds = await persistence.getBatchCompanyIds(batchId);
+  const statusByCompany = new Map(
+    (await persistence.getAllProcessingStatus()).map(status => [status.company_id, status])
+  );
+  
+  console.log(`\n${companyIds.length} companies:`);
+  for (const companyId of companyIds) {
+    const status = statusByCompany.get(companyId);
+    const extraction = status?.extraction_status || 'unknown';
+    
+    console.log(`  ${companyId}${status?.name ? ` (${status.name})` : ''}`);
+    console.log(`    Request: ${outcomes.get(companyId) || (batch?.processing_status === 'ended' ? 'no result' : 'pending')}`);
+    console.log(`    Extraction: ${extraction}${status?.extraction_message ? ` - ${status.extraction_message}` : ''}`);
+  }
+}
+
+/**
+ * Parse the results of a processed batch again and export them
+ * @param {string} batchId - Batch ID
+ */
+async function reprocessBatch(batchId) {
+  const record = await persistence.getBatch(batchId);
+  if (!record) {
+    throw new Error(`Batch ${batchId} is not in the database`);
+  }
+  if (record.status === 'in_progress') {
+    throw new Error(`Batch ${batchId} has not been processed yet, use npm run check-batches`);
+  }
+  
+  console.log(`Re-processing the results of batch ${batchId} (status ${record.status})`);
+  const { results, skipped } = await processBatchResults(batchId, { reprocess: true });
+  
+  const completed = results.filter(r => r.status === 'extraction_complete').length;
+  const total = results.length + skipped.length;
+  console.log(`Re-processed ${total} succeeded requests: ${completed} extracted, ${results.length - completed} failed, ${skipped.length} not re-processed`);
+  await logToFile(`Re-processed batch ${batchId}: ${completed} of ${total} succeeded requests extracted, ${skipped.length} not re-processed`);
+  
+  if (skipped.length > 0) {
+    console.log('Not re-processed (completing or repairing them needs new requests, their earlier output is kept):');
+    for (const { companyId, reason } of skipped) {
+      console.log(`  ${companyId}: ${reason}`);
+    }
+  }
+  
+  if (completed > 0) {
+    const exportResults = await exportAllFormats(results);
+    
+    for (const [format, label] of [['json', 'JSON'], ['csv', 'CSV'], ['excel', 'Excel']]) {
+      if (exportResults[format] && exportResults[format].path) {
+        console.log(`${label} output: ${exportResults[format].path} (${exportResults[format].count} profiles)`);
+      }
+    }
+  }
+}
+
+/**
+ * Show the archived request of a company in a batch
+ * @param {string} batchId - Batch ID
+ * @param {string} companyId - Company ID
+ */
+async function showRequest(batchId, companyId) {
+  const record = await persistence.getBatch(batchId);
+  if (!record) {
+    throw new Error(`Batch ${batchId} is not in the database`);
+  }
+  
+  const request = await findArchivedRequest(record.archive_path || getBatchArchivePath(batchId), companyId);
+  if (!request) {
+    throw new Error(`Batch ${batchId} has no request for ${companyId}`);
+  }
+  
+  console.log(formatArchivedRequest(request));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const [command = 'list', batchId, companyId] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command '${command}', use one of: ${COMMANDS.join(', ')}`);
+  }
+  if (command !== 'list' && !batchId) {
+    throw new Error(`The ${command} command needs a batch ID`);
+  }
+  if (command === 'show' && !companyId) {
+    throw new Error('The show command needs a batch ID and a company ID');
+  }
+  
+  await persistence.initPersistence();
+  
+  try {
+    switch (command) {
+      case 'list':
+        await listBatches();
+        break;
+      case 'inspect':
+        await inspectBatch(batchId);
+        break;
+      case 'cancel':
+        await cancelBatch(batchId);
+        console.log('Run npm run check-batches once the batch has ended to process the finished requests');
+        break;
+      case 'reprocess':
+        await reprocessBatch(batchId);
+        break;
+      case 'show':
+        await showRequest(batchId, companyId);
+        break;
+      case 'resubmit':
+        await resubmitBatch(batchId);
+        console.log('Run npm run check-batches once the batch has ended to process the results');
+        break;
+    }
+  } finally {
+    await persistence.closePersistence();
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * cache-prune.js
+ * 
+ * Utility script to remove entries from the response cache.
+ * 
+ * Usage: 
+ *   node src/cache-prune.js                   - Remove entries older than CACHE_MAX_AGE_DAYS
+ *   node src/cache-prune.js --older-than=30   - Remove entries older than 30 days
+ *   node src/cache-prune.js --other-models    - Also remove entries created with a model other than CLAUDE_MODEL
+ *   node src/cache-prune.js --all             - Remove all entries
+ */
+
+import config from './config.js';
+import { pruneCache } from './lib/response-cache.js';
+
+async function main() {
+  const all = process.argv.includes('--all');
+  const otherModels = process.argv.includes('--other-models');
+  const olderThanArg = process.argv.find(arg => arg.startsWith('--older-than='));
+  const olderThanDays = olderThanArg ? parseInt(olderThanArg.split('=')[1]) : config.cacheMaxAgeDays;
+  
+  if (Number.isNaN(olderThanDays) || olderThanDays < 0) {
+    throw new Error(`Invalid --older-than value: ${olderThanArg}`);
+  }
+  
+  if (all) {
+    console.log(`Removing ALL entries from the response cache in ${config.cacheDir}`);
+  } else {
+    console.log(`Removing cache entries older than ${olderThanDays} days${otherModels ? ` or created with a model other than ${config.claudeModel}` : ''} from ${config.cacheDir}`);
+  }
+  
+  const summary = await pruneCache({ all, olderThanDays, otherModels });
+  
+  console.log(`Removed ${summary.removed} entries (${(summary.freedBytes / 1024).toFixed(1)} KB), kept ${summary.kept}`);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,201 @@
+/**
+ * cassette-regression.js
+ *
+ * Regression check for response parsing and the exporters against recorded
+ * model output. Every response in CASSETTES_DIR is parsed the way the extractors
+ * do (tool output, or errorHandler.parseJSON for free text), and the extraction
+ * results are run through the JSON, CSV and Excel exporters. The outcome is
+ * compared with the snapshots in CASSETTES_DIR/snapshots.
+ *
+ * Usage:
+ *   npm run cassettes:check             # compare with the snapshots
+ *   npm run cassettes:check -- --update # write new snapshots
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import config from './config.js';
+import { ensureDirectoryExists } from './utils.js';
+import { loadCassettes } from './lib/llm/cassette-client.js';
+import { EXTRACTION_TOOL_NAME, readExtractionResponse } from './lib/extraction-schema.js';
+import errorHandler from './lib/error-handler.js';
+import { exportToJson, exportToCsv, exportToExcel } from './exporter.js';
+
+// Marker of the extraction user prompt (free-text mode)
+const EXTRACTION_PROMPT_MARKER = 'ESG criteria (no more, no less)';
+
+/**
+ * Check whether a recorded request is an ESG extraction
+ * @param {Object} request - Request summary from the cassette
+ * @returns {boolean} - Whether the response holds extracted ESG data
+ */
+function isExtractionRequest(request) {
+  return request.tool === EXTRACTION_TOOL_NAME ||
+    request.messages.some(message => message.role === 'user' && message.text.includes(EXTRACTION_PROMPT_MARKER));
+}
+
+/**
+ * Parse every recorded response of a cassette
+ * @param {Object} cassette - Cassette
+ * @returns {Array} - One parse result per recorded response
+ */
+function parseCassette(cassette) {
+  return cassette.interactions
+    .filter(interaction => interaction.response)
+    .map(interaction => {
+      const { toolInput, responseText } = readExtractionResponse(interaction.response);
+      
+      if (toolInput) {
+        return { success: true, strategy: 'tool_use', data: toolInput };
+      }
+      
+      const parsed = errorHandler.parseJSON(responseText);
+      return {
+        success: parsed.success,
+        strategy: parsed.strategy || null,
+        data: parsed.success ? parsed.data : null
+      };
+    });
+}
+
+/**
+ * Run an exporter and return the content of the file it wrote
+ * The export file is removed afterwards so the check leaves no output behind.
+ * @param {Function} exporter - Export function
+ * @param {Array} results - Extraction results
+ * @param {Function} read - Reads the export file into a comparable string
+ * @returns {Promise<string|null>} - Export content, or null if nothing was exported
+ */
+async function runExporter(exporter, results, read) {
+  const exportResult = await exporter(results);
+  if (!exportResult.success) {
+    return null;
+  }
+  
+  const content = await read(exportResult.path);
+  await fs.unlink(exportResult.path);
+  return content;
+}
+
+/**
+ * Read the cell values of an Excel export (the file itself contains timestamps)
+ * @param {string} filePath - Path to the workbook
+ * @returns {Promise<string>} - Cell values per sheet as JSON
+ */
+async function readWorkbookValues(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  
+  const sheets = {};
+  workbook.eachSheet(worksheet => {
+    const rows = [];
+    worksheet.eachRow(row => rows.push(row.values.slice(1)));
+    sheets[worksheet.name] = rows;
+  });
+  
+  return JSON.stringify(sheets, null, 2);
+}
+
+/**
+ * Compare a value with its snapshot, or write the snapshot
+ * @param {string} snapshotPath - Snapshot file
+ * @param {string} actual - Current value
+ * @param {boolean} update - Whether to write the snapshot
+ * @returns {Promise<string>} - 'unchanged', 'changed', 'new' or 'updated'
+ */
+async function checkSnapshot(snapshotPath, actual, update) {
+  let expected = null;
+  try {
+    expected = await fs.readFile(snapshotPath, 'utf8');
+  } catch (error) {
+    // No snapshot yet
+  }
+  
+  if (expected === actual) {
+    return 'unchanged';
+  }
+  
+  if (update) {
+    await ensureDirectoryExists(path.dirname(snapshotPath));
+    await fs.writeFile(snapshotPath, actual);
+    return 'updated';
+  }
+  
+  return expected === null ? 'new' : 'changed';
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const update = process.argv.includes('--update');
+  const snapshotsDir = path.join(config.cassettesDir, 'snapshots');
+  
+  const cassettes = await loadCassettes(config.cassettesDir);
+  if (cassettes.length === 0) {
+    console.log(`No cassettes found in ${config.cassettesDir}. Record some with LLM_PROVIDER=record.`);
+    return;
+  }
+  
+  console.log(`Checking ${cassettes.length} cassettes from ${config.cassettesDir}`);
+  
+  const outcomes = [];
+  const exportResults = [];
+  
+  // Parsing
+  for (const cassette of cassettes) {
+    const parseResults = parseCassette(cassette);
+    const outcome = await checkSnapshot(
+      path.join(snapshotsDir, 'parse', `${cassette.key}.json`),
+      JSON.stringify(parseResults, null, 2),
+      update
+    );
+    outcomes.push({ name: `parse ${cassette.key.substring(0, 12)}`, outcome });
+    
+    const finalResult = parseResults[parseResults.length - 1];
+    if (isExtractionRequest(cassette.request) && finalResult?.success) {
+      const customId = cassette.interactions.find(interaction => interaction.customId)?.customId;
+      exportResults.push({
+        companyId: customId || `cassette_${cassette.key.substring(0, 12)}`,
+        status: 'extraction_complete',
+        extractedData: finalResult.data
+      });
+    }
+  }
+  
+  // Exporters
+  console.log(`Exporting ${exportResults.length} recorded extractions`);
+  const exports = [
+    ['esg_data.json', exportToJson, filePath => fs.readFile(filePath, 'utf8')],
+    ['esg_data.csv', exportToCsv, filePath => fs.readFile(filePath, 'utf8')],
+    ['esg_data.xlsx.json', exportToExcel, readWorkbookValues]
+  ];
+  
+  for (const [snapshotName, exporter, read] of exports) {
+    const content = await runExporter(exporter, exportResults, read);
+    const outcome = await checkSnapshot(path.join(snapshotsDir, 'exports', snapshotName), content ?? '', update);
+    outcomes.push({ name: `export ${snapshotName}`, outcome });
+  }
+  
+  // Summary
+  const differences = outcomes.filter(o => o.outcome === 'changed' || o.outcome === 'new');
+  const updated = outcomes.filter(o => o.outcome === 'updated');
+  for (const { name, outcome } of outcomes.filter(o => o.outcome !== 'unchanged')) {
+    console.log(`  ${outcome.padEnd(9)} ${name}`);
+  }
+  
+  const matching = outcomes.length - differences.length - updated.length;
+  console.log(`\n${outcomes.length} snapshots checked: ${matching} match, ${differences.length} differ, ${updated.length} updated`);
+  
+  if (differences.length > 0) {
+    console.log('Review the differences and run with --update to accept them.');
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error in cassette regression check: ${error.message}`);
+  process.exit(1);
+});
@@ -10,7 +10,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import config from './config.js';
 import { logToFile } from './utils.js';
-import { checkAndProcessCompletedBatches } from './claude-batch-extractor.js';
+import { checkAndProcessCompletedBatches, formatAttemptSummary } from './claude-batch-extractor.js';
 import { exportAllFormats } from './exporter.js';
 import * as persistence from './lib/persistence.js';
 import tokenTracker from './lib/token-tracker.js';
@@ -39,6 +39,7 @@ async function main() {
     let completedBatches = 0;
     let completedCompanies = 0;
     let failedCompanies = 0;
+    let retriedCompanies = 0;
     let exportedResults = [];
     
     for (const batchResult of batchResults) {
@@ -53,6 +54,11 @@ async function main() {
           completedCompanies += batchResult.results.filter(r => r.status === 'extraction_complete').length;
           failedCompanies += batchResult.results.filter(r => r.status === 'extraction_failed').length;
         }
+        
+        // Companies waiting in follow-up batches
+        if (batchResult.retry && batchResult.retry.followUpBatchIds.length > 0) {
+          retriedCompanies += batchResult.retry.companies;
+        }
       }
     }
     
@@ -62,6 +68,16 @@ async function main() {
     await logToFile(`Processed ${completedBatches} completed batches`, logfile);
     await logToFile(`Found ${completedCompanies} successfully extracted companies and ${failedCompanies} failed companies`, logfile);
     
+    const attemptSummary = formatAttemptSummary(exportedResults);
+    if (attemptSummary) {
+      console.log(`Attempts: ${attemptSummary}`);
+      await logToFile(`Attempts: ${attemptSummary}`, logfile);
+    }
+    if (retriedCompanies > 0) {
+      console.log(`${retriedCompanies} companies were resubmitted in follow-up batches`);
+      await logToFile(`${retriedCompanies} companies were resubmitted in follow-up batches`, logfile);
+    }
+    
     // If we have any completed results, export them
     if (exportedResults.length > 0) {
       console.log(`Exporting ${exportedResults.length} company results`);
@@ -94,7 +110,8 @@ async function main() {
       
       for (const batch of activeBatches) {
         const companyIds = await persistence.getBatchCompanyIds(batch.batch_id);
-        console.log(`Batch ${batch.batch_id}: ${companyIds.length} companies, created at ${batch.created_at}`);
+        const followUp = batch.parent_batch_id ? ` (attempt ${batch.attempt}, retries ${batch.parent_batch_id})` : '';
+        console.log(`Batch ${batch.batch_id}: ${companyIds.length} companies, created at ${batch.created_at}${followUp}`);
         
         // Check if the batch is about to expire
         const created = new Date(batch.created_at);
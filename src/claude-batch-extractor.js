@@ -3,53 +3,237 @@
  * 
  * This module implements batch processing using Claude's Message Batches API.
  * It allows for processing multiple PDFs in a single batch, with significant cost savings.
+ * Each PDF is downloaded and embedded in its request as a base64 document block.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import config from './config.js';
-import { logToFile, sleep, ensureDirectoryExists, validatePdfUrl, validateWebsiteUrl, determineUrlType } from './utils.js';
-import Anthropic from '@anthropic-ai/sdk';
+import { logToFile, sleep, ensureDirectoryExists, validatePdfUrl, validateWebsiteUrl, determineUrlType, concurrentMap } from './utils.js';
 import tokenTracker from './lib/token-tracker.js';
 import * as persistence from './lib/persistence.js';
 import esgCriteria from './lib/esg-criteria.js';
 import errorHandler from './lib/error-handler.js';
-import systemPrompt from './prompts/system-prompt.js';
-import userPrompt from './prompts/user-prompt.js';
+import { prepareExtractionRequest, buildMessageParams, loadPageSelection, getExtractionLanguage, EXTRACTION_MODES } from './lib/extraction-request.js';
+import { readExtractionResponse } from './lib/extraction-schema.js';
+import { validateExtraction, validateAndRepair, saveValidationReport } from './lib/extraction-validator.js';
+import { isTruncated, completeTruncatedResponse } from './lib/response-continuation.js';
+import { getLlmClient } from './lib/llm/index.js';
+import { getCacheKey, lookupCachedResult, storeCachedResult } from './lib/response-cache.js';
+import { normalizeCriterionKeys } from './lib/criterion-registry.js';
+import { formatTemplateHeader } from './lib/prompt-templates.js';
+import { measureBatchRequest, planBatches, formatBatchPlan } from './lib/batch-planner.js';
+import { getBatchArchivePath, writeBatchArchive, readBatchArchive, findArchivedRequest } from './lib/batch-archive.js';
+import { extractDataFromUrl } from './claude-extractor.js';
 
-// Initialize the Claude client
-const anthropic = new Anthropic({
-  apiKey: config.claudeApiKey
-});
+// How errored, expired and canceled batch requests are retried
+export const BATCH_RETRY_MODES = ['batch', 'direct', 'off'];
 
-// Check if batch API is available
-let isBatchAPIAvailable = false;
-try {
-  isBatchAPIAvailable = !!(anthropic && anthropic.messages && anthropic.messages.batches);
-  console.log(`Batch API availability check: ${isBatchAPIAvailable ? 'Available' : 'Not available in current SDK version'}`);
-  if (!isBatchAPIAvailable) {
-    console.warn('WARNING: Batch API not available in the current Anthropic SDK version.');
-    console.warn('Please update @anthropic-ai/sdk to version 0.19.0 or later, or disable batch processing.');
-  }
-} catch (error) {
-  console.error(`Error checking batch API availability: ${error.message}`);
-  console.warn('Setting batch API availability to false due to error.');
+/**
+ * Add run metadata and placeholders for missing criteria to an extraction result and save it
+ * @param {string} companyId - Company ID
+ * @param {Object} extractedData - Parsed extraction result (modified in place)
+ * @param {Object} details - { industry, sourceType, extractionMode, relevantCriteria, criteriaCatalogue, language, promptTemplate }
+ * @returns {Promise<Object>} - The saved extraction result
+ */
+async function saveExtractedData(companyId, extractedData, details) {
+  const { industry, sourceType, extractionMode, relevantCriteria, criteriaCatalogue, language, promptTemplate } = details;
+  
+  // Add industry information if available
+  if (industry) {
+    extractedData.industry = industry;
+  }
+  
+  // Record the source type (pdf or website) and how the content was sent to Claude
+  extractedData.sourceType = sourceType;
+  extractedData.extractionMode = extractionMode;
+  
+  // Record which criteria catalogue the result was extracted with
+  extractedData.criteriaCatalogue = criteriaCatalogue;
+  
+  // Record the detected language of the document and the language of the results
+  if (language) {
+    extractedData.language = language;
+  }
+  
+  // Record the name and version of the prompt template
+  if (promptTemplate) {
+    extractedData.promptTemplate = promptTemplate;
+  }
+  
+  // Record which report pages the model saw when the page filter was used
+  if (extractionMode === EXTRACTION_MODES.PDF_FILTERED_TEXT) {
+    const pageSelection = await loadPageSelection(companyId);
+    if (pageSelection) {
+      extractedData.pageSelection = pageSelection;
+    }
+  }
+  
+  // If there are any missing criteria, add them to ensure consistent data structure
+  relevantCriteria.forEach(criterion => {
+    if (!extractedData[criterion.id]) {
+      extractedData[criterion.id] = {
+        actions: ["# No specific actions found for " + criterion.name_en],
+        extracts: "No relevant information found in the report for " + criterion.name_en
+      };
+    }
+  });
+  
+  // Save extracted data to file
+  const extractedDir = path.join(config.outputDir, 'extracted');
+  await ensureDirectoryExists(extractedDir);
+  await fs.writeFile(
+    path.join(extractedDir, `${companyId}_extracted.json`),
+    JSON.stringify(extractedData, null, 2)
+  );
+  
+  return extractedData;
 }
 
 /**
- * Create a batch extraction request for multiple companies
+ * Complete a company from the response cache instead of adding it to a batch
+ * @param {Object} company - Company object
+ * @param {Object} prepared - Prepared extraction request
+ * @param {Object} cacheKey - Cache key of the request
+ * @param {Object} cached - Cache entry
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function completeFromCache(company, prepared, cacheKey, cached) {
+  const { companyId, name, url } = company;
+  
+  console.log(`Using cached extraction for ${companyId} from ${cached.createdAt} (cache key ${cacheKey.key.substring(0, 12)}), not adding it to the batch`);
+  await logToFile(`Using cached extraction for ${companyId} from ${cached.createdAt} (cache key ${cacheKey.key})`);
+  tokenTracker.recordCacheHit(companyId, cached.usage);
+  
+  const debugDir = path.join(config.outputDir, 'raw_responses');
+  await ensureDirectoryExists(debugDir);
+  await fs.writeFile(path.join(debugDir, `${companyId}_raw_response.txt`), formatTemplateHeader(prepared.promptTemplate) + (cached.responseText || ''));
+  
+  const extractedData = await saveExtractedData(companyId, cached.data, {
+    industry: prepared.industry,
+    sourceType: prepared.urlType,
+    extractionMode: prepared.extractionMode,
+    relevantCriteria: prepared.relevantCriteria,
+    criteriaCatalogue: prepared.criteriaCatalogue,
+    language: getExtractionLanguage(prepared),
+    promptTemplate: prepared.promptTemplate
+  });
+  
+  await persistence.updateCompany(companyId, name, url, prepared.document?.documentPath || null);
+  await persistence.updateCompanyIndustry(companyId, company.industry);
+  await persistence.updateExtractionMode(companyId, prepared.extractionMode);
+  await persistence.updateProcessingStatus(companyId, 'extraction', 'extraction_complete', 'Served from the response cache');
+  
+  return {
+    companyId,
+    name,
+    url,
+    extractedData,
+    fromCache: true,
+    status: 'extraction_complete'
+  };
+}
+
+/**
+ * Create a batch, archive its requests and record it
+ * @param {Array} requests - { custom_id, params } per company
+ * @param {Object} details - Batch details for storeBatchInfo ({ parentBatchId, attempt } or { resubmittedFrom })
+ * @param {Map} requestDetails - Details of each request by company ID (e.g. its cache key), recorded with the batch
+ * @returns {Promise<Object>} - The created batch
+ */
+async function createRecordedBatch(requests, details, requestDetails) {
+  const messageBatch = await getLlmClient().createBatch(requests);
+  
+  console.log(`Created batch with ID: ${messageBatch.id}`);
+  console.log(`Batch status: ${messageBatch.processing_status}`);
+  console.log(`Requests in processing: ${messageBatch.request_counts.processing}`);
+  
+  // The exact requests are kept for audit and resubmission; the batch exists even if archiving fails
+  let archivePath = null;
+  try {
+    archivePath = await writeBatchArchive(messageBatch.id, requests);
+    console.log(`Archived ${requests.length} requests of batch ${messageBatch.id} to ${archivePath}`);
+  } catch (error) {
+    console.warn(`Could not archive the requests of batch ${messageBatch.id}: ${error.message}`);
+    await logToFile(`Could not archive the requests of batch ${messageBatch.id}: ${error.message}`);
+  }
+  
+  // Store batch information for tracking
+  await persistence.storeBatchInfo(
+    messageBatch.id,
+    requests.map(request => ({ ...requestDetails.get(request.custom_id), companyId: request.custom_id })),
+    { ...details, archivePath }
+  );
+  
+  return messageBatch;
+}
+
+/**
+ * Submit one planned batch
+ * @param {Array} companies - Companies of the batch
+ * @param {string} spoolDir - Directory with the prepared request of each company
+ * @param {Object} retry - { parentBatchId, attempt } when the batch retries failed requests of another batch
+ * @param {Map} requestDetails - Details of each prepared request by company ID
+ * @returns {Promise<Object>} - The created batch
+ */
+async function submitBatch(companies, spoolDir, retry, requestDetails) {
+  try {
+    // First, mark all batched companies as in_progress
+    for (const company of companies) {
+      await persistence.updateCompany(company.companyId, company.name, company.url);
+      await persistence.updateCompanyIndustry(company.companyId, company.industry);
+      await persistence.updateProcessingStatus(
+        company.companyId, 
+        'extraction', 
+        'extraction_in_progress', 
+        'Added to batch processing queue'
+      );
+    }
+    
+    const batchRequests = [];
+    for (const company of companies) {
+      batchRequests.push(JSON.parse(await fs.readFile(path.join(spoolDir, `${company.companyId}.json`), 'utf8')));
+    }
+    
+    // Create the batch
+    return await createRecordedBatch(batchRequests, retry, requestDetails);
+  } catch (error) {
+    // Use the shared error handler for consistent formatting
+    await errorHandler.handleError('Batch creation', error);
+    
+    // Mark all batched companies as failed
+    for (const company of companies) {
+      await persistence.updateProcessingStatus(
+        company.companyId, 
+        'extraction', 
+        'extraction_failed', 
+        `Failed to create batch: ${error.message}`
+      );
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Create batch extraction requests for multiple companies
+ * Companies whose document, prompts and model match a cached result are completed
+ * from the cache and not sent. The other requests are planned into as few batches
+ * as the size limits allow (see lib/batch-planner.js); the plan is shown before
+ * anything is submitted.
  * @param {Array} companies - Array of company objects to process in batch
- * @returns {Promise<Object>} - Object with batch ID and other metadata
+ * @param {Object} retry - { parentBatchId, attempt } when the batches retry failed requests of another batch
+ * @returns {Promise<Object>} - { batches, cachedResults, plan } where batches is empty if every company was cached
  */
-export async function createBatchExtractionRequest(companies) {
+export async function createBatchExtractionRequest(companies, retry = {}) {
   console.log(`Creating batch extraction request for ${companies.length} companies`);
   
   // Check if batch API is available
-  if (!isBatchAPIAvailable) {
+  if (!getLlmClient().supportsBatches()) {
     throw new Error('Batch API is not available in the current Anthropic SDK version. Please update @anthropic-ai/sdk or disable batch processing by setting USE_BATCH_PROCESSING=false in .env');
   }
   
-  // Prepare batch requests for valid PDF URLs
+  // Prepare batch requests for valid PDF and website URLs
   const validCompanies = [];
   const invalidCompanies = [];
   
@@ -77,122 +261,111 @@ export async function createBatchExtractionRequest(companies) {
         message: 'URL does not appear to be a valid PDF or website'
       });
     } else {
-      // Currently, batch processing only supports PDFs
-      if (urlType === 'pdf') {
-        validCompanies.push(company);
-      } else {
-        console.warn(`Skipping ${companyId} for batch processing - Websites not supported in batch mode: ${url}`);
-        console.log(`The website will be processed in direct extraction mode.`);
-        await persistence.updateCompany(companyId, name, url);
-        await persistence.updateProcessingStatus(
-          companyId, 
-          'extraction', 
-          'extraction_skipped', 
-          'Websites not supported in batch mode'
-        );
-        
-        invalidCompanies.push({
-          ...company,
-          status: 'extraction_skipped',
-          message: 'Websites not supported in batch mode'
-        });
-      }
+      validCompanies.push(company);
     }
   }
   
   // Log the results of the validation
   if (invalidCompanies.length > 0) {
-    console.log(`Skipped ${invalidCompanies.length} companies with invalid PDF URLs`);
+    console.log(`Skipped ${invalidCompanies.length} companies with invalid URLs`);
   }
-  console.log(`Processing ${validCompanies.length} companies with valid PDF URLs`);
+  const websiteCount = validCompanies.filter(company => determineUrlType(company.url) === 'website').length;
+  console.log(`Preparing ${validCompanies.length} companies with valid URLs (${validCompanies.length - websiteCount} PDFs, ${websiteCount} websites)`);
   
-  // Prepare batch requests only for valid URLs
-  const batchRequests = await Promise.all(validCompanies.map(async company => {
-    const { companyId, name, url, industry } = company;
-    
-    // Use the industry as-is from hardcoded data
-    let normalizedIndustry = industry || '';
-    console.log(`Getting criteria for industry: ${normalizedIndustry}`);
-    
-    // Get relevant criteria for this industry from hardcoded data
-    const relevantCriteria = await esgCriteria.getIndustryCriteria(normalizedIndustry);
-    
-    // Log the actual criteria being used for debugging
-    const criteriaNames = relevantCriteria.map(c => c.name_en || c.id);
-    console.log(`Using ${relevantCriteria.length} relevant criteria for ${normalizedIndustry || 'unknown industry'}`);
-    console.log('Criteria used:', criteriaNames.join(', '));
-    
-    // Create the extraction prompts using the shared prompt modules
-    const sysPrompt = systemPrompt.createSystemPrompt(normalizedIndustry, true);
-    const usrPrompt = userPrompt.createUserPrompt(url, relevantCriteria, {
-      includeCriteriaDescriptions: false,
-      maxActions: 5,
-      isBatch: true
-    });
-    
-    return {
-      custom_id: companyId,
-      params: {
-        model: config.claudeModel,
-        max_tokens: 4000,
-        system: sysPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: usrPrompt
-              }
-            ]
-          }
-        ],
-        temperature: 0.2
-      }
-    };
-  }));
+  // Prepare batch requests only for valid URLs, embedding each PDF as a document block.
+  // Website content is fetched here and embedded as text, as in direct mode.
+  // Prepared requests are written to a spool directory, so only one batch is held in memory
+  const spoolDir = path.join(config.dataDir, 'batch_requests', new Date().toISOString().replace(/[:.]/g, '-'));
+  await ensureDirectoryExists(spoolDir);
+  
+  const requestSizes = [];
+  const batchCompanies = new Map();
+  const requestDetails = new Map();
+  const cachedResults = [];
   
-  // Create the batch request
   try {
-    // First, mark all companies as in_progress
-    for (const company of companies) {
-      await persistence.updateCompany(company.companyId, company.name, company.url);
-      await persistence.updateProcessingStatus(
-        company.companyId, 
-        'extraction', 
-        'extraction_in_progress', 
-        'Added to batch processing queue'
-      );
+    for (const company of validCompanies) {
+      const { companyId, name, url } = company;
+      
+      const prepared = await prepareExtractionRequest(company, { isBatch: true });
+      
+      if (prepared.status !== 'ready') {
+        console.warn(`Skipping ${companyId} for batch processing - ${prepared.message}`);
+        await persistence.updateCompany(companyId, name, url, prepared.document?.documentPath || null);
+        await persistence.updateProcessingStatus(companyId, 'extraction', prepared.status, prepared.message);
+        
+        invalidCompanies.push({
+          ...company,
+          status: prepared.status,
+          message: prepared.message
+        });
+        continue;
+      }
+      
+      // Unchanged documents are not sent again
+      const cacheKey = await getCacheKey(prepared);
+      const cached = await lookupCachedResult(cacheKey);
+      if (cached) {
+        cachedResults.push(await completeFromCache(company, prepared, cacheKey, cached));
+        continue;
+      }
+      
+      await persistence.updateExtractionMode(companyId, prepared.extractionMode);
+      
+      const request = {
+        custom_id: companyId,
+        params: buildMessageParams(prepared)
+      };
+      requestSizes.push(await measureBatchRequest(request));
+      await fs.writeFile(path.join(spoolDir, `${companyId}.json`), JSON.stringify(request));
+      batchCompanies.set(companyId, company);
+      requestDetails.set(companyId, {
+        industry: prepared.industry,
+        extractionMode: prepared.extractionMode,
+        cacheKey,
+        criteriaCatalogue: prepared.criteriaCatalogue,
+        language: getExtractionLanguage(prepared),
+        promptTemplate: prepared.promptTemplate
+      });
     }
     
-    // Create the batch
-    const messageBatch = await anthropic.messages.batches.create({
-      requests: batchRequests
-    });
+    if (requestSizes.length === 0) {
+      if (cachedResults.length > 0) {
+        console.log(`All ${cachedResults.length} companies were served from the response cache, no batch created`);
+        return { batches: [], cachedResults, plan: null };
+      }
+      throw new Error('No companies with loadable documents to include in the batch');
+    }
     
-    console.log(`Created batch with ID: ${messageBatch.id}`);
-    console.log(`Batch status: ${messageBatch.processing_status}`);
-    console.log(`Requests in processing: ${messageBatch.request_counts.processing}`);
+    // Show the plan before anything is submitted
+    const plan = planBatches(requestSizes);
+    console.log(formatBatchPlan(plan));
+    await logToFile(formatBatchPlan(plan));
     
-    // Store batch information for tracking
-    await persistence.storeBatchInfo(messageBatch.id, companies.map(c => c.companyId));
+    for (const size of plan.oversized) {
+      console.warn(`Skipping ${size.id} for batch processing - ${size.reason}`);
+      await persistence.updateProcessingStatus(size.id, 'extraction', 'extraction_skipped', `Not submitted: ${size.reason}`);
+    }
     
-    return messageBatch;
-  } catch (error) {
-    // Use the shared error handler for consistent formatting
-    await errorHandler.handleError('Batch creation', error);
+    // A batch that cannot be created does not stop the others
+    const batches = [];
+    let firstError = null;
+    for (const [index, planned] of plan.batches.entries()) {
+      console.log(`Submitting planned batch ${index + 1}/${plan.batches.length} with ${planned.ids.length} requests`);
+      try {
+        batches.push(await submitBatch(planned.ids.map(id => batchCompanies.get(id)), spoolDir, retry, requestDetails));
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
     
-    // Mark all companies as failed
-    for (const company of companies) {
-      await persistence.updateProcessingStatus(
-        company.companyId, 
-        'extraction', 
-        'extraction_failed', 
-        `Failed to create batch: ${error.message}`
-      );
+    if (batches.length === 0 && firstError) {
+      throw firstError;
     }
     
-    throw error;
+    return { batches, cachedResults, plan };
+  } finally {
+    await fs.rm(spoolDir, { recursive: true, force: true });
   }
 }
 
@@ -203,7 +376,7 @@ export async function createBatchExtractionRequest(companies) {
  */
 export async function checkBatchStatus(batchId) {
   try {
-    const messageBatch = await anthropic.messages.batches.retrieve(batchId);
+    const messageBatch = await getLlmClient().retrieveBatch(batchId);
     
     console.log(`Batch ${batchId} status: ${messageBatch.processing_status}`);
     console.log(`Processing: ${messageBatch.request_counts.processing}`);
@@ -219,12 +392,299 @@ export async function checkBatchStatus(batchId) {
   }
 }
 
+/**
+ * Find the archived request of a batch company
+ * A resubmitted batch sent the requests of the original batch, so the original's archive is searched as well.
+ * @param {Object} batchRecord - Batch record from the database
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object|null>} - { custom_id, params } as sent, or null if no archive has the request
+ */
+async function findBatchRequestInArchive(batchRecord, companyId) {
+  const archivePaths = [batchRecord.archive_path || getBatchArchivePath(batchRecord.batch_id)];
+  if (batchRecord.resubmitted_from) {
+    const original = await persistence.getBatch(batchRecord.resubmitted_from);
+    archivePaths.push(original?.archive_path || getBatchArchivePath(batchRecord.resubmitted_from));
+  }
+  
+  for (const archivePath of archivePaths) {
+    try {
+      const request = await findArchivedRequest(archivePath, companyId);
+      if (request) {
+        return request;
+      }
+    } catch (error) {
+      console.warn(`Could not read the request of ${companyId} from ${archivePath}: ${error.message}`);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the request of a batch company for direct follow-up calls
+ * The archived request is used as it was sent. Only batches created before requests were archived are rebuilt
+ * from the cached document with the current prompt templates and criteria.
+ * @param {Object} batchRecord - Batch record from the database (null if unknown)
+ * @param {Object} company - Company record from the database
+ * @returns {Promise<Object|null>} - { params, useToolUse } or null if the request cannot be rebuilt
+ */
+async function rebuildBatchRequest(batchRecord, company) {
+  if (batchRecord?.archive_path || batchRecord?.resubmitted_from) {
+    const archived = await findBatchRequestInArchive(batchRecord, company.company_id);
+    if (!archived) {
+      console.warn(`Cannot rebuild the request for ${company.company_id}: it is missing from the archive of batch ${batchRecord.batch_id}`);
+      return null;
+    }
+    
+    return {
+      params: archived.params,
+      useToolUse: Boolean(archived.params.tools)
+    };
+  }
+  
+  const prepared = await prepareExtractionRequest({
+    companyId: company.company_id,
+    name: company.name,
+    url: company.url,
+    industry: company.industry
+  }, { isBatch: true });
+  
+  if (prepared.status !== 'ready') {
+    console.warn(`Cannot rebuild the request for ${company.company_id}: ${prepared.message}`);
+    return null;
+  }
+  
+  return {
+    params: buildMessageParams(prepared),
+    useToolUse: prepared.useToolUse
+  };
+}
+
+/**
+ * Send a direct (non-batch) request for a batch company and record its token usage
+ * @param {string} companyId - Company ID
+ * @param {Object} params - Messages API parameters
+ * @returns {Promise<Object>} - Claude response
+ */
+async function sendDirectRequest(companyId, params) {
+  const response = await getLlmClient().createMessage(params);
+  tokenTracker.recordClaudeExtractionUsage(companyId, response);
+  console.log(`Follow-up token usage for ${companyId}: ${response.usage?.input_tokens || 0} input + ${response.usage?.output_tokens || 0} output`);
+  return response;
+}
+
+/**
+ * Complete a batch response that was cut off at max_tokens with direct follow-up calls
+ * @param {Object} batchRecord - Batch record from the database
+ * @param {Object} company - Company record from the database
+ * @param {Object} message - Claude response message from the batch result
+ * @returns {Promise<Object>} - Complete (stitched) message, or the original if it cannot be completed
+ */
+async function completeBatchResponse(batchRecord, company, message) {
+  if (!isTruncated(message)) {
+    return message;
+  }
+  
+  const request = await rebuildBatchRequest(batchRecord, company);
+  if (!request) {
+    return message;
+  }
+  
+  const { response } = await completeTruncatedResponse({
+    label: company.company_id,
+    params: request.params,
+    response: message,
+    send: (params) => sendDirectRequest(company.company_id, params)
+  });
+  
+  return response;
+}
+
+/**
+ * Validate a batch result and let Claude correct schema violations once
+ * The repair is sent as a direct request that continues the original request (see rebuildBatchRequest).
+ * @param {Object} batchRecord - Batch record from the database
+ * @param {Object} company - Company record from the database
+ * @param {Object} message - Claude response message from the batch result
+ * @param {Object} data - Parsed extraction result
+ * @param {Array} relevantCriteria - Criteria for the company's industry
+ * @returns {Promise<Object>} - { data, report } with the validated (possibly corrected) extraction result
+ */
+async function validateBatchResult(batchRecord, company, message, data, relevantCriteria) {
+  const companyId = company.company_id;
+  let request = null;
+  
+  if (config.repairInvalidExtractions && !validateExtraction(data, relevantCriteria).valid) {
+    request = await rebuildBatchRequest(batchRecord, company);
+  }
+  
+  const result = await validateAndRepair({
+    companyId,
+    data,
+    response: message,
+    params: request?.params,
+    relevantCriteria,
+    useToolUse: request?.useToolUse,
+    send: async (repairParams) => {
+      // The repair itself can be cut off at max_tokens as well
+      const repairResponse = await sendDirectRequest(companyId, repairParams);
+      if (!isTruncated(repairResponse)) {
+        return repairResponse;
+      }
+      const completed = await completeTruncatedResponse({
+        label: `${companyId} repair`,
+        params: repairParams,
+        response: repairResponse,
+        send: (followUpParams) => sendDirectRequest(companyId, followUpParams)
+      });
+      return completed.response;
+    }
+  });
+  
+  await saveValidationReport(companyId, result.report);
+  
+  // Re-processing the batch starts from the corrected result instead of sending the repair again
+  if (result.report.repaired && batchRecord) {
+    await persistence.updateBatchRequest(batchRecord.batch_id, companyId, { repairText: result.repairText });
+  }
+  
+  // Keep the repair response next to the batch response
+  if (result.repairText) {
+    await fs.appendFile(
+      path.join(config.outputDir, 'raw_responses', `${companyId}_raw_response.txt`),
+      `\n\n===== repair =====\n${result.repairText}`
+    );
+  }
+  
+  return { data: result.data, report: result.report };
+}
+
+/**
+ * Record an errored, expired or canceled batch request, or queue the company for another attempt
+ * @param {Object} company - Company record from the database
+ * @param {string} errorMessage - Why the request failed
+ * @param {string} statusMessage - Message for the processing status
+ * @param {number} attempt - Attempt of the batch the request was part of
+ * @param {Object} outcome - { results, retries } of the batch, extended in place (retries is null if the batch is not retried)
+ */
+async function handleFailedRequest(company, errorMessage, statusMessage, attempt, outcome) {
+  const companyId = company.company_id;
+  
+  if (outcome.retries && config.batchRetryMode !== 'off' && attempt < config.batchMaxAttempts) {
+    console.log(`Retrying ${companyId} (attempt ${attempt + 1} of ${config.batchMaxAttempts})`);
+    await persistence.updateProcessingStatus(
+      companyId,
+      'extraction',
+      'extraction_retrying',
+      `${statusMessage}, retrying (attempt ${attempt + 1} of ${config.batchMaxAttempts})`
+    );
+    outcome.retries.push(company);
+    return;
+  }
+  
+  await persistence.updateProcessingStatus(
+    companyId,
+    'extraction',
+    'extraction_failed',
+    attempt > 1 ? `${statusMessage} (after ${attempt} attempts)` : statusMessage
+  );
+  
+  outcome.results.push({
+    companyId,
+    name: company.name,
+    url: company.url,
+    error: errorMessage,
+    status: 'extraction_failed',
+    attempts: attempt
+  });
+}
+
+/**
+ * Retry the failed requests of a batch in a follow-up batch or one by one (BATCH_RETRY_MODE)
+ * @param {string} batchId - Batch whose requests failed
+ * @param {number} attempt - Attempt number of the retry
+ * @param {Array} records - Company records from the database
+ * @returns {Promise<Object>} - { results, followUpBatchIds } with the results available now (direct or cached)
+ *   and the IDs of the follow-up batches
+ */
+async function retryFailedRequests(batchId, attempt, records) {
+  const companies = records.map(record => ({
+    companyId: record.company_id,
+    name: record.name,
+    url: record.url,
+    industry: record.industry
+  }));
+  
+  if (config.batchRetryMode === 'direct') {
+    console.log(`Extracting ${companies.length} failed companies of batch ${batchId} one by one (attempt ${attempt})`);
+    const results = await concurrentMap(companies, extractDataFromUrl, config.maxConcurrentExtractions);
+    return { results: results.map(result => ({ ...result, attempts: attempt })), followUpBatchIds: [] };
+  }
+  
+  console.log(`Submitting ${companies.length} failed companies of batch ${batchId} in a follow-up batch (attempt ${attempt})`);
+  try {
+    const { batches, cachedResults } = await createBatchExtractionRequest(companies, { parentBatchId: batchId, attempt });
+    return {
+      results: cachedResults.map(result => ({ ...result, attempts: attempt })),
+      followUpBatchIds: batches.map(batch => batch.id)
+    };
+  } catch (error) {
+    // The companies' processing status was updated when the batch could not be created
+    await logToFile(`Could not submit the follow-up batch of ${batchId}: ${error.message}`);
+    return {
+      results: companies.map(company => ({
+        ...company,
+        error: error.message,
+        status: 'extraction_failed',
+        attempts: attempt
+      })),
+      followUpBatchIds: []
+    };
+  }
+}
+
+/**
+ * Summarize how many attempts the companies of batch results needed
+ * @param {Array} results - Batch results with attempts
+ * @returns {string|null} - e.g. "12 companies in 1 attempt, 2 in 2 attempts; 1 failed after 3 attempts", or null without batch results
+ */
+export function formatAttemptSummary(results) {
+  const countByAttempts = status => {
+    const counts = new Map();
+    for (const result of results.filter(r => r.status === status && r.attempts)) {
+      counts.set(result.attempts, (counts.get(result.attempts) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => a[0] - b[0]);
+  };
+  const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+  
+  const completed = countByAttempts('extraction_complete')
+    .map(([attempts, count], index) => `${index === 0 ? plural(count, 'company') : count} in ${plural(attempts, 'attempt')}`);
+  const failed = countByAttempts('extraction_failed')
+    .map(([attempts, count]) => `${count} failed after ${plural(attempts, 'attempt')}`);
+  
+  if (completed.length === 0 && failed.length === 0) {
+    return null;
+  }
+  return [completed.join(', '), failed.join(', ')].filter(Boolean).join('; ');
+}
+
 /**
  * Process batch extraction results
+ * Errored, expired and canceled requests are retried up to BATCH_MAX_ATTEMPTS times (see BATCH_RETRY_MODE),
+ * unless the batch was canceled with `npm run batches -- cancel`.
  * @param {string} batchId - ID of the batch to process results for
- * @returns {Promise<Array>} - Array of processing results
+ * @param {Object} options - { reprocess } to parse the succeeded requests of an already processed batch again
+ *   (failed requests were recorded and retried the first time and are left alone). Re-processing sends no requests
+ *   and records no token usage; responses that would need a continuation or repair request keep their earlier output.
+ * @returns {Promise<Object>} - { status, results, retry, skipped } where retry describes the retried companies (or is null)
+ *   and skipped lists the { companyId, reason } of responses that were not re-processed
  */
-export async function processBatchResults(batchId) {
+export async function processBatchResults(batchId, options = {}) {
+  if (!BATCH_RETRY_MODES.includes(config.batchRetryMode)) {
+    throw new Error(`Unknown BATCH_RETRY_MODE '${config.batchRetryMode}', use one of: ${BATCH_RETRY_MODES.join(', ')}`);
+  }
+  
   try {
     console.log(`Processing results for batch ${batchId}`);
     
@@ -243,6 +703,17 @@ export async function processBatchResults(batchId) {
     
     // Create a map to store results
     const results = [];
+    const skipped = [];
+    
+    // Failed requests to retry; follow-up batches count their attempt and canceled batches are not retried
+    const batchRecord = await persistence.getBatch(batchId);
+    const attempt = batchRecord?.attempt || 1;
+    const retries = batchRecord?.canceled_at ? null : [];
+    
+    // Details recorded for each request when the batch was created
+    const batchRequests = new Map(
+      (await persistence.getBatchRequests(batchId)).map(request => [request.companyId, request])
+    );
     
     // Get all companies associated with this batch for reference
     const companies = await Promise.all(
@@ -262,14 +733,10 @@ export async function processBatchResults(batchId) {
     const debugDir = path.join(config.outputDir, 'raw_responses');
     await ensureDirectoryExists(debugDir);
     
-    // Create extracted data directory if it doesn't exist
-    const extractedDir = path.join(config.outputDir, 'extracted');
-    await ensureDirectoryExists(extractedDir);
-    
     // Stream and process results
     try {
       // Stream results file in memory-efficient chunks
-      for await (const result of await anthropic.messages.batches.results(batchId)) {
+      for await (const result of await getLlmClient().getBatchResults(batchId)) {
         const companyId = result.custom_id;
         const company = companyMap[companyId];
         
@@ -279,56 +746,133 @@ export async function processBatchResults(batchId) {
           continue;
         }
         
+        // Failed requests were recorded when the batch was first processed
+        if (options.reprocess && result.result.type !== 'succeeded') {
+          continue;
+        }
+        
         // Process result based on type
         switch (result.result.type) {
           case 'succeeded': {
-            const responseText = result.result.message.content[0].text;
+            const batchRequest = batchRequests.get(companyId) || {};
+            
+            // Completing a response that was cut off needs new requests, which re-processing does not send
+            if (options.reprocess && isTruncated(result.result.message)) {
+              console.warn(`Not re-processing ${companyId}: the response was cut off at max_tokens`);
+              skipped.push({ companyId, reason: 'response was cut off at max_tokens, needs a new request (continuation)' });
+              break;
+            }
+            
+            // Complete responses that were cut off at max_tokens before parsing
+            const message = options.reprocess
+              ? result.result.message
+              : await completeBatchResponse(batchRecord, company, result.result.message);
+            
+            // Tool use output is already structured, free text is the fallback
+            const { toolInput, responseText } = readExtractionResponse(message);
             
-            // Save raw response for debugging
+            // Save raw response for debugging, headed by the prompt template the request was built with
+            const { promptTemplate } = batchRequest;
             await fs.writeFile(
               path.join(debugDir, `${companyId}_raw_response.txt`),
-              responseText
+              formatTemplateHeader(promptTemplate) + responseText
             );
             
-            // Record token usage
+            // Record token usage (it was recorded when the batch was first processed)
             const inputTokens = result.result.message.usage.input_tokens;
             const outputTokens = result.result.message.usage.output_tokens;
-            console.log(`Batch token usage for ${companyId}: ${inputTokens} input + ${outputTokens} output`);
-            tokenTracker.recordClaudeBatchExtractionUsage(
-              companyId, 
-              inputTokens,
-              outputTokens
-            );
+            if (!options.reprocess) {
+              console.log(`Batch token usage for ${companyId}: ${inputTokens} input + ${outputTokens} output`);
+              tokenTracker.recordClaudeBatchExtractionUsage(
+                companyId, 
+                inputTokens,
+                outputTokens
+              );
+            }
             
-            // Try to extract JSON data using the shared parser
-            const parseResult = errorHandler.parseJSON(responseText);
+            // Try to extract JSON data using the shared parser unless the tool was called
+            const parseResult = toolInput
+              ? { success: true, data: toolInput }
+              : errorHandler.parseJSON(responseText);
             
             if (parseResult.success) {
-              const extractedData = parseResult.data;
-              
-              // Add industry information if available
-              if (company.industry) {
-                extractedData.industry = company.industry;
+              // Get the company's criteria (industry and overrides) to ensure all expected criteria are present.
+              // The industry was resolved when the request was built; requests of older batches resolve it again.
+              const industry = batchRequest.industry || company.industry || '';
+              let companyCriteria;
+              try {
+                companyCriteria = await esgCriteria.getCompanyCriteria({ companyId, industry });
+              } catch (error) {
+                // An industry that cannot be resolved fails this company, not the whole batch
+                console.error(`Cannot get the criteria for ${companyId}: ${error.message}`);
+                await persistence.updateProcessingStatus(companyId, 'extraction', 'extraction_failed', error.message);
+                results.push({
+                  companyId,
+                  name: company.name,
+                  url: company.url,
+                  error: error.message,
+                  status: 'extraction_failed',
+                  attempts: attempt
+                });
+                break;
               }
+              const { criteria: relevantCriteria, overrides } = companyCriteria;
               
-              // Get relevant criteria for this industry to ensure all expected criteria are present
-              const relevantCriteria = await esgCriteria.getIndustryCriteria(company.industry || "");
+              // Batches submitted before criteria had slugs return legacy keys (e.g. "automotive_1")
+              const { data: normalizedData, renamed } = normalizeCriterionKeys(parseResult.data, relevantCriteria);
+              let resultData = normalizedData;
+              if (renamed.length > 0) {
+                console.log(`Renamed ${renamed.length} legacy criterion keys in the batch result for ${companyId}`);
+              }
               
-              // If there are any missing criteria, add them to ensure consistent data structure
-              relevantCriteria.forEach(criterion => {
-                if (!extractedData[criterion.id]) {
-                  extractedData[criterion.id] = {
-                    actions: ["# No specific actions found for " + criterion.name_en],
-                    extracts: "No relevant information found in the report for " + criterion.name_en
-                  };
+              // Repairing schema violations needs a new request, which re-processing does not send:
+              // results that were repaired the first time are re-processed from the recorded correction
+              if (options.reprocess && !validateExtraction(resultData, relevantCriteria).valid) {
+                const repair = batchRequest.repairText ? errorHandler.parseJSON(batchRequest.repairText) : null;
+                const repairedData = repair?.success ? normalizeCriterionKeys(repair.data, relevantCriteria).data : null;
+                
+                if (!repairedData || !validateExtraction(repairedData, relevantCriteria).valid) {
+                  console.warn(`Not re-processing ${companyId}: the result has schema violations and needs a new request (repair)`);
+                  skipped.push({ companyId, reason: 'needs a new request (repair)' });
+                  break;
                 }
-              });
+                
+                console.log(`Re-processing ${companyId} from the result corrected when the batch was first processed`);
+                await fs.appendFile(path.join(debugDir, `${companyId}_raw_response.txt`), `\n\n===== repair =====\n${batchRequest.repairText}`);
+                resultData = repairedData;
+              }
               
-              // Save extracted data to file
-              await fs.writeFile(
-                path.join(extractedDir, `${companyId}_extracted.json`),
-                JSON.stringify(extractedData, null, 2)
-              );
+              // Check the result against the output schema and request one correction if needed
+              const { data: validatedData, report } = await validateBatchResult(batchRecord, company, message, resultData, relevantCriteria);
+              const { extractionMode } = batchRequest;
+              
+              // Cache valid results under the key of the request they answer, so an unchanged company is not extracted again
+              // (batches created before keys were recorded per request have none and are not cached)
+              if (report.valid) {
+                await storeCachedResult(batchRequest.cacheKey, {
+                  companyId,
+                  extractionMode,
+                  data: validatedData,
+                  responseText,
+                  usage: options.reprocess
+                    ? { inputTokens, outputTokens, isBatch: true }
+                    : tokenTracker.getCompanyUsage(companyId)
+                });
+              }
+              
+              // The stamp recorded with the batch request; the catalogue may have changed since
+              const criteriaCatalogue = batchRequest.criteriaCatalogue ||
+                await esgCriteria.createCriteriaStamp(industry, relevantCriteria, overrides);
+              
+              const extractedData = await saveExtractedData(companyId, validatedData, {
+                industry,
+                sourceType: determineUrlType(company.url),
+                extractionMode,
+                relevantCriteria,
+                criteriaCatalogue,
+                language: batchRequest.language,
+                promptTemplate
+              });
               
               // Update processing status
               await persistence.updateProcessingStatus(
@@ -343,7 +887,8 @@ export async function processBatchResults(batchId) {
                 name: company.name,
                 url: company.url,
                 extractedData,
-                status: 'extraction_complete'
+                status: 'extraction_complete',
+                attempts: attempt
               });
               
               console.log(`Successfully extracted ESG data for ${companyId}`);
@@ -383,75 +928,50 @@ export async function processBatchResults(batchId) {
                 rawResponse: responseText,
                 fallbackData,
                 error: errorMessage,
-                status: 'extraction_failed'
+                status: 'extraction_failed',
+                attempts: attempt
               });
             }
             break;
           }
           
           case 'errored': {
-            console.error(`Error processing ${companyId}: ${result.result.error.message}`);
+            // The API wraps the error: { type: 'error', error: { type, message } }
+            const errorMessage = result.result.error?.error?.message || result.result.error?.message || 'Unknown error';
+            console.error(`Error processing ${companyId}: ${errorMessage}`);
             
-            // Update processing status
-            await persistence.updateProcessingStatus(
-              companyId, 
-              'extraction', 
-              'extraction_failed', 
-              `Batch processing error: ${result.result.error.message}`
-            );
-            
-            // Add to results with error
-            results.push({
-              companyId,
-              name: company.name,
-              url: company.url,
-              error: result.result.error.message,
-              status: 'extraction_failed'
-            });
+            // Retry or mark as failed
+            await handleFailedRequest(company, errorMessage, `Batch processing error: ${errorMessage}`, attempt, { results, retries });
             break;
           }
           
           case 'expired': {
             console.error(`Request for ${companyId} expired`);
             
-            // Update processing status
-            await persistence.updateProcessingStatus(
-              companyId, 
-              'extraction', 
-              'extraction_failed', 
-              'Batch request expired after 24 hours'
-            );
-            
-            // Add to results with error
-            results.push({
-              companyId,
-              name: company.name,
-              url: company.url,
-              error: 'Batch request expired after 24 hours',
-              status: 'extraction_failed'
-            });
+            // Retry or mark as failed
+            await handleFailedRequest(company, 'Batch request expired after 24 hours', 'Batch request expired after 24 hours', attempt, { results, retries });
             break;
           }
           
           case 'canceled': {
             console.warn(`Request for ${companyId} was canceled`);
             
-            // Update processing status
-            await persistence.updateProcessingStatus(
-              companyId, 
-              'extraction', 
-              'extraction_failed', 
-              'Batch request was canceled'
-            );
+            // Requests of batches canceled on purpose are recorded as canceled
+            if (batchRecord?.canceled_at) {
+              await persistence.updateProcessingStatus(companyId, 'extraction', 'extraction_canceled', `Batch ${batchId} was canceled`);
+              results.push({
+                companyId,
+                name: company.name,
+                url: company.url,
+                error: 'Batch was canceled',
+                status: 'extraction_canceled',
+                attempts: attempt
+              });
+              break;
+            }
             
-            // Add to results with error
-            results.push({
-              companyId,
-              name: company.name,
-              url: company.url,
-              error: 'Batch request was canceled',
-              status: 'extraction_failed'
-            });
+            // Retry or mark as failed
+            await handleFailedRequest(company, 'Batch request was canceled', 'Batch request was canceled', attempt, { results, retries });
             break;
           }
         }
@@ -461,17 +981,35 @@ export async function processBatchResults(batchId) {
       throw error;
     }
     
-    // Update batch status
-    await persistence.updateBatchStatus(batchId, 'completed');
-    
-    // Log summary
+    // Count the failures before the retry results are added
     const succeeded = results.filter(r => r.status === 'extraction_complete').length;
     const failed = results.filter(r => r.status === 'extraction_failed').length;
     
-    console.log(`Batch ${batchId} processing complete: ${succeeded} succeeded, ${failed} failed`);
-    await logToFile(`Batch ${batchId} processing complete: ${succeeded} succeeded, ${failed} failed`);
+    // Retry failed requests in a follow-up batch or one by one
+    let retry = null;
+    if (retries && retries.length > 0) {
+      const { results: retryResults, followUpBatchIds } = await retryFailedRequests(batchId, attempt + 1, retries);
+      results.push(...retryResults);
+      retry = { mode: config.batchRetryMode, attempt: attempt + 1, companies: retries.length, followUpBatchIds };
+    }
     
-    return { status: 'completed', results };
+    // Update batch status (re-processing keeps the message of the first run)
+    await persistence.updateBatchStatus(
+      batchId,
+      'completed',
+      retry?.followUpBatchIds.length > 0
+        ? `Retried ${retry.companies} companies in batch ${retry.followUpBatchIds.join(', ')}`
+        : options.reprocess ? batchRecord?.message || null : null
+    );
+    
+    // Log summary
+    const retried = retry ? `, ${retry.companies} retried${retry.followUpBatchIds.length > 0 ? ` in batch ${retry.followUpBatchIds.join(', ')}` : ''}` : '';
+    const notReprocessed = skipped.length > 0 ? `, ${skipped.length} not re-processed` : '';
+    
+    console.log(`Batch ${batchId} processing complete: ${succeeded} succeeded, ${failed} failed${retried}${notReprocessed}`);
+    await logToFile(`Batch ${batchId} processing complete: ${succeeded} succeeded, ${failed} failed${retried}${notReprocessed}`);
+    
+    return { status: 'completed', results, retry, skipped };
   } catch (error) {
     await errorHandler.handleError('Batch results processing', error, batchId);
     
@@ -485,21 +1023,31 @@ export async function processBatchResults(batchId) {
 /**
  * Process a batch of companies using the batch extraction API
  * @param {Array} companies - Array of company objects to process
- * @returns {Promise<Object>} - Object with batch ID and initial status
+ * @returns {Promise<Object>} - Object with the batch IDs (empty if every company was cached), the batch plan and cached results
  */
 export async function processBatchCompanies(companies) {
   try {
-    // Create batch request
-    const batch = await createBatchExtractionRequest(companies);
+    // Plan and create the batches
+    const { batches, cachedResults, plan } = await createBatchExtractionRequest(companies);
     
-    console.log(`Created batch with ID: ${batch.id}`);
-    console.log(`Initial status: ${batch.processing_status}`);
+    if (batches.length === 0) {
+      return {
+        batchIds: [],
+        status: cachedResults.length > 0 ? 'cached' : 'not_submitted',
+        companies: companies.length,
+        plan,
+        cachedResults,
+        message: cachedResults.length > 0 ? 'All companies were served from the response cache' : 'No request fits into a batch'
+      };
+    }
     
     return {
-      batchId: batch.id,
-      status: batch.processing_status,
+      batchIds: batches.map(batch => batch.id),
+      status: batches[0].processing_status,
       companies: companies.length,
-      message: `Batch created successfully. Check status with batch ID: ${batch.id}`
+      plan,
+      cachedResults,
+      message: `Created ${batches.length} ${batches.length === 1 ? 'batch' : 'batches'}. Check status with batch ID: ${batches.map(batch => batch.id).join(', ')}`
     };
   } catch (error) {
     await errorHandler.handleError('Batch processing', error);
@@ -507,6 +1055,105 @@ export async function processBatchCompanies(companies) {
   }
 }
 
+/**
+ * Cancel a batch that is still processing
+ * Requests that already finished keep their results, which check-batches processes once the batch has ended.
+ * Once the API reports the batch as canceling, the other companies of the batch are marked extraction_canceled
+ * and are not retried. Batches that have ended are refused.
+ * @param {string} batchId - ID of the batch to cancel
+ * @returns {Promise<Object>} - { batch, canceledCompanies } with the batch as returned by the API
+ */
+export async function cancelBatch(batchId) {
+  const batchRecord = await persistence.getBatch(batchId);
+  if (!batchRecord) {
+    throw new Error(`Batch ${batchId} is not in the database`);
+  }
+  if (batchRecord.status !== 'in_progress') {
+    throw new Error(`Batch ${batchId} is ${batchRecord.status} and cannot be canceled`);
+  }
+  
+  // A batch that has ended cannot be canceled; its results are waiting to be processed
+  const current = await getLlmClient().retrieveBatch(batchId);
+  if (current.processing_status === 'ended') {
+    throw new Error(`Batch ${batchId} has already ended and cannot be canceled, run npm run check-batches to process its results`);
+  }
+  
+  try {
+    const batch = await getLlmClient().cancelBatch(batchId);
+    
+    // Nothing is marked as canceled unless the API accepted the cancelation
+    if (!['canceling', 'canceled'].includes(batch.processing_status)) {
+      throw new Error(`The API reports batch ${batchId} as ${batch.processing_status} after the cancelation request${batch.processing_status === 'ended' ? ', run npm run check-batches to process its results' : ''}`);
+    }
+    
+    await persistence.markBatchCanceled(batchId);
+    
+    // Companies whose results are not processed yet
+    const companyIds = new Set(await persistence.getBatchCompanyIds(batchId));
+    const pending = (await persistence.getAllProcessingStatus())
+      .filter(record => companyIds.has(record.company_id) && record.extraction_status === 'extraction_in_progress');
+    
+    for (const record of pending) {
+      await persistence.updateProcessingStatus(record.company_id, 'extraction', 'extraction_canceled', `Batch ${batchId} was canceled`);
+    }
+    
+    console.log(`Canceled batch ${batchId} (${batch.processing_status}), ${pending.length} companies marked as canceled`);
+    await logToFile(`Canceled batch ${batchId}, ${pending.length} companies marked as canceled`);
+    
+    return { batch, canceledCompanies: pending.map(record => record.company_id) };
+  } catch (error) {
+    await errorHandler.handleError('Batch cancelation', error, batchId);
+    throw error;
+  }
+}
+
+/**
+ * Resubmit the archived requests of a batch as they were sent
+ * The new batch is processed like any other batch, which reproduces the results of the original requests.
+ * @param {string} batchId - ID of the archived batch
+ * @returns {Promise<Object>} - The new batch as returned by the API
+ */
+export async function resubmitBatch(batchId) {
+  const batchRecord = await persistence.getBatch(batchId);
+  if (!batchRecord) {
+    throw new Error(`Batch ${batchId} is not in the database`);
+  }
+  
+  const requests = [];
+  for await (const request of readBatchArchive(batchRecord.archive_path || getBatchArchivePath(batchId))) {
+    requests.push(request);
+  }
+  if (requests.length === 0) {
+    throw new Error(`The request archive of batch ${batchId} is empty`);
+  }
+  
+  // The results are saved with the cache key, prompt template, catalogue stamp and language of the original requests
+  const requestDetails = new Map(
+    (await persistence.getBatchRequests(batchId)).map(request => [request.companyId, request])
+  );
+  
+  try {
+    const messageBatch = await createRecordedBatch(requests, { resubmittedFrom: batchId }, requestDetails);
+    
+    for (const request of requests) {
+      await persistence.updateProcessingStatus(
+        request.custom_id,
+        'extraction',
+        'extraction_in_progress',
+        `Resubmitted from batch ${batchId}`
+      );
+    }
+    
+    console.log(`Resubmitted ${requests.length} requests of batch ${batchId} as batch ${messageBatch.id}`);
+    await logToFile(`Resubmitted ${requests.length} requests of batch ${batchId} as batch ${messageBatch.id}`);
+    
+    return messageBatch;
+  } catch (error) {
+    await errorHandler.handleError('Batch resubmission', error, batchId);
+    throw error;
+  }
+}
+
 /**
  * Check all active batches and process completed ones
  * @returns {Promise<Array>} - Array of processed batch results
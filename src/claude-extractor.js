@@ -2,26 +2,25 @@
  * claude-extractor.js
  * 
  * This module implements direct PDF extraction using Claude's API.
- * It sends PDF URLs directly to Claude for ESG data extraction.
+ * It downloads each PDF and sends it to Claude as a document content block.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import config from './config.js';
 import { logToFile, concurrentMap, sleep, ensureDirectoryExists, validatePdfUrl, validateWebsiteUrl, determineUrlType } from './utils.js';
-import Anthropic from '@anthropic-ai/sdk';
 import tokenTracker from './lib/token-tracker.js';
 import * as persistence from './lib/persistence.js';
 import esgCriteria from './lib/esg-criteria.js';
 import errorHandler from './lib/error-handler.js';
-import systemPrompt from './prompts/system-prompt.js';
-import userPrompt from './prompts/user-prompt.js';
-import websiteExtractor from './lib/extractors/website-extractor.js';
-
-// Initialize the Claude client
-const anthropic = new Anthropic({
-  apiKey: config.claudeApiKey
-});
+import { prepareExtractionRequest, buildMessageParams, getExtractionLanguage, EXTRACTION_MODES } from './lib/extraction-request.js';
+import { mergeChunkResults } from './lib/chunk-merger.js';
+import { readExtractionResponse } from './lib/extraction-schema.js';
+import { validateAndRepair, saveValidationReport } from './lib/extraction-validator.js';
+import { isTruncated, completeTruncatedResponse } from './lib/response-continuation.js';
+import { getLlmClient } from './lib/llm/index.js';
+import { getCacheKey, lookupCachedResult, storeCachedResult } from './lib/response-cache.js';
+import { formatTemplateHeader } from './lib/prompt-templates.js';
 
 /**
  * Retry a function with exponential backoff
@@ -54,6 +53,293 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000) {
   }
 }
 
+/**
+ * Read the extraction result from a Claude response
+ * Tool use output is already structured; free text goes through the parse strategies.
+ * @param {Object} response - Messages API response
+ * @param {string} companyId - Company identifier for logging
+ * @returns {Object} - { responseText, parsed } where parsed is { success, data, errors }
+ */
+function parseExtractionResponse(response, companyId) {
+  const { toolInput, responseText } = readExtractionResponse(response);
+  
+  if (toolInput) {
+    console.log(`Received structured tool output for ${companyId}`);
+    return {
+      responseText,
+      parsed: { success: true, data: toolInput, errors: [] }
+    };
+  }
+  
+  return {
+    responseText,
+    parsed: parseResponseText(responseText, companyId)
+  };
+}
+
+/**
+ * Parse the JSON object out of a Claude response text
+ * @param {string} responseText - Text returned by Claude
+ * @param {string} companyId - Company identifier for logging
+ * @returns {Object} - { success, data, errors }
+ */
+function parseResponseText(responseText, companyId) {
+  // Try multiple extraction strategies in order of reliability
+  let extractedJson;
+  let parseSuccess = false;
+  let parseErrors = [];
+  
+  // Strategy 1: Simple JSON.parse if it's already valid JSON
+  try {
+    const trimmedResponse = responseText.trim();
+    if (trimmedResponse.startsWith('{') && trimmedResponse.endsWith('}')) {
+      extractedJson = JSON.parse(trimmedResponse);
+      parseSuccess = true;
+      console.log(`Successfully parsed JSON directly for ${companyId}`);
+    }
+  } catch (parseError) {
+    parseErrors.push(`Direct JSON parsing: ${parseError.message}`);
+    console.log(`Direct JSON parsing failed: ${parseError.message}`);
+  }
+  
+  // Strategy 2: Try to extract JSON from markdown code blocks (more aggressive matching)
+  if (!parseSuccess) {
+    try {
+      // Match both ```json and ``` format code blocks
+      const jsonMatches = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/g);
+      if (jsonMatches && jsonMatches.length > 0) {
+        // Try each code block until one succeeds
+        for (const match of jsonMatches) {
+          try {
+            const content = match.replace(/```(?:json)?\s*/, '').replace(/\s*```$/, '').trim();
+            if (content.startsWith('{') && content.endsWith('}')) {
+              extractedJson = JSON.parse(content);
+              parseSuccess = true;
+              console.log(`Successfully extracted JSON from code block for ${companyId}`);
+              break;
+            }
+          } catch (blockError) {
+            // Continue to next block
+            console.log(`Code block parsing attempt failed, trying next block...`);
+          }
+        }
+      }
+      
+      if (!parseSuccess && jsonMatches) {
+        parseErrors.push(`Code block extraction: Found ${jsonMatches.length} potential blocks but none parsed successfully`);
+      }
+    } catch (codeBlockError) {
+      parseErrors.push(`Code block extraction: ${codeBlockError.message}`);
+      console.log(`Code block JSON parsing failed: ${codeBlockError.message}`);
+    }
+  }
+  
+  // Strategy 3: Try to extract anything that looks like a complete JSON object
+  if (!parseSuccess) {
+    try {
+      // Find all potential JSON objects - looking for balanced {} with at least some content
+      const potentialObjects = [];
+      let depth = 0;
+      let start = -1;
+      
+      for (let i = 0; i < responseText.length; i++) {
+        if (responseText[i] === '{') {
+          if (depth === 0) start = i;
+          depth++;
+        } else if (responseText[i] === '}') {
+          depth--;
+          if (depth === 0 && start !== -1) {
+            potentialObjects.push(responseText.substring(start, i + 1));
+            start = -1;
+          }
+        }
+      }
+      
+      // Try each potential object
+      for (const obj of potentialObjects) {
+        if (obj.length > 50) { // Only try substantive objects to avoid fragments
+          try {
+            extractedJson = JSON.parse(obj);
+            parseSuccess = true;
+            console.log(`Successfully extracted complete JSON object from text for ${companyId}`);
+            break;
+          } catch (objError) {
+            // Try next object
+          }
+        }
+      }
+      
+      if (!parseSuccess && potentialObjects.length > 0) {
+        parseErrors.push(`JSON object extraction: Found ${potentialObjects.length} potential objects but none parsed successfully`);
+      }
+    } catch (objectError) {
+      parseErrors.push(`JSON object extraction: ${objectError.message}`);
+      console.log(`JSON object extraction failed: ${objectError.message}`);
+    }
+  }
+  
+  // Strategy 4: Use the shared parser as a fallback
+  if (!parseSuccess) {
+    console.log(`Falling back to shared parser for ${companyId}...`);
+    const parseResult = errorHandler.parseJSON(responseText);
+    parseSuccess = parseResult.success;
+    if (parseSuccess) {
+      extractedJson = parseResult.data;
+      console.log(`Successfully parsed JSON using the shared parser for ${companyId}`);
+    } else {
+      parseErrors.push(`Shared parser: ${parseResult.message || 'Failed with no specific error'}`);
+    }
+  }
+  
+  // Log detailed parsing attempts if all failed
+  if (!parseSuccess) {
+    console.error(`All JSON parsing strategies failed for ${companyId}:`);
+    parseErrors.forEach((error, i) => console.error(`  Strategy ${i+1}: ${error}`));
+  }
+  
+  return { success: parseSuccess, data: extractedJson, errors: parseErrors };
+}
+
+/**
+ * Send an extraction request, recording the token usage of every call and completing truncated responses
+ * @param {string} companyId - Company identifier (token usage is recorded per company)
+ * @param {Object} params - Messages API parameters
+ * @param {string} label - Label for logging
+ * @returns {Promise<Object>} - Complete (stitched) response
+ */
+async function sendExtractionRequest(companyId, params, label = companyId) {
+  const send = async (requestParams) => {
+    const response = await retryWithBackoff(async () => {
+      return await getLlmClient().createMessage(requestParams);
+    });
+    
+    // Record token usage
+    tokenTracker.recordClaudeExtractionUsage(companyId, response);
+    console.log(`Token usage for ${label}: ${response.usage?.input_tokens || 0} input + ${response.usage?.output_tokens || 0} output tokens`);
+    await logToFile(`Token usage for ${label}: ${response.usage?.input_tokens || 0} input + ${response.usage?.output_tokens || 0} output tokens`);
+    
+    return response;
+  };
+  
+  const response = await send(params);
+  
+  // Long extractions can hit max_tokens mid-JSON
+  if (!isTruncated(response)) {
+    return response;
+  }
+  
+  const completed = await completeTruncatedResponse({ label, params, response, send });
+  return completed.response;
+}
+
+/**
+ * Validate a parsed result and let Claude correct schema violations once
+ * @param {string} companyId - Company identifier
+ * @param {string} label - Label for logging (company or chunk)
+ * @param {Object} prepared - Prepared request (criteria, tool use)
+ * @param {Object} params - Messages API parameters of the original request
+ * @param {Object} response - Claude response the result was read from
+ * @param {Object} parsed - Parsed result { success, data }
+ * @param {string} responseText - Raw response text
+ * @returns {Promise<Object>} - { data, responseText, report } with the repair response appended to the raw text
+ */
+async function validateParsedResult(companyId, label, prepared, params, response, parsed, responseText) {
+  const result = await validateAndRepair({
+    companyId: label,
+    data: parsed.data,
+    response,
+    params,
+    relevantCriteria: prepared.relevantCriteria,
+    useToolUse: prepared.useToolUse,
+    send: (repairParams) => sendExtractionRequest(companyId, repairParams, `${label} repair`)
+  });
+  
+  return {
+    data: result.data,
+    responseText: result.repairText ? `${responseText}\n\n===== repair =====\n${result.repairText}` : responseText,
+    report: result.report
+  };
+}
+
+/**
+ * Extract a large PDF chunk by chunk and merge the results
+ * @param {string} companyId - Company identifier
+ * @param {Object} prepared - Prepared request with chunks (see prepareExtractionRequest)
+ * @returns {Promise<Object>} - { responseText, parsed } in the same shape as a single extraction
+ */
+async function extractDocumentChunks(companyId, prepared) {
+  const chunkResults = [];
+  const rawResponses = [];
+  
+  for (const [index, chunk] of prepared.chunks.entries()) {
+    const label = `pages ${chunk.startPage}-${chunk.endPage}`;
+    console.log(`Extracting chunk ${index + 1}/${prepared.chunks.length} (${label}) for ${companyId}...`);
+    
+    try {
+      const params = buildMessageParams({ ...prepared, content: chunk.content });
+      const response = await sendExtractionRequest(companyId, params, `${companyId} (${label})`);
+      
+      let { responseText: chunkText, parsed: chunkParsed } = parseExtractionResponse(response, `${companyId} (${label})`);
+      let chunkValidation;
+      
+      // Each chunk is a complete extraction, so it can be validated and repaired on its own
+      if (chunkParsed.success) {
+        const validated = await validateParsedResult(companyId, `${companyId} (${label})`, prepared, params, response, chunkParsed, chunkText);
+        chunkParsed = { ...chunkParsed, data: validated.data };
+        chunkText = validated.responseText;
+        chunkValidation = validated.report;
+      }
+      
+      rawResponses.push(`===== ${label} =====\n${chunkText}`);
+      
+      chunkResults.push({
+        startPage: chunk.startPage,
+        endPage: chunk.endPage,
+        status: chunkParsed.success ? 'parsed' : 'parse_failed',
+        data: chunkParsed.data,
+        validation: chunkValidation,
+        error: chunkParsed.success ? undefined : 'Failed to parse JSON from Claude response'
+      });
+    } catch (error) {
+      // A failed chunk should not lose the rest of the report
+      await errorHandler.handleError(`Chunk extraction (${label})`, error, companyId);
+      rawResponses.push(`===== ${label} =====\nERROR: ${error.message}`);
+      chunkResults.push({
+        startPage: chunk.startPage,
+        endPage: chunk.endPage,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+  
+  const parsedChunks = chunkResults.filter(chunk => chunk.status === 'parsed').length;
+  console.log(`Parsed ${parsedChunks}/${chunkResults.length} chunks for ${companyId}`);
+  
+  if (parsedChunks === 0) {
+    return {
+      responseText: rawResponses.join('\n\n'),
+      parsed: { success: false, errors: chunkResults.map(chunk => chunk.error) }
+    };
+  }
+  
+  const merged = mergeChunkResults(chunkResults, prepared.relevantCriteria, {
+    maxActions: 5,
+    pageCount: prepared.document.pageCount
+  });
+  
+  return {
+    responseText: rawResponses.join('\n\n'),
+    parsed: { success: true, data: merged, errors: [] },
+    chunkValidation: chunkResults.map(chunk => ({
+      pages: `${chunk.startPage}-${chunk.endPage}`,
+      valid: chunk.validation?.valid ?? false,
+      repaired: chunk.validation?.repaired ?? false,
+      errors: chunk.validation?.errors ?? []
+    }))
+  };
+}
+
 /**
  * Extract structured ESG data from a source (PDF URL or website)
  */
@@ -113,226 +399,107 @@ export async function extractDataFromUrl(company) {
     }
     console.log(`Industry: ${industry || 'not specified'}`);
     
-    // Use the industry as-is from the hardcoded data
-    let normalizedIndustry = industry || '';
-    console.log(`Using industry: ${normalizedIndustry}`);
+    // Build the prompts and content (PDF document block or website text)
+    const prepared = await prepareExtractionRequest(company, { isBatch: false });
+    const { relevantCriteria, extractionMode } = prepared;
+    const normalizedIndustry = prepared.industry;
     
-    // Get industry-specific criteria from the hardcoded data
-    const relevantCriteria = await esgCriteria.getIndustryCriteria(normalizedIndustry);
-    console.log(`Using ${relevantCriteria.length} relevant criteria for ${normalizedIndustry || 'unknown industry'}`);
+    if (prepared.status !== 'ready') {
+      console.error(`Could not prepare extraction for ${companyId}: ${prepared.message}`);
+      await persistence.updateCompany(companyId, name, url, prepared.document?.documentPath || null);
+      await persistence.updateProcessingStatus(companyId, 'extraction', prepared.status, prepared.message);
+      
+      return {
+        ...company,
+        industry: normalizedIndustry,
+        error: prepared.message,
+        sourceType: urlType,
+        status: prepared.status
+      };
+    }
     
-    // Log the actual criteria being used for debugging
-    const criteriaNames = relevantCriteria.map(c => c.name_en || c.id);
-    console.log('Criteria used:', criteriaNames.join(', '));
+    await persistence.updateExtractionMode(companyId, extractionMode);
     
-    // Create the system prompt with the appropriate content type
-    const sysPrompt = systemPrompt.createSystemPrompt(normalizedIndustry, false, urlType);
+    // Reuse the stored result if the document, prompts and model are unchanged
+    const cacheKey = await getCacheKey(prepared);
+    const cached = await lookupCachedResult(cacheKey);
     
-    // Different handling based on URL type
-    let usrPrompt;
-    let extractedWebContent = null;
+    let responseText;
+    let parsed;
+    let validationReport;
     
-    if (urlType === 'pdf') {
-      // For PDFs, create the user prompt with the PDF URL
-      usrPrompt = userPrompt.createUserPrompt(url, relevantCriteria, {
-        includeCriteriaDescriptions: false,
-        maxActions: 5,
-        isBatch: false,
-        contentType: 'pdf'
-      });
-    } else {
-      // For websites, extract the content first
-      console.log(`Extracting content from website: ${url}`);
-      try {
-        extractedWebContent = await websiteExtractor.extractWebsiteContent(url);
-        console.log(`Successfully extracted website content: ${extractedWebContent.title}`);
-        
-        // Format the content for Claude
-        const formattedContent = websiteExtractor.formatWebsiteContentForClaude(extractedWebContent);
-        
-        // Create the user prompt with the website content
-        usrPrompt = userPrompt.createUserPrompt(url, relevantCriteria, {
-          includeCriteriaDescriptions: false,
-          maxActions: 5,
-          isBatch: false,
-          contentType: 'website',
-          websiteContent: formattedContent
-        });
-      } catch (extractionError) {
-        console.error(`Failed to extract website content: ${extractionError.message}`);
-        // Update persistence with error status
-        await persistence.updateProcessingStatus(
+    if (cached) {
+      console.log(`Using cached extraction for ${companyId} from ${cached.createdAt} (cache key ${cacheKey.key.substring(0, 12)})`);
+      await logToFile(`Using cached extraction for ${companyId} from ${cached.createdAt} (cache key ${cacheKey.key})`);
+      tokenTracker.recordCacheHit(companyId, cached.usage);
+      
+      responseText = cached.responseText;
+      parsed = { success: true, data: cached.data, errors: [] };
+    } else if (extractionMode === EXTRACTION_MODES.PDF_CHUNKED) {
+      console.log(`Sending prompt to Claude for ${companyId} (mode: ${extractionMode})...`);
+      
+      // Map: extract each page range, reduce: merge the chunk results
+      const chunked = await extractDocumentChunks(companyId, prepared);
+      responseText = chunked.responseText;
+      parsed = chunked.parsed;
+      
+      // Chunks were repaired individually, the merged result is only validated
+      if (parsed.success) {
+        ({ report: validationReport } = await validateAndRepair({
           companyId,
-          'extraction',
-          'extraction_failed',
-          `Website content extraction failed: ${extractionError.message}`
-        );
-        return {
-          ...company,
-          error: `Website content extraction failed: ${extractionError.message}`,
-          status: 'extraction_failed'
-        };
+          data: parsed.data,
+          relevantCriteria
+        }));
+        validationReport.chunks = chunked.chunkValidation;
+      }
+    } else {
+      console.log(`Sending prompt to Claude for ${companyId} (mode: ${extractionMode})...`);
+      
+      // Send the request to Claude with retry logic, completing truncated responses
+      const params = buildMessageParams(prepared);
+      const response = await sendExtractionRequest(companyId, params);
+      
+      // Process Claude's response (tool output, or free text with enhanced parsing techniques)
+      console.log(`Parsing response for ${companyId}...`);
+      ({ responseText, parsed } = parseExtractionResponse(response, companyId));
+      
+      // Check the result against the output schema and request one correction if needed
+      if (parsed.success) {
+        const validated = await validateParsedResult(companyId, companyId, prepared, params, response, parsed, responseText);
+        parsed = { ...parsed, data: validated.data };
+        responseText = validated.responseText;
+        validationReport = validated.report;
       }
     }
     
-    console.log(`Sending prompt to Claude for ${companyId}...`);
-    
-    // Send the request to Claude with URL in the prompt, with retry logic
-    const response = await retryWithBackoff(async () => {
-      return await anthropic.messages.create({
-        model: config.claudeModel,
-        max_tokens: 4000,
-        system: sysPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: usrPrompt
-              }
-            ]
-          }
-        ],
-        temperature: 0.2
-      });
-    });
-    
-    // Record token usage
-    tokenTracker.recordClaudeExtractionUsage(companyId, response);
-    
-    // Log token usage summary
-    console.log(`Token usage for ${companyId}: ${response.usage?.input_tokens || 0} input + ${response.usage?.output_tokens || 0} output tokens`);
-    await logToFile(`Token usage for ${companyId}: ${response.usage?.input_tokens || 0} input + ${response.usage?.output_tokens || 0} output tokens`);
-    
-    // Process Claude's response
-    const responseText = response.content[0].text;
-    
     // Ensure output directories exist
     const debugDir = path.join(config.outputDir, 'raw_responses');
     await ensureDirectoryExists(debugDir);
     
-    // Save raw response for potential debugging or manual recovery later
+    // Save raw response for potential debugging or manual recovery later,
+    // headed by the prompt template it was answered to
     await fs.writeFile(
       path.join(debugDir, `${companyId}_raw_response.txt`),
-      responseText
+      formatTemplateHeader(prepared.promptTemplate) + responseText
     );
     
-    // Let's try to extract JSON properly with enhanced parsing techniques
-    console.log(`Parsing response for ${companyId}...`);
-    
-    // Try multiple extraction strategies in order of reliability
-    let extractedJson;
-    let parseSuccess = false;
-    let parseErrors = [];
-    
-    // Strategy 1: Simple JSON.parse if it's already valid JSON
-    try {
-      const trimmedResponse = responseText.trim();
-      if (trimmedResponse.startsWith('{') && trimmedResponse.endsWith('}')) {
-        extractedJson = JSON.parse(trimmedResponse);
-        parseSuccess = true;
-        console.log(`Successfully parsed JSON directly for ${companyId}`);
-      }
-    } catch (parseError) {
-      parseErrors.push(`Direct JSON parsing: ${parseError.message}`);
-      console.log(`Direct JSON parsing failed: ${parseError.message}`);
-    }
-    
-    // Strategy 2: Try to extract JSON from markdown code blocks (more aggressive matching)
-    if (!parseSuccess) {
-      try {
-        // Match both ```json and ``` format code blocks
-        const jsonMatches = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/g);
-        if (jsonMatches && jsonMatches.length > 0) {
-          // Try each code block until one succeeds
-          for (const match of jsonMatches) {
-            try {
-              const content = match.replace(/```(?:json)?\s*/, '').replace(/\s*```$/, '').trim();
-              if (content.startsWith('{') && content.endsWith('}')) {
-                extractedJson = JSON.parse(content);
-                parseSuccess = true;
-                console.log(`Successfully extracted JSON from code block for ${companyId}`);
-                break;
-              }
-            } catch (blockError) {
-              // Continue to next block
-              console.log(`Code block parsing attempt failed, trying next block...`);
-            }
-          }
-        }
-        
-        if (!parseSuccess && jsonMatches) {
-          parseErrors.push(`Code block extraction: Found ${jsonMatches.length} potential blocks but none parsed successfully`);
-        }
-      } catch (codeBlockError) {
-        parseErrors.push(`Code block extraction: ${codeBlockError.message}`);
-        console.log(`Code block JSON parsing failed: ${codeBlockError.message}`);
-      }
+    if (validationReport) {
+      await saveValidationReport(companyId, validationReport);
     }
     
-    // Strategy 3: Try to extract anything that looks like a complete JSON object
-    if (!parseSuccess) {
-      try {
-        // Find all potential JSON objects - looking for balanced {} with at least some content
-        const potentialObjects = [];
-        let depth = 0;
-        let start = -1;
-        
-        for (let i = 0; i < responseText.length; i++) {
-          if (responseText[i] === '{') {
-            if (depth === 0) start = i;
-            depth++;
-          } else if (responseText[i] === '}') {
-            depth--;
-            if (depth === 0 && start !== -1) {
-              potentialObjects.push(responseText.substring(start, i + 1));
-              start = -1;
-            }
-          }
-        }
-        
-        // Try each potential object
-        for (const obj of potentialObjects) {
-          if (obj.length > 50) { // Only try substantive objects to avoid fragments
-            try {
-              extractedJson = JSON.parse(obj);
-              parseSuccess = true;
-              console.log(`Successfully extracted complete JSON object from text for ${companyId}`);
-              break;
-            } catch (objError) {
-              // Try next object
-            }
-          }
-        }
-        
-        if (!parseSuccess && potentialObjects.length > 0) {
-          parseErrors.push(`JSON object extraction: Found ${potentialObjects.length} potential objects but none parsed successfully`);
-        }
-      } catch (objectError) {
-        parseErrors.push(`JSON object extraction: ${objectError.message}`);
-        console.log(`JSON object extraction failed: ${objectError.message}`);
-      }
-    }
-    
-    // Strategy 4: Use the shared parser as a fallback
-    if (!parseSuccess) {
-      console.log(`Falling back to shared parser for ${companyId}...`);
-      const parseResult = errorHandler.parseJSON(responseText);
-      parseSuccess = parseResult.success;
-      if (parseSuccess) {
-        extractedJson = parseResult.data;
-        console.log(`Successfully parsed JSON using the shared parser for ${companyId}`);
-      } else {
-        parseErrors.push(`Shared parser: ${parseResult.message || 'Failed with no specific error'}`);
-      }
+    // Cache valid results so an unchanged company is not extracted again
+    if (parsed.success && !cached && (!validationReport || validationReport.valid)) {
+      await storeCachedResult(cacheKey, {
+        companyId,
+        extractionMode,
+        data: parsed.data,
+        responseText,
+        usage: tokenTracker.getCompanyUsage(companyId)
+      });
     }
     
-    // Log detailed parsing attempts if all failed
-    if (!parseSuccess) {
-      console.error(`All JSON parsing strategies failed for ${companyId}:`);
-      parseErrors.forEach((error, i) => console.error(`  Strategy ${i+1}: ${error}`));
-    }
+    const parseSuccess = parsed.success;
+    const extractedJson = parsed.data;
     
     if (parseSuccess) {
       let extractedData = extractedJson;
@@ -340,8 +507,23 @@ export async function extractDataFromUrl(company) {
       // Add the industry to the extracted data
       extractedData.industry = normalizedIndustry;
       
-      // Add the source type (pdf or website)
+      // Add the source type (pdf or website) and how the content was sent
       extractedData.sourceType = urlType;
+      extractedData.extractionMode = extractionMode;
+      
+      // Record which criteria catalogue the result was extracted with
+      extractedData.criteriaCatalogue = prepared.criteriaCatalogue;
+      
+      // Record the detected language of the document and the language of the results
+      extractedData.language = getExtractionLanguage(prepared);
+      
+      // Record the name and version of the prompt template
+      extractedData.promptTemplate = prepared.promptTemplate;
+      
+      // Record which report pages the model saw when the page filter was used
+      if (prepared.pageSelection) {
+        extractedData.pageSelection = prepared.pageSelection;
+      }
       
       // If there are any missing criteria, add empty placeholders
       relevantCriteria.forEach(criterion => {
@@ -376,6 +558,8 @@ export async function extractDataFromUrl(company) {
         industry: normalizedIndustry,
         extractedData,
         sourceType: urlType,
+        extractionMode,
+        fromCache: Boolean(cached),
         status: 'extraction_complete'
       };
     } else {
@@ -420,6 +604,7 @@ export async function extractDataFromUrl(company) {
         fallbackData, // Include our simple fallback data
         error: errorMessage,
         sourceType: urlType,
+        extractionMode,
         status: 'extraction_failed'
       };
     }
@@ -467,12 +652,17 @@ export async function processAllPdfUrls(companies) {
   const succeeded = results.filter(r => r.status === 'extraction_complete').length;
   const failed = results.filter(r => r.status === 'extraction_failed').length;
   const skipped = results.filter(r => r.status === 'extraction_skipped' || r.status === 'skipped').length;
+  const tooLarge = results.filter(r => r.status === 'document_too_large').length;
+  const unresolved = results.filter(r => r.status === 'industry_unresolved').length;
   
   // Additional detailed summary by type
   const pdfExtracted = results.filter(r => r.sourceType === 'pdf' && r.status === 'extraction_complete').length;
+  const chunkedExtracted = results.filter(r => r.extractionMode === EXTRACTION_MODES.PDF_CHUNKED && r.status === 'extraction_complete').length;
+  const filteredExtracted = results.filter(r => r.extractionMode === EXTRACTION_MODES.PDF_FILTERED_TEXT && r.status === 'extraction_complete').length;
   const websiteExtracted = results.filter(r => r.sourceType === 'website' && r.status === 'extraction_complete').length;
+  const cachedExtracted = results.filter(r => r.fromCache && r.status === 'extraction_complete').length;
   
-  console.log(`Direct extraction summary: ${succeeded} succeeded (${pdfExtracted} PDFs, ${websiteExtracted} websites), ${failed} failed, ${skipped} skipped`);
+  console.log(`Direct extraction summary: ${succeeded} succeeded (${pdfExtracted} PDFs of which ${chunkedExtracted} chunked and ${filteredExtracted} page-filtered, ${websiteExtracted} websites, ${cachedExtracted} from cache), ${failed} failed, ${tooLarge} too large, ${unresolved} with an unknown industry, ${skipped} skipped`);
   
   return results;
 }
\ No newline at end of file
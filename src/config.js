@@ -14,16 +14,84 @@ export const config = {
   
   // Batch processing parameters
   useBatchProcessing: process.env.USE_BATCH_PROCESSING === 'true',
+  // Batches are packed by size (see lib/batch-planner.js) under these limits per batch:
+  // requests (API limit 100,000), payload megabytes (API limit 256) and estimated input tokens (0 for no limit)
   batchSize: parseInt(process.env.BATCH_SIZE || '50'),
+  batchMaxMb: parseFloat(process.env.BATCH_MAX_MB || '256'),
+  batchMaxInputTokens: parseInt(process.env.BATCH_MAX_INPUT_TOKENS || '0'),
+  // Compressed copies of the submitted batch requests, one file per batch (see lib/batch-archive.js)
+  batchArchiveDir: path.resolve(__dirname, '..', process.env.BATCH_ARCHIVE_DIR || './data/batch_archive'),
   batchCheckIntervalMinutes: parseInt(process.env.BATCH_CHECK_INTERVAL_MINUTES || '15'),
+  // Errored, expired and canceled batch requests: 'batch' (follow-up batch), 'direct' (one-by-one) or 'off'
+  batchRetryMode: process.env.BATCH_RETRY_MODE || 'batch',
+  // Attempts per company, counting the first submission
+  batchMaxAttempts: parseInt(process.env.BATCH_MAX_ATTEMPTS || '3'),
+  
+  // Document handling
+  // Base64 encoding adds ~33%, so 24 MB keeps requests under the 32 MB API limit
+  maxPdfSizeMb: parseInt(process.env.MAX_PDF_SIZE_MB || '24'),
+  maxPdfPages: parseInt(process.env.MAX_PDF_PAGES || '100'),
+  
+  // Chunked (map-reduce) extraction for documents above the PDF limits
+  useChunkedExtraction: process.env.USE_CHUNKED_EXTRACTION !== 'false',
+  chunkPageSize: parseInt(process.env.CHUNK_PAGE_SIZE || '50'),
+  
+  // Local page pre-filtering: send only the text of the most relevant PDF pages
+  usePageFilter: process.env.USE_PAGE_FILTER === 'true',
+  pageFilterTokenBudget: parseInt(process.env.PAGE_FILTER_TOKEN_BUDGET || '60000'),
+  
+  // LLM backend: 'anthropic' (default), 'mock' (offline, serves fixtures and fixture documents),
+  // 'record' (anthropic, writes cassettes) or 'replay' (offline, serves cassettes)
+  llmProvider: process.env.LLM_PROVIDER || 'anthropic',
+  mockFixturesDir: path.resolve(__dirname, '..', process.env.MOCK_FIXTURES_DIR || './fixtures/llm'),
+  offlineDocumentsDir: path.resolve(__dirname, '..', process.env.OFFLINE_DOCUMENTS_DIR || './fixtures/documents'),
+  cassettesDir: path.resolve(__dirname, '..', process.env.CASSETTES_DIR || './data/cassettes'),
+  
+  // Response cache: extraction results keyed by document hash, prompt hash and model.
+  // `--no-cache` skips lookups for a single run (fresh results still refresh the cache)
+  useResponseCache: process.env.USE_RESPONSE_CACHE !== 'false' && !process.argv.includes('--no-cache'),
+  cacheDir: path.resolve(__dirname, '..', process.env.CACHE_DIR || './data/cache'),
+  cacheMaxAgeDays: parseInt(process.env.CACHE_MAX_AGE_DAYS || '90'),
   
   // Models
   claudeModel: process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-20250219',
   
+  // Output token budgets; truncated responses are continued or retried up to maxOutputTokensLimit
+  extractionMaxTokens: parseInt(process.env.EXTRACTION_MAX_TOKENS || '4000'),
+  // Expected output tokens per extraction request, used by the dry-run cost forecast
+  dryRunOutputTokens: parseInt(process.env.DRY_RUN_OUTPUT_TOKENS || '2000'),
+  rankingMaxTokens: parseInt(process.env.RANKING_MAX_TOKENS || '4000'),
+  maxOutputTokensLimit: parseInt(process.env.MAX_OUTPUT_TOKENS_LIMIT || '8192'),
+  maxContinuations: parseInt(process.env.MAX_CONTINUATIONS || '2'),
+  
+  // Structured output: force a tool call whose schema is generated from the criteria
+  useToolUse: process.env.USE_TOOL_USE !== 'false',
+  
+  // List each criterion's description and keywords in the extraction prompt
+  includeCriteriaDescriptions: process.env.INCLUDE_CRITERIA_DESCRIPTIONS !== 'false',
+  
+  // Language of the extracted results ('de' or 'en'); unset keeps the language of each document.
+  // Quotes in "extracts" always stay in the original language. --output-language=de overrides it for one run
+  outputLanguage: process.argv.find(arg => arg.startsWith('--output-language='))?.split('=')[1] || process.env.OUTPUT_LANGUAGE || null,
+  
+  // Prompt wording, loaded from src/prompts/templates/<name> (see lib/prompt-templates.js).
+  // PROMPT_TEMPLATES_BY_INDUSTRY ("banks=finance,...") picks templates per industry;
+  // --prompt-template=<name> uses one template for every company of a run
+  promptTemplate: process.env.PROMPT_TEMPLATE || 'default',
+  promptTemplatesByIndustry: process.env.PROMPT_TEMPLATES_BY_INDUSTRY || '',
+  runPromptTemplate: process.argv.find(arg => arg.startsWith('--prompt-template='))?.split('=')[1] || null,
+  promptTemplatesDir: path.resolve(__dirname, '..', process.env.PROMPT_TEMPLATES_DIR || './src/prompts/templates'),
+  
+  // Send one follow-up request with the schema violations when a result is invalid
+  repairInvalidExtractions: process.env.REPAIR_INVALID_EXTRACTIONS !== 'false',
+  
   // Paths
   dataDir: path.resolve(__dirname, '..', process.env.DATA_DIR || './data'),
   outputDir: path.resolve(__dirname, '..', process.env.OUTPUT_DIR || './output'),
-  dbPath: path.resolve(__dirname, '..', process.env.DB_PATH || './data/esg_database.sqlite')
+  dbPath: path.resolve(__dirname, '..', process.env.DB_PATH || './data/esg_database.sqlite'),
+  companyUrlsPath: process.env.COMPANY_URLS_CSV ? path.resolve(__dirname, '..', process.env.COMPANY_URLS_CSV) : null,
+  // Per-company criteria overrides (defaults to data/criteria_overrides.csv)
+  criteriaOverridesPath: process.env.CRITERIA_OVERRIDES_CSV ? path.resolve(__dirname, '..', process.env.CRITERIA_OVERRIDES_CSV) : null
 };
 
 export default config;
\ No newline at end of file
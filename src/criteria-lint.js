@@ -0,0 +1,45 @@
+/**
+ * criteria-lint.js
+ *
+ * Utility script to check the criteria catalogue (IndustryCriteria.csv,
+ * IndustryCriteriaSimple.csv, criteria-descriptions.js and IndustryMapping.csv),
+ * see lib/criteria-lint.js for the checks. The report is written to stdout as JSON;
+ * the exit code is 1 when there are errors (or warnings with --strict), so
+ * catalogue edits can be gated on it.
+ *
+ * Usage:
+ *   node src/criteria-lint.js            - JSON report
+ *   node src/criteria-lint.js --text     - One line per finding
+ *   node src/criteria-lint.js --strict   - Also fail on warnings
+ */
+
+import esgCriteria from './lib/esg-criteria.js';
+import { criteriaDescriptions } from './lib/data/criteria-descriptions.js';
+import { loadIndustryMapping } from './lib/industry-resolver.js';
+import { lintCriteriaCatalogue, formatFinding } from './lib/criteria-lint.js';
+
+async function main() {
+  const text = process.argv.includes('--text');
+  const strict = process.argv.includes('--strict');
+  
+  const files = await esgCriteria.readCriteriaFiles();
+  const mapping = await loadIndustryMapping();
+  const report = lintCriteriaCatalogue(files, criteriaDescriptions, mapping);
+  
+  if (text) {
+    report.findings.forEach(item => console.log(formatFinding(item)));
+    console.log(`${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+  } else {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  
+  if (report.summary.errors > 0 || (strict && report.summary.warnings > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(2);
+});
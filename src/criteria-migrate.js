@@ -0,0 +1,95 @@
+/**
+ * criteria-migrate.js
+ *
+ * Utility script to re-map extracted results onto the current criteria catalogue
+ * where criteria were only renamed (see lib/criteria-migration.js).
+ * Original files are copied to output/migration_backup/<timestamp> before they are rewritten.
+ *
+ * Usage:
+ *   node src/criteria-migrate.js             - Migrate all files in output/extracted
+ *   node src/criteria-migrate.js --dry-run   - Only report what would change
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+import { ensureDirectoryExists, logToFile } from './utils.js';
+import esgCriteria from './lib/esg-criteria.js';
+import { planCriteriaMigration } from './lib/criteria-migration.js';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const extractedDir = path.join(config.outputDir, 'extracted');
+  const backupDir = path.join(config.outputDir, 'migration_backup', new Date().toISOString().replace(/[:.]/g, '-'));
+  
+  let files;
+  try {
+    files = (await fs.readdir(extractedDir)).filter(file => file.endsWith('_extracted.json')).sort();
+  } catch (error) {
+    console.log(`No extracted results found in ${extractedDir}`);
+    return;
+  }
+  
+  const catalogue = await esgCriteria.getCatalogueInfo();
+  console.log(`Migrating ${files.length} results to criteria catalogue ${esgCriteria.formatCatalogueVersion(catalogue)}${dryRun ? ' (dry run)' : ''}`);
+  
+  const counts = { up_to_date: 0, migrated: 0, needs_reextraction: 0, skipped: 0 };
+  
+  for (const file of files) {
+    const filePath = path.join(extractedDir, file);
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const industry = data.industry || data.criteriaCatalogue?.industry;
+    
+    if (!industry) {
+      console.log(`  ${file}: skipped (no industry recorded)`);
+      counts.skipped++;
+      continue;
+    }
+    
+    // The company's criteria overrides are part of its current criteria
+    let criteria;
+    let overrides;
+    try {
+      ({ criteria, overrides } = await esgCriteria.getCompanyCriteria({ companyId: file.replace('_extracted.json', ''), industry }));
+    } catch (error) {
+      console.log(`  ${file}: skipped (${error.message})`);
+      counts.skipped++;
+      continue;
+    }
+    const currentStamp = await esgCriteria.createCriteriaStamp(industry, criteria, overrides);
+    const plan = planCriteriaMigration(data, criteria, currentStamp);
+    counts[plan.status]++;
+    
+    const from = esgCriteria.formatCatalogueVersion(data.criteriaCatalogue);
+    const renames = plan.renamed.map(rename => `${rename.from} -> ${rename.to} (${rename.reason})`).join(', ');
+    
+    if (plan.status === 'up_to_date') {
+      continue;
+    }
+    
+    if (plan.status === 'needs_reextraction') {
+      console.log(`  ${file}: needs re-extraction (${from}), added: ${plan.added.join(', ') || '-'}; removed: ${plan.removed.join(', ') || '-'}`);
+      continue;
+    }
+    
+    console.log(`  ${file}: ${from} -> current${renames ? `, renamed ${renames}` : ', re-stamped'}`);
+    
+    if (!dryRun) {
+      await ensureDirectoryExists(backupDir);
+      await fs.copyFile(filePath, path.join(backupDir, file));
+      await fs.writeFile(filePath, JSON.stringify(plan.data, null, 2));
+      await logToFile(`Migrated ${file} from criteria catalogue ${from}${renames ? `: ${renames}` : ''}`);
+    }
+  }
+  
+  console.log(`\n${counts.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ${counts.up_to_date} up to date, ${counts.needs_reextraction} need re-extraction, ${counts.skipped} skipped`);
+  if (counts.migrated > 0 && !dryRun) {
+    console.log(`Original files were copied to ${backupDir}`);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -13,6 +13,7 @@ import { parse as parseCsv } from 'csv-parse/sync';
 import { normalizeCompanyId, ensureDirectoryExists, concurrentMap, extractFilename, logToFile } from './utils.js';
 import config from './config.js';
 import * as persistence from './lib/persistence.js';
+import { isOfflineProvider } from './lib/llm/index.js';
 
 /**
  * Load company URLs from a CSV file
@@ -144,29 +145,36 @@ export async function downloadDocument(company) {
       // File doesn't exist, so we can proceed with download
     }
     
-    // Download the file
-    const response = await axios({
-      method: 'get',
-      url,
-      responseType: 'stream',
-      timeout: 30000, // 30 second timeout
-      maxContentLength: 100 * 1024 * 1024, // Max 100MB
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-    
-    // Create write stream
-    const writer = fsSync.createWriteStream(documentPath);
-    
-    // Pipe response to file
-    response.data.pipe(writer);
-    
-    // Wait for download to complete
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
+    if (isOfflineProvider()) {
+      // Mock and replay runs are offline: documents come from the fixture directory instead of the network
+      const fixturePath = path.join(config.offlineDocumentsDir, filename);
+      console.log(`Offline mode: copying fixture document ${fixturePath}`);
+      await fs.copyFile(fixturePath, documentPath);
+    } else {
+      // Download the file
+      const response = await axios({
+        method: 'get',
+        url,
+        responseType: 'stream',
+        timeout: 30000, // 30 second timeout
+        maxContentLength: 100 * 1024 * 1024, // Max 100MB
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+        }
+      });
+      
+      // Create write stream
+      const writer = fsSync.createWriteStream(documentPath);
+      
+      // Pipe response to file
+      response.data.pipe(writer);
+      
+      // Wait for download to complete
+      await new Promise((resolve, reject) => {
+        writer.on('finish', resolve);
+        writer.on('error', reject);
+      });
+    }
     
     console.log(`Successfully downloaded document for ${companyId} to ${documentPath}`);
     await logToFile(`Downloaded document for ${companyId} to ${documentPath}`);
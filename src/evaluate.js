@@ -0,0 +1,197 @@
+/**
+ * evaluate.js
+ *
+ * Evaluation harness for prompt and model changes. Extracts the companies of a
+ * golden set (see lib/evaluation.js) with one or two configurations and scores
+ * the results against the labels. Extraction uses the configured LLM provider,
+ * so LLM_PROVIDER=replay scores recorded responses and LLM_PROVIDER=record
+ * records a live run for later replay.
+ *
+ * Each run writes the extraction output of every configuration and the report
+ * to output/evaluation/<timestamp>. Evaluation runs use their own database, so
+ * the processing status of regular runs is not touched.
+ *
+ * Usage:
+ *   node src/evaluate.js [golden-dir] [--baseline=<settings>] [--candidate=<settings>]
+ *
+ *   golden-dir              Directory with the labeled companies (default DATA_DIR/golden)
+ *   --baseline=<settings>   Settings of the first configuration (default: the configured template and model)
+ *   --candidate=<settings>  Settings of a configuration compared with the baseline
+ *
+ * Settings are comma-separated: name=<label>,template=<prompt template>,model=<Claude model>, e.g.
+ *   npm run eval -- fixtures/golden --candidate=template=concise,model=claude-sonnet-4-5
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+import { ensureDirectoryExists, logToFile, concurrentMap, determineUrlType } from './utils.js';
+import * as persistence from './lib/persistence.js';
+import tokenTracker from './lib/token-tracker.js';
+import { extractDataFromUrl } from './claude-extractor.js';
+import { loadPdfDocument } from './lib/document-loader.js';
+import { extractPdfPages } from './lib/extractors/pdf-text-extractor.js';
+import { extractWebsiteContent } from './lib/extractors/website-extractor.js';
+import { loadPromptTemplate, getConfiguredTemplateNames } from './lib/prompt-templates.js';
+import { loadGoldenSet, parseConfiguration, scoreExtraction, summarizeScores, compareEvaluations, formatEvaluationReport } from './lib/evaluation.js';
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without the leading dashes
+ * @returns {string|undefined} - Value after the first "=", or undefined if the option is not given
+ */
+function getOption(name) {
+  const arg = process.argv.find(item => item.startsWith(`--${name}=`));
+  return arg === undefined ? undefined : arg.substring(name.length + 3);
+}
+
+/**
+ * Load the text of a company's document for checking quotes
+ * @param {Object} company - Company object
+ * @returns {Promise<string|null>} - Document text, or null if it cannot be loaded
+ */
+async function loadDocumentText(company) {
+  try {
+    if (determineUrlType(company.url) === 'pdf') {
+      const document = await loadPdfDocument(company);
+      if (!document.buffer) {
+        throw new Error(document.message);
+      }
+      const pages = await extractPdfPages(document.buffer);
+      return pages.map(page => page.text).join('\n');
+    }
+    
+    return (await extractWebsiteContent(company.url)).content;
+  } catch (error) {
+    console.warn(`Could not load the document of ${company.companyId}, quotes are not checked: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Point the configuration at an evaluated configuration
+ * @param {Object} configuration - { name, template, model }
+ * @param {Object} defaults - Configured { model, template, outputDir, evaluationDir }
+ */
+function applyConfiguration(configuration, defaults) {
+  config.claudeModel = configuration.model || defaults.model;
+  config.runPromptTemplate = configuration.template || defaults.template;
+  config.outputDir = path.join(defaults.evaluationDir, configuration.name);
+}
+
+/**
+ * Extract and score the golden set with one configuration
+ * @param {Array} goldenSet - Labeled companies (see loadGoldenSet)
+ * @param {Map} documentTexts - Document text by company ID
+ * @returns {Promise<Array>} - Result per company
+ */
+async function evaluateConfiguration(goldenSet, documentTexts) {
+  return concurrentMap(goldenSet, async ({ company, expected }) => {
+    const before = tokenTracker.getCompanyUsage(company.companyId);
+    const result = await extractDataFromUrl(company);
+    const after = tokenTracker.getCompanyUsage(company.companyId);
+    const extractedData = result.extractedData || null;
+    
+    return {
+      companyId: company.companyId,
+      status: result.status,
+      error: result.error || result.message || null,
+      promptTemplate: extractedData?.promptTemplate || null,
+      fromCache: Boolean(result.fromCache),
+      usage: {
+        inputTokens: after.inputTokens - before.inputTokens,
+        outputTokens: after.outputTokens - before.outputTokens
+      },
+      scores: scoreExtraction(expected, extractedData, documentTexts.get(company.companyId))
+    };
+  }, config.maxConcurrentExtractions);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const goldenDir = path.resolve(process.argv.slice(2).find(arg => !arg.startsWith('--')) || path.join(config.dataDir, 'golden'));
+  
+  const configurations = [parseConfiguration(getOption('baseline'), 'baseline')];
+  if (getOption('candidate') !== undefined) {
+    configurations.push(parseConfiguration(getOption('candidate'), 'candidate'));
+  }
+  if (new Set(configurations.map(configuration => configuration.name)).size < configurations.length) {
+    throw new Error('The baseline and the candidate need different names');
+  }
+  
+  const goldenSet = await loadGoldenSet(goldenDir);
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const defaults = {
+    model: config.claudeModel,
+    template: config.runPromptTemplate,
+    outputDir: config.outputDir,
+    evaluationDir: path.join(config.outputDir, 'evaluation', timestamp)
+  };
+  
+  // Missing or broken prompt templates stop the evaluation before anything is extracted
+  for (const configuration of configurations) {
+    applyConfiguration(configuration, defaults);
+    for (const name of getConfiguredTemplateNames()) {
+      await loadPromptTemplate(name);
+    }
+  }
+  
+  // Evaluation runs keep their own processing status
+  await ensureDirectoryExists(defaults.evaluationDir);
+  config.dbPath = path.join(defaults.evaluationDir, 'evaluation.sqlite');
+  
+  console.log(`Evaluating ${configurations.map(configuration => configuration.name).join(' and ')} on ${goldenSet.length} labeled companies from ${goldenDir} (${config.llmProvider} provider)`);
+  
+  const documentTexts = new Map();
+  for (const { company } of goldenSet) {
+    documentTexts.set(company.companyId, await loadDocumentText(company));
+  }
+  
+  const evaluated = [];
+  for (const configuration of configurations) {
+    applyConfiguration(configuration, defaults);
+    console.log(`\nExtracting with ${configuration.name} (model ${config.claudeModel})`);
+    
+    const companies = await evaluateConfiguration(goldenSet, documentTexts);
+    const templates = companies
+      .filter(company => company.promptTemplate)
+      .map(company => `${company.promptTemplate.name} (${company.promptTemplate.version})`);
+    
+    evaluated.push({
+      name: configuration.name,
+      template: [...new Set(templates)].join(', ') || null,
+      model: config.claudeModel,
+      summary: summarizeScores(companies.map(company => company.scores)),
+      companies
+    });
+  }
+  
+  config.outputDir = defaults.outputDir;
+  
+  const evaluation = {
+    goldenSet: goldenDir,
+    provider: config.llmProvider,
+    createdAt: new Date().toISOString(),
+    configurations: evaluated,
+    comparison: evaluated.length === 2 ? compareEvaluations(evaluated[0], evaluated[1]) : null
+  };
+  
+  const report = formatEvaluationReport(evaluation);
+  await fs.writeFile(path.join(defaults.evaluationDir, 'evaluation.json'), JSON.stringify(evaluation, null, 2));
+  await fs.writeFile(path.join(defaults.evaluationDir, 'report.txt'), `${report}\n`);
+  
+  console.log(`\n${report}`);
+  console.log(`\nReport and extraction output saved to ${defaults.evaluationDir}`);
+  await logToFile(`Evaluated ${evaluated.map(item => item.name).join(' and ')} on ${goldenSet.length} companies from ${goldenDir}, report in ${defaults.evaluationDir}`);
+  
+  await persistence.closePersistence();
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Error in evaluation: ${error.message}`);
+  process.exit(1);
+});
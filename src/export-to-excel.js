@@ -11,7 +11,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import config from './config.js';
 import { ensureDirectoryExists } from './utils.js';
-import { exportToExcel } from './exporter.js';
+import { exportToExcel, checkCatalogueVersions } from './exporter.js';
 
 /**
  * Load extracted data from JSON files
@@ -88,6 +88,7 @@ async function main() {
     
     // Export to Excel
     console.log(`Exporting ${extractedData.length} records to Excel...`);
+    checkCatalogueVersions(extractedData);
     const result = await exportToExcel(extractedData);
     
     if (result.success) {
@@ -10,7 +10,9 @@ import { createObjectCsvWriter } from 'csv-writer';
 import ExcelJS from 'exceljs';
 import config from './config.js';
 import { ensureDirectoryExists, formatDate } from './utils.js';
-import { getIndustryCriteria } from './lib/esg-criteria.js';
+import { getCompanyCriteria, formatCatalogueVersion } from './lib/esg-criteria.js';
+import { normalizeCriterionKeys } from './lib/criterion-registry.js';
+import { getCriterionKeys } from './lib/criteria-migration.js';
 
 /**
  * Generate a formatted date and time string for filenames
@@ -45,6 +47,33 @@ function getCriteriaName(criteriaId) {
   return criteriaNameMap[criteriaId];
 }
 
+/**
+ * Warn when results were extracted with different criteria catalogues
+ * @param {Array} results - Array of extraction results
+ * @returns {Array} - Catalogue versions ({ version, companyIds }) found in the results
+ */
+export function checkCatalogueVersions(results) {
+  const companiesByVersion = new Map();
+  
+  for (const result of results.filter(r => r.status === 'extraction_complete' && r.extractedData)) {
+    const version = formatCatalogueVersion(result.extractedData.criteriaCatalogue);
+    companiesByVersion.set(version, [...(companiesByVersion.get(version) || []), result.companyId]);
+  }
+  
+  const versions = [...companiesByVersion].map(([version, companyIds]) => ({ version, companyIds }));
+  
+  if (versions.length > 1) {
+    console.warn(`Warning: the exported results were extracted with ${versions.length} different criteria catalogues:`);
+    for (const { version, companyIds } of versions) {
+      const more = companyIds.length > 5 ? `, ... ${companyIds.length - 5} more` : '';
+      console.warn(`  ${version}: ${companyIds.length} companies (${companyIds.slice(0, 5).join(', ')}${more})`);
+    }
+    console.warn('Run "npm run criteria:migrate" to re-map results whose criteria were only renamed, or re-extract the others.');
+  }
+  
+  return versions;
+}
+
 /**
  * Export data to JSON format
  * @param {Array} results - Array of extraction results
@@ -199,7 +228,25 @@ export async function exportToCsv(results) {
       const companyId = result.companyId;
       const companyName = data.basicInformation?.companyName || '';
       
-      // Add rows for each ESG criteria
+      // Add a row for each criterion of the company's industry
+      const industry = result.industry || data.industry || data.basicInformation?.industry || '';
+      const relevantCriteria = await getExportCriteria(industry, companyId, data);
+      const { data: criteriaResults } = normalizeCriterionKeys(data, relevantCriteria);
+      for (const criterion of relevantCriteria) {
+        const criteriaData = criteriaResults[criterion.id];
+        if (!criteriaData || typeof criteriaData !== 'object') continue;
+        
+        csvRows.push({
+          companyId,
+          companyName,
+          criteriaId: criterion.id,
+          criteriaName: criterion.name_en,
+          criteriaContent: formatLines(criteriaData.actions),
+          excerpt: criteriaData.extracts || ''
+        });
+      }
+      
+      // Add rows for each ESG criteria (older result format)
       if (data.esgCriteria) {
         Object.entries(data.esgCriteria).forEach(([criteriaId, criteriaData]) => {
           const criteriaName = getCriteriaName(criteriaId);
@@ -338,6 +385,56 @@ export async function exportToCsv(results) {
   }
 }
 
+/**
+ * Get the criteria of a company for the CSV and Excel exports
+ * Companies without a resolvable industry fall back to the criteria of their extracted data.
+ * @param {string} industry - Industry of the company
+ * @param {string} companyId - Company ID, to apply the company's criteria overrides
+ * @param {Object} data - Extracted data of the company
+ * @returns {Promise<Array>} - Criteria in the catalogue's order, with the overrides applied
+ */
+async function getExportCriteria(industry, companyId, data) {
+  if (industry) {
+    try {
+      // The industry is resolved to a catalogue industry (names, synonyms or codes) by the shared module
+      const relevantCriteria = (await getCompanyCriteria({ companyId, industry })).criteria;
+      console.log(`Successfully loaded ${relevantCriteria.length} criteria for '${industry}'`);
+  
+      // Debug: Show the loaded criteria to verify they're correct
+      if (process.env.DEBUG_EXPORT === 'true') {
+        console.log('Criteria loaded:', JSON.stringify(relevantCriteria));
+      } else {
+        console.log('Criteria IDs:', relevantCriteria.map(c => c.id).join(', '));
+      }
+      
+      return relevantCriteria;
+    } catch (error) {
+      console.error(`Error loading criteria for '${industry}': ${error.message}`);
+    }
+  }
+  
+  return getExtractedCriteria(data, companyId);
+}
+    
+/**
+ * Get the criteria a result was extracted with: its catalogue stamp, or else its criterion keys
+ * @param {Object} data - Extracted data of the company
+ * @param {string} companyId - Company ID, for logging
+ * @returns {Array} - Criteria ({ id, name_en })
+ */
+function getExtractedCriteria(data, companyId) {
+  const stamped = data.criteriaCatalogue?.criteria || [];
+    
+  if (stamped.length > 0) {
+    console.log(`Using the ${stamped.length} criteria of the recorded catalogue stamp for ${companyId}`);
+    return stamped.map(criterion => ({ id: criterion.id, name_en: criterion.name_en || criterion.id }));
+  }
+  
+  const keys = getCriterionKeys(data);
+  console.log(`Using the ${keys.length} criterion keys of the extracted data for ${companyId}`);
+  return keys.map(key => ({ id: key, name_en: key }));
+}
+
 /**
  * Export data to Excel format
  * @param {Array} results - Array of extraction results
@@ -373,6 +470,15 @@ export async function exportToExcel(results) {
     // Add the ESG Data sheet
     const worksheet = workbook.addWorksheet('ESG Data');
     
+    // Load the criteria of every company first: industries can have different numbers of criteria,
+    // and the sheet gets one group of columns per criterion of the largest industry
+    const exportCriteria = new Map();
+    for (const result of successfulResults) {
+      const industry = result.industry || result.extractedData.industry || result.extractedData.basicInformation?.industry || '';
+      exportCriteria.set(result, await getExportCriteria(industry, result.companyId, result.extractedData));
+    }
+    const maxCriteria = Math.max(...[...exportCriteria.values()].map(criteria => criteria.length));
+    
     // Define the exact column headers as requested
     const headers = [
       'Company ID', 
@@ -383,8 +489,9 @@ export async function exportToExcel(results) {
       'Report Title'
     ];
     
-    // Add 7 criteria with the exact formatting requested - using generic names
-    for (let i = 1; i <= 7; i++) {
+    // Add the criteria with the exact formatting requested - using generic names
+    // Companies of industries with fewer criteria leave the last groups empty
+    for (let i = 1; i <= maxCriteria; i++) {
       headers.push(`Criterion ${i} name`);
       headers.push(`Criterion ${i} solution 1`);
       headers.push(`Criterion ${i} solution 2`);
@@ -399,7 +506,7 @@ export async function exportToExcel(results) {
     
     // Process each company data
     for (const result of successfulResults) {
-      const data = result.extractedData;
+      let data = result.extractedData;
       const companyId = result.companyId;
       
       // Log the structure of the data for debugging
@@ -426,54 +533,19 @@ export async function exportToExcel(results) {
         reportTitle
       ];
       
-      // Important: Use the raw industry directly without normalization
-      // This matches our new pattern in IndustryCriteriaSimple.csv
-      let industryForCriteria = industry || '';
-      
-      // If we have no industry, use 'general' as a fallback
-      if (!industryForCriteria) {
-        industryForCriteria = 'general';
-      }
-      
-      console.log(`Using industry for criteria lookup: ${industryForCriteria}`);
+      const relevantCriteria = exportCriteria.get(result);
+      const industryForCriteria = industry;
       
-      // Get industry-specific criteria (exactly 7 criteria in correct order)
-      console.log(`Getting criteria for industry: ${industryForCriteria}`);
-      
-      // Get the actual industry criteria from the shared module
-      let relevantCriteria;
-      try {
-        // Call the function to get industry criteria with the raw industry name
-        relevantCriteria = await getIndustryCriteria(industryForCriteria);
-        console.log(`Successfully loaded ${relevantCriteria.length} criteria for '${industryForCriteria}'`);
-        
-        // Debug: Show the loaded criteria to verify they're correct
-        if (process.env.DEBUG_EXPORT === 'true') {
-          console.log('Criteria loaded:', JSON.stringify(relevantCriteria));
-        } else {
-          console.log('Criteria IDs:', relevantCriteria.map(c => c.id).join(', '));
-        }
-      } catch (error) {
-        console.error(`Error loading criteria for '${industryForCriteria}': ${error.message}`);
-        
-        // Default criteria as fallback if loading fails
-        relevantCriteria = [
-          { id: "carbon_footprint", name_en: "Carbon Footprint" },
-          { id: "energy_efficiency", name_en: "Energy Efficiency" },
-          { id: "renewable_energies", name_en: "Renewable Energies" },
-          { id: "waste_management", name_en: "Waste Management" },
-          { id: "water_management", name_en: "Water Management" },
-          { id: "diversity_inclusion", name_en: "Diversity and Inclusion" },
-          { id: "social_responsibility", name_en: "Social Responsibility" }
-        ];
-        console.log(`Using default criteria instead of industry-specific ones`);
+      // Results extracted before criteria had slugs are keyed by legacy IDs (e.g. "automotive_1")
+      const normalized = normalizeCriterionKeys(data, relevantCriteria);
+      if (normalized.renamed.length > 0) {
+        console.log(`Reading legacy criterion keys for ${companyId}: ${normalized.renamed.map(r => `${r.from} -> ${r.to}`).join(', ')}`);
+        data = normalized.data;
       }
       
-      // Use exactly the 7 criteria from the industry specification in the defined order
-      for (let i = 0; i < 7; i++) {
-        const criterionNumber = i + 1; // 1-based criterion number for column headers
+      // Use the criteria from the industry specification in the defined order
+      for (let i = 0; i < relevantCriteria.length; i++) {
         const criterion = relevantCriteria[i];
-        if (!criterion) continue; // Skip if we somehow have fewer than 7 criteria
         
         const criteriaId = criterion.id;
         const criteriaName = criterion.name_en;
@@ -516,7 +588,7 @@ export async function exportToExcel(results) {
           // 1. Exact match on new format (industryName_position)
           // 2. Any field ending with the position number
           if (possibleCriteriaFields.length > 0) {
-            const criterionPosition = i + 1; // 1-based position (1-7)
+            const criterionPosition = i + 1; // 1-based position
             
             // First try to find a field with our exact new format pattern
             const industryPattern = `${industryForCriteria.toLowerCase()}_${criterionPosition}`;
@@ -701,7 +773,7 @@ export async function exportToExcel(results) {
     const summarySheet = workbook.addWorksheet('Summary', {
       properties: { tabColor: { argb: 'FFC0C0C0' } }
     });
-    summarySheet.addRow(['Company ID', 'Company Name', 'Industry', 'URL', 'Report Year', 'Report Title', 'Status']);
+    summarySheet.addRow(['Company ID', 'Company Name', 'Industry', 'URL', 'Report Year', 'Report Title', 'Status', 'Criteria Catalogue']);
     
     // Add a row for each company
     for (const result of successfulResults) {
@@ -711,7 +783,7 @@ export async function exportToExcel(results) {
       const reportYear = data.basicInformation?.reportYear || '';
       const reportTitle = data.basicInformation?.reportTitle || '';
       
-      summarySheet.addRow([companyId, companyName, result.industry || '', result.url || '', reportYear, reportTitle, 'Extraction Complete']);
+      summarySheet.addRow([companyId, companyName, result.industry || '', result.url || '', reportYear, reportTitle, 'Extraction Complete', formatCatalogueVersion(data.criteriaCatalogue)]);
     }
     
     // Format the summary sheet
@@ -758,6 +830,7 @@ export async function exportToExcel(results) {
  */
 export async function exportAllFormats(results) {
   console.log(`Starting export of ${results.length} extraction results`);
+  checkCatalogueVersions(results);
   
   // Run exports concurrently
   const [jsonResult, csvResult, excelResult] = await Promise.all([
@@ -7,7 +7,10 @@
  * 2. Send PDF URLs directly to Claude API for ESG data extraction
  * 3. Export to various formats
  * 
- * Usage: node src/index.js
+ * Usage: node src/index.js [--dry-run] [--output-language=de|en] [--prompt-template=<name>]
+ *   --dry-run               Render all prompts and forecast the cost without calling the API
+ *   --output-language=de    Write the results in German (or en: English) whatever the document language
+ *   --prompt-template=name  Use the prompt template src/prompts/templates/<name> for every company
  */
 
 import fs from 'fs/promises';
@@ -16,10 +19,16 @@ import { parse as parseCsv } from 'csv-parse/sync';
 import config from './config.js';
 import { ensureDirectoryExists, logToFile, normalizeCompanyId } from './utils.js';
 import { processAllPdfUrls } from './claude-extractor.js';
-import { processBatchCompanies, checkAndProcessCompletedBatches } from './claude-batch-extractor.js';
+import { processBatchCompanies, checkAndProcessCompletedBatches, formatAttemptSummary } from './claude-batch-extractor.js';
 import { exportAllFormats } from './exporter.js';
 import * as persistence from './lib/persistence.js';
 import tokenTracker from './lib/token-tracker.js';
+import { runDryRun, formatForecastReport } from './lib/dry-run.js';
+import esgCriteria from './lib/esg-criteria.js';
+import { formatIndustryResolution } from './lib/industry-resolver.js';
+import { loadCriteriaOverrides } from './lib/criteria-overrides.js';
+import { parseLanguage, LANGUAGE_NAMES } from './lib/language-detector.js';
+import { loadPromptTemplate, getConfiguredTemplateNames } from './lib/prompt-templates.js';
 
 /**
  * Load company URLs from a CSV file
@@ -96,13 +105,50 @@ function filterDuplicateCompanies(companies) {
   return uniqueCompanies;
 }
 
+/**
+ * Resolve the industry of every company to a catalogue industry
+ * Industries given as name, synonym or NACE/GICS code are replaced by the catalogue slug.
+ * @param {Array} companies - List of company objects
+ * @returns {Promise<Array>} - Companies whose industry is ambiguous or unknown, with the resolution
+ */
+async function resolveCompanyIndustries(companies) {
+  const unresolved = [];
+  
+  for (const company of companies) {
+    const resolution = await esgCriteria.resolveIndustry(company.industry);
+    
+    if (resolution.status !== 'resolved') {
+      unresolved.push({ company, resolution });
+    } else if (resolution.industry !== company.industry) {
+      console.log(`${company.companyId}: ${formatIndustryResolution(resolution)}`);
+      company.industry = resolution.industry;
+    }
+  }
+  
+  return unresolved;
+}
+
 /**
  * Main function to run the entire pipeline
  */
 async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  
   try {
     console.log('Starting ESG-Claude - ESG Data Extractor with Claude API Integration');
     
+    // Fail before any work is done if the output language is not supported
+    const outputLanguage = parseLanguage(config.outputLanguage);
+    if (outputLanguage) {
+      console.log(`Writing results in ${LANGUAGE_NAMES[outputLanguage]}, extracts stay in the language of each document`);
+    }
+    
+    // Missing or broken prompt templates stop the run as well
+    for (const name of getConfiguredTemplateNames()) {
+      const template = await loadPromptTemplate(name);
+      console.log(`Prompt template ${template.name} (${template.version}) loaded from ${template.directory}`);
+    }
+    
     // Ensure directories exist
     await ensureDirectoryExists(config.dataDir);
     await ensureDirectoryExists(config.outputDir);
@@ -119,7 +165,7 @@ async function main() {
     
     // Step 1: Load company URLs
     console.log('Loading company URLs');
-    const csvPath = path.join(config.dataDir, 'company_urls.csv');
+    const csvPath = config.companyUrlsPath || path.join(config.dataDir, 'company_urls.csv');
     
     // Check if the file exists, if not create a sample file
     try {
@@ -152,6 +198,24 @@ async function main() {
     console.log(`Loaded ${companyUrls.length} company URLs (${uniqueCompanyUrls.length} unique)`);
     await logToFile(`Loaded ${companyUrls.length} company URLs (${uniqueCompanyUrls.length} unique)`, logfile);
     
+    // Unknown industries stop the run before anything is sent (a dry run reports them as not sent)
+    const unresolvedIndustries = await resolveCompanyIndustries(uniqueCompanyUrls);
+    if (unresolvedIndustries.length > 0) {
+      console.error(`\n${unresolvedIndustries.length} companies have an ambiguous or unknown industry:`);
+      for (const { company, resolution } of unresolvedIndustries) {
+        console.error(`  ${company.companyId}: ${formatIndustryResolution(resolution)}`);
+        await logToFile(`${company.companyId}: ${formatIndustryResolution(resolution)}`, logfile);
+      }
+      console.error('Use an industry slug, name or NACE/GICS code from data/IndustryMapping.csv in the industry column.\n');
+      
+      if (!dryRun) {
+        throw new Error(`${unresolvedIndustries.length} companies have an ambiguous or unknown industry`);
+      }
+    }
+    
+    // Invalid rows in the criteria overrides file stop the run as well
+    await loadCriteriaOverrides(esgCriteria.getCriteriaOverridesPath());
+    
     // Step 2: Filter companies based on shouldUpdate flag
     const filteredCompanies = await persistence.filterCompaniesToProcess(
       uniqueCompanyUrls,
@@ -160,6 +224,19 @@ async function main() {
     
     console.log(`Processing ${filteredCompanies.length} out of ${uniqueCompanyUrls.length} companies for direct extraction`);
     
+    // Dry run: render the prompts and forecast the cost instead of calling the API
+    if (dryRun) {
+      console.log('Dry run: no requests will be sent to the Claude API');
+      const forecast = await runDryRun(filteredCompanies);
+      
+      console.log(formatForecastReport(forecast));
+      console.log(`Cost forecast saved to: ${forecast.reportPath}`);
+      await logToFile(`Dry run complete: ~${forecast.totals.inputTokens} input tokens, direct $${forecast.totals.cost.direct.toFixed(4)}, batch $${forecast.totals.cost.batch.toFixed(4)}`, logfile);
+      
+      await persistence.closePersistence();
+      return;
+    }
+    
     // Step 3: Extract data from PDF URLs
     let extractionResults = [];
     
@@ -168,46 +245,41 @@ async function main() {
     console.log(`USE_BATCH_PROCESSING environment variable: '${process.env.USE_BATCH_PROCESSING}' (type: ${typeof process.env.USE_BATCH_PROCESSING})`);
     
     if (config.useBatchProcessing) {
-      console.log('Using batch processing mode for PDF extraction');
-      await logToFile('Using batch processing mode for PDF extraction', logfile);
+      console.log('Using batch processing mode for PDF and website extraction');
+      await logToFile('Using batch processing mode for PDF and website extraction', logfile);
       
       // Try initializing batch processing to verify API availability
       try {
-        // Break companies into batches of configured size
-        const batches = [];
-        for (let i = 0; i < filteredCompanies.length; i += config.batchSize) {
-          batches.push(filteredCompanies.slice(i, i + config.batchSize));
-        }
+        // The requests are planned into batches by size once they are prepared
+        console.log(`Submitting ${filteredCompanies.length} companies for batch processing`);
         
-        console.log(`Created ${batches.length} batches of up to ${config.batchSize} companies each`);
-        await logToFile(`Created ${batches.length} batches of up to ${config.batchSize} companies each`, logfile);
+        try {
+          const batchResult = await processBatchCompanies(filteredCompanies);
         
-        // Submit all batches
-        for (let i = 0; i < batches.length; i++) {
-          const batch = batches[i];
-          console.log(`Submitting batch ${i+1}/${batches.length} with ${batch.length} companies`);
+          // Companies served from the response cache are complete already
+          extractionResults = extractionResults.concat(batchResult.cachedResults);
           
-          try {
-            const batchResult = await processBatchCompanies(batch);
-            console.log(`Batch ${i+1} submitted with ID: ${batchResult.batchId}`);
-            await logToFile(`Batch ${i+1}/${batches.length} submitted with ID: ${batchResult.batchId}`, logfile);
-          } catch (error) {
-            console.error(`Error submitting batch ${i+1}: ${error.message}`);
-            await logToFile(`Error submitting batch ${i+1}: ${error.message}`, logfile);
+          if (batchResult.batchIds.length > 0) {
+            const submitted = `${batchResult.batchIds.length} ${batchResult.batchIds.length === 1 ? 'batch' : 'batches'}: ${batchResult.batchIds.join(', ')}`;
+            console.log(`Submitted ${submitted}`);
+            await logToFile(`Submitted ${submitted} (${batchResult.cachedResults.length} companies from cache)`, logfile);
+          } else {
+            console.log(`No batch submitted: ${batchResult.message}`);
+            await logToFile(`No batch submitted: ${batchResult.message}`, logfile);
+          }
+        } catch (error) {
+          console.error(`Error submitting batches: ${error.message}`);
+          await logToFile(`Error submitting batches: ${error.message}`, logfile);
             
-            // If we have a specific API availability error, fall back to one-by-one processing
-            if (error.message && error.message.includes('Batch API is not available')) {
-              console.log('Falling back to one-by-one processing due to Batch API unavailability');
-              await logToFile('Falling back to one-by-one processing due to Batch API unavailability', logfile);
-              
-              console.log('Extracting ESG data from PDF URLs using Claude API (one-by-one)');
-              extractionResults = await processAllPdfUrls(filteredCompanies);
-              
-              await logToFile(`Extracted ESG data from ${extractionResults.filter(r => r.status === 'extraction_complete').length} PDF URLs, failed ${extractionResults.filter(r => r.status === 'extraction_failed').length}`, logfile);
-              
-              // Exit the batch processing flow
-              break;
-            }
+          // If we have a specific API availability error, fall back to one-by-one processing
+          if (error.message && error.message.includes('Batch API is not available')) {
+            console.log('Falling back to one-by-one processing due to Batch API unavailability');
+            await logToFile('Falling back to one-by-one processing due to Batch API unavailability', logfile);
+            
+            console.log('Extracting ESG data from PDF URLs using Claude API (one-by-one)');
+            extractionResults = await processAllPdfUrls(filteredCompanies);
+            
+            await logToFile(`Extracted ESG data from ${extractionResults.filter(r => r.status === 'extraction_complete').length} PDF URLs, failed ${extractionResults.filter(r => r.status === 'extraction_failed').length}`, logfile);
           }
         }
         
@@ -225,6 +297,12 @@ async function main() {
         console.log(`Current batch extraction results: ${extractionResults.length} companies processed`);
         await logToFile(`Current batch extraction results: ${extractionResults.filter(r => r.status === 'extraction_complete').length} completed, ${extractionResults.filter(r => r.status === 'extraction_failed').length} failed`, logfile);
         
+        const attemptSummary = formatAttemptSummary(extractionResults);
+        if (attemptSummary) {
+          console.log(`Batch attempts: ${attemptSummary}`);
+          await logToFile(`Batch attempts: ${attemptSummary}`, logfile);
+        }
+        
       } catch (error) {
         console.error(`Error in batch processing: ${error.message}`);
         await logToFile(`Error in batch processing: ${error.message}. Falling back to one-by-one processing.`, logfile);
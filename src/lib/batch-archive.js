@@ -0,0 +1,132 @@
+/**
+ * batch-archive.js
+ *
+ * Archive of the request payloads of submitted batches. When a batch is
+ * created, every request (custom_id and the full Messages API parameters:
+ * model, system prompt, messages with embedded documents, tools and limits)
+ * is written as one JSON line to a gzip-compressed file named after the batch
+ * ID in BATCH_ARCHIVE_DIR (default data/batch_archive). The archive shows the
+ * exact prompts a batch was extracted with and allows resubmitting it as-is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from '../config.js';
+import { ensureDirectoryExists } from '../utils.js';
+
+/**
+ * Get the archive path of a batch
+ * @param {string} batchId - Batch ID
+ * @returns {string} - Path of the compressed archive
+ */
+export function getBatchArchivePath(batchId) {
+  return path.join(config.batchArchiveDir, `${batchId}.jsonl.gz`);
+}
+
+/**
+ * Write the requests of a submitted batch to its archive
+ * @param {string} batchId - Batch ID
+ * @param {Array} requests - { custom_id, params } as sent in the batch
+ * @returns {Promise<string>} - Path of the archive
+ */
+export async function writeBatchArchive(batchId, requests) {
+  await ensureDirectoryExists(config.batchArchiveDir);
+  const archivePath = getBatchArchivePath(batchId);
+  
+  // Requests are written one line at a time, so the payload is not copied into one string
+  await pipeline(
+    Readable.from(requests.map(request => `${JSON.stringify(request)}\n`)),
+    zlib.createGzip(),
+    fs.createWriteStream(archivePath)
+  );
+  
+  return archivePath;
+}
+
+/**
+ * Read the requests of an archived batch one by one
+ * @param {string} archivePath - Path of the archive
+ * @returns {AsyncGenerator<Object>} - { custom_id, params } per request
+ * @throws {Error} - If the archive does not exist
+ */
+export async function* readBatchArchive(archivePath) {
+  if (!fs.existsSync(archivePath)) {
+    throw new Error(`No request archive at ${archivePath}`);
+  }
+  
+  const lines = readline.createInterface({
+    input: fs.createReadStream(archivePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Find the archived request of a company
+ * @param {string} archivePath - Path of the archive
+ * @param {string} companyId - Company ID (custom_id of the request)
+ * @returns {Promise<Object|null>} - The request, or null if the batch has no request for the company
+ */
+export async function findArchivedRequest(archivePath, companyId) {
+  for await (const request of readBatchArchive(archivePath)) {
+    if (request.custom_id === companyId) {
+      return request;
+    }
+  }
+  return null;
+}
+
+/**
+ * Format an archived request for reading
+ * Documents are replaced by their type and size; everything else is shown as sent.
+ * @param {Object} request - { custom_id, params }
+ * @returns {string} - Request text with the model, limits, tools and prompts
+ */
+export function formatArchivedRequest(request) {
+  const { params } = request;
+  const { system, messages, tools, ...settings } = params;
+  const lines = [`Request ${request.custom_id}`];
+  
+  for (const [name, value] of Object.entries(settings)) {
+    lines.push(`${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+  if (tools) {
+    lines.push(`tools: ${tools.map(tool => tool.name).join(', ')}`);
+  }
+  
+  lines.push('', '===== system =====', typeof system === 'string' ? system : JSON.stringify(system, null, 2));
+  
+  for (const message of messages) {
+    lines.push('', `===== ${message.role} =====`);
+    const content = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+    
+    for (const block of content) {
+      if (block.type === 'text') {
+        lines.push(block.text);
+      } else if (block.type === 'document' && block.source?.type === 'base64') {
+        lines.push(`[document: ${block.source.media_type}, ${Buffer.byteLength(block.source.data, 'base64')} bytes]`);
+      } else {
+        lines.push(`[${block.type} block]`);
+      }
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+export default {
+  getBatchArchivePath,
+  writeBatchArchive,
+  readBatchArchive,
+  findArchivedRequest,
+  formatArchivedRequest
+};
@@ -0,0 +1,230 @@
+/**
+ * batch-planner.js
+ *
+ * Packs prepared batch requests into as few Message Batches as possible. Each
+ * request is measured (bytes of the JSON payload, estimated input tokens) and
+ * the requests are placed first-fit by decreasing size under the limits:
+ * - BATCH_SIZE: requests per batch (at most 100,000, the API limit)
+ * - BATCH_MAX_MB: payload size per batch (at most 256 MB, the API limit)
+ * - BATCH_MAX_INPUT_TOKENS: estimated input tokens per batch (0 for no limit)
+ *
+ * A request that does not fit into an empty batch cannot be submitted and is
+ * reported as oversized.
+ */
+
+import config from '../config.js';
+import { extractPdfPages } from './extractors/pdf-text-extractor.js';
+import { estimateTokens } from './page-filter.js';
+import tokenTracker from './token-tracker.js';
+
+// Limits of the Message Batches API per batch
+export const API_BATCH_LIMITS = {
+  maxRequests: 100000,
+  maxBytes: 256 * 1024 * 1024
+};
+
+// Claude reads every PDF page as text plus an image of the page; a typical report page costs about this many image tokens
+export const PDF_PAGE_IMAGE_TOKENS = 1600;
+
+/**
+ * Estimate the input tokens of a PDF document block
+ * @param {string} data - Base64 PDF data
+ * @returns {Promise<number>} - Estimated tokens (page text plus page images)
+ */
+async function estimateDocumentTokens(data) {
+  try {
+    const pages = await extractPdfPages(Buffer.from(data, 'base64'));
+    const textTokens = pages.reduce((sum, page) => sum + estimateTokens(page.text), 0);
+    return textTokens + pages.length * PDF_PAGE_IMAGE_TOKENS;
+  } catch (error) {
+    console.warn(`Could not read PDF text for the token estimate: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Estimate the input tokens of a Messages API request
+ * @param {Object} params - Messages API parameters
+ * @returns {Promise<number>} - Estimated input tokens
+ */
+export async function estimateRequestTokens(params) {
+  let tokens = estimateTokens(params.system);
+  
+  // Tool definitions are sent as part of the input
+  if (params.tools) {
+    tokens += estimateTokens(JSON.stringify(params.tools));
+  }
+  
+  for (const block of params.messages[0].content) {
+    if (block.type === 'text') {
+      tokens += estimateTokens(block.text);
+    } else if (block.type === 'document') {
+      tokens += await estimateDocumentTokens(block.source.data);
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Get the configured batch limits, capped at the API limits
+ * @returns {Object} - { maxRequests, maxBytes, maxInputTokens } (maxInputTokens is Infinity without a limit)
+ */
+export function getBatchLimits() {
+  return {
+    maxRequests: Math.min(config.batchSize, API_BATCH_LIMITS.maxRequests),
+    maxBytes: Math.min(Math.round(config.batchMaxMb * 1024 * 1024), API_BATCH_LIMITS.maxBytes),
+    maxInputTokens: config.batchMaxInputTokens > 0 ? config.batchMaxInputTokens : Infinity
+  };
+}
+
+/**
+ * Get the bytes a request adds to the batch payload
+ * @param {Object} request - { custom_id, params } as sent in the batch
+ * @returns {number} - Bytes of the JSON request and its separator
+ */
+export function getRequestBytes(request) {
+  return Buffer.byteLength(JSON.stringify(request)) + 1;
+}
+
+/**
+ * Measure a batch request
+ * @param {Object} request - { custom_id, params } as sent in the batch
+ * @returns {Promise<Object>} - { id, bytes, inputTokens, outputTokens } (output tokens are the expected ones)
+ */
+export async function measureBatchRequest(request) {
+  return {
+    id: request.custom_id,
+    bytes: getRequestBytes(request),
+    inputTokens: await estimateRequestTokens(request.params),
+    outputTokens: Math.min(config.dryRunOutputTokens, config.extractionMaxTokens)
+  };
+}
+
+/**
+ * Check whether a request would stay within the limits in a batch
+ * @param {Object} batch - Planned batch ({ ids, bytes, inputTokens })
+ * @param {Object} size - Measured request
+ * @param {Object} limits - Batch limits
+ * @returns {boolean} - True if the request fits
+ */
+function fits(batch, size, limits) {
+  return batch.ids.length + 1 <= limits.maxRequests &&
+    batch.bytes + size.bytes <= limits.maxBytes &&
+    batch.inputTokens + size.inputTokens <= limits.maxInputTokens;
+}
+
+/**
+ * Describe why a request does not fit into an empty batch
+ * @param {Object} size - Measured request
+ * @param {Object} limits - Batch limits
+ * @returns {string|null} - Reason, or null if the request fits
+ */
+function getOversizeReason(size, limits) {
+  if (size.bytes > limits.maxBytes) {
+    return `request of ${formatMegabytes(size.bytes)} exceeds the batch limit of ${formatMegabytes(limits.maxBytes)}`;
+  }
+  if (size.inputTokens > limits.maxInputTokens) {
+    return `request of ~${size.inputTokens.toLocaleString()} input tokens exceeds the batch limit of ${limits.maxInputTokens.toLocaleString()}`;
+  }
+  return null;
+}
+
+/**
+ * Pack measured requests into as few batches as possible
+ * @param {Array} sizes - Measured requests (see measureBatchRequest)
+ * @param {Object} limits - Batch limits (default getBatchLimits())
+ * @returns {Object} - { limits, batches, oversized, totals } where each batch has ids (in input order), bytes, tokens and cost
+ */
+export function planBatches(sizes, limits = getBatchLimits()) {
+  const order = new Map(sizes.map((size, index) => [size.id, index]));
+  const batches = [];
+  const oversized = [];
+  
+  // First fit by decreasing size leaves the least room unused
+  const bySize = [...sizes].sort((a, b) => b.bytes - a.bytes || b.inputTokens - a.inputTokens);
+  
+  for (const size of bySize) {
+    const reason = getOversizeReason(size, limits);
+    if (reason) {
+      oversized.push({ ...size, reason });
+      continue;
+    }
+    
+    let batch = batches.find(candidate => fits(candidate, size, limits));
+    if (!batch) {
+      batch = { ids: [], bytes: 0, inputTokens: 0, outputTokens: 0 };
+      batches.push(batch);
+    }
+    batch.ids.push(size.id);
+    batch.bytes += size.bytes;
+    batch.inputTokens += size.inputTokens;
+    batch.outputTokens += size.outputTokens;
+  }
+  
+  for (const batch of batches) {
+    batch.ids.sort((a, b) => order.get(a) - order.get(b));
+    batch.cost = tokenTracker.calculateCost(batch.inputTokens, batch.outputTokens, 'batch');
+  }
+  
+  // Batches are submitted in the order of their first company
+  batches.sort((a, b) => order.get(a.ids[0]) - order.get(b.ids[0]));
+  
+  const totals = batches.reduce((sum, batch) => ({
+    requests: sum.requests + batch.ids.length,
+    bytes: sum.bytes + batch.bytes,
+    inputTokens: sum.inputTokens + batch.inputTokens,
+    outputTokens: sum.outputTokens + batch.outputTokens,
+    cost: sum.cost + batch.cost
+  }), { requests: 0, bytes: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+  
+  return { limits, batches, oversized, totals };
+}
+
+/**
+ * Format a byte count in megabytes
+ * @param {number} bytes - Byte count
+ * @returns {string} - e.g. "12.3 MB" (two decimals below 1 MB)
+ */
+export function formatMegabytes(bytes) {
+  const megabytes = bytes / (1024 * 1024);
+  return `${megabytes.toFixed(megabytes < 1 ? 2 : 1)} MB`;
+}
+
+/**
+ * Format a batch plan for the console and the log
+ * @param {Object} plan - Result of planBatches
+ * @returns {string} - Plan text
+ */
+export function formatBatchPlan(plan) {
+  const { limits, batches, oversized, totals } = plan;
+  const tokenLimit = Number.isFinite(limits.maxInputTokens) ? `, ~${limits.maxInputTokens.toLocaleString()} input tokens` : '';
+  
+  const lines = [
+    `Batch plan: ${totals.requests} requests in ${batches.length} ${batches.length === 1 ? 'batch' : 'batches'} (limits per batch: ${limits.maxRequests.toLocaleString()} requests, ${formatMegabytes(limits.maxBytes)}${tokenLimit})`
+  ];
+  
+  batches.forEach((batch, index) => {
+    lines.push(`  Batch ${index + 1}: ${batch.ids.length} requests, ${formatMegabytes(batch.bytes)}, ~${batch.inputTokens.toLocaleString()} input + ~${batch.outputTokens.toLocaleString()} output tokens, ~$${batch.cost.toFixed(4)}`);
+  });
+  
+  lines.push(`  Total: ${formatMegabytes(totals.bytes)}, ~${totals.inputTokens.toLocaleString()} input + ~${totals.outputTokens.toLocaleString()} output tokens, projected cost ~$${totals.cost.toFixed(4)} at batch rates`);
+  
+  for (const size of oversized) {
+    lines.push(`  Not submitted: ${size.id} (${size.reason})`);
+  }
+  
+  return lines.join('\n');
+}
+
+export default {
+  API_BATCH_LIMITS,
+  PDF_PAGE_IMAGE_TOKENS,
+  estimateRequestTokens,
+  getBatchLimits,
+  getRequestBytes,
+  measureBatchRequest,
+  planBatches,
+  formatMegabytes,
+  formatBatchPlan
+};
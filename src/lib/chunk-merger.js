@@ -0,0 +1,234 @@
+/**
+ * chunk-merger.js
+ *
+ * This module merges the per-chunk extraction results of a large report
+ * (map step) into a single extraction result (reduce step).
+ * The merged result has the same shape as a single-request extraction,
+ * plus page provenance for every criterion extract.
+ */
+
+// Values Claude uses when a data point is missing from a chunk
+const MISSING_VALUE_PATTERN = /^(unknown|not found|not stated|n\/a|none|x\.xxx.*)?$/i;
+
+// Placeholder actions/extracts requested by the prompt for criteria without information
+const PLACEHOLDER_PATTERN = /^#?\s*(no specific actions found|no relevant information found|not stated)/i;
+
+/**
+ * Check if a value carries real information
+ * @param {any} value - Value from a chunk result
+ * @returns {boolean} - Whether the value is present
+ */
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value !== 'string') return true;
+  return !MISSING_VALUE_PATTERN.test(value.trim()) && !PLACEHOLDER_PATTERN.test(value.trim());
+}
+
+/**
+ * Normalize an action for duplicate detection
+ * @param {string} action - Action text
+ * @returns {string} - Normalized text
+ */
+function normalizeAction(action) {
+  return action
+    .toLowerCase()
+    .replace(/^#\s*/, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format a chunk's page range for provenance labels
+ * @param {Object} chunk - Chunk result with startPage and endPage
+ * @returns {string} - Page range label
+ */
+function formatPages(chunk) {
+  return chunk.startPage === chunk.endPage ? `${chunk.startPage}` : `${chunk.startPage}-${chunk.endPage}`;
+}
+
+/**
+ * Merge the object fields (e.g. basicInformation) of all chunks, first value wins
+ * @param {Array} chunkResults - Successful chunk results
+ * @param {string} field - Field name
+ * @returns {Object|undefined} - Merged object
+ */
+function mergeFirstValues(chunkResults, field) {
+  const merged = {};
+  
+  for (const chunk of chunkResults) {
+    const value = chunk.data[field];
+    if (!value || typeof value !== 'object') continue;
+    
+    for (const [key, entry] of Object.entries(value)) {
+      if (!hasValue(merged[key]) && hasValue(entry)) {
+        merged[key] = entry;
+      } else if (merged[key] === undefined) {
+        merged[key] = entry;
+      }
+    }
+  }
+  
+  return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Merge the actions and extracts of one criterion across chunks
+ * @param {Array} chunkResults - Successful chunk results
+ * @param {Object} criterion - Criterion definition
+ * @param {number} maxActions - Maximum number of actions to keep
+ * @returns {Object} - Merged criterion data with extractSources provenance
+ */
+function mergeCriterion(chunkResults, criterion, maxActions) {
+  const actionsByKey = new Map();
+  const extractSources = [];
+  
+  chunkResults.forEach((chunk, chunkIndex) => {
+    const criterionData = chunk.data[criterion.id];
+    if (!criterionData || typeof criterionData !== 'object') return;
+    
+    const pages = formatPages(chunk);
+    const actions = Array.isArray(criterionData.actions) ? criterionData.actions : [];
+    
+    actions.forEach((action, actionIndex) => {
+      if (typeof action !== 'string' || !hasValue(action)) return;
+      
+      const key = normalizeAction(action);
+      const existing = actionsByKey.get(key);
+      
+      if (existing) {
+        existing.count++;
+        existing.pages.push(pages);
+      } else {
+        actionsByKey.set(key, {
+          action: action.trim().startsWith('#') ? action.trim() : `# ${action.trim()}`,
+          count: 1,
+          // Earlier chunks and higher-ranked actions win ties
+          order: chunkIndex * 1000 + actionIndex,
+          pages: [pages]
+        });
+      }
+    });
+    
+    const extracts = Array.isArray(criterionData.extracts)
+      ? criterionData.extracts.join('\n')
+      : criterionData.extracts;
+    
+    if (typeof extracts === 'string' && hasValue(extracts)) {
+      extractSources.push({ pages, extracts: extracts.trim() });
+    }
+  });
+  
+  // Actions mentioned in several chunks rank first, then by original order
+  const topActions = [...actionsByKey.values()]
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .slice(0, maxActions);
+  
+  if (topActions.length === 0) {
+    return {
+      actions: [`# No specific actions found for ${criterion.name_en}`],
+      extracts: `No relevant information found in the report for ${criterion.name_en}`,
+      extractSources: []
+    };
+  }
+  
+  return {
+    actions: topActions.map(a => a.action),
+    extracts: extractSources.map(source => `[pp. ${source.pages}] ${source.extracts}`).join('\n\n'),
+    extractSources,
+    actionSources: topActions.map(a => ({ action: a.action, pages: a.pages }))
+  };
+}
+
+/**
+ * Join the distinct text values of a field across chunks
+ * @param {Array} chunkResults - Successful chunk results
+ * @param {string} field - Field name
+ * @param {number} maxLength - Maximum length of the joined text
+ * @returns {string|undefined} - Joined text
+ */
+function joinDistinctText(chunkResults, field, maxLength) {
+  const values = [];
+  
+  for (const chunk of chunkResults) {
+    const value = chunk.data[field];
+    if (typeof value === 'string' && hasValue(value) && !values.includes(value.trim())) {
+      values.push(value.trim());
+    }
+  }
+  
+  if (values.length === 0) return undefined;
+  
+  const joined = values.join(' ');
+  return joined.length > maxLength ? `${joined.substring(0, maxLength - 3)}...` : joined;
+}
+
+/**
+ * Merge the climate standards of all chunks (a standard found in any chunk counts)
+ * @param {Array} chunkResults - Successful chunk results
+ * @returns {Object|undefined} - Merged climate standards
+ */
+function mergeClimateStandards(chunkResults) {
+  const merged = {};
+  
+  for (const chunk of chunkResults) {
+    const standards = chunk.data.climateStandards;
+    if (!standards || typeof standards !== 'object') continue;
+    
+    for (const [key, value] of Object.entries(standards)) {
+      const isYes = typeof value === 'string' && value.trim().toLowerCase().startsWith('yes');
+      merged[key] = isYes || merged[key] === 'Yes' ? 'Yes' : 'No';
+    }
+  }
+  
+  return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Merge the extraction results of all chunks of a report
+ * @param {Array} chunkResults - Chunk results: { startPage, endPage, status, data }
+ * @param {Array} relevantCriteria - Criteria for the company's industry
+ * @param {Object} options - Additional options
+ * @returns {Object} - Merged extraction data in the usual *_extracted.json shape
+ */
+export function mergeChunkResults(chunkResults, relevantCriteria, options = {}) {
+  const { maxActions = 5, pageCount = null } = options;
+  const successful = chunkResults.filter(chunk => chunk.status === 'parsed' && chunk.data);
+  
+  const merged = {
+    basicInformation: mergeFirstValues(successful, 'basicInformation'),
+    abstract: successful.map(chunk => chunk.data.abstract).find(hasValue),
+    highlights: mergeFirstValues(successful, 'highlights')
+  };
+  
+  relevantCriteria.forEach(criterion => {
+    merged[criterion.id] = mergeCriterion(successful, criterion, maxActions);
+  });
+  
+  merged.carbonFootprint = mergeFirstValues(successful, 'carbonFootprint');
+  merged.climateStandards = mergeClimateStandards(successful);
+  merged.otherInitiatives = joinDistinctText(successful, 'otherInitiatives', 1000);
+  merged.controversies = joinDistinctText(successful, 'controversies', 1000);
+  
+  // Record how the report was split so the provenance labels can be traced
+  merged.chunking = {
+    pageCount,
+    chunkCount: chunkResults.length,
+    chunks: chunkResults.map(chunk => ({
+      pages: formatPages(chunk),
+      status: chunk.status,
+      error: chunk.error
+    }))
+  };
+  
+  // Drop fields no chunk provided
+  for (const key of Object.keys(merged)) {
+    if (merged[key] === undefined) delete merged[key];
+  }
+  
+  return merged;
+}
+
+export default {
+  mergeChunkResults
+};
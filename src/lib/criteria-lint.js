@@ -0,0 +1,241 @@
+/**
+ * criteria-lint.js
+ *
+ * Checks the criteria catalogue for problems that would otherwise only show up
+ * in prompts or exports:
+ * - criteria whose name has no entry in criteria-descriptions.js
+ * - the same criterion listed twice for an industry, criteria without a name
+ * - descriptions without text, empty or duplicate keywords (English and German)
+ * - encoding problems (replacement characters, mojibake, "CO?-Entfernung")
+ * - industries in only one of IndustryCriteria.csv and IndustryCriteriaSimple.csv
+ * - industries without an entry in IndustryMapping.csv
+ *
+ * Every finding has a rule, a severity ('error' or 'warning') and the location.
+ */
+
+import path from 'path';
+import { getCriterionSlug } from './criterion-registry.js';
+
+// Text columns of a criterion that are checked for encoding problems
+const TEXT_ATTRIBUTES = [
+  'name_en', 'name_de', 'type_en', 'type_de', 'field_name_en', 'field_name_de',
+  'sub_topic_name_en', 'sub_topic_name_de'
+];
+
+// Description and keyword fields of criteria-descriptions.js per language
+const DESCRIPTION_FIELDS = [
+  { language: 'English', description: 'description', keywords: 'keywords' },
+  { language: 'German', description: 'description_de', keywords: 'keywords_de' }
+];
+
+// Signs of a wrongly decoded file
+const ENCODING_PROBLEMS = [
+  { pattern: /\uFFFD/u, reason: 'replacement character' },
+  { pattern: /\u00C3[\u0080-\u00BF]|\u00C2[\u0080-\u00BF]|\u00E2\u20AC/u, reason: 'UTF-8 read as Latin-1' },
+  { pattern: /[\u0080-\u009F]/u, reason: 'Windows-1252 character read as Latin-1' },
+  // A character that did not survive the export, e.g. "CO?-Entfernung" for "CO₂-Entfernung"
+  { pattern: /[\p{L}\p{N}]\?[\p{L}\p{N}-]/u, reason: 'question mark inside a word' }
+];
+
+/**
+ * Create a finding
+ * @param {string} rule - Rule that found the problem
+ * @param {string} severity - 'error' or 'warning'
+ * @param {Object} location - { file, industry, criterion, field }
+ * @param {string} message - Description of the problem
+ * @returns {Object} - Finding
+ */
+function finding(rule, severity, location, message) {
+  return {
+    rule,
+    severity,
+    file: location.file || null,
+    industry: location.industry || null,
+    criterion: location.criterion || null,
+    field: location.field || null,
+    message
+  };
+}
+
+/**
+ * Find the encoding problem of a text value
+ * @param {string} value - Text to check
+ * @returns {string|null} - Reason, or null if the text looks fine
+ */
+function findEncodingProblem(value) {
+  if (typeof value !== 'string') return null;
+  return ENCODING_PROBLEMS.find(({ pattern }) => pattern.test(value))?.reason || null;
+}
+
+/**
+ * Check the industries and criteria of one criteria file
+ * @param {Object} catalogue - { file, criteria, info } (see readCriteriaFiles)
+ * @param {Object} descriptions - criteriaDescriptions
+ * @returns {Array} - Findings
+ */
+function lintCriteriaFile(catalogue, descriptions) {
+  const findings = [];
+  const file = path.basename(catalogue.file);
+  
+  for (const [industry, criteria] of Object.entries(catalogue.criteria)) {
+    const reason = findEncodingProblem(catalogue.info[industry]?.name_de);
+    if (reason) {
+      findings.push(finding('encoding', 'error', { file, industry, field: 'name_de' },
+        `Industry name '${catalogue.info[industry].name_de}' has an encoding problem (${reason})`));
+    }
+    
+    const seen = new Set();
+    for (const [index, criterion] of criteria.entries()) {
+      const location = { file, industry, criterion: criterion.ind_cr_id || `#${index + 1}` };
+      
+      if (!criterion.name_en) {
+        findings.push(finding('empty_criterion_name', 'error', location, 'Criterion has no English name'));
+        continue;
+      }
+      
+      const slug = getCriterionSlug(criterion.name_en);
+      location.criterion = slug;
+      
+      if (seen.has(slug)) {
+        findings.push(finding('duplicate_criterion', 'error', location, `Criterion '${criterion.name_en}' is listed more than once`));
+      }
+      seen.add(slug);
+      
+      if (!descriptions[slug]) {
+        findings.push(finding('missing_description', 'error', location,
+          `Criterion '${criterion.name_en}' has no entry '${slug}' in criteria-descriptions.js`));
+      }
+      
+      for (const attribute of TEXT_ATTRIBUTES) {
+        const problem = findEncodingProblem(criterion[attribute]);
+        if (problem) {
+          findings.push(finding('encoding', 'error', { ...location, field: attribute },
+            `'${criterion[attribute]}' has an encoding problem (${problem})`));
+        }
+      }
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Check the descriptions and keywords of criteria-descriptions.js
+ * @param {Object} descriptions - criteriaDescriptions
+ * @returns {Array} - Findings
+ */
+function lintDescriptions(descriptions) {
+  const findings = [];
+  const file = 'criteria-descriptions.js';
+  
+  for (const [criterion, entry] of Object.entries(descriptions)) {
+    for (const fields of DESCRIPTION_FIELDS) {
+      const location = { file, criterion };
+      const description = entry[fields.description];
+      
+      if (description === undefined && entry[fields.keywords] === undefined) {
+        findings.push(finding('missing_translation', 'error', { ...location, field: fields.description },
+          `Criterion has no ${fields.language} description and keywords`));
+        continue;
+      }
+      
+      if (!description || !description.trim()) {
+        findings.push(finding('empty_description', 'error', { ...location, field: fields.description },
+          `Criterion has no ${fields.language} description`));
+      }
+      
+      const keywords = entry[fields.keywords] || [];
+      if (keywords.length === 0) {
+        findings.push(finding('empty_keyword', 'warning', { ...location, field: fields.keywords }, `Criterion has no ${fields.language} keywords`));
+      }
+      
+      // Keywords only differing in case are duplicates as well
+      const seen = new Set();
+      for (const keyword of keywords) {
+        const normalized = String(keyword ?? '').trim().toLowerCase();
+        
+        if (!normalized) {
+          findings.push(finding('empty_keyword', 'warning', { ...location, field: fields.keywords }, 'Empty keyword'));
+        } else if (seen.has(normalized)) {
+          findings.push(finding('duplicate_keyword', 'warning', { ...location, field: fields.keywords }, `Keyword '${keyword}' is listed more than once`));
+        }
+        seen.add(normalized);
+      }
+      
+      for (const [field, value] of [[fields.description, description], ...keywords.map(keyword => [fields.keywords, keyword])]) {
+        const reason = findEncodingProblem(value);
+        if (reason) {
+          findings.push(finding('encoding', 'error', { ...location, field }, `'${value}' has an encoding problem (${reason})`));
+        }
+      }
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Check the criteria catalogue
+ * @param {Object} files - { full, simple } (see readCriteriaFiles); a missing file is null
+ * @param {Object} descriptions - criteriaDescriptions
+ * @param {Array} mapping - Industry mapping entries (see loadIndustryMapping)
+ * @returns {Object} - { findings, summary: { errors, warnings, industries } }
+ */
+export function lintCriteriaCatalogue(files, descriptions, mapping) {
+  const findings = [];
+  const catalogues = Object.entries(files).filter(([, catalogue]) => catalogue);
+  
+  for (const [name, catalogue] of Object.entries(files)) {
+    if (!catalogue) {
+      findings.push(finding('missing_file', 'error', {}, `The ${name} criteria file is missing`));
+    }
+  }
+  
+  for (const [, catalogue] of catalogues) {
+    findings.push(...lintCriteriaFile(catalogue, descriptions));
+  }
+  
+  // Both files have to list the same industries
+  if (catalogues.length === 2) {
+    const [[, first], [, second]] = catalogues;
+    for (const [catalogue, other] of [[first, second], [second, first]]) {
+      for (const industry of Object.keys(catalogue.criteria).filter(industry => !other.criteria[industry])) {
+        findings.push(finding('industry_missing', 'error', { file: path.basename(other.file), industry },
+          `Industry '${industry}' is in ${path.basename(catalogue.file)} but not in ${path.basename(other.file)}`));
+      }
+    }
+  }
+  
+  const industries = [...new Set(catalogues.flatMap(([, catalogue]) => Object.keys(catalogue.criteria)))];
+  const mapped = new Set(mapping.map(entry => entry.industry));
+  for (const industry of industries.filter(industry => !mapped.has(industry))) {
+    findings.push(finding('industry_not_in_mapping', 'warning', { file: 'IndustryMapping.csv', industry },
+      `Industry '${industry}' has no names or codes in IndustryMapping.csv and can only be given by its slug`));
+  }
+  
+  findings.push(...lintDescriptions(descriptions));
+  
+  return {
+    findings,
+    summary: {
+      errors: findings.filter(item => item.severity === 'error').length,
+      warnings: findings.filter(item => item.severity === 'warning').length,
+      industries: Object.fromEntries(catalogues.map(([name, catalogue]) => [name, Object.keys(catalogue.criteria).length]))
+    }
+  };
+}
+
+/**
+ * Format a finding as a single line
+ * @param {Object} item - Finding
+ * @returns {string} - e.g. "error encoding IndustryCriteria.csv fuel/co2_removal (name_de): ..."
+ */
+export function formatFinding(item) {
+  const location = [item.file, [item.industry, item.criterion].filter(Boolean).join('/')].filter(Boolean).join(' ');
+  return `${[item.severity, item.rule, location].filter(Boolean).join(' ')}${item.field ? ` (${item.field})` : ''}: ${item.message}`;
+}
+
+export default {
+  lintCriteriaCatalogue,
+  formatFinding
+};
@@ -0,0 +1,91 @@
+/**
+ * criteria-migration.js
+ *
+ * Re-maps extraction results onto the current criteria catalogue. Only criteria
+ * that were renamed are migrated:
+ * - legacy keys (`automotive_1`, `82_1`) via the criterion aliases
+ * - criteria of the recorded catalogue stamp whose Ind_Cr_Id, or position when the
+ *   industry still has the same number of criteria, now has a different ID
+ * Results whose industry gained or lost criteria need a new extraction.
+ */
+
+import { normalizeCriterionKeys } from './criterion-registry.js';
+
+/**
+ * Get the keys of an extraction result that hold criterion data
+ * @param {Object} data - Extraction result
+ * @returns {Array<string>} - Keys whose value has an actions array
+ */
+export function getCriterionKeys(data) {
+  return Object.keys(data).filter(key => Array.isArray(data[key]?.actions));
+}
+
+/**
+ * Rename a key while keeping the key order of the object
+ * @param {Object} data - Object to copy
+ * @param {string} from - Current key
+ * @param {string} to - New key
+ * @returns {Object} - Copy with the key renamed
+ */
+function renameKey(data, from, to) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key === from ? to : key, value]));
+}
+
+/**
+ * Work out how an extraction result maps onto the current catalogue
+ * @param {Object} data - Extraction result (with its criteriaCatalogue stamp, if any)
+ * @param {Array} criteria - Current criteria of the result's industry
+ * @param {Object} currentStamp - Stamp of the current catalogue (see createCriteriaStamp)
+ * @returns {Object} - { status, data, renamed, added, removed }
+ *   status: 'up_to_date', 'migrated' (renamed and/or re-stamped) or 'needs_reextraction'
+ */
+export function planCriteriaMigration(data, criteria, currentStamp) {
+  const recorded = data.criteriaCatalogue || null;
+  
+  if (recorded?.criteriaHash && recorded.criteriaHash === currentStamp.criteriaHash) {
+    return { status: 'up_to_date', data, renamed: [], added: [], removed: [] };
+  }
+  
+  // Legacy keys from before criteria had slugs
+  let { data: migrated, renamed } = normalizeCriterionKeys(data, criteria);
+  renamed = renamed.map(rename => ({ ...rename, reason: 'legacy key' }));
+  
+  // Criteria renamed between catalogue versions
+  const currentIds = new Set(criteria.map(criterion => criterion.id));
+  const recordedCriteria = recorded?.criteria || [];
+  
+  for (const [index, previous] of recordedCriteria.entries()) {
+    if (currentIds.has(previous.id) || migrated[previous.id] === undefined) continue;
+    
+    const byTaxonomyId = previous.ind_cr_id
+      ? criteria.find(criterion => criterion.ind_cr_id === previous.ind_cr_id)
+      : null;
+    const byPosition = recordedCriteria.length === criteria.length ? criteria[index] : null;
+    const target = [byTaxonomyId, byPosition].find(criterion => criterion && migrated[criterion.id] === undefined);
+    
+    if (target) {
+      migrated = renameKey(migrated, previous.id, target.id);
+      renamed.push({ from: previous.id, to: target.id, reason: target === byTaxonomyId ? 'same Ind_Cr_Id' : 'same position' });
+    }
+  }
+  
+  const added = criteria.filter(criterion => migrated[criterion.id] === undefined).map(criterion => criterion.id);
+  const removed = getCriterionKeys(migrated).filter(key => !currentIds.has(key));
+  
+  if (added.length > 0 || removed.length > 0) {
+    return { status: 'needs_reextraction', data, renamed, added, removed };
+  }
+  
+  migrated.criteriaCatalogue = {
+    ...currentStamp,
+    migratedFrom: recorded ? { version: recorded.version, hash: recorded.hash, criteriaHash: recorded.criteriaHash } : null,
+    migratedAt: new Date().toISOString()
+  };
+  
+  return { status: 'migrated', data: migrated, renamed, added, removed };
+}
+
+export default {
+  getCriterionKeys,
+  planCriteriaMigration
+};
@@ -0,0 +1,240 @@
+/**
+ * criteria-overrides.js
+ *
+ * Per-company changes to the criteria of a company's industry, read from
+ * data/criteria_overrides.csv (or CRITERIA_OVERRIDES_CSV). Each row changes the
+ * criteria of one company:
+ * - add: adds a criterion, either one of the catalogue (by ID) or a custom criterion
+ *   with its own name, description and keywords
+ * - remove: removes a criterion of the industry
+ * - replace: puts a criterion in place of one of the industry (`replaces`)
+ *
+ * Lists of keywords are separated by `;`. The overrides are applied on top of
+ * getIndustryCriteria and recorded in the criteria stamp of the extraction.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { getCriterionSlug } from './criterion-registry.js';
+
+export const OVERRIDE_ACTIONS = ['add', 'remove', 'replace'];
+
+// Parsed override files, by path
+const overridesCache = new Map();
+
+/**
+ * Split a semicolon-separated column
+ * @param {string} value - Column value
+ * @returns {Array<string>} - Non-empty values
+ */
+function splitList(value) {
+  return (value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a row of the overrides file
+ * @param {Object} record - CSV record
+ * @param {number} line - Line number in the file, for messages
+ * @returns {Object} - { override } or { error }
+ */
+function parseOverride(record, line) {
+  const companyId = record.company_id || record.companyId || '';
+  const action = (record.action || '').toLowerCase();
+  const nameEn = record.name_en || '';
+  const criterion = getCriterionSlug(record.criterion || nameEn);
+  const replaces = record.replaces ? getCriterionSlug(record.replaces) : null;
+  
+  if (!companyId) {
+    return { error: `line ${line}: no company_id` };
+  }
+  if (!OVERRIDE_ACTIONS.includes(action)) {
+    return { error: `line ${line}: unknown action '${record.action || ''}', use one of: ${OVERRIDE_ACTIONS.join(', ')}` };
+  }
+  if (!criterion) {
+    return { error: `line ${line}: no criterion or name_en` };
+  }
+  if (action === 'replace' && !replaces) {
+    return { error: `line ${line}: replace needs the criterion it replaces in the replaces column` };
+  }
+  
+  return {
+    override: {
+      companyId,
+      action,
+      criterion,
+      replaces: action === 'replace' ? replaces : null,
+      name_en: nameEn || null,
+      name_de: record.name_de || null,
+      description: record.description || null,
+      keywords: splitList(record.keywords),
+      description_de: record.description_de || null,
+      keywords_de: splitList(record.keywords_de)
+    }
+  };
+}
+
+/**
+ * Read an overrides file
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<Map>} - Overrides by company ID, in file order
+ * @throws {Error} - If rows of the file are invalid
+ */
+async function readOverridesFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    // The file is optional
+    return new Map();
+  }
+  
+  const records = parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+  
+  const overrides = new Map();
+  const errors = [];
+  
+  records.forEach((record, index) => {
+    // Line 1 is the header
+    const { override, error } = parseOverride(record, index + 2);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    
+    if (!overrides.has(override.companyId)) overrides.set(override.companyId, []);
+    overrides.get(override.companyId).push(override);
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid criteria overrides in ${path.basename(filePath)}: ${errors.join('; ')}`);
+  }
+  
+  if (overrides.size > 0) {
+    console.log(`Loaded ${records.length} criteria overrides for ${overrides.size} companies from ${path.basename(filePath)}`);
+  }
+  
+  return overrides;
+}
+
+/**
+ * Load an overrides file once
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<Map>} - Overrides by company ID
+ */
+export function loadCriteriaOverrides(filePath) {
+  if (!overridesCache.has(filePath)) {
+    overridesCache.set(filePath, readOverridesFile(filePath));
+  }
+  return overridesCache.get(filePath);
+}
+
+/**
+ * Create the criterion an add or replace override puts into the list
+ * @param {Object} override - Parsed override
+ * @param {Function} findCriterion - Looks up a catalogue criterion by ID (returns null if unknown)
+ * @returns {Object|null} - Criterion, or null if the override names an unknown criterion without a name
+ */
+function createOverrideCriterion(override, findCriterion) {
+  const catalogueCriterion = findCriterion(override.criterion);
+  
+  if (catalogueCriterion) {
+    // Ind_Cr_Id and legacy aliases belong to the criterion's own industry
+    return { ...catalogueCriterion, ind_cr_id: null, aliases: [], override: override.action };
+  }
+  
+  if (!override.name_en) {
+    return null;
+  }
+  
+  return {
+    id: override.criterion,
+    name_en: override.name_en,
+    name_de: override.name_de,
+    aliases: [],
+    override: override.action,
+    // Same shape as an entry of criteria-descriptions.js
+    customDescription: {
+      description: override.description || override.name_en,
+      keywords: override.keywords,
+      description_de: override.description_de,
+      keywords_de: override.keywords_de
+    }
+  };
+}
+
+/**
+ * Apply a company's overrides to the criteria of its industry
+ * @param {Array} criteria - Criteria of the industry
+ * @param {Array} overrides - Overrides of the company, in file order
+ * @param {Function} findCriterion - Looks up a catalogue criterion by ID (returns null if unknown)
+ * @returns {Object} - { criteria, applied, skipped } where skipped lists { override, reason }
+ */
+export function applyCriteriaOverrides(criteria, overrides, findCriterion = () => null) {
+  const result = [...criteria];
+  const applied = [];
+  const skipped = [];
+  const indexOf = id => result.findIndex(criterion => criterion.id === id);
+  
+  for (const override of overrides) {
+    const skip = reason => skipped.push({ override, reason });
+    
+    if (override.action === 'remove') {
+      const index = indexOf(override.criterion);
+      if (index === -1) {
+        skip(`'${override.criterion}' is not a criterion of the company`);
+        continue;
+      }
+      result.splice(index, 1);
+      applied.push(override);
+      continue;
+    }
+    
+    if (indexOf(override.criterion) !== -1) {
+      skip(`'${override.criterion}' is already a criterion of the company`);
+      continue;
+    }
+    const criterion = createOverrideCriterion(override, findCriterion);
+    if (!criterion) {
+      skip(`'${override.criterion}' is not in the catalogue and has no name_en`);
+      continue;
+    }
+    
+    if (override.action === 'add') {
+      result.push(criterion);
+    } else {
+      const index = indexOf(override.replaces);
+      if (index === -1) {
+        skip(`'${override.replaces}' is not a criterion of the company`);
+        continue;
+      }
+      result.splice(index, 1, criterion);
+    }
+    applied.push(override);
+  }
+  
+  return { criteria: result, applied, skipped };
+}
+
+/**
+ * Describe an override for messages and the extraction metadata
+ * @param {Object} override - Parsed override
+ * @returns {string} - e.g. "add supply_chain_due_diligence" or "replace packaging -> returnable_packaging"
+ */
+export function formatOverride(override) {
+  return override.action === 'replace'
+    ? `replace ${override.replaces} -> ${override.criterion}`
+    : `${override.action} ${override.criterion}`;
+}
+
+export default {
+  OVERRIDE_ACTIONS,
+  loadCriteriaOverrides,
+  applyCriteriaOverrides,
+  formatOverride
+};
@@ -0,0 +1,83 @@
+/**
+ * criterion-registry.js
+ *
+ * Canonical criterion IDs. A criterion is identified by the slug of its English
+ * name (e.g. "Climate neutral operation" -> climate_neutral_operation), the key
+ * used in criteria-descriptions.js, the extraction JSON and the exports.
+ *
+ * Results extracted before criteria had slugs are keyed by position
+ * (`accomodation_1`) or by Ind_Cr_Id (`89_1`). These legacy keys are kept as
+ * aliases on each criterion so that old *_extracted.json files can still be read.
+ */
+
+// Criterion names whose slug differs from their key in criteria-descriptions.js
+const NAME_SLUG_ALIASES = {
+  packing: 'packaging',
+  green_it_coding: 'green_it_and_coding'
+};
+
+/**
+ * Convert a criterion name to a slug
+ * @param {string} name - Criterion name (e.g. "Green IT & coding")
+ * @returns {string} - Lowercase slug (e.g. "green_it_coding")
+ */
+export function slugifyCriterionName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Get the canonical ID of a criterion name
+ * @param {string} name - Criterion name
+ * @returns {string} - Canonical criterion ID
+ */
+export function getCriterionSlug(name) {
+  const slug = slugifyCriterionName(name);
+  return NAME_SLUG_ALIASES[slug] || slug;
+}
+
+/**
+ * Rename legacy criterion keys of an extraction result to the canonical IDs
+ * Keys that already use a canonical ID win over legacy keys for the same criterion.
+ * @param {Object} data - Extraction result (e.g. read from *_extracted.json)
+ * @param {Array} criteria - Criteria of the company's industry (with aliases)
+ * @returns {Object} - { data, renamed } where renamed lists { from, to } pairs
+ */
+export function normalizeCriterionKeys(data, criteria) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data, renamed: [] };
+  }
+  
+  const aliasMap = new Map();
+  for (const criterion of criteria) {
+    for (const alias of criterion.aliases || []) {
+      if (alias !== criterion.id) {
+        aliasMap.set(alias.toLowerCase(), criterion.id);
+      }
+    }
+  }
+  
+  const normalized = {};
+  const renamed = [];
+  
+  for (const [key, value] of Object.entries(data)) {
+    const canonicalId = aliasMap.get(key.toLowerCase());
+    
+    if (!canonicalId) {
+      normalized[key] = value;
+    } else if (data[canonicalId] === undefined && normalized[canonicalId] === undefined) {
+      normalized[canonicalId] = value;
+      renamed.push({ from: key, to: canonicalId });
+    }
+  }
+  
+  return { data: normalized, renamed };
+}
+
+export default {
+  slugifyCriterionName,
+  getCriterionSlug,
+  normalizeCriterionKeys
+};
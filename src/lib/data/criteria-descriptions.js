@@ -3,294 +3,452 @@
  *
  * This module provides descriptions for all ESG criteria.
  * Used for richer context when creating prompts for Claude.
+ * Every criterion has an English and a German description and keyword list
+ * (description_de, keywords_de) so German reports are prompted in German.
  */
 
 export const criteriaDescriptions = {
   "affordability": {
     "description": "Actions and solutions for affordable, socially inclusive, barrier-free products and services for end customers.",
-    "keywords": ["affordability", "Affordable energy", "Affordable health", "Affordable mobility", "Affordable housing", "Affordability", "Affordable", "Cooperative", "Basic care", "Low-cost tariffs", "Low-cost", "Free access", "Orphan drugs", "Price-controlled", "Social tariff"]
+    "keywords": ["affordability", "Affordable energy", "Affordable health", "Affordable mobility", "Affordable housing", "Affordable", "Cooperative", "Basic care", "Low-cost tariffs", "Low-cost", "Free access", "Orphan drugs", "Price-controlled", "Social tariff"],
+    "description_de": "Maßnahmen und Lösungen für bezahlbare, sozial inklusive und barrierefreie Produkte und Dienstleistungen für Endkunden.",
+    "keywords_de": ["Bezahlbarkeit", "bezahlbare Energie", "bezahlbare Gesundheit", "bezahlbare Mobilität", "bezahlbarer Wohnraum", "bezahlbar", "Genossenschaft", "Grundversorgung", "günstige Tarife", "kostengünstig", "freier Zugang", "Orphan Drugs", "preisgebunden", "Sozialtarif"]
   },
   "agriculture_emissions": {
     "description": "Actions and solutions to reduce agriculture-related emissions.",
-    "keywords": ["organic agricultural raw materials", "biochar", "organic farming", "organic food", "biomass", "soil emissions", "soil erosion", "fertilizers", "healthy soils", "humus", "carbon storage", "methane emissions", "sustainable food", "permaculture", "regenerative agriculture"]
+    "keywords": ["organic agricultural raw materials", "biochar", "organic farming", "organic food", "biomass", "soil emissions", "soil erosion", "fertilizers", "healthy soils", "humus", "carbon storage", "methane emissions", "sustainable food", "permaculture", "regenerative agriculture"],
+    "description_de": "Maßnahmen und Lösungen zur Reduktion landwirtschaftlicher Emissionen.",
+    "keywords_de": ["ökologische Agrarrohstoffe", "Pflanzenkohle", "ökologischer Landbau", "Bio-Lebensmittel", "Biomasse", "Bodenemissionen", "Bodenerosion", "Düngemittel", "gesunde Böden", "Humus", "Kohlenstoffspeicherung", "Methanemissionen", "nachhaltige Ernährung", "Permakultur", "regenerative Landwirtschaft"]
   },
   "animal_welfare": {
     "description": "Actions and solutions for the protection of animals and sustainable handling of animals.",
-    "keywords": ["antibiotics", "aquaculture", "animal welfare", "organic animal feed", "organic meat", "organic farming", "animal husbandry", "animal welfare", "livestock", "animal welfare initiative", "animal welfare label", "animal health", "veterinary medicine", "pasture"]
+    "keywords": ["antibiotics", "aquaculture", "animal welfare", "organic animal feed", "organic meat", "organic farming", "animal husbandry", "livestock", "animal welfare initiative", "animal welfare label", "animal health", "veterinary medicine", "pasture"],
+    "description_de": "Maßnahmen und Lösungen für den Schutz von Tieren und einen nachhaltigen Umgang mit Tieren.",
+    "keywords_de": ["Antibiotika", "Aquakultur", "Tierwohl", "Bio-Futtermittel", "Bio-Fleisch", "ökologischer Landbau", "Tierhaltung", "Nutztiere", "Tierwohl-Initiative", "Tierwohl-Label", "Tiergesundheit", "Tiermedizin", "Weidehaltung"]
   },
   "buildings": {
     "description": "Actions and solutions for the transformation into a climate-neutral building stock incl. use of wood as a carbon storage.",
-    "keywords": ["architecture", "building materials", "BREEAM", "roof", "insulation", "energy-efficient refurbishment", "energy performance certificate", "facade", "timber construction", "LEED", "new build", "insulation", "construction", "passive house", "renovation"]
+    "keywords": ["architecture", "building materials", "BREEAM", "roof", "insulation", "energy-efficient refurbishment", "energy performance certificate", "facade", "timber construction", "LEED", "new build", "construction", "passive house", "renovation"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einem klimaneutralen Gebäudebestand inkl. der Nutzung von Holz als CO2-Speicher.",
+    "keywords_de": ["Architektur", "Baustoffe", "BREEAM", "Dach", "Dämmung", "energetische Sanierung", "Energieausweis", "Fassade", "Holzbau", "LEED", "Neubau", "Bau", "Passivhaus", "Renovierung"]
   },
   "biodiversity": {
     "description": "Protection and regeneration of ecosystems and species via sustainable land use",
-    "keywords": ["species hot spot", "species richness", "biodiversity", "habitat", "insect protection", "nature compensation", "nature conservation", "ecosystem", "plants", "rainforest", "protected areas", "rare species", "animal welfare", "wild animals"]
+    "keywords": ["species hot spot", "species richness", "biodiversity", "habitat", "insect protection", "nature compensation", "nature conservation", "ecosystem", "plants", "rainforest", "protected areas", "rare species", "animal welfare", "wild animals"],
+    "description_de": "Schutz und Regeneration von Ökosystemen und Arten durch nachhaltige Landnutzung",
+    "keywords_de": ["Artenhotspot", "Artenreichtum", "Biodiversität", "Lebensraum", "Insektenschutz", "Naturausgleich", "Naturschutz", "Ökosystem", "Pflanzen", "Regenwald", "Schutzgebiete", "seltene Arten", "Tierschutz", "Wildtiere"]
   },
   "carbon_footprint": {
-    "description": "Actions and solutions for the transformation to an energy system based on renewable energies.",
-    "keywords": ["2030", "2045", "2050", "CO2 equivalent", "CO2 emissions", "CO2 reduction", "CO2eq", "CO2e", "corporate carbon footprint", "direct emissions", "indirect emissions", "carbon footprint", "net zero", "science-based targets", "scope"]
+    "description": "Actions and solutions for measuring, disclosing and reducing the company's greenhouse gas emissions across all scopes.",
+    "keywords": ["2030", "2045", "2050", "CO2 equivalent", "CO2 emissions", "CO2 reduction", "CO2eq", "CO2e", "corporate carbon footprint", "direct emissions", "indirect emissions", "carbon footprint", "net zero", "science-based targets", "scope"],
+    "description_de": "Maßnahmen und Lösungen zur Messung, Offenlegung und Reduktion der Treibhausgasemissionen des Unternehmens über alle Scopes.",
+    "keywords_de": ["2030", "2045", "2050", "CO2-Äquivalent", "CO2-Emissionen", "CO2-Reduktion", "CO2eq", "CO2e", "Corporate Carbon Footprint", "direkte Emissionen", "indirekte Emissionen", "CO2-Fußabdruck", "Netto-Null", "Science Based Targets", "Scope"]
   },
   "climate_communication": {
     "description": "Actions and solutions for communicating the climate crisis and ways of solving it to the public.",
-    "keywords": ["documentaries", "false balance", "campaign", "climate-friendly advertising", "climate social media", "climate journalism", "climate communication", "climate events", "climate facts", "climate research", "climate portal", "climate protection education", "climate knowledge", "science communication", "knowledge transfer"]
+    "keywords": ["documentaries", "false balance", "campaign", "climate-friendly advertising", "climate social media", "climate journalism", "climate communication", "climate events", "climate facts", "climate research", "climate portal", "climate protection education", "climate knowledge", "science communication", "knowledge transfer"],
+    "description_de": "Maßnahmen und Lösungen, um der Öffentlichkeit die Klimakrise und Wege zu ihrer Lösung zu vermitteln.",
+    "keywords_de": ["Dokumentationen", "False Balance", "Kampagne", "klimafreundliche Werbung", "Klima Social Media", "Klimajournalismus", "Klimakommunikation", "Klima-Events", "Klimafakten", "Klimaforschung", "Klimaportal", "Klimaschutzbildung", "Klimawissen", "Wissenschaftskommunikation", "Wissenstransfer"]
   },
   "climate_friendly_products": {
     "description": "Actions and solutions for the use of climate-friendly products with minimal product-related greenhouse gas emissions.",
-    "keywords": ["CO2 in product use", "save CO2", "CO2-efficient products", "CO2-friendly products", "CO2 lifecycle", "CO2-neutral", "CO2 saver", "emissions in the use phase", "energy-efficient products", "green products", "climate-friendly products", "climate-neutral products", "lifecycle analysis", "product efficiency", "product emissions"]
+    "keywords": ["CO2 in product use", "save CO2", "CO2-efficient products", "CO2-friendly products", "CO2 lifecycle", "CO2-neutral", "CO2 saver", "emissions in the use phase", "energy-efficient products", "green products", "climate-friendly products", "climate-neutral products", "lifecycle analysis", "product efficiency", "product emissions"],
+    "description_de": "Maßnahmen und Lösungen für den Einsatz klimafreundlicher Produkte mit minimalen produktbezogenen Treibhausgasemissionen.",
+    "keywords_de": ["CO2 in der Produktnutzung", "CO2 einsparen", "CO2-effiziente Produkte", "CO2-freundliche Produkte", "CO2-Lebenszyklus", "CO2-neutral", "CO2-Sparer", "Emissionen in der Nutzungsphase", "energieeffiziente Produkte", "grüne Produkte", "klimafreundliche Produkte", "klimaneutrale Produkte", "Lebenszyklusanalyse", "Produkteffizienz", "Produktemissionen"]
   },
   "climate_neutral_operation": {
     "description": "Actions and solutions for the transformation to a climate-neutral company operation.",
-    "keywords": ["CO2 compensation", "CO2 compensation operation", "CO2-neutral production", "CO2-neutral operation", "insulation of company buildings", "compressed air optimization", "reduce emissions", "energy efficiency", "energy efficiency in operation", "renewable energies in operation", "climate-neutral operation", "climate-neutral production", "cooling in operation", "production with renewable energies", "conversion to green electricity"]
+    "keywords": ["CO2 compensation", "CO2 compensation operation", "CO2-neutral production", "CO2-neutral operation", "insulation of company buildings", "compressed air optimization", "reduce emissions", "energy efficiency", "energy efficiency in operation", "renewable energies in operation", "climate-neutral operation", "climate-neutral production", "cooling in operation", "production with renewable energies", "conversion to green electricity"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einem klimaneutralen Unternehmensbetrieb.",
+    "keywords_de": ["CO2-Kompensation", "CO2-Kompensation Betrieb", "CO2-neutrale Produktion", "CO2-neutraler Betrieb", "Dämmung der Firmengebäude", "Druckluftoptimierung", "Emissionen reduzieren", "Energieeffizienz", "Energieeffizienz im Betrieb", "erneuerbare Energien im Betrieb", "klimaneutraler Betrieb", "klimaneutrale Produktion", "Kühlung im Betrieb", "Produktion mit erneuerbaren Energien", "Umstellung auf Ökostrom"]
   },
   "climate_resilience": {
     "description": "Actions and solutions for the transformation to a climate-resilient economy and society.",
-    "keywords": ["Exhaust air flow", "structural measures", "justification", "greening", "dams", "Green Belt", "heat resistance", "flood protection", "disaster prevention", "climate adaptation", "coastal protection", "microclimate", "shading", "water storage", "resilience"]
+    "keywords": ["Exhaust air flow", "structural measures", "greening", "dams", "Green Belt", "heat resistance", "flood protection", "disaster prevention", "climate adaptation", "coastal protection", "microclimate", "shading", "water storage", "resilience"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer klimaresilienten Wirtschaft und Gesellschaft.",
+    "keywords_de": ["Abluftstrom", "bauliche Maßnahmen", "Begrünung", "Dämme", "Grüngürtel", "Hitzebeständigkeit", "Hochwasserschutz", "Katastrophenvorsorge", "Klimaanpassung", "Küstenschutz", "Mikroklima", "Verschattung", "Wasserspeicherung", "Resilienz"]
   },
   "climate_risks": {
     "description": "Actions and solutions for measuring and managing climate risks.",
-    "keywords": ["Carbon bubble", "drought", "crop failures", "extreme weather", "groundwater levels", "heatwave", "climate refugees", "climate costs", "climate risks", "climate damage", "climate insurance", "natural disasters", "flooding", "inundation", "forest fires"]
+    "keywords": ["Carbon bubble", "drought", "crop failures", "extreme weather", "groundwater levels", "heatwave", "climate refugees", "climate costs", "climate risks", "climate damage", "climate insurance", "natural disasters", "flooding", "inundation", "forest fires"],
+    "description_de": "Maßnahmen und Lösungen zur Messung und zum Management von Klimarisiken.",
+    "keywords_de": ["Kohlenstoffblase", "Dürre", "Ernteausfälle", "Extremwetter", "Grundwasserspiegel", "Hitzewelle", "Klimaflüchtlinge", "Klimakosten", "Klimarisiken", "Klimaschäden", "Klimaversicherung", "Naturkatastrophen", "Hochwasser", "Überschwemmung", "Waldbrände"]
   },
   "circular_solutions": {
     "description": "Actions and solutions for the transformation to a circular economy with circular solutions and business models.",
-    "keywords": ["Circular economy", "circular systems", "closed-loop", "closed-loop solutions", "circular products", "circular economy", "reusable", "reusable solutions", "reusable products", "rental models", "rental products", "recycling products", "take-back systems", "sharing models", "pure varieties"]
+    "keywords": ["Circular economy", "circular systems", "closed-loop", "closed-loop solutions", "circular products", "reusable", "reusable solutions", "reusable products", "rental models", "rental products", "recycling products", "take-back systems", "sharing models", "pure varieties"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer Kreislaufwirtschaft mit zirkulären Lösungen und Geschäftsmodellen.",
+    "keywords_de": ["Kreislaufwirtschaft", "Kreislaufsysteme", "geschlossener Kreislauf", "Closed-Loop-Lösungen", "zirkuläre Produkte", "Mehrweg", "Mehrweglösungen", "Mehrwegprodukte", "Mietmodelle", "Mietprodukte", "Recyclingprodukte", "Rücknahmesysteme", "Sharing-Modelle", "Sortenreinheit"]
   },
   "climate_solutions_and_consulting": {
     "description": "Actions and solutions for the development of and consulting on climate-friendly solutions.",
-    "keywords": ["Consulting", "CO2 apps", "CO2 calculation software", "CO2 offsetting", "CO2 platform", "CO2 calculator", "energy consulting", "ESG consulting", "energy networks", "energy-saving products", "climate consulting", "climate protection consulting", "climate protection roadmap", "climate protection measures", "sustainability consulting"]
+    "keywords": ["Consulting", "CO2 apps", "CO2 calculation software", "CO2 offsetting", "CO2 platform", "CO2 calculator", "energy consulting", "ESG consulting", "energy networks", "energy-saving products", "climate consulting", "climate protection consulting", "climate protection roadmap", "climate protection measures", "sustainability consulting"],
+    "description_de": "Maßnahmen und Lösungen für die Entwicklung klimafreundlicher Lösungen und die Beratung dazu.",
+    "keywords_de": ["Beratung", "CO2-Apps", "CO2-Bilanzierungssoftware", "CO2-Kompensation", "CO2-Plattform", "CO2-Rechner", "Energieberatung", "ESG-Beratung", "Energienetzwerke", "Energiesparprodukte", "Klimaberatung", "Klimaschutzberatung", "Klimaschutz-Fahrplan", "Klimaschutzmaßnahmen", "Nachhaltigkeitsberatung"]
   },
   "circular_design": {
     "description": "Actions and solutions for transformation into a product design that is always circular.",
-    "keywords": ["Bio-based materials", "Biodegradable", "Biological cycle", "C2C", "Circular design", "Circular product design", "Circular system design", "Cradle-to-cradle", "Compostable", "Circular design", "Modular design", "Modularity", "Product life cycle", "Single-variety", "Circular materials"]
+    "keywords": ["Bio-based materials", "Biodegradable", "Biological cycle", "C2C", "Circular design", "Circular product design", "Circular system design", "Cradle-to-cradle", "Compostable", "Modular design", "Modularity", "Product life cycle", "Single-variety", "Circular materials"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einem durchgängig zirkulären Produktdesign.",
+    "keywords_de": ["biobasierte Materialien", "biologisch abbaubar", "biologischer Kreislauf", "C2C", "zirkuläres Design", "zirkuläres Produktdesign", "zirkuläres Systemdesign", "Cradle-to-Cradle", "kompostierbar", "modulares Design", "Modularität", "Produktlebenszyklus", "sortenrein", "zirkuläre Materialien"]
   },
   "co2_removal": {
     "description": "Actions and solutions for the removal of greenhouse gases from the atmosphere.",
-    "keywords": ["Reforestation", "Carbon Capture", "Carbon Credits", "CCS Carbon Capture and Storage", "CCU Carbon Capture and Use", "CCx", "CDM GS", "CO2 removal", "CO2 compensation", "CO2 certificates", "decarbonization", "GS Gold Standard", "compensation", "offsetting", "PtX Power-to-X"]
+    "keywords": ["Reforestation", "Carbon Capture", "Carbon Credits", "CCS Carbon Capture and Storage", "CCU Carbon Capture and Use", "CCx", "CDM GS", "CO2 removal", "CO2 compensation", "CO2 certificates", "decarbonization", "GS Gold Standard", "compensation", "offsetting", "PtX Power-to-X"],
+    "description_de": "Maßnahmen und Lösungen für die Entnahme von Treibhausgasen aus der Atmosphäre.",
+    "keywords_de": ["Aufforstung", "Carbon Capture", "Carbon Credits", "CCS Carbon Capture and Storage", "CCU Carbon Capture and Use", "CCx", "CDM GS", "CO2-Entnahme", "CO2-Kompensation", "CO2-Zertifikate", "Dekarbonisierung", "GS Gold Standard", "Kompensation", "Ausgleich", "PtX Power-to-X"]
   },
   "co2_transparency_and_incentives": {
     "description": "Actions and solutions that make the climate impact easily transparent at the moment of decision and provide climate-friendly incentives.",
-    "keywords": ["CO2 budget", "CO2 hurdle", "CO2 per capita", "CO2 incentive", "CO2 budget", "CO2 investment hurdle", "CO2 compensation", "CO2 label", "CO2 market", "CO2 price", "CO2 tax", "CO2 tax", "CO2 transparency", "CO2 consumption transparency", "emissions trading"]
+    "keywords": ["CO2 budget", "CO2 hurdle", "CO2 per capita", "CO2 incentive", "CO2 investment hurdle", "CO2 compensation", "CO2 label", "CO2 market", "CO2 price", "CO2 tax", "CO2 transparency", "CO2 consumption transparency", "emissions trading"],
+    "description_de": "Maßnahmen und Lösungen, die die Klimawirkung im Moment der Entscheidung einfach transparent machen und klimafreundliche Anreize setzen.",
+    "keywords_de": ["CO2-Budget", "CO2-Hürde", "CO2 pro Kopf", "CO2-Anreiz", "CO2-Investitionshürde", "CO2-Kompensation", "CO2-Label", "CO2-Markt", "CO2-Preis", "CO2-Steuer", "CO2-Transparenz", "CO2-Verbrauchstransparenz", "Emissionshandel"]
   },
   "consumer_protection": {
     "description": "Actions and solutions for consumer protection and fair, transparent interaction with end customers.",
-    "keywords": ["Advice centers", "complaint management", "fair prices", "guarantee", "warranty", "duty to inform", "customer interaction", "price transparency", "product declaration", "product safety", "right of return", "consumer rights", "consumer protection", "consumer advice center", "right of withdrawal"]
+    "keywords": ["Advice centers", "complaint management", "fair prices", "guarantee", "warranty", "duty to inform", "customer interaction", "price transparency", "product declaration", "product safety", "right of return", "consumer rights", "consumer protection", "consumer advice center", "right of withdrawal"],
+    "description_de": "Maßnahmen und Lösungen für Verbraucherschutz und einen fairen, transparenten Umgang mit Endkunden.",
+    "keywords_de": ["Beratungsstellen", "Beschwerdemanagement", "faire Preise", "Garantie", "Gewährleistung", "Informationspflicht", "Kundeninteraktion", "Preistransparenz", "Produktdeklaration", "Produktsicherheit", "Rückgaberecht", "Verbraucherrechte", "Verbraucherschutz", "Verbraucherzentrale", "Widerrufsrecht"]
   },
   "cooperation": {
     "description": "Actions and solutions for fair cooperation at eye level with suppliers and value chain partners.",
-    "keywords": ["Purchase security", "Protection against price fluctuations", "Occupational safety at suppliers", "On an equal footing", "Fair trade", "Fair prices", "Global South", "Long-term contracts", "Supplier training", "Supplier cooperation", "North-South cooperation", "Price security", "Solidarity", "On-site cooperation", "Win-win"]
+    "keywords": ["Purchase security", "Protection against price fluctuations", "Occupational safety at suppliers", "On an equal footing", "Fair trade", "Fair prices", "Global South", "Long-term contracts", "Supplier training", "Supplier cooperation", "North-South cooperation", "Price security", "Solidarity", "On-site cooperation", "Win-win"],
+    "description_de": "Maßnahmen und Lösungen für eine faire Zusammenarbeit auf Augenhöhe mit Lieferanten und Partnern der Wertschöpfungskette.",
+    "keywords_de": ["Abnahmesicherheit", "Schutz vor Preisschwankungen", "Arbeitssicherheit bei Lieferanten", "auf Augenhöhe", "fairer Handel", "faire Preise", "Globaler Süden", "langfristige Verträge", "Lieferantenschulung", "Lieferantenkooperation", "Nord-Süd-Kooperation", "Preissicherheit", "Solidarität", "Zusammenarbeit vor Ort", "Win-win"]
   },
   "data_protection": {
     "description": "Actions and solutions for the sustainable handling of end customer data.",
-    "keywords": ["anonymity", "corporate digital responsibility", "cybersecurity", "data theft", "data sovereignty", "data protection", "data protection officer", "data security", "GDPR", "customer data", "personal data", "personal data", "sensitive data", "encryption"]
+    "keywords": ["anonymity", "corporate digital responsibility", "cybersecurity", "data theft", "data sovereignty", "data protection", "data protection officer", "data security", "GDPR", "customer data", "personal data", "sensitive data", "encryption"],
+    "description_de": "Maßnahmen und Lösungen für einen nachhaltigen Umgang mit Daten von Endkunden.",
+    "keywords_de": ["Anonymität", "Corporate Digital Responsibility", "Cybersicherheit", "Datendiebstahl", "Datensouveränität", "Datenschutz", "Datenschutzbeauftragter", "Datensicherheit", "DSGVO", "Kundendaten", "personenbezogene Daten", "sensible Daten", "Verschlüsselung"]
   },
   "digital_access": {
     "description": "Actions and solutions for the transformation into a digital infrastructure with fast and affordable access for all.",
-    "keywords": ["5G", "Expansion of network infrastructure", "User-friendliness", "Affordable access", "Broadband", "Connectivity", "Digital infrastructure", "Digital inclusion", "Digital transformation", "Digital access", "Fiber optic connection", "Internet for all", "Network coverage", "Fast Internet", "WLAN access"]
+    "keywords": ["5G", "Expansion of network infrastructure", "User-friendliness", "Affordable access", "Broadband", "Connectivity", "Digital infrastructure", "Digital inclusion", "Digital transformation", "Digital access", "Fiber optic connection", "Internet for all", "Network coverage", "Fast Internet", "WLAN access"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer digitalen Infrastruktur mit schnellem und bezahlbarem Zugang für alle.",
+    "keywords_de": ["5G", "Ausbau der Netzinfrastruktur", "Benutzerfreundlichkeit", "bezahlbarer Zugang", "Breitband", "Konnektivität", "digitale Infrastruktur", "digitale Teilhabe", "digitale Transformation", "digitaler Zugang", "Glasfaseranschluss", "Internet für alle", "Netzabdeckung", "schnelles Internet", "WLAN-Zugang"]
   },
   "diversity": {
     "description": "Actions and solutions for diversity and equal opportunities",
-    "keywords": ["Diversity", "Equal opportunities", "Inclusion", "Non-discrimination", "Gender equality", "Cultural diversity", "Age diversity", "Disability inclusion", "Diverse workforce", "Equal pay", "LGBTQ+ inclusion", "Representation", "Unconscious bias training", "Diverse leadership", "Affirmative action"]
+    "keywords": ["Diversity", "Equal opportunities", "Inclusion", "Non-discrimination", "Gender equality", "Cultural diversity", "Age diversity", "Disability inclusion", "Diverse workforce", "Equal pay", "LGBTQ+ inclusion", "Representation", "Unconscious bias training", "Diverse leadership", "Affirmative action"],
+    "description_de": "Maßnahmen und Lösungen für Vielfalt und Chancengleichheit",
+    "keywords_de": ["Diversität", "Chancengleichheit", "Inklusion", "Nichtdiskriminierung", "Geschlechtergerechtigkeit", "kulturelle Vielfalt", "Altersvielfalt", "Inklusion von Menschen mit Behinderung", "vielfältige Belegschaft", "Entgeltgleichheit", "LGBTQ+-Inklusion", "Repräsentation", "Training zu unbewussten Vorurteilen", "vielfältige Führung", "Fördermaßnahmen"]
   },
   "diversity_of_species": {
     "description": "Actions and solutions for the protection and regeneration of species diversity",
-    "keywords": ["Biodiversity", "Species protection", "Habitat preservation", "Native species", "Pollinator protection", "Wildlife corridors", "Ecosystem services", "Conservation areas", "Genetic diversity", "Rare species", "Keystone species", "Ecological balance", "Wildlife management", "Breeding programs", "Natural habitats"]
+    "keywords": ["Biodiversity", "Species protection", "Habitat preservation", "Native species", "Pollinator protection", "Wildlife corridors", "Ecosystem services", "Conservation areas", "Genetic diversity", "Rare species", "Keystone species", "Ecological balance", "Wildlife management", "Breeding programs", "Natural habitats"],
+    "description_de": "Maßnahmen und Lösungen für den Schutz und die Regeneration der Artenvielfalt",
+    "keywords_de": ["Biodiversität", "Artenschutz", "Erhalt von Lebensräumen", "heimische Arten", "Bestäuberschutz", "Wildtierkorridore", "Ökosystemleistungen", "Schutzgebiete", "genetische Vielfalt", "seltene Arten", "Schlüsselarten", "ökologisches Gleichgewicht", "Wildtiermanagement", "Zuchtprogramme", "natürliche Lebensräume"]
   },
   "ecosystems": {
     "description": "Actions and solutions for the protection and regeneration of ecosystems.",
-    "keywords": ["Biodiversity", "pollination services", "bees", "bee pollination", "biodiversity", "ecoservices", "habitat", "air filter", "marine ecosystem", "microclimate", "food chain", "national parks", "natural space", "natural areas", "ecosystem"]
+    "keywords": ["Biodiversity", "pollination services", "bees", "bee pollination", "ecoservices", "habitat", "air filter", "marine ecosystem", "microclimate", "food chain", "national parks", "natural space", "natural areas", "ecosystem"],
+    "description_de": "Maßnahmen und Lösungen für den Schutz und die Regeneration von Ökosystemen.",
+    "keywords_de": ["Biodiversität", "Bestäubungsleistungen", "Bienen", "Bienenbestäubung", "Ökosystemleistungen", "Lebensraum", "Luftfilter", "marines Ökosystem", "Mikroklima", "Nahrungskette", "Nationalparks", "Naturraum", "Naturflächen", "Ökosystem"]
   },
   "education": {
     "description": "Actions and solutions for education for end customers.",
-    "keywords": ["degree", "employability", "training", "vocational training", "vocational orientation", "education", "education system", "further education", "grammar school", "college", "school", "students", "study", "university", "further education"]
+    "keywords": ["degree", "employability", "training", "vocational training", "vocational orientation", "education", "education system", "further education", "grammar school", "college", "school", "students", "study", "university"],
+    "description_de": "Maßnahmen und Lösungen für Bildung für Endkunden.",
+    "keywords_de": ["Abschluss", "Beschäftigungsfähigkeit", "Ausbildung", "Berufsausbildung", "Berufsorientierung", "Bildung", "Bildungssystem", "Weiterbildung", "Gymnasium", "Hochschule", "Schule", "Studierende", "Studium", "Universität"]
   },
   "energy_efficiency": {
     "description": "Actions and solutions for transformation to an energy-efficient economy and society.",
-    "keywords": ["motion detector", "insulation", "efficiency class", "energy-efficient", "energy-efficient cooling", "energy efficiency", "energy saving", "energy consumption", "heating", "ISO 50001", "insulation", "LED", "combined heat and power", "cooling technology", "low-energy building"]
+    "keywords": ["motion detector", "insulation", "efficiency class", "energy-efficient", "energy-efficient cooling", "energy efficiency", "energy saving", "energy consumption", "heating", "ISO 50001", "LED", "combined heat and power", "cooling technology", "low-energy building"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer energieeffizienten Wirtschaft und Gesellschaft.",
+    "keywords_de": ["Bewegungsmelder", "Dämmung", "Effizienzklasse", "energieeffizient", "energieeffiziente Kühlung", "Energieeffizienz", "Energiesparen", "Energieverbrauch", "Heizung", "ISO 50001", "LED", "Kraft-Wärme-Kopplung", "Kältetechnik", "Niedrigenergiehaus"]
   },
   "energy_storage": {
     "description": "Actions and solutions for building an energy storage infrastructure as core elements of the energy transition.",
-    "keywords": ["Car as storage", "batteries", "battery use", "battery technology", "chemical storage", "decentralized storage", "e-car storage", "gas storage", "capacity", "grid feed-in", "Power-to-X", "Powerwall", "pumped storage", "salt storage", "storage infrastructure"]
+    "keywords": ["Car as storage", "batteries", "battery use", "battery technology", "chemical storage", "decentralized storage", "e-car storage", "gas storage", "capacity", "grid feed-in", "Power-to-X", "Powerwall", "pumped storage", "salt storage", "storage infrastructure"],
+    "description_de": "Maßnahmen und Lösungen für den Aufbau einer Energiespeicher-Infrastruktur als Kernelement der Energiewende.",
+    "keywords_de": ["Auto als Speicher", "Batterien", "Batterienutzung", "Batterietechnik", "chemische Speicher", "dezentrale Speicher", "E-Auto-Speicher", "Gasspeicher", "Kapazität", "Netzeinspeisung", "Power-to-X", "Powerwall", "Pumpspeicher", "Salzspeicher", "Speicherinfrastruktur"]
   },
   "equal_opportunity": {
     "description": "Actions and solutions for equal opportunities, diversity and inclusion in the company.",
-    "keywords": ["Advancement through education", "Disability", "Disadvantaged groups", "Opportunities", "Diversity Charter", "Discrimination", "Diversity", "Equal pay", "Family friendliness", "Women in management positions", "Equity", "Equality", "Inclusion", "Participation", "Access"]
+    "keywords": ["Advancement through education", "Disability", "Disadvantaged groups", "Opportunities", "Diversity Charter", "Discrimination", "Diversity", "Equal pay", "Family friendliness", "Women in management positions", "Equity", "Equality", "Inclusion", "Participation", "Access"],
+    "description_de": "Maßnahmen und Lösungen für Chancengleichheit, Vielfalt und Inklusion im Unternehmen.",
+    "keywords_de": ["Aufstieg durch Bildung", "Behinderung", "benachteiligte Gruppen", "Chancen", "Charta der Vielfalt", "Diskriminierung", "Diversität", "Entgeltgleichheit", "Familienfreundlichkeit", "Frauen in Führungspositionen", "Gerechtigkeit", "Gleichstellung", "Inklusion", "Teilhabe", "Zugang"]
   },
   "financial_participation": {
     "description": "Measures and solutions for the sustainable (financial) participation of stakeholders in transformation measures on the ground.",
-    "keywords": ["Share package", "shares", "shareholders", "participation", "citizen transparency", "citizen participation", "citizens' councils", "crowd", "dividend", "cooperative", "profit sharing", "participation", "shared value", "stakeholder participation"]
+    "keywords": ["Share package", "shares", "shareholders", "participation", "citizen transparency", "citizen participation", "citizens' councils", "crowd", "dividend", "cooperative", "profit sharing", "shared value", "stakeholder participation"],
+    "description_de": "Maßnahmen und Lösungen für die nachhaltige (finanzielle) Beteiligung von Stakeholdern an Transformationsmaßnahmen vor Ort.",
+    "keywords_de": ["Aktienpaket", "Aktien", "Aktionäre", "Beteiligung", "Bürgertransparenz", "Bürgerbeteiligung", "Bürgerräte", "Crowd", "Dividende", "Genossenschaft", "Gewinnbeteiligung", "Shared Value", "Stakeholderbeteiligung"]
   },
   "food_waste": {
     "description": "Actions and solutions for transforming packaging into unpackaging, reusable and recyclable solutions.",
-    "keywords": ["Container", "food savers", "fat separator", "food waste", "shelf life", "cooking boxes", "food sharing", "food waste", "best before", "best before date", "food bank", "Too Good to Go", "overproduction", "expiry date", "zero food waste"]
+    "keywords": ["Container", "food savers", "fat separator", "food waste", "shelf life", "cooking boxes", "food sharing", "best before", "best before date", "food bank", "Too Good to Go", "overproduction", "expiry date", "zero food waste"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation von Verpackungen zu unverpackten, wiederverwendbaren und recyclingfähigen Lösungen.",
+    "keywords_de": ["Container", "Lebensmittelretter", "Fettabscheider", "Lebensmittelverschwendung", "Haltbarkeit", "Kochboxen", "Foodsharing", "Mindesthaltbarkeit", "Mindesthaltbarkeitsdatum", "Tafel", "Too Good To Go", "Überproduktion", "Verfallsdatum", "Zero Food Waste"]
   },
   "green_it_and_coding": {
     "description": "Actions and solutions for the transformation to climate-neutral IT, e.g. with climate-neutral data centers, energy-saving hardware and energy-saving programmed software and algorithms.",
-    "keywords": ["Data center waste heat recovery", "algorithms", "blockchain", "energy-efficient IT", "energy-saving laptops", "green coding", "green hosting", "green IT", "green data center", "climate-neutral IT", "data center cooling", "server cooling", "server virtualization", "power-saving IT settings", "data center heat recovery"]
+    "keywords": ["Data center waste heat recovery", "algorithms", "blockchain", "energy-efficient IT", "energy-saving laptops", "green coding", "green hosting", "green IT", "green data center", "climate-neutral IT", "data center cooling", "server cooling", "server virtualization", "power-saving IT settings", "data center heat recovery"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu klimaneutraler IT, z. B. mit klimaneutralen Rechenzentren, energiesparender Hardware und energiesparend programmierter Software und Algorithmen.",
+    "keywords_de": ["Abwärmenutzung im Rechenzentrum", "Algorithmen", "Blockchain", "energieeffiziente IT", "energiesparende Laptops", "Green Coding", "Green Hosting", "Green IT", "grünes Rechenzentrum", "klimaneutrale IT", "Rechenzentrumskühlung", "Serverkühlung", "Servervirtualisierung", "stromsparende IT-Einstellungen", "Wärmerückgewinnung im Rechenzentrum"]
   },
   "hazardous_substances": {
     "description": "Actions and solutions for the minimization of hazardous substances and substitution with harmless or useful substances.",
-    "keywords": ["Lead", "BPA", "Chemical safety", "Chemicals regulation", "Volatile compounds", "Hazardous substances", "Hazardous goods", "Hazardous substances", "Toxic substances", "Endocrine disruptors", "Carcinogenic", "Pollutants", "Toxins", "Toxic", "Volatile organic compounds"]
+    "keywords": ["Lead", "BPA", "Chemical safety", "Chemicals regulation", "Volatile compounds", "Hazardous substances", "Hazardous goods", "Toxic substances", "Endocrine disruptors", "Carcinogenic", "Pollutants", "Toxins", "Toxic", "Volatile organic compounds"],
+    "description_de": "Maßnahmen und Lösungen für die Minimierung von Schadstoffen und deren Ersatz durch unbedenkliche oder nützliche Stoffe.",
+    "keywords_de": ["Blei", "BPA", "Chemikaliensicherheit", "Chemikalienrecht", "flüchtige Verbindungen", "Gefahrstoffe", "Gefahrgut", "giftige Stoffe", "hormonell wirksame Stoffe", "krebserregend", "Schadstoffe", "Gifte", "giftig", "flüchtige organische Verbindungen"]
   },
   "health": {
     "description": "Health promotion actions and solutions for end customers.",
-    "keywords": ["Balanced", "treatment", "exercise", "relaxation", "nutrition", "fitness", "health", "medicine", "healing effect", "immune system", "illness", "medication", "rehab", "tolerance", "wellness"]
+    "keywords": ["Balanced", "treatment", "exercise", "relaxation", "nutrition", "fitness", "health", "medicine", "healing effect", "immune system", "illness", "medication", "rehab", "tolerance", "wellness"],
+    "description_de": "Gesundheitsfördernde Maßnahmen und Lösungen für Endkunden.",
+    "keywords_de": ["ausgewogen", "Behandlung", "Bewegung", "Entspannung", "Ernährung", "Fitness", "Gesundheit", "Medizin", "Heilwirkung", "Immunsystem", "Krankheit", "Medikamente", "Reha", "Verträglichkeit", "Wellness"]
   },
   "human_rights": {
     "description": "Actions and solutions to secure human rights in the supply chain.",
-    "keywords": ["working conditions", "audits", "coltan", "discrimination", "hot spot analysis", "ILO core labor standards", "child labor", "conflict minerals", "suppliers", "supply chain law", "human rights", "human rights officer", "OECD guidelines", "ombudsman", "dignity"]
+    "keywords": ["working conditions", "audits", "coltan", "discrimination", "hot spot analysis", "ILO core labor standards", "child labor", "conflict minerals", "suppliers", "supply chain law", "human rights", "human rights officer", "OECD guidelines", "ombudsman", "dignity"],
+    "description_de": "Maßnahmen und Lösungen zur Sicherung der Menschenrechte in der Lieferkette.",
+    "keywords_de": ["Arbeitsbedingungen", "Audits", "Coltan", "Diskriminierung", "Hotspot-Analyse", "ILO-Kernarbeitsnormen", "Kinderarbeit", "Konfliktmineralien", "Lieferanten", "Lieferkettengesetz", "Menschenrechte", "Menschenrechtsbeauftragter", "OECD-Leitsätze", "Ombudsperson", "Würde"]
   },
   "inclusion": {
     "description": "Actions and solutions for barrier-free use and inclusion of diverse user groups.",
-    "keywords": ["Barrier-free", "anti-discrimination", "barrier-free use", "disability", "equal opportunities", "diversity", "easy access", "empowerment", "equal rights", "inclusion", "integration", "products for older people", "participation", "tolerance", "diversity"]
+    "keywords": ["Barrier-free", "anti-discrimination", "barrier-free use", "disability", "equal opportunities", "diversity", "easy access", "empowerment", "equal rights", "inclusion", "integration", "products for older people", "participation", "tolerance"],
+    "description_de": "Maßnahmen und Lösungen für eine barrierefreie Nutzung und die Inklusion vielfältiger Nutzergruppen.",
+    "keywords_de": ["barrierefrei", "Antidiskriminierung", "barrierefreie Nutzung", "Behinderung", "Chancengleichheit", "Diversität", "einfacher Zugang", "Empowerment", "Gleichberechtigung", "Inklusion", "Integration", "Produkte für Ältere", "Teilhabe", "Toleranz"]
   },
   "industrial_processes": {
     "description": "Actions and solutions for transformation into climate-neutral industrial processes.",
-    "keywords": ["Adipic acid production", "Aluminium emissions", "Ammonia production", "Workforce", "Automation", "Direct emissions", "Manufacturing technology", "Fugitive emissions", "Green steel", "HFC", "Refrigerants", "Coolants", "Process emissions", "Process optimization", "Quality assurance"]
+    "keywords": ["Adipic acid production", "Aluminium emissions", "Ammonia production", "Workforce", "Automation", "Direct emissions", "Manufacturing technology", "Fugitive emissions", "Green steel", "HFC", "Refrigerants", "Coolants", "Process emissions", "Process optimization", "Quality assurance"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu klimaneutralen Industrieprozessen.",
+    "keywords_de": ["Adipinsäureherstellung", "Aluminiumemissionen", "Ammoniakherstellung", "Belegschaft", "Automatisierung", "direkte Emissionen", "Fertigungstechnik", "flüchtige Emissionen", "grüner Stahl", "HFKW", "Kältemittel", "Kühlmittel", "Prozessemissionen", "Prozessoptimierung", "Qualitätssicherung"]
   },
   "land_sealing": {
     "description": "Actions and solutions for unsealing and renaturalizing land and minimizing land consumption.",
-    "keywords": ["asphalt", "heating", "building upwards", "greening", "concrete", "biotopes", "soil sealing", "unsealing", "land release", "land consumption", "green spaces", "redensification", "renaturation", "infiltration", "sealing"]
+    "keywords": ["asphalt", "heating", "building upwards", "greening", "concrete", "biotopes", "soil sealing", "unsealing", "land release", "land consumption", "green spaces", "redensification", "renaturation", "infiltration", "sealing"],
+    "description_de": "Maßnahmen und Lösungen für die Entsiegelung und Renaturierung von Flächen und die Minimierung des Flächenverbrauchs.",
+    "keywords_de": ["Asphalt", "Heizung", "Aufstockung", "Begrünung", "Beton", "Biotope", "Bodenversiegelung", "Entsiegelung", "Flächenfreigabe", "Flächenverbrauch", "Grünflächen", "Nachverdichtung", "Renaturierung", "Versickerung", "Versiegelung"]
   },
   "lifestyles": {
     "description": "Actions and solutions for the transformation to a climate-neutral, sustainable lifestyle.",
-    "keywords": ["Mindfulness", "conscious consumption", "degrowth", "nutrition", "fitness", "frugality", "quality of life", "lifestyle", "lifestyle of health and sustainability", "LOHAS", "using instead of owning", "reduction", "sufficiency", "vegan lifestyle", "zero waste lifestyle"]
+    "keywords": ["Mindfulness", "conscious consumption", "degrowth", "nutrition", "fitness", "frugality", "quality of life", "lifestyle", "lifestyle of health and sustainability", "LOHAS", "using instead of owning", "reduction", "sufficiency", "vegan lifestyle", "zero waste lifestyle"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einem klimaneutralen, nachhaltigen Lebensstil.",
+    "keywords_de": ["Achtsamkeit", "bewusster Konsum", "Degrowth", "Ernährung", "Fitness", "Genügsamkeit", "Lebensqualität", "Lebensstil", "Lifestyle of Health and Sustainability", "LOHAS", "Nutzen statt Besitzen", "Reduktion", "Suffizienz", "veganer Lebensstil", "Zero-Waste-Lebensstil"]
   },
   "materials": {
     "description": "Actions and solutions to transform to a circular economy with sustainable, durable, reusable circular materials.",
-    "keywords": ["Biobased materials", "bioplastics", "biomaterials", "bioeconomy", "circular materials", "renewable raw materials", "feedstock", "wood", "circular materials", "durable materials", "PLA", "Re-PET", "recyclable materials", "recyclate", "secondary raw materials"]
+    "keywords": ["Biobased materials", "bioplastics", "biomaterials", "bioeconomy", "circular materials", "renewable raw materials", "feedstock", "wood", "durable materials", "PLA", "Re-PET", "recyclable materials", "recyclate", "secondary raw materials"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer Kreislaufwirtschaft mit nachhaltigen, langlebigen, wiederverwendbaren zirkulären Materialien.",
+    "keywords_de": ["biobasierte Materialien", "Biokunststoffe", "Biomaterialien", "Bioökonomie", "zirkuläre Materialien", "nachwachsende Rohstoffe", "Ausgangsmaterial", "Holz", "langlebige Materialien", "PLA", "Re-PET", "recyclingfähige Materialien", "Rezyklat", "Sekundärrohstoffe"]
   },
   "mobility_and_travel": {
     "description": "Commentary of the greenhouse gas emissions in the corporate carbon footprint.",
-    "keywords": ["Car", "Bahncard", "rail travel", "bus", "car sharing", "coworking", "company bike", "company car", "e-fuels", "e-mobility", "electric vehicles", "electromobility", "green hotels", "home office", "charging station"]
+    "keywords": ["Car", "Bahncard", "rail travel", "bus", "car sharing", "coworking", "company bike", "company car", "e-fuels", "e-mobility", "electric vehicles", "electromobility", "green hotels", "home office", "charging station"],
+    "description_de": "Kommentierung der Treibhausgasemissionen im Corporate Carbon Footprint.",
+    "keywords_de": ["Auto", "Bahncard", "Bahnreisen", "Bus", "Carsharing", "Coworking", "Dienstrad", "Dienstwagen", "E-Fuels", "E-Mobilität", "Elektrofahrzeuge", "Elektromobilität", "grüne Hotels", "Homeoffice", "Ladestation"]
   },
   "occupational_safety_and_health": {
     "description": "Actions and solutions for occupational safety, health and safety in the company.",
-    "keywords": ["Occupational health and safety", "occupational safety", "occupational accidents", "lost days", "EHS Environmen", "health", "safety", "ergonomics", "hazard prevention", "protective clothing", "SHE safety", "health and environmental protection", "safety officers", "safety measures", "safety training", "stress prevention", "accident prevention", "accident prevention"]
+    "keywords": ["Occupational health and safety", "occupational safety", "occupational accidents", "lost days", "EHS Environmen", "health", "safety", "ergonomics", "hazard prevention", "protective clothing", "SHE safety", "health and environmental protection", "safety officers", "safety measures", "safety training", "stress prevention", "accident prevention"],
+    "description_de": "Maßnahmen und Lösungen für Arbeitssicherheit und Gesundheitsschutz im Unternehmen.",
+    "keywords_de": ["Arbeits- und Gesundheitsschutz", "Arbeitssicherheit", "Arbeitsunfälle", "Ausfalltage", "EHS Environment Health Safety", "Gesundheit", "Sicherheit", "Ergonomie", "Gefahrenprävention", "Schutzkleidung", "SHE Sicherheit", "Gesundheits- und Umweltschutz", "Sicherheitsbeauftragte", "Sicherheitsmaßnahmen", "Sicherheitsschulung", "Stressprävention", "Unfallverhütung"]
   },
   "packaging": {
     "description": "Actions and solutions for transforming packaging into unpackaging, reusable and recyclable solutions.",
-    "keywords": ["separable packaging", "home filling", "cardboard packaging", "reusable", "refillable packaging", "paper packaging", "plastic-free", "recyclable", "recyclable material", "return", "single-variety", "transport boxes", "unpackaged", "packaging recycling", "packaging avoidance"]
+    "keywords": ["separable packaging", "home filling", "cardboard packaging", "reusable", "refillable packaging", "paper packaging", "plastic-free", "recyclable", "recyclable material", "return", "single-variety", "transport boxes", "unpackaged", "packaging recycling", "packaging avoidance"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation von Verpackungen zu unverpackten, wiederverwendbaren und recyclingfähigen Lösungen.",
+    "keywords_de": ["trennbare Verpackung", "Abfüllen zu Hause", "Kartonverpackung", "Mehrweg", "nachfüllbare Verpackung", "Papierverpackung", "plastikfrei", "recyclingfähig", "recyclingfähiges Material", "Rückgabe", "sortenrein", "Transportboxen", "unverpackt", "Verpackungsrecycling", "Verpackungsvermeidung"]
   },
   "paper_and_digital": {
     "description": "Actions and solutions for transformation to digital processes and sustainable paper use.",
-    "keywords": ["Blue Angel paper", "digital filing", "digital file", "digital processes", "digital working", "printing", "FSC mix", "FSC paper", "sustainable paper", "paperless processes", "paperless working", "paper saving", "tablet", "recycled paper", "environmental colors"]
+    "keywords": ["Blue Angel paper", "digital filing", "digital file", "digital processes", "digital working", "printing", "FSC mix", "FSC paper", "sustainable paper", "paperless processes", "paperless working", "paper saving", "tablet", "recycled paper", "environmental colors"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu digitalen Prozessen und eine nachhaltige Papiernutzung.",
+    "keywords_de": ["Blauer-Engel-Papier", "digitale Ablage", "digitale Akte", "digitale Prozesse", "digitales Arbeiten", "Drucken", "FSC Mix", "FSC-Papier", "nachhaltiges Papier", "papierlose Prozesse", "papierloses Arbeiten", "Papiereinsparung", "Tablet", "Recyclingpapier", "Umweltfarben"]
   },
   "plant_based_nutrition": {
     "description": "Actions and solutions for transformation to a majority plant-based diet.",
-    "keywords": ["organic", "vegetables", "healthy", "oats", "in-vitro", "fruit", "oils", "plant-based diet", "proteins", "animal-friendly", "tofu", "vegan", "vegetarian", "veggie day", "whole grain"]
+    "keywords": ["organic", "vegetables", "healthy", "oats", "in-vitro", "fruit", "oils", "plant-based diet", "proteins", "animal-friendly", "tofu", "vegan", "vegetarian", "veggie day", "whole grain"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer überwiegend pflanzlichen Ernährung.",
+    "keywords_de": ["Bio", "Gemüse", "gesund", "Hafer", "In-vitro", "Obst", "Öle", "pflanzliche Ernährung", "Proteine", "tierfreundlich", "Tofu", "vegan", "vegetarisch", "Veggie-Day", "Vollkorn"]
   },
   "pollution_to_air": {
     "description": "Actions and solutions for clean air and minimization of air pollution.",
-    "keywords": ["Exhaust gases", "exhaust gas purification", "respiratory pollution", "Dieselgate", "emission measurement", "particulate matter", "FP10", "FP2.5", "air filter", "air quality", "air purification", "air pollution", "ozone", "sulphur", "smog"]
+    "keywords": ["Exhaust gases", "exhaust gas purification", "respiratory pollution", "Dieselgate", "emission measurement", "particulate matter", "FP10", "FP2.5", "air filter", "air quality", "air purification", "air pollution", "ozone", "sulphur", "smog"],
+    "description_de": "Maßnahmen und Lösungen für saubere Luft und die Minimierung von Luftverschmutzung.",
+    "keywords_de": ["Abgase", "Abgasreinigung", "Atemwegsbelastung", "Dieselgate", "Emissionsmessung", "Feinstaub", "FP10", "FP2.5", "Luftfilter", "Luftqualität", "Luftreinigung", "Luftverschmutzung", "Ozon", "Schwefel", "Smog"]
   },
   "pollution_to_soil": {
     "description": "Actions and solutions for the regeneration of soils and minimization of pollutant inputs.",
-    "keywords": ["Leached soils", "soil regeneration", "soil protection", "soil contamination", "fertilizers", "fungicides", "groundwater protection", "herbicides", "agricultural overuse", "sustainable agriculture", "nitrate in groundwater", "permaculture", "pesticides", "plant protection products", "overfertilization"]
+    "keywords": ["Leached soils", "soil regeneration", "soil protection", "soil contamination", "fertilizers", "fungicides", "groundwater protection", "herbicides", "agricultural overuse", "sustainable agriculture", "nitrate in groundwater", "permaculture", "pesticides", "plant protection products", "overfertilization"],
+    "description_de": "Maßnahmen und Lösungen für die Regeneration von Böden und die Minimierung von Schadstoffeinträgen.",
+    "keywords_de": ["ausgelaugte Böden", "Bodenregeneration", "Bodenschutz", "Bodenbelastung", "Düngemittel", "Fungizide", "Grundwasserschutz", "Herbizide", "landwirtschaftliche Übernutzung", "nachhaltige Landwirtschaft", "Nitrat im Grundwasser", "Permakultur", "Pestizide", "Pflanzenschutzmittel", "Überdüngung"]
   },
   "pollution_to_water": {
     "description": "Actions and solutions for clean rivers, oceans and groundwater, and minimization of pollutant inputs and plastics in water.",
-    "keywords": ["Waste water", "chemicals in rivers", "fish mortality", "water protection", "hormonal substances", "sewage treatment plant", "marine plastic", "microplastics", "ocean plastic", "plastic soup", "plastic waste", "drinking water protection", "river pollution", "ocean pollution", "water pollution"]
+    "keywords": ["Waste water", "chemicals in rivers", "fish mortality", "water protection", "hormonal substances", "sewage treatment plant", "marine plastic", "microplastics", "ocean plastic", "plastic soup", "plastic waste", "drinking water protection", "river pollution", "ocean pollution", "water pollution"],
+    "description_de": "Maßnahmen und Lösungen für saubere Flüsse, Meere und Grundwasser und die Minimierung von Schadstoff- und Plastikeinträgen in Gewässer.",
+    "keywords_de": ["Abwasser", "Chemikalien in Flüssen", "Fischsterben", "Gewässerschutz", "hormonelle Stoffe", "Kläranlage", "Meeresplastik", "Mikroplastik", "Ozeanplastik", "Plastiksuppe", "Plastikmüll", "Trinkwasserschutz", "Flussverschmutzung", "Meeresverschmutzung", "Wasserverschmutzung"]
   },
   "professional_education": {
     "description": "Actions and solutions for further training and qualification of employees in the company.",
-    "keywords": ["Academy", "training", "trainees", "employability", "education", "further education", "university cooperation", "lifelong learning", "learning platform", "employee development", "online training", "qualification", "training", "further education", "knowledge management"]
+    "keywords": ["Academy", "training", "trainees", "employability", "education", "further education", "university cooperation", "lifelong learning", "learning platform", "employee development", "online training", "qualification", "knowledge management"],
+    "description_de": "Maßnahmen und Lösungen für die Weiterbildung und Qualifizierung von Mitarbeitenden im Unternehmen.",
+    "keywords_de": ["Akademie", "Ausbildung", "Auszubildende", "Beschäftigungsfähigkeit", "Bildung", "Weiterbildung", "Hochschulkooperation", "lebenslanges Lernen", "Lernplattform", "Mitarbeiterentwicklung", "Online-Schulung", "Qualifizierung", "Wissensmanagement"]
   },
   "regional_impact": {
     "description": "Actions and solutions for a positive, social impact at the company´s site locations.",
-    "keywords": ["Promoting education", "Corporate volunteering", "Commitment at the location", "Commitment to the community", "Families", "Support. Donations", "Home", "Helps", "Cooperation with schools", "Cultural promotion", "Local cooperation", "Neighborhood", "Regional impact", "Sports promotion", "Sports club"]
+    "keywords": ["Promoting education", "Corporate volunteering", "Commitment at the location", "Commitment to the community", "Families", "Support. Donations", "Home", "Helps", "Cooperation with schools", "Cultural promotion", "Local cooperation", "Neighborhood", "Regional impact", "Sports promotion", "Sports club"],
+    "description_de": "Maßnahmen und Lösungen für eine positive soziale Wirkung an den Standorten des Unternehmens.",
+    "keywords_de": ["Bildungsförderung", "Corporate Volunteering", "Engagement am Standort", "Engagement für die Gemeinschaft", "Familien", "Förderung, Spenden", "Heimat", "Hilfe", "Kooperation mit Schulen", "Kulturförderung", "lokale Kooperation", "Nachbarschaft", "regionale Wirkung", "Sportförderung", "Sportverein"]
   },
   "renewable_energies": {
     "description": "Actions and solutions for the transformation to an energy system based on renewable energies.",
-    "keywords": ["Biogas", "biomass", "renewable energy", "geothermal energy", "offshore", "green gas", "green electricity", "photovoltaics", "smart meter", "PPA", "PV", "smart grid", "solar", "water", "wind"]
+    "keywords": ["Biogas", "biomass", "renewable energy", "geothermal energy", "offshore", "green gas", "green electricity", "photovoltaics", "smart meter", "PPA", "PV", "smart grid", "solar", "water", "wind"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einem Energiesystem auf Basis erneuerbarer Energien.",
+    "keywords_de": ["Biogas", "Biomasse", "erneuerbare Energie", "Geothermie", "Offshore", "grünes Gas", "Ökostrom", "Photovoltaik", "Smart Meter", "PPA", "PV", "Smart Grid", "Solar", "Wasserkraft", "Wind"]
   },
   "resource_efficiency": {
     "description": "Actions and solutions for transformation to a resource-efficient economy and society.",
-    "keywords": ["Waste minimization", "energy efficiency", "filling sizes", "cavities", "input materials", "circular economy", "material output", "material efficiency", "material-saving design", "production waste", "resource efficiency", "cutting optimization", "packaging reduction", "waste cuttings", "reuse"]
+    "keywords": ["Waste minimization", "energy efficiency", "filling sizes", "cavities", "input materials", "circular economy", "material output", "material efficiency", "material-saving design", "production waste", "resource efficiency", "cutting optimization", "packaging reduction", "waste cuttings", "reuse"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer ressourceneffizienten Wirtschaft und Gesellschaft.",
+    "keywords_de": ["Abfallminimierung", "Energieeffizienz", "Füllmengen", "Hohlräume", "Einsatzstoffe", "Kreislaufwirtschaft", "Materialausbeute", "Materialeffizienz", "materialsparendes Design", "Produktionsabfälle", "Ressourceneffizienz", "Verschnittoptimierung", "Verpackungsreduktion", "Verschnitt", "Wiederverwendung"]
   },
   "reuse_and_recycling": {
     "description": "Actions and solutions for the reuse and recycling of materials in the circular economy.",
-    "keywords": ["Refurbishment", "composting", "circular economy", "waste separation", "recycling", "refurbish", "repair", "resource conservation", "reuse", "collection", "second hand", "sorting", "exchange circles", "upcycling", "reuse"]
+    "keywords": ["Refurbishment", "composting", "circular economy", "waste separation", "recycling", "refurbish", "repair", "resource conservation", "reuse", "collection", "second hand", "sorting", "exchange circles", "upcycling"],
+    "description_de": "Maßnahmen und Lösungen für die Wiederverwendung und das Recycling von Materialien in der Kreislaufwirtschaft.",
+    "keywords_de": ["Aufbereitung", "Kompostierung", "Kreislaufwirtschaft", "Mülltrennung", "Recycling", "Refurbish", "Reparatur", "Ressourcenschonung", "Wiederverwendung", "Sammlung", "Second Hand", "Sortierung", "Tauschkreise", "Upcycling"]
   },
   "sharing": {
     "description": "Actions and solutions for the transformation into a sharing economy with the sharing and better utilization of resources.",
-    "keywords": ["asset use", "asset sharing", "car sharing", "collaboration", "collective", "dual use", "rental solution", "multi-use", "pool vehicles", "reciprocity", "room sharing", "sharing culture", "sharing economy", "sharing solution", "sharing models"]
+    "keywords": ["asset use", "asset sharing", "car sharing", "collaboration", "collective", "dual use", "rental solution", "multi-use", "pool vehicles", "reciprocity", "room sharing", "sharing culture", "sharing economy", "sharing solution", "sharing models"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer Sharing Economy mit dem Teilen und der besseren Auslastung von Ressourcen.",
+    "keywords_de": ["Anlagennutzung", "Asset Sharing", "Carsharing", "Kollaboration", "Kollektiv", "Doppelnutzung", "Mietlösung", "Mehrfachnutzung", "Poolfahrzeuge", "Gegenseitigkeit", "Raumteilung", "Sharing-Kultur", "Sharing Economy", "Sharing-Lösung", "Sharing-Modelle"]
   },
   "smart_grid": {
     "description": "Actions and solutions for the expansion of smart grids for the energy transition.",
-    "keywords": ["black-out", "decentralized grids", "transmission", "underground cable", "intelligent grid", "load management", "microgrid", "grid expansion", "offshore connection", "prosumer", "neighbourhood grid", "smart grid", "smart meter", "electricity grid", "heating grid"]
+    "keywords": ["black-out", "decentralized grids", "transmission", "underground cable", "intelligent grid", "load management", "microgrid", "grid expansion", "offshore connection", "prosumer", "neighbourhood grid", "smart grid", "smart meter", "electricity grid", "heating grid"],
+    "description_de": "Maßnahmen und Lösungen für den Ausbau intelligenter Stromnetze für die Energiewende.",
+    "keywords_de": ["Blackout", "dezentrale Netze", "Übertragung", "Erdkabel", "intelligentes Netz", "Lastmanagement", "Microgrid", "Netzausbau", "Offshore-Anbindung", "Prosumer", "Quartiersnetz", "Smart Grid", "Smart Meter", "Stromnetz", "Wärmenetz"]
   },
   "smart_home": {
     "description": "Actions and solutions for smart, demand-driven and energy-saving use of household appliances.",
-    "keywords": ["Switch-off sockets", "presence control", "lighting concept", "motion detector", "digital home", "digitally networked building", "energy management", "remote control", "building control", "building technology", "home automation", "smart home", "smart devices", "smart heating", "networked household appliances"]
+    "keywords": ["Switch-off sockets", "presence control", "lighting concept", "motion detector", "digital home", "digitally networked building", "energy management", "remote control", "building control", "building technology", "home automation", "smart home", "smart devices", "smart heating", "networked household appliances"],
+    "description_de": "Maßnahmen und Lösungen für eine intelligente, bedarfsgerechte und energiesparende Nutzung von Haushaltsgeräten.",
+    "keywords_de": ["abschaltbare Steckdosen", "Präsenzsteuerung", "Lichtkonzept", "Bewegungsmelder", "digitales Zuhause", "digital vernetztes Gebäude", "Energiemanagement", "Fernsteuerung", "Gebäudesteuerung", "Gebäudetechnik", "Hausautomation", "Smart Home", "smarte Geräte", "smarte Heizung", "vernetzte Haushaltsgeräte"]
   },
   "social_cohesion": {
     "description": "Actions and solutions for social cohesion in society.",
-    "keywords": ["Education", "opportunities", "permeability", "community", "public spirit", "generations", "justice", "integration", "respect", "solidarity", "urban and rural areas", "participation", "tolerance", "fewer inequalities", "cohesion"]
+    "keywords": ["Education", "opportunities", "permeability", "community", "public spirit", "generations", "justice", "integration", "respect", "solidarity", "urban and rural areas", "participation", "tolerance", "fewer inequalities", "cohesion"],
+    "description_de": "Maßnahmen und Lösungen für den sozialen Zusammenhalt in der Gesellschaft.",
+    "keywords_de": ["Bildung", "Chancen", "Durchlässigkeit", "Gemeinschaft", "Gemeinsinn", "Generationen", "Gerechtigkeit", "Integration", "Respekt", "Solidarität", "Stadt und Land", "Teilhabe", "Toleranz", "weniger Ungleichheit", "Zusammenhalt"]
   },
   "social_development": {
     "description": "Actions and solutions for supply chain transformation as a core factor for social development in the participating companies and countries.",
-    "keywords": ["Jobs", "Poverty", "Promotion to middle class", "Empowerment", "Education program", "Equal opportunities", "Empowerment", "Community development", "Development cooperation", "Development partnerships", "Development projects", "Social development", "Social mobility", "Social standards in producer countries", "Social impact"]
+    "keywords": ["Jobs", "Poverty", "Promotion to middle class", "Empowerment", "Education program", "Equal opportunities", "Community development", "Development cooperation", "Development partnerships", "Development projects", "Social development", "Social mobility", "Social standards in producer countries", "Social impact"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation der Lieferkette als Kernfaktor für die soziale Entwicklung in den beteiligten Unternehmen und Ländern.",
+    "keywords_de": ["Arbeitsplätze", "Armut", "Aufstieg in die Mittelschicht", "Empowerment", "Bildungsprogramm", "Chancengleichheit", "Gemeindeentwicklung", "Entwicklungszusammenarbeit", "Entwicklungspartnerschaften", "Entwicklungsprojekte", "soziale Entwicklung", "soziale Mobilität", "Sozialstandards in Erzeugerländern", "soziale Wirkung"]
   },
   "social_impact": {
     "description": "Actions and solutions with a positive social impact on end customers.",
-    "keywords": ["Empowerment", "Empowerment", "Engagement", "Community", "Health", "Participation", "Solidarity", "Social Business", "Social Entrepreneurship", "Social Impact", "Social Empowerment", "Social Development", "Social Projects", "Social Impact", "Social Entrepreneurship"]
+    "keywords": ["Empowerment", "Engagement", "Community", "Health", "Participation", "Solidarity", "Social Business", "Social Entrepreneurship", "Social Impact", "Social Empowerment", "Social Development", "Social Projects"],
+    "description_de": "Maßnahmen und Lösungen mit einer positiven sozialen Wirkung für Endkunden.",
+    "keywords_de": ["Empowerment", "Engagement", "Gemeinschaft", "Gesundheit", "Teilhabe", "Solidarität", "Social Business", "Social Entrepreneurship", "Social Impact", "soziales Empowerment", "soziale Entwicklung", "soziale Projekte"]
   },
   "sustainable_agricultural_products": {
     "description": "Actions and solutions for transformation to sustainable, regenerative agriculture using sustainable agricultural products.",
-    "keywords": ["agricultural products", "organic", "biodynamic agriculture", "organic grain", "organic cocoa", "organic farming", "organic", "cereals", "coffee", "cocoa", "organic farming", "permaculture", "regional", "Palmoil", "Roundtable Sustainable"]
+    "keywords": ["agricultural products", "organic", "biodynamic agriculture", "organic grain", "organic cocoa", "organic farming", "cereals", "coffee", "cocoa", "permaculture", "regional", "Palmoil", "Roundtable Sustainable"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer nachhaltigen, regenerativen Landwirtschaft mit nachhaltigen Agrarprodukten.",
+    "keywords_de": ["Agrarprodukte", "Bio", "biodynamische Landwirtschaft", "Bio-Getreide", "Bio-Kakao", "ökologischer Landbau", "Getreide", "Kaffee", "Kakao", "Permakultur", "regional", "Palmöl", "Roundtable Sustainable"]
   },
   "sustainable_finance": {
     "description": "Actions and solutions for financing climate protection and sustainability.",
-    "keywords": ["Exclusion sectors", "exclusion criteria", "ESG", "ethical investment", "green bond", "green finance", "green bond", "green investments", "green insurance", "impact investment", "climate fund", "sustainability fund", "rating", "sustainable finance", "taxonomy"]
+    "keywords": ["Exclusion sectors", "exclusion criteria", "ESG", "ethical investment", "green bond", "green finance", "green investments", "green insurance", "impact investment", "climate fund", "sustainability fund", "rating", "sustainable finance", "taxonomy"],
+    "description_de": "Maßnahmen und Lösungen für die Finanzierung von Klimaschutz und Nachhaltigkeit.",
+    "keywords_de": ["Ausschlussbranchen", "Ausschlusskriterien", "ESG", "ethische Geldanlage", "Green Bond", "Green Finance", "grüne Investments", "grüne Versicherung", "Impact Investment", "Klimafonds", "Nachhaltigkeitsfonds", "Rating", "Sustainable Finance", "Taxonomie"]
   },
   "sustainable_food": {
     "description": "Actions and solutions for transformation towards sustainable food e.g. plant-based, bio-based, seasonal, regional without waste.",
-    "keywords": ["Organic", "organic agricultural raw materials", "organic farming", "organic food", "organic products", "demeter", "fair trade", "meat-free", "healthy", "sustainable agriculture", "sustainable food", "Naturland", "no additives", "organic farming", "regenerative agriculture"]
+    "keywords": ["Organic", "organic agricultural raw materials", "organic farming", "organic food", "organic products", "demeter", "fair trade", "meat-free", "healthy", "sustainable agriculture", "sustainable food", "Naturland", "no additives", "regenerative agriculture"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu nachhaltigen Lebensmitteln, z. B. pflanzlich, biologisch, saisonal, regional und ohne Verschwendung.",
+    "keywords_de": ["Bio", "ökologische Agrarrohstoffe", "ökologischer Landbau", "Bio-Lebensmittel", "Bio-Produkte", "Demeter", "fairer Handel", "fleischfrei", "gesund", "nachhaltige Landwirtschaft", "nachhaltige Ernährung", "Naturland", "ohne Zusatzstoffe", "regenerative Landwirtschaft"]
   },
   "sustainable_forestry": {
     "description": "Actions and solutions for transformation to sustainable, regenerative agriculture using sustainable agricultural products.",
-    "keywords": ["agroforestry", "reforestation", "tree planting", "planting", "biodiversity", "drone monitoring", "forestry", "FSC", "wood processing", "climate-resistant varieties", "sustainable forestry", "Schulz before deforestation", "rainforest", "forest use", "forest protection"]
+    "keywords": ["agroforestry", "reforestation", "tree planting", "planting", "biodiversity", "drone monitoring", "forestry", "FSC", "wood processing", "climate-resistant varieties", "sustainable forestry", "Schulz before deforestation", "rainforest", "forest use", "forest protection"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer nachhaltigen, regenerativen Landwirtschaft mit nachhaltigen Agrarprodukten.",
+    "keywords_de": ["Agroforst", "Aufforstung", "Baumpflanzung", "Bepflanzung", "Biodiversität", "Drohnenmonitoring", "Forstwirtschaft", "FSC", "Holzverarbeitung", "klimaresistente Sorten", "nachhaltige Forstwirtschaft", "Schutz vor Abholzung", "Regenwald", "Waldnutzung", "Waldschutz"]
   },
   "transportation": {
     "description": "Actions and solutions for the transformation to climate-neutral transport.",
-    "keywords": ["Car", "rail", "bus", "CO2-neutral fuels", "e-truck", "emission-free drives", "bicycle", "airplane", "fuel saving", "lightweight construction", "logistics", "ship", "transport", "traffic", "train"]
+    "keywords": ["Car", "rail", "bus", "CO2-neutral fuels", "e-truck", "emission-free drives", "bicycle", "airplane", "fuel saving", "lightweight construction", "logistics", "ship", "transport", "traffic", "train"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu klimaneutralem Verkehr.",
+    "keywords_de": ["Auto", "Schiene", "Bus", "CO2-neutrale Kraftstoffe", "E-Lkw", "emissionsfreie Antriebe", "Fahrrad", "Flugzeug", "Kraftstoffeinsparung", "Leichtbau", "Logistik", "Schiff", "Transport", "Verkehr", "Zug"]
   },
   "waste_and_emissions": {
     "description": "Actions and solutions to minimize residual waste and waste-related emissions.",
-    "keywords": ["Waste and incineration", "Waste pollutants", "Waste disposal", "Landfill gas separation", "Landfill gases", "Landfill closure", "Emissions", "Hazardous waste", "Combined heat and power plant", "Air pollution", "Waste separation", "Waste incineration", "Recycling", "Recycling of residual materials", "Thermal utilization"]
+    "keywords": ["Waste and incineration", "Waste pollutants", "Waste disposal", "Landfill gas separation", "Landfill gases", "Landfill closure", "Emissions", "Hazardous waste", "Combined heat and power plant", "Air pollution", "Waste separation", "Waste incineration", "Recycling", "Recycling of residual materials", "Thermal utilization"],
+    "description_de": "Maßnahmen und Lösungen zur Minimierung von Restabfällen und abfallbedingten Emissionen.",
+    "keywords_de": ["Abfall und Verbrennung", "Abfallschadstoffe", "Abfallentsorgung", "Deponiegasabscheidung", "Deponiegase", "Deponieschließung", "Emissionen", "gefährliche Abfälle", "Blockheizkraftwerk", "Luftverschmutzung", "Mülltrennung", "Müllverbrennung", "Recycling", "Recycling von Reststoffen", "thermische Verwertung"]
   },
   "waste_prevention": {
     "description": "Actions and solutions for the transformation to a zero-waste circular economy.",
-    "keywords": ["Waste reduction", "waste avoidance", "organic waste", "blue garbage can", "yellow garbage can", "circular economy", "reusable", "waste incineration", "waste avoidance", "recycling", "recycling rates", "resource conservation", "reduction", "upcycling", "zero waste"]
+    "keywords": ["Waste reduction", "waste avoidance", "organic waste", "blue garbage can", "yellow garbage can", "circular economy", "reusable", "waste incineration", "recycling", "recycling rates", "resource conservation", "reduction", "upcycling", "zero waste"],
+    "description_de": "Maßnahmen und Lösungen für die Transformation zu einer Zero-Waste-Kreislaufwirtschaft.",
+    "keywords_de": ["Abfallreduktion", "Abfallvermeidung", "Bioabfall", "Blaue Tonne", "Gelbe Tonne", "Kreislaufwirtschaft", "Mehrweg", "Müllverbrennung", "Recycling", "Recyclingquoten", "Ressourcenschonung", "Reduktion", "Upcycling", "Zero Waste"]
   },
   "water_conservation": {
     "description": "Actions and solutions for minimizing water consumption and sustainable water use.",
-    "keywords": ["Grey water", "rainwater harvesting", "economical fittings", "drip irrigation", "virtual water", "water metering", "water efficiency", "water footprint", "water leaks", "water-saving shower head", "water-saving aerators", "water saving", "water stress area", "water losses", "toilet saving buttons"]
+    "keywords": ["Grey water", "rainwater harvesting", "economical fittings", "drip irrigation", "virtual water", "water metering", "water efficiency", "water footprint", "water leaks", "water-saving shower head", "water-saving aerators", "water saving", "water stress area", "water losses", "toilet saving buttons"],
+    "description_de": "Maßnahmen und Lösungen für die Minimierung des Wasserverbrauchs und eine nachhaltige Wassernutzung.",
+    "keywords_de": ["Grauwasser", "Regenwassernutzung", "Spararmaturen", "Tröpfchenbewässerung", "virtuelles Wasser", "Wasserzähler", "Wassereffizienz", "Wasser-Fußabdruck", "Wasserlecks", "wassersparender Duschkopf", "Perlatoren", "Wassersparen", "Wasserstressgebiet", "Wasserverluste", "Spartaste WC"]
   },
   "water_cycles": {
     "description": "Actions and solutions for establishing and closing water cycles.",
-    "keywords": ["Wastewater treatment", "Biological treatment", "Closed water cycle", "Sewer network", "Sewage treatment plant", "Local water cycle", "Seawater desalination", "Water treatment", "Water filtration", "Water cycle", "Water network", "Water purification", "Water supply", "Water recovery", "Water reuse"]
+    "keywords": ["Wastewater treatment", "Biological treatment", "Closed water cycle", "Sewer network", "Sewage treatment plant", "Local water cycle", "Seawater desalination", "Water treatment", "Water filtration", "Water cycle", "Water network", "Water purification", "Water supply", "Water recovery", "Water reuse"],
+    "description_de": "Maßnahmen und Lösungen für den Aufbau und die Schließung von Wasserkreisläufen.",
+    "keywords_de": ["Abwasserbehandlung", "biologische Reinigung", "geschlossener Wasserkreislauf", "Kanalnetz", "Kläranlage", "lokaler Wasserkreislauf", "Meerwasserentsalzung", "Wasseraufbereitung", "Wasserfiltration", "Wasserkreislauf", "Wassernetz", "Wasserreinigung", "Wasserversorgung", "Wasserrückgewinnung", "Wasserwiederverwendung"]
   },
   "water_storage": {
     "description": "Actions and solutions for sustainable water storage.",
-    "keywords": ["catchment basin", "soil storage", "dams", "surface unsealing", "groundwater", "rainwater storage", "reservoir", "retention basin", "sponge city", "storage basin", "reservoirs", "water reservoir", "water storage", "water tanks", "water supply"]
+    "keywords": ["catchment basin", "soil storage", "dams", "surface unsealing", "groundwater", "rainwater storage", "reservoir", "retention basin", "sponge city", "storage basin", "reservoirs", "water reservoir", "water storage", "water tanks", "water supply"],
+    "description_de": "Maßnahmen und Lösungen für eine nachhaltige Wasserspeicherung.",
+    "keywords_de": ["Auffangbecken", "Bodenspeicher", "Dämme", "Flächenentsiegelung", "Grundwasser", "Regenwasserspeicher", "Reservoir", "Rückhaltebecken", "Schwammstadt", "Speicherbecken", "Stauseen", "Wasserreservoir", "Wasserspeicherung", "Wassertanks", "Wasserversorgung"]
   },
   "working_conditions": {
     "description": "Actions and solutions for socially sustainable working conditions for employees.",
-    "keywords": ["4-day week", "6-hour day", "working conditions", "workload", "job security", "working hours", "working atmosphere", "works council", "bonus", "flexible working hours", "fringe benefits", "equal treatment", "home office", "wages and salaries", "social standards"]
+    "keywords": ["4-day week", "6-hour day", "working conditions", "workload", "job security", "working hours", "working atmosphere", "works council", "bonus", "flexible working hours", "fringe benefits", "equal treatment", "home office", "wages and salaries", "social standards"],
+    "description_de": "Maßnahmen und Lösungen für sozial nachhaltige Arbeitsbedingungen für Mitarbeitende.",
+    "keywords_de": ["4-Tage-Woche", "6-Stunden-Tag", "Arbeitsbedingungen", "Arbeitsbelastung", "Arbeitsplatzsicherheit", "Arbeitszeiten", "Betriebsklima", "Betriebsrat", "Bonus", "flexible Arbeitszeiten", "Zusatzleistungen", "Gleichbehandlung", "Homeoffice", "Löhne und Gehälter", "Sozialstandards"]
   }
 };
 
 /**
  * Get the description for a specific criterion
  * @param {string} criterionId - The ID of the criterion
+ * @param {string} language - 'en' or 'de'; missing German texts fall back to English
  * @returns {Object|null} - Criterion description and keywords or null if not found
  */
-export function getCriterionDescription(criterionId) {
+export function getCriterionDescription(criterionId, language = 'en') {
   const normalizedId = criterionId.toLowerCase().trim();
-  return criteriaDescriptions[normalizedId] || null;
+  return localizeCriterionDescription(criteriaDescriptions[normalizedId], language);
+}
+
+/**
+ * Pick the description and keywords of a language from a description entry
+ * @param {Object|null} entry - Entry with description, keywords, description_de and keywords_de
+ * @param {string} language - 'en' or 'de'; missing German texts fall back to English
+ * @returns {Object|null} - Entry with description and keywords in that language
+ */
+export function localizeCriterionDescription(entry, language = 'en') {
+  if (!entry || language !== 'de') {
+    return entry || null;
+  }
+  
+  return {
+    ...entry,
+    description: entry.description_de || entry.description,
+    keywords: entry.keywords_de?.length ? entry.keywords_de : entry.keywords
+  };
 }
 
 export default {
   criteriaDescriptions,
-  getCriterionDescription
+  getCriterionDescription,
+  localizeCriterionDescription
 };
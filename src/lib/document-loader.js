@@ -0,0 +1,147 @@
+/**
+ * document-loader.js
+ *
+ * This module loads PDF documents for extraction.
+ * It downloads the report, checks it against the API size and page limits,
+ * splits large reports into page-range chunks and turns PDFs into
+ * base64 document content blocks for Claude.
+ */
+
+import fs from 'fs/promises';
+import { PDFDocument } from 'pdf-lib';
+import config from '../config.js';
+import { downloadDocument } from '../downloader.js';
+
+/**
+ * Count the pages of a PDF document
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<number|null>} - Number of pages or null if the PDF cannot be parsed
+ */
+export async function countPdfPages(buffer) {
+  try {
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+    return pdf.getPageCount();
+  } catch (error) {
+    console.warn(`Could not determine PDF page count: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Download a company's PDF report and check it against the document limits
+ * @param {Object} company - Company object with companyId, name and url
+ * @returns {Promise<Object>} - Loaded document or a failure status with a message
+ */
+export async function loadPdfDocument(company) {
+  const { companyId } = company;
+  
+  // Reuse the downloader so documents are cached in data/documents
+  const download = await downloadDocument(company);
+  
+  if (!download.documentPath) {
+    return {
+      status: 'download_failed',
+      message: download.message || 'Document could not be downloaded'
+    };
+  }
+  
+  const buffer = await fs.readFile(download.documentPath);
+  const sizeBytes = buffer.length;
+  const sizeMb = sizeBytes / (1024 * 1024);
+  
+  // Some servers answer with an HTML page instead of the PDF
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return {
+      status: 'invalid_document',
+      documentPath: download.documentPath,
+      sizeBytes,
+      message: 'Downloaded file is not a PDF document'
+    };
+  }
+  
+  if (sizeMb > config.maxPdfSizeMb) {
+    console.warn(`PDF for ${companyId} is ${sizeMb.toFixed(1)} MB, above the ${config.maxPdfSizeMb} MB limit`);
+    return {
+      status: 'document_too_large',
+      documentPath: download.documentPath,
+      buffer,
+      sizeBytes,
+      message: `PDF is ${sizeMb.toFixed(1)} MB (limit ${config.maxPdfSizeMb} MB)`
+    };
+  }
+  
+  const pageCount = await countPdfPages(buffer);
+  
+  if (pageCount !== null && pageCount > config.maxPdfPages) {
+    console.warn(`PDF for ${companyId} has ${pageCount} pages, above the ${config.maxPdfPages} page limit`);
+    return {
+      status: 'document_too_large',
+      documentPath: download.documentPath,
+      buffer,
+      sizeBytes,
+      pageCount,
+      message: `PDF has ${pageCount} pages (limit ${config.maxPdfPages} pages)`
+    };
+  }
+  
+  console.log(`Loaded PDF for ${companyId}: ${sizeMb.toFixed(1)} MB, ${pageCount ?? 'unknown'} pages`);
+  
+  return {
+    status: 'loaded',
+    documentPath: download.documentPath,
+    buffer,
+    sizeBytes,
+    pageCount
+  };
+}
+
+/**
+ * Split a PDF document into chunks of consecutive pages
+ * @param {Buffer} buffer - PDF file contents
+ * @param {number} pagesPerChunk - Maximum number of pages per chunk
+ * @returns {Promise<Array>} - Chunks with 1-based startPage/endPage and the chunk PDF buffer
+ */
+export async function splitPdfIntoChunks(buffer, pagesPerChunk = config.chunkPageSize) {
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const pageCount = source.getPageCount();
+  const chunks = [];
+  
+  for (let start = 0; start < pageCount; start += pagesPerChunk) {
+    const end = Math.min(start + pagesPerChunk, pageCount);
+    const chunkDoc = await PDFDocument.create();
+    const pageIndices = Array.from({ length: end - start }, (_, i) => start + i);
+    const pages = await chunkDoc.copyPages(source, pageIndices);
+    pages.forEach(page => chunkDoc.addPage(page));
+    
+    chunks.push({
+      startPage: start + 1,
+      endPage: end,
+      buffer: Buffer.from(await chunkDoc.save())
+    });
+  }
+  
+  return chunks;
+}
+
+/**
+ * Create a base64 document content block for the Messages API
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Object} - Document content block
+ */
+export function createDocumentBlock(buffer) {
+  return {
+    type: 'document',
+    source: {
+      type: 'base64',
+      media_type: 'application/pdf',
+      data: buffer.toString('base64')
+    }
+  };
+}
+
+export default {
+  countPdfPages,
+  loadPdfDocument,
+  splitPdfIntoChunks,
+  createDocumentBlock
+};
@@ -0,0 +1,242 @@
+/**
+ * dry-run.js
+ *
+ * This module implements `npm start -- --dry-run`. It prepares the extraction
+ * request of every selected company exactly as a real run would (documents are
+ * downloaded to the cache, websites fetched), writes the rendered prompts to
+ * output/dry_run and forecasts the token usage and cost at direct and batch rates.
+ * In batch mode the requests are planned into batches as a real run would plan them.
+ * No Claude API calls are made.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import { ensureDirectoryExists, logToFile } from '../utils.js';
+import { prepareExtractionRequest, buildMessageParams } from './extraction-request.js';
+import { getCacheKey, lookupCachedResult } from './response-cache.js';
+import { PDF_PAGE_IMAGE_TOKENS, estimateRequestTokens, getRequestBytes, planBatches, formatBatchPlan } from './batch-planner.js';
+import tokenTracker from './token-tracker.js';
+
+/**
+ * Replace base64 document data so the request can be saved for review
+ * @param {Object} params - Messages API parameters
+ * @returns {Object} - Parameters with document data replaced by its size
+ */
+function redactDocuments(params) {
+  return {
+    ...params,
+    messages: params.messages.map(message => ({
+      ...message,
+      content: message.content.map(block => block.type === 'document'
+        ? { ...block, source: { ...block.source, data: `<${Buffer.byteLength(block.source.data, 'base64')} bytes>` } }
+        : block)
+    }))
+  };
+}
+
+/**
+ * Write the rendered prompts and request parameters of a company
+ * @param {string} companyDir - Output directory for the company
+ * @param {Array} requests - { name, params } per API request
+ * @returns {Promise<void>}
+ */
+async function writeRenderedRequests(companyDir, requests) {
+  await ensureDirectoryExists(companyDir);
+  
+  for (const { name, params } of requests) {
+    const userText = params.messages[0].content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n');
+    
+    await fs.writeFile(path.join(companyDir, `${name}_system_prompt.txt`), params.system);
+    await fs.writeFile(path.join(companyDir, `${name}_user_prompt.txt`), userText);
+    await fs.writeFile(path.join(companyDir, `${name}_request.json`), JSON.stringify(redactDocuments(params), null, 2));
+  }
+}
+
+/**
+ * Forecast a single company: prepare its request, render the prompts and estimate tokens
+ * @param {Object} company - Company object
+ * @param {boolean} isBatch - Whether the company would be sent in a batch
+ * @param {string} runDir - Output directory of the dry run
+ * @returns {Promise<Object>} - Company forecast
+ */
+async function forecastCompany(company, isBatch, runDir) {
+  const { companyId } = company;
+  const prepared = await prepareExtractionRequest(company, { isBatch });
+  
+  if (prepared.status !== 'ready') {
+    console.log(`Dry run: ${companyId} would not be sent (${prepared.status}: ${prepared.message})`);
+    return { companyId, status: prepared.status, message: prepared.message, requests: 0, bytes: 0, inputTokens: 0, outputTokens: 0, maxOutputTokens: 0 };
+  }
+  
+  // Chunked documents are sent as one request per page range
+  const requests = prepared.chunks
+    ? prepared.chunks.map((chunk, index) => ({ name: `chunk_${index + 1}`, params: buildMessageParams({ ...prepared, ...chunk }) }))
+    : [{ name: 'extraction', params: buildMessageParams(prepared) }];
+  
+  await writeRenderedRequests(path.join(runDir, companyId), requests);
+  
+  // Companies with a cached result would not be sent
+  if (await lookupCachedResult(await getCacheKey(prepared))) {
+    console.log(`Dry run: ${companyId} would be served from the response cache`);
+    return { companyId, status: 'cached', message: 'served from the response cache', requests: 0, bytes: 0, inputTokens: 0, outputTokens: 0, maxOutputTokens: 0 };
+  }
+  
+  let inputTokens = 0;
+  let bytes = 0;
+  for (const { params } of requests) {
+    inputTokens += await estimateRequestTokens(params);
+    bytes += getRequestBytes({ custom_id: companyId, params });
+  }
+  
+  const forecast = {
+    companyId,
+    status: 'ready',
+    extractionMode: prepared.extractionMode,
+    pageCount: prepared.document?.pageCount ?? null,
+    requests: requests.length,
+    bytes,
+    inputTokens,
+    outputTokens: requests.length * Math.min(config.dryRunOutputTokens, config.extractionMaxTokens),
+    maxOutputTokens: requests.length * config.extractionMaxTokens
+  };
+  
+  console.log(`Dry run: ${companyId} - ${forecast.requests} request(s), ~${forecast.inputTokens} input tokens`);
+  return forecast;
+}
+
+/**
+ * Add up token forecasts and price them at both rates
+ * @param {Array} forecasts - Company forecasts
+ * @returns {Object} - Totals with direct and batch costs
+ */
+function summarizeForecasts(forecasts) {
+  const totals = forecasts.reduce((sum, forecast) => ({
+    requests: sum.requests + forecast.requests,
+    inputTokens: sum.inputTokens + forecast.inputTokens,
+    outputTokens: sum.outputTokens + forecast.outputTokens,
+    maxOutputTokens: sum.maxOutputTokens + forecast.maxOutputTokens
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, maxOutputTokens: 0 });
+  
+  return {
+    ...totals,
+    cost: {
+      direct: tokenTracker.calculateCost(totals.inputTokens, totals.outputTokens, 'regular'),
+      batch: tokenTracker.calculateCost(totals.inputTokens, totals.outputTokens, 'batch')
+    },
+    maxCost: {
+      direct: tokenTracker.calculateCost(totals.inputTokens, totals.maxOutputTokens, 'regular'),
+      batch: tokenTracker.calculateCost(totals.inputTokens, totals.maxOutputTokens, 'batch')
+    }
+  };
+}
+
+/**
+ * Format a dry-run forecast as a human-readable report
+ * @param {Object} forecast - Result of runDryRun
+ * @returns {string} - Report text
+ */
+export function formatForecastReport(forecast) {
+  const { totals } = forecast;
+  const dollars = value => `$${value.toFixed(4)}`;
+  
+  let report = '\n=== Dry Run Cost Forecast ===\n\n';
+  report += `Model: ${forecast.model}\n`;
+  report += `Date: ${forecast.createdAt}\n`;
+  const plannedBatches = forecast.batchPlan ? forecast.batchPlan.batches.length : 0;
+  report += `Mode: ${forecast.batchPlan ? `batch (${plannedBatches} ${plannedBatches === 1 ? 'batch' : 'batches'})` : 'direct'}\n`;
+  report += `Companies selected: ${forecast.companies.length}\n`;
+  report += `Companies sent: ${forecast.companies.filter(c => c.status === 'ready').length}\n\n`;
+  
+  report += 'Projected Usage:\n';
+  report += '----------------\n';
+  report += `API Requests: ${totals.requests}\n`;
+  report += `Input Tokens: ${totals.inputTokens.toLocaleString()}\n`;
+  report += `Output Tokens: ${totals.outputTokens.toLocaleString()} (at most ${totals.maxOutputTokens.toLocaleString()})\n\n`;
+  
+  report += 'Projected Cost:\n';
+  report += '---------------\n';
+  report += `Direct API: ${dollars(totals.cost.direct)} (at most ${dollars(totals.maxCost.direct)})\n`;
+  report += `Batch API: ${dollars(totals.cost.batch)} (at most ${dollars(totals.maxCost.batch)})\n\n`;
+  
+  report += 'Pricing Assumptions:\n';
+  report += '-------------------\n';
+  report += `Direct API: ${tokenTracker.PRICING.regular.inputPerMillion}/1M input tokens, ${tokenTracker.PRICING.regular.outputPerMillion}/1M output tokens\n`;
+  report += `Batch API: ${tokenTracker.PRICING.batch.inputPerMillion}/1M input tokens, ${tokenTracker.PRICING.batch.outputPerMillion}/1M output tokens\n`;
+  report += `Output: ~${forecast.outputTokensPerRequest} tokens per request (at most ${forecast.maxTokensPerRequest}); PDF pages: ~${PDF_PAGE_IMAGE_TOKENS} image tokens each\n`;
+  report += 'Repair and continuation requests are not included.\n\n';
+  
+  if (forecast.batchPlan) {
+    report += `${formatBatchPlan(forecast.batchPlan)}\n\n`;
+  }
+  
+  report += 'Company Breakdown:\n';
+  report += '-------------------\n';
+  for (const company of forecast.companies) {
+    if (company.status !== 'ready') {
+      report += `${company.companyId}: not sent (${company.status}: ${company.message})\n`;
+      continue;
+    }
+    const pages = company.pageCount ? `, ${company.pageCount} pages` : '';
+    report += `${company.companyId} (${company.extractionMode}${pages}): ${company.requests} request(s), ~${company.inputTokens} input + ~${company.outputTokens} output tokens\n`;
+  }
+  
+  return report;
+}
+
+/**
+ * Render all prompts of a planned run and forecast its token usage and cost
+ * @param {Array} companies - Companies selected for extraction
+ * @returns {Promise<Object>} - Forecast with per-company and total figures, the batch plan (batch mode) and the report paths
+ */
+export async function runDryRun(companies) {
+  const isBatch = config.useBatchProcessing;
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const runDir = path.join(config.outputDir, 'dry_run', timestamp);
+  await ensureDirectoryExists(runDir);
+  
+  console.log(`Dry run: rendering prompts to ${runDir}`);
+  await logToFile(`Dry run: rendering prompts for ${companies.length} companies to ${runDir}`);
+  
+  const forecasts = [];
+  for (const company of companies) {
+    forecasts.push(await forecastCompany(company, isBatch, runDir));
+  }
+  
+  // The companies that would be sent are planned into batches as in a real run
+  const batchPlan = isBatch
+    ? planBatches(forecasts.filter(c => c.status === 'ready').map(c => ({
+      id: c.companyId,
+      bytes: c.bytes,
+      inputTokens: c.inputTokens,
+      outputTokens: c.outputTokens
+    })))
+    : null;
+  
+  const forecast = {
+    createdAt: new Date().toISOString(),
+    model: config.claudeModel,
+    useBatchProcessing: isBatch,
+    outputTokensPerRequest: Math.min(config.dryRunOutputTokens, config.extractionMaxTokens),
+    maxTokensPerRequest: config.extractionMaxTokens,
+    pricing: tokenTracker.PRICING,
+    totals: summarizeForecasts(forecasts),
+    batchPlan,
+    companies: forecasts
+  };
+  
+  forecast.reportPath = path.join(runDir, 'cost_forecast.txt');
+  forecast.dataPath = path.join(runDir, 'cost_forecast.json');
+  await fs.writeFile(forecast.reportPath, formatForecastReport(forecast));
+  await fs.writeFile(forecast.dataPath, JSON.stringify(forecast, null, 2));
+  
+  return forecast;
+}
+
+export default {
+  runDryRun,
+  formatForecastReport
+};
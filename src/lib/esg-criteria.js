@@ -2,16 +2,37 @@
  * esg-criteria.js
  * 
  * This module defines ESG criteria and industry mappings.
- * Each industry has exactly 7 criteria as per requirements.
+ * Industries can have any number of criteria; their order is the catalogue's order.
  * 
- * This module now uses the IndustryCriteriaSimple.csv data format.
+ * Criteria are loaded from the full taxonomy in IndustryCriteria.csv (fields,
+ * sub-topics, German and English names, criterion types). The file is exported
+ * from Excel in Latin-1; UTF-8 files are read as well. IndustryCriteriaSimple.csv
+ * is used when the full file is not available.
+ * 
+ * Criterion IDs are the slugs of the English names (see criterion-registry.js);
+ * the position-based IDs of older results (`accomodation_1`) are kept as aliases.
+ * 
+ * The loaded catalogue has a version (the `version` column) and a content hash.
+ * Extractions are stamped with both (createCriteriaStamp) so results from different
+ * catalogues can be told apart.
+ * 
+ * Industries are looked up by slug, name, synonym or NACE/GICS code (see
+ * industry-resolver.js); industries that cannot be resolved are an error.
+ * 
+ * getCompanyCriteria applies a company's criteria overrides (see
+ * criteria-overrides.js) on top of its industry's criteria.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { parse } from 'csv-parse/sync';
+import config from '../config.js';
 import { criteriaDescriptions } from './data/criteria-descriptions.js';
+import { getCriterionSlug } from './criterion-registry.js';
+import { loadIndustryMapping, createIndustryIndex, resolveIndustry as resolveIndustryInput, formatIndustryResolution } from './industry-resolver.js';
+import { loadCriteriaOverrides, applyCriteriaOverrides, formatOverride } from './criteria-overrides.js';
 
 // Default criteria (fallback)
 const defaultCriteria = [
@@ -24,85 +45,265 @@ const defaultCriteria = [
   { id: "social_responsibility", name_en: "Social responsibility" }
 ];
 
-// Path to the CSV file
+// Paths to the CSV files
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fullCriteriaFilePath = path.join(__dirname, '../../data/IndustryCriteria.csv');
 const criteriaFilePath = path.join(__dirname, '../../data/IndustryCriteriaSimple.csv');
 
 // Cached industry criteria
 let industrySimpleCriteria = {};
-let isLoaded = false;
+// Industry attributes from IndustryCriteria.csv (German name, number, catalogue version)
+let industryInfo = {};
+// Source file, version and content hash of the loaded catalogue
+let catalogueInfo = { source: null, version: null, hash: null };
+// Shared by concurrent callers so the catalogue is only read once
+let loadingPromise = null;
+// Industry resolver lookup tables for the loaded catalogue
+let industryIndex = null;
 
 /**
- * Load industry criteria data from the CSV file
- * @returns {Promise<void>}
+ * Decode a CSV file that may be UTF-8 or Latin-1 encoded
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Decoded text
+ */
+export function decodeCsvBuffer(buffer) {
+  try {
+    // fatal: invalid UTF-8 byte sequences throw instead of becoming U+FFFD
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+/**
+ * Create the ID and aliases of an industry's next criterion
+ * @param {string} industry - Industry key
+ * @param {Array} criteria - Criteria already added for the industry
+ * @param {string} name - English criterion name
+ * @returns {Object} - { id, aliases }
+ */
+function createCriterionIds(industry, criteria, name) {
+  const legacyId = `${industry}_${criteria.length + 1}`;
+  let id = getCriterionSlug(name) || legacyId;
+  
+  // The same criterion listed twice in one industry keeps a unique key
+  if (criteria.some(criterion => criterion.id === id)) {
+    id = `${id}_${criteria.length + 1}`;
+  }
+  
+  return { id, aliases: [legacyId] };
+}
+
+/**
+ * Compute a short content hash
+ * @param {any} value - Value to hash (serialized as JSON)
+ * @returns {string} - First 16 hex characters of the SHA-256
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Parse an integer column value
+ * @param {string} value - Column value
+ * @returns {number|null} - Parsed number, or null if empty or not a number
+ */
+function parseNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Read the full criteria taxonomy from IndustryCriteria.csv
+ * @returns {Promise<Object|null>} - { criteria, info } keyed by industry, or null if the file is missing
  */
-async function loadCriteriaFromCsv() {
+async function loadFullCriteriaFromCsv() {
+  let buffer;
   try {
-    if (isLoaded) return;
+    buffer = await fs.readFile(fullCriteriaFilePath);
+  } catch (readError) {
+    return null;
+  }
+  
+  const criteriaByIndustry = {};
+  const info = {};
+  
+  // The export repeats some columns (industry_en, criteria_name_en) and has unnamed ones;
+  // only the first column of each name is used
+  const records = parse(decodeCsvBuffer(buffer), {
+    columns: header => header.map((name, index) => name && header.indexOf(name) === index ? name : false),
+    skip_empty_lines: true,
+    trim: true
+  });
+  
+  records.forEach(record => {
+    const industry = record.industry_en?.toLowerCase();
     
-    console.log(`Loading industry criteria from ${criteriaFilePath}`);
+    // Deleted criteria are kept in the file with industry_id_new "deleted" and no industry
+    if (!industry || industry === '#n/a' || record.industry_id_new === 'deleted') return;
     
-    // Check if the CSV file exists
-    try {
-      await fs.access(criteriaFilePath);
-    } catch (accessError) {
-      console.error(`Criteria file not found: ${criteriaFilePath}`);
-      console.log('Falling back to default criteria for all industries.');
-      isLoaded = true; // Prevent continuous file access attempts
-      return;
+    if (!criteriaByIndustry[industry]) {
+      criteriaByIndustry[industry] = [];
+      info[industry] = {
+        number: parseNumber(record.industry_id_new),
+        name_de: record.industry,
+        name_en: industry,
+        version: record.version || null
+      };
     }
     
-    // Read the CSV file
-    const fileContent = await fs.readFile(criteriaFilePath, 'utf8');
+    const criteria = criteriaByIndustry[industry];
+    const { id, aliases } = createCriterionIds(industry, criteria, record.criteria_name_en);
+    criteria.push({
+      id,
+      aliases: record.Ind_Cr_Id ? [...aliases, record.Ind_Cr_Id] : aliases,
+      name_en: record.criteria_name_en,
+      name_de: record.criteria_name_de,
+      type_en: record.criteria_type_en,
+      type_de: record.criteria_type_de,
+      field_id: record.id_field,
+      field_name_en: record.field_name_en,
+      field_name_de: record.field_name_de,
+      field_sort: parseNumber(record.field_sort_key),
+      sub_topic_name_en: record.sub_topic_name_en,
+      sub_topic_name_de: record.sub_topic_name_de,
+      sub_topic_sort: parseNumber(record.sub_topic_sort),
+      version: record.version || null,
+      exclude_ghg: record.exclude_ghg === 'x',
+      ind_cr_id: record.Ind_Cr_Id
+    });
+  });
+  
+  return { criteria: criteriaByIndustry, info };
+}
+
+/**
+ * Read industry criteria from IndustryCriteriaSimple.csv
+ * @returns {Promise<Object|null>} - { criteria, info } keyed by industry, or null if the file is missing
+ */
+async function loadSimpleCriteriaFromCsv() {
+  // Check if the CSV file exists
+  let buffer;
+  try {
+    buffer = await fs.readFile(criteriaFilePath);
+  } catch (readError) {
+    return null;
+  }
+  
+  // The simple CSV has no industry attributes
+  const criteriaByIndustry = {};
+  const fileContent = decodeCsvBuffer(buffer);
+  
+  if (!fileContent || fileContent.trim().length === 0) {
+    console.error(`Criteria file is empty: ${criteriaFilePath}`);
+    return { criteria: criteriaByIndustry, info: {} };
+  }
+  
+  // Parse the CSV content (skip the header row)
+  const records = parse(fileContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+  
+  if (!records || records.length === 0) {
+    console.error(`No criteria records found in ${criteriaFilePath}`);
+    return { criteria: criteriaByIndustry, info: {} };
+  }
+  
+  // Transform the records into our format
+  records.forEach(record => {
+    const industry = record.Industry;
+    if (!industry) return;
+    
+    // Use the non-empty "Criterion N" columns in order; industries can have any number of criteria
+    const names = Object.keys(record)
+      .filter(column => /^Criterion \d+$/.test(column) && record[column])
+      .sort((a, b) => parseInt(a.split(' ')[1], 10) - parseInt(b.split(' ')[1], 10))
+      .map(column => record[column]);
     
-    if (!fileContent || fileContent.trim().length === 0) {
-      console.error('Criteria file is empty, using default criteria.');
-      isLoaded = true;
+    if (names.length === 0) {
+      console.warn(`No criteria listed for industry '${industry}' in ${criteriaFilePath}`);
       return;
     }
     
-    // Parse the CSV content (skip the header row)
-    const records = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
-    });
-    
-    if (!records || records.length === 0) {
-      console.error('No criteria records found after parsing, using default criteria.');
-      isLoaded = true;
-      return;
+    const criteria = [];
+    for (const name of names) {
+      criteria.push({ ...createCriterionIds(industry.toLowerCase(), criteria, name), name_en: name });
     }
     
-    // Transform the records into our format
-    records.forEach(record => {
-      const industry = record.Industry;
-      if (!industry) return;
-      
-      // Create an array of 7 criteria for this industry using column values directly
-      const criteria = [
-        { id: `${industry.toLowerCase()}_1`, name_en: record["Criterion 1"] || "Carbon Footprint" },
-        { id: `${industry.toLowerCase()}_2`, name_en: record["Criterion 2"] || "Energy efficiency" },
-        { id: `${industry.toLowerCase()}_3`, name_en: record["Criterion 3"] || "Renewable energies" },
-        { id: `${industry.toLowerCase()}_4`, name_en: record["Criterion 4"] || "Waste management" },
-        { id: `${industry.toLowerCase()}_5`, name_en: record["Criterion 5"] || "Water management" },
-        { id: `${industry.toLowerCase()}_6`, name_en: record["Criterion 6"] || "Diversity and inclusion" },
-        { id: `${industry.toLowerCase()}_7`, name_en: record["Criterion 7"] || "Social responsibility" }
-      ];
+    // Store the criteria for this industry
+    criteriaByIndustry[industry.toLowerCase()] = criteria;
+  });
+  
+  return { criteria: criteriaByIndustry, info: {} };
+}
+
+/**
+ * Load industry criteria data from the CSV files
+ * @returns {Promise<void>}
+ */
+async function loadCatalogueFiles() {
+  try {
+    console.log(`Loading industry criteria from ${fullCriteriaFilePath}`);
+    let source = fullCriteriaFilePath;
+    let catalogue = await loadFullCriteriaFromCsv();
+    
+    if (!catalogue || Object.keys(catalogue.criteria).length === 0) {
+      console.log(`Full criteria file missing or empty, loading industry criteria from ${criteriaFilePath}`);
+      source = criteriaFilePath;
+      catalogue = await loadSimpleCriteriaFromCsv();
       
-      // Store the criteria for this industry
-      industrySimpleCriteria[industry.toLowerCase()] = criteria;
-    });
+      if (!catalogue) {
+        console.error(`Criteria file not found: ${criteriaFilePath}`);
+        console.log('Falling back to default criteria for all industries.');
+      }
+    }
+    
+    industrySimpleCriteria = catalogue?.criteria || {};
+    industryInfo = catalogue?.info || {};
     
-    console.log(`Loaded criteria for ${Object.keys(industrySimpleCriteria).length} industries`);
-    isLoaded = true;
+    // The simple CSV has no version column; its catalogue is only identified by the hash
+    const versions = [...new Set(Object.values(industryInfo).map(info => info.version).filter(Boolean))];
+    catalogueInfo = {
+      source: Object.keys(industrySimpleCriteria).length > 0 ? path.basename(source) : null,
+      version: versions.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))[0] || null,
+      hash: hashValue(industrySimpleCriteria)
+    };
+    
+    console.log(`Loaded criteria for ${Object.keys(industrySimpleCriteria).length} industries (catalogue ${formatCatalogueVersion(catalogueInfo)})`);
   } catch (error) {
+    // Errors are not retried, to prevent continuous file access attempts
     console.error(`Error loading industry criteria: ${error.message}`);
     console.log('Falling back to default criteria due to error.');
-    isLoaded = true; // Prevent continuous file access attempts
   }
 }
 
+/**
+ * Load industry criteria data once
+ * @returns {Promise<void>}
+ */
+function loadCriteriaFromCsv() {
+  if (!loadingPromise) {
+    loadingPromise = loadCatalogueFiles();
+  }
+  return loadingPromise;
+}
+
+/**
+ * Read both criteria CSV files, independently of the loaded catalogue
+ * Used to check the files against each other (see criteria-lint.js).
+ * @returns {Promise<Object>} - { full, simple }, each { file, criteria, info } or null if the file is missing
+ */
+export async function readCriteriaFiles() {
+  const [full, simple] = await Promise.all([loadFullCriteriaFromCsv(), loadSimpleCriteriaFromCsv()]);
+  
+  return {
+    full: full && { file: fullCriteriaFilePath, ...full },
+    simple: simple && { file: criteriaFilePath, ...simple }
+  };
+}
+
 /**
  * Get all industries
  * @returns {Promise<Array<string>>} - Array of industry names
@@ -113,69 +314,159 @@ export async function getAllIndustries() {
 }
 
 /**
- * Get the 7 criteria for a specific industry
- * @param {string} industryId - Industry identifier
- * @returns {Promise<Array>} - Array of exactly 7 criteria objects for that industry
+ * Get the resolver lookup tables for the loaded catalogue
+ * @returns {Promise<Object>} - Resolver index (see industry-resolver.js)
+ */
+async function getIndustryIndex() {
+  await loadCriteriaFromCsv();
+  
+  if (!industryIndex) {
+    const mapping = await loadIndustryMapping();
+    // German names from the catalogue; names from the mapping file are added by the resolver
+    const catalogueNames = Object.fromEntries(
+      Object.entries(industryInfo).map(([industry, info]) => [industry, [info.name_de].filter(Boolean)])
+    );
+    industryIndex = createIndustryIndex(Object.keys(industrySimpleCriteria), mapping, catalogueNames);
+  }
+  
+  return industryIndex;
+}
+
+/**
+ * Resolve an industry slug, name, synonym or NACE/GICS code to a catalogue industry
+ * @param {string} industry - Industry as given for a company
+ * @returns {Promise<Object>} - { input, status, industry, matchedBy, candidates, suggestions }
+ */
+export async function resolveIndustry(industry) {
+  return resolveIndustryInput(industry, await getIndustryIndex());
+}
+
+/**
+ * Get the criteria for a specific industry
+ * Industries that cannot be resolved (see resolveIndustry) throw an error.
+ * @param {string} industry - Industry slug, name, synonym or NACE/GICS code
+ * @returns {Promise<Array>} - Array of criteria objects for that industry, in catalogue order
  */
 export async function getIndustryCriteria(industry) {
   // Make sure criteria are loaded
   await loadCriteriaFromCsv();
   
-  // Clean up the input - convert to lowercase and trim
-  const cleanIndustry = industry ? industry.toLowerCase().trim() : '';
-  console.log(`Looking for industry criteria: '${cleanIndustry}'`);
+  // Without a catalogue (the CSV files could not be read) only the default criteria are available
+  if (Object.keys(industrySimpleCriteria).length === 0) {
+    console.log(`No criteria catalogue loaded, using default criteria for '${industry || ''}'`);
+    return defaultCriteria;
+  }
   
-  // Direct match
-  if (cleanIndustry && industrySimpleCriteria[cleanIndustry]) {
-    console.log(`Found direct match for '${cleanIndustry}'`);
-    return industrySimpleCriteria[cleanIndustry];
+  const resolution = await resolveIndustry(industry);
+  if (resolution.status !== 'resolved') {
+    throw new Error(formatIndustryResolution(resolution));
   }
   
-  // Case-insensitive match
-  const industryKeys = Object.keys(industrySimpleCriteria);
-  for (const key of industryKeys) {
-    if (key.toLowerCase() === cleanIndustry) {
-      console.log(`Found case-insensitive match for '${cleanIndustry}' as '${key}'`);
-      return industrySimpleCriteria[key];
-    }
+  if (resolution.matchedBy !== 'slug') {
+    console.log(formatIndustryResolution(resolution));
   }
   
-  // Partial match (if industry is part of the key)
-  if (cleanIndustry) {
-    for (const key of industryKeys) {
-      if (key.toLowerCase().includes(cleanIndustry)) {
-        console.log(`Found partial match for '${cleanIndustry}' in '${key}'`);
-        return industrySimpleCriteria[key];
-      }
-    }
+  return industrySimpleCriteria[resolution.industry];
+}
+
+/**
+ * Get the path of the per-company criteria overrides file
+ * @returns {string} - CRITERIA_OVERRIDES_CSV or data/criteria_overrides.csv
+ */
+export function getCriteriaOverridesPath() {
+  return config.criteriaOverridesPath || path.join(config.dataDir, 'criteria_overrides.csv');
+}
+
+/**
+ * Find a criterion of any industry by its ID
+ * @param {string} criterionId - Criterion ID
+ * @returns {Object|null} - First criterion with that ID in catalogue order, or null
+ */
+function findCatalogueCriterion(criterionId) {
+  for (const criteria of Object.values(industrySimpleCriteria)) {
+    const criterion = criteria.find(item => item.id === criterionId);
+    if (criterion) return criterion;
   }
+  return null;
+}
+
+/**
+ * Get the criteria of a company: its industry's criteria with the company's overrides applied
+ * Overrides that do not fit the industry's criteria are skipped with a warning.
+ * @param {Object} company - Company with companyId and industry
+ * @returns {Promise<Object>} - { criteria, overrides } where overrides lists the applied overrides
+ */
+export async function getCompanyCriteria(company) {
+  const industryCriteria = await getIndustryCriteria(company.industry);
+  const overrides = (await loadCriteriaOverrides(getCriteriaOverridesPath())).get(company.companyId) || [];
+  
+  if (overrides.length === 0) {
+    return { criteria: industryCriteria, overrides: [] };
+  }
+  
+  const { criteria, applied, skipped } = applyCriteriaOverrides(industryCriteria, overrides, findCatalogueCriterion);
+  
+  for (const { override, reason } of skipped) {
+    console.warn(`Skipping criteria override '${formatOverride(override)}' for ${company.companyId}: ${reason}`);
+  }
+  if (applied.length > 0) {
+    console.log(`Criteria overrides for ${company.companyId}: ${applied.map(formatOverride).join(', ')}`);
+  }
+  
+  return { criteria, overrides: applied };
+}
 
-  // Try to match by specific industry codes for "11_telecommunication" format
-  if (cleanIndustry.includes('_')) {
-    const parts = cleanIndustry.split('_');
-    const industryPart = parts[parts.length - 1];
-    console.log(`Extracted industry part '${industryPart}' from '${cleanIndustry}'`);
+/**
+ * Group criteria by field and sub-topic, in the catalogue's sort order
+ * Criteria without taxonomy attributes (simple CSV, default criteria) form a single unnamed group.
+ * @param {Array} criteria - Criteria objects
+ * @returns {Array} - Fields ({ id, name_en, name_de, subTopics: [{ name_en, name_de, criteria }] })
+ */
+export function groupCriteriaByField(criteria) {
+  const fields = new Map();
+  
+  for (const criterion of criteria) {
+    const fieldKey = criterion.field_id || null;
+    if (!fields.has(fieldKey)) {
+      fields.set(fieldKey, {
+        id: fieldKey,
+        name_en: criterion.field_name_en || null,
+        name_de: criterion.field_name_de || null,
+        sort: criterion.field_sort ?? null,
+        subTopics: new Map()
+      });
+    }
     
-    // Try to match the extracted part
-    if (industrySimpleCriteria[industryPart]) {
-      console.log(`Found match for extracted part '${industryPart}'`);
-      return industrySimpleCriteria[industryPart];
+    const field = fields.get(fieldKey);
+    const subTopicKey = criterion.sub_topic_name_en || null;
+    if (!field.subTopics.has(subTopicKey)) {
+      field.subTopics.set(subTopicKey, {
+        name_en: subTopicKey,
+        name_de: criterion.sub_topic_name_de || null,
+        sort: criterion.sub_topic_sort ?? null,
+        criteria: []
+      });
     }
+    field.subTopics.get(subTopicKey).criteria.push(criterion);
   }
-
-  // Fall back to default criteria
-  console.log(`No criteria found for '${cleanIndustry}', using default criteria`);
-  return defaultCriteria;
+  
+  // Groups without a sort key keep their order of appearance
+  const bySort = (a, b) => (a.sort ?? Infinity) - (b.sort ?? Infinity);
+  return [...fields.values()]
+    .map(field => ({ ...field, subTopics: [...field.subTopics.values()].sort(bySort) }))
+    .sort(bySort);
 }
 
 /**
  * Get detailed information about an industry
  * @param {string} industryId - Industry identifier
- * @returns {Promise<Object>} - Industry details with criteria
+ * @returns {Promise<Object>} - Industry details with criteria, grouped by field and sub-topic
  */
 export async function getIndustryDetails(industryId) {
   // Get the criteria for this industry
   const criteria = await getIndustryCriteria(industryId);
+  const industryKey = (await resolveIndustry(industryId)).industry;
+  const info = (industryKey && industryInfo[industryKey]) || {};
   
   // Add descriptions to criteria if available
   const criteriaWithDescriptions = criteria.map(criterion => {
@@ -191,12 +482,77 @@ export async function getIndustryDetails(industryId) {
   
   return {
     id: industryId,
-    criteria: criteriaWithDescriptions
+    industry: industryKey,
+    number: info.number ?? null,
+    name_en: info.name_en || industryKey,
+    name_de: info.name_de || null,
+    version: info.version || null,
+    criteria: criteriaWithDescriptions,
+    fields: groupCriteriaByField(criteriaWithDescriptions)
   };
 }
 
+/**
+ * Get the version and content hash of the loaded criteria catalogue
+ * @returns {Promise<Object>} - { source, version, hash }
+ */
+export async function getCatalogueInfo() {
+  await loadCriteriaFromCsv();
+  return { ...catalogueInfo };
+}
+
+/**
+ * Create the catalogue stamp stored with an extraction
+ * @param {string} industry - Industry of the company
+ * @param {Array} criteria - Criteria the extraction was requested for
+ * @param {Array} overrides - Criteria overrides applied for the company (see getCompanyCriteria)
+ * @returns {Promise<Object>} - { source, version, hash, industry, criteriaHash, criteria, overrides }
+ */
+export async function createCriteriaStamp(industry, criteria, overrides = []) {
+  const info = await getCatalogueInfo();
+  const criteriaSnapshot = criteria.map(criterion => ({
+    id: criterion.id,
+    name_en: criterion.name_en,
+    ind_cr_id: criterion.ind_cr_id || null
+  }));
+  
+  return {
+    ...info,
+    industry: industry || null,
+    // Changes only when this industry's criteria change, unlike the catalogue hash
+    criteriaHash: hashValue(criteriaSnapshot.map(({ id, name_en }) => ({ id, name_en }))),
+    criteria: criteriaSnapshot,
+    overrides: overrides.map(override => ({
+      action: override.action,
+      criterion: override.criterion,
+      replaces: override.replaces
+    }))
+  };
+}
+
+/**
+ * Format a catalogue version for messages
+ * @param {Object|null} stamp - Catalogue info or extraction stamp
+ * @returns {string} - e.g. "v5 (3f2a9c1d0b7e4a61)" or "unstamped"
+ */
+export function formatCatalogueVersion(stamp) {
+  if (!stamp?.hash) {
+    return 'unstamped';
+  }
+  return `${stamp.version ? `v${stamp.version}` : 'unversioned'} (${stamp.hash})`;
+}
+
 export default {
   getAllIndustries,
   getIndustryCriteria,
-  getIndustryDetails
+  getCompanyCriteria,
+  getCriteriaOverridesPath,
+  getIndustryDetails,
+  resolveIndustry,
+  readCriteriaFiles,
+  groupCriteriaByField,
+  decodeCsvBuffer,
+  getCatalogueInfo,
+  createCriteriaStamp,
+  formatCatalogueVersion
 };
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * evaluation.js
+ *
+ * Scores extraction results against a golden set of hand-labeled expected
+ * outputs, so prompt and model changes can be measured. A golden set is a
+ * directory with one <companyId>.json per company:
+ *
+ *   {
+ *     "company": { "name": "...", "url": "...", "industry": "..." },
+ *     "criteria": { "renewable_energies": ["Expected action", ...], "ecosystems": [] },
+ *     "carbonFootprint": { "scope1": "1.250 t CO2e (2023)", ... },
+ *     "climateStandards": { "iso14001": "Yes", ... }
+ *   }
+ *
+ * An empty list labels a criterion the report has no information on. Criteria
+ * and fields that are not labeled are not scored. The scores are:
+ * - coverage: labeled criteria with actions for which actions were found
+ * - actions: F1 of the found actions, matched to the expected ones by word overlap
+ * - carbonFootprint: labeled carbon footprint values matched exactly
+ * - climateStandards: labeled climate standards answered correctly
+ * - quotes: quotes in "extracts" that occur in the document text
+ *
+ * Each score is kept as counts ({ correct, total }), so companies are summed
+ * before the share is taken.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeCompanyId } from '../utils.js';
+
+export const METRICS = ['coverage', 'actions', 'carbonFootprint', 'climateStandards', 'quotes'];
+
+export const METRIC_NAMES = {
+  coverage: 'Criterion coverage',
+  actions: 'Action overlap (F1)',
+  carbonFootprint: 'Carbon footprint exact match',
+  climateStandards: 'Climate standards accuracy',
+  quotes: 'Quote validity'
+};
+
+// Settings of an evaluated configuration (see parseConfiguration)
+export const CONFIGURATION_KEYS = ['name', 'template', 'model'];
+
+// Word overlap (Dice coefficient) from which an action counts as the expected one
+export const ACTION_MATCH_THRESHOLD = 0.5;
+
+// Quote fragments with fewer words are too short to check
+const MIN_QUOTE_WORDS = 4;
+
+// Placeholder actions/extracts requested by the prompt for criteria without information
+const PLACEHOLDER_PATTERN = /^#?\s*(no specific actions found|could not extract data|no relevant information found|not stated|error processing this criterion)/i;
+
+// Page references in front of quotes, e.g. "[p. 12]", "[pp. 1-50]" or "[S. 4]"
+const PAGE_REFERENCE_PATTERN = /\[(?:pp?|s)\.\s*[\d\s,\-\u2013]+\]/gi;
+
+/**
+ * Check a golden set entry
+ * @param {Object} entry - Parsed golden file
+ * @param {string} file - File name, for messages
+ * @returns {Array<string>} - Problems of the entry
+ */
+function validateGoldenEntry(entry, file) {
+  const errors = [];
+  
+  if (!entry.company?.url) errors.push(`${file}: no company.url`);
+  if (!entry.company?.industry) errors.push(`${file}: no company.industry`);
+  
+  for (const [criterion, actions] of Object.entries(entry.criteria || {})) {
+    if (!Array.isArray(actions)) {
+      errors.push(`${file}: criteria.${criterion} must be a list of actions`);
+    }
+  }
+  
+  for (const field of ['carbonFootprint', 'climateStandards']) {
+    if (entry[field] !== undefined && (typeof entry[field] !== 'object' || Array.isArray(entry[field]))) {
+      errors.push(`${file}: ${field} must be an object`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Load a golden set
+ * @param {string} directory - Directory with one <companyId>.json per company
+ * @returns {Promise<Array>} - [{ company, expected }] where company is a company object as in company_urls.csv
+ * @throws {Error} - If the directory is missing, empty or has invalid files
+ */
+export async function loadGoldenSet(directory) {
+  let files;
+  try {
+    files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new Error(`Golden set directory ${directory} not found`);
+  }
+  
+  if (files.length === 0) {
+    throw new Error(`No labeled companies (*.json) in ${directory}`);
+  }
+  
+  const entries = [];
+  const errors = [];
+  
+  for (const file of files) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      continue;
+    }
+    
+    const problems = validateGoldenEntry(entry, file);
+    if (problems.length > 0) {
+      errors.push(...problems);
+      continue;
+    }
+    
+    const companyId = normalizeCompanyId(path.basename(file, '.json'));
+    entries.push({
+      company: {
+        companyId,
+        name: entry.company.name || companyId,
+        url: entry.company.url,
+        industry: entry.company.industry,
+        shouldUpdate: true
+      },
+      expected: entry
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid golden set in ${directory}: ${errors.join('; ')}`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Parse a configuration given on the command line
+ * @param {string} spec - e.g. "template=concise,model=claude-sonnet-4-5" (empty for the configured defaults)
+ * @param {string} defaultName - Name used when the spec has none
+ * @returns {Object} - { name, template, model } with null for settings taken from the configuration
+ * @throws {Error} - If the spec has an unknown setting
+ */
+export function parseConfiguration(spec, defaultName) {
+  const configuration = { name: defaultName, template: null, model: null };
+  
+  for (const entry of (spec || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [key, ...rest] = entry.split('=');
+    const value = rest.join('=').trim();
+    
+    if (!CONFIGURATION_KEYS.includes(key.trim()) || !value) {
+      throw new Error(`Invalid configuration setting '${entry}', use ${CONFIGURATION_KEYS.map(item => `${item}=...`).join(', ')}`);
+    }
+    configuration[key.trim()] = value;
+  }
+  
+  return configuration;
+}
+
+/**
+ * Check if a text is one of the placeholders for missing information
+ * @param {string} value - Action or extract
+ * @returns {boolean} - Whether the text carries no information
+ */
+function isPlaceholder(value) {
+  return typeof value !== 'string' || !value.trim() || PLACEHOLDER_PATTERN.test(value.trim());
+}
+
+/**
+ * Get the actions of an extracted criterion without placeholders
+ * @param {Object} entry - Criterion of an extraction result ({ actions, extracts })
+ * @returns {Array<string>} - Actions without the leading "#"
+ */
+function getFoundActions(entry) {
+  return (Array.isArray(entry?.actions) ? entry.actions : [])
+    .filter(action => !isPlaceholder(action))
+    .map(action => action.trim().replace(/^#\s*/, ''));
+}
+
+/**
+ * Split a text into the words compared for action overlap
+ * @param {string} text - Action text
+ * @returns {Set<string>} - Lower-case words with three or more characters, and all numbers
+ */
+function getWords(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length > 2 || /\d/.test(word)));
+}
+
+/**
+ * Measure how similar two actions are
+ * @param {string} first - Action
+ * @param {string} second - Action
+ * @returns {number} - Dice coefficient of the words, between 0 and 1
+ */
+export function actionSimilarity(first, second) {
+  const a = getWords(first);
+  const b = getWords(second);
+  if (a.size === 0 || b.size === 0) return 0;
+  
+  const shared = [...a].filter(word => b.has(word)).length;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Match found actions to expected actions, most similar pairs first
+ * @param {Array<string>} expected - Expected actions
+ * @param {Array<string>} actual - Found actions
+ * @returns {Array} - Matched pairs { expected, actual, similarity }
+ */
+function matchActions(expected, actual) {
+  const pairs = [];
+  for (const [i, expectedAction] of expected.entries()) {
+    for (const [j, actualAction] of actual.entries()) {
+      const similarity = actionSimilarity(expectedAction, actualAction);
+      if (similarity >= ACTION_MATCH_THRESHOLD) pairs.push({ i, j, similarity });
+    }
+  }
+  
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  const matches = [];
+  
+  for (const pair of pairs.sort((a, b) => b.similarity - a.similarity)) {
+    if (usedExpected.has(pair.i) || usedActual.has(pair.j)) continue;
+    usedExpected.add(pair.i);
+    usedActual.add(pair.j);
+    matches.push({ expected: expected[pair.i], actual: actual[pair.j], similarity: Number(pair.similarity.toFixed(2)) });
+  }
+  
+  return matches;
+}
+
+/**
+ * Normalize a value for exact comparison (case, spacing and a final full stop are ignored)
+ * @param {any} value - Value
+ * @returns {string} - Normalized value
+ */
+function normalizeExact(value) {
+  return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '').trim();
+}
+
+/**
+ * Normalize text for finding quotes in the document
+ * @param {string} text - Document text or quote
+ * @returns {string} - Lower-case text with uniform quotes, dashes and spacing
+ */
+function normalizeQuoteText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\u00AD/g, '')
+    // Words hyphenated at a line break
+    .replace(/(\p{L})-\s*\n\s*(\p{L})/gu, '$1$2')
+    .replace(/[\u2018-\u201B]/g, "'")
+    .replace(/[\u201C-\u201F\u00AB\u00BB]/g, '"')
+    .replace(/[\u2010-\u2015]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split the extracts of a criterion into the quotes that can be checked
+ * @param {string|Array} extracts - Extracts of a criterion
+ * @returns {Array<string>} - Quote fragments (page references, quote marks and ellipses removed)
+ */
+export function splitQuotes(extracts) {
+  const text = Array.isArray(extracts) ? extracts.join('\n') : extracts;
+  if (isPlaceholder(text)) return [];
+  
+  return text
+    .split(PAGE_REFERENCE_PATTERN)
+    .flatMap(part => part.split(/\n+|\.{3}|\u2026/))
+    .map(fragment => fragment.trim().replace(/^["'\u2018-\u201F]+|["'\u2018-\u201F]+$/g, '').trim())
+    .filter(fragment => fragment.split(/\s+/).length >= MIN_QUOTE_WORDS);
+}
+
+/**
+ * Score the criteria of an extraction (coverage and action overlap)
+ * @param {Object} expectedCriteria - Labeled actions by criterion
+ * @param {Object} actual - Extraction result
+ * @returns {Object} - { coverage, actions, criteria } where criteria has the details per criterion
+ */
+function scoreCriteria(expectedCriteria, actual) {
+  const coverage = { correct: 0, total: 0, falseFindings: 0 };
+  const actions = { matched: 0, expected: 0, found: 0 };
+  const criteria = {};
+  
+  for (const [criterion, expectedActions] of Object.entries(expectedCriteria || {})) {
+    const found = getFoundActions(actual?.[criterion]);
+    const matches = matchActions(expectedActions, found);
+    
+    if (expectedActions.length > 0) {
+      coverage.total++;
+      if (found.length > 0) coverage.correct++;
+    } else if (found.length > 0) {
+      // The report has nothing on the criterion, but actions were found
+      coverage.falseFindings++;
+    }
+    
+    actions.matched += matches.length;
+    actions.expected += expectedActions.length;
+    actions.found += found.length;
+    
+    criteria[criterion] = {
+      expected: expectedActions.length,
+      found: found.length,
+      matched: matches.length,
+      missed: expectedActions.filter(action => !matches.some(match => match.expected === action)),
+      unexpected: found.filter(action => !matches.some(match => match.actual === action))
+    };
+  }
+  
+  return { coverage, actions, criteria };
+}
+
+/**
+ * Score the labeled fields of an object field (carbonFootprint, climateStandards)
+ * @param {Object} expected - Labeled values
+ * @param {Object} actual - Extracted values
+ * @returns {Object} - { correct, total, mismatches: [{ field, expected, actual }] }
+ */
+function scoreExactFields(expected, actual) {
+  const score = { correct: 0, total: 0, mismatches: [] };
+  
+  for (const [field, value] of Object.entries(expected || {})) {
+    score.total++;
+    if (normalizeExact(value) === normalizeExact(actual?.[field])) {
+      score.correct++;
+    } else {
+      score.mismatches.push({ field, expected: value, actual: actual?.[field] ?? null });
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Check the quotes of an extraction against the document text
+ * @param {Object} actual - Extraction result
+ * @param {string|null} documentText - Text of the document
+ * @returns {Object|null} - { correct, total, invalid: [{ criterion, quote }] }, or null without document text
+ */
+function scoreQuotes(actual, documentText) {
+  if (!documentText) return null;
+  
+  const text = normalizeQuoteText(documentText);
+  const score = { correct: 0, total: 0, invalid: [] };
+  
+  for (const [criterion, entry] of Object.entries(actual || {})) {
+    if (!entry || typeof entry !== 'object' || entry.extracts === undefined) continue;
+    
+    for (const quote of splitQuotes(entry.extracts)) {
+      score.total++;
+      if (text.includes(normalizeQuoteText(quote))) {
+        score.correct++;
+      } else {
+        score.invalid.push({ criterion, quote });
+      }
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Score an extraction result against its labels
+ * @param {Object} expected - Golden set entry
+ * @param {Object|null} actual - Extraction result (null if the extraction failed)
+ * @param {string|null} documentText - Text of the document, for quote validity
+ * @returns {Object} - Counts per metric ({ correct, total }) and the details
+ */
+export function scoreExtraction(expected, actual, documentText = null) {
+  const { coverage, actions, criteria } = scoreCriteria(expected.criteria, actual);
+  const carbonFootprint = scoreExactFields(expected.carbonFootprint, actual?.carbonFootprint);
+  const climateStandards = scoreExactFields(expected.climateStandards, actual?.climateStandards);
+  const quotes = scoreQuotes(actual, documentText);
+  
+  return {
+    coverage,
+    // F1 = 2 * matched / (expected + found), kept as counts so companies can be summed
+    actions: { ...actions, correct: actions.matched, total: (actions.expected + actions.found) / 2 },
+    carbonFootprint,
+    climateStandards,
+    quotes,
+    criteria
+  };
+}
+
+/**
+ * Take the share of a score
+ * @param {Object|null} score - { correct, total }
+ * @returns {number|null} - Share between 0 and 1, or null if nothing was scored
+ */
+export function getShare(score) {
+  return score && score.total > 0 ? score.correct / score.total : null;
+}
+
+/**
+ * Sum the scores of several companies
+ * @param {Array<Object>} scores - Results of scoreExtraction
+ * @returns {Object} - Share and counts per metric
+ */
+export function summarizeScores(scores) {
+  const summary = {};
+  
+  for (const metric of METRICS) {
+    const counts = { correct: 0, total: 0 };
+    for (const score of scores.filter(item => item?.[metric])) {
+      counts.correct += score[metric].correct;
+      counts.total += score[metric].total;
+    }
+    summary[metric] = { ...counts, score: getShare(counts) };
+  }
+  
+  return summary;
+}
+
+/**
+ * Compare the summaries of two configurations
+ * @param {Object} baseline - { name, summary, companies: [{ companyId, scores }] }
+ * @param {Object} candidate - Same shape as the baseline
+ * @returns {Object} - { metrics: { [metric]: { baseline, candidate, delta } }, companies: [{ companyId, deltas }] }
+ */
+export function compareEvaluations(baseline, candidate) {
+  const delta = (a, b) => (a === null || b === null ? null : b - a);
+  const metrics = {};
+  
+  for (const metric of METRICS) {
+    const a = baseline.summary[metric].score;
+    const b = candidate.summary[metric].score;
+    metrics[metric] = { baseline: a, candidate: b, delta: delta(a, b) };
+  }
+  
+  const companies = baseline.companies.map(company => {
+    const other = candidate.companies.find(item => item.companyId === company.companyId);
+    return {
+      companyId: company.companyId,
+      deltas: Object.fromEntries(METRICS.map(metric => [
+        metric,
+        delta(getShare(company.scores?.[metric]), getShare(other?.scores?.[metric]))
+      ]))
+    };
+  });
+  
+  return { metrics, companies };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number|null} value - Share between 0 and 1
+ * @returns {string} - e.g. "83.3%", or "-" if nothing was scored
+ */
+function formatShare(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a change of a share in percentage points
+ * @param {number|null} value - Difference of two shares
+ * @returns {string} - e.g. "+5.0 pp"
+ */
+function formatDelta(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pp`;
+}
+
+/**
+ * Format an evaluation as a text report
+ * @param {Object} evaluation - { goldenSet, configurations: [{ name, template, model, summary, companies }], comparison }
+ * @returns {string} - Report
+ */
+export function formatEvaluationReport(evaluation) {
+  const { configurations, comparison } = evaluation;
+  const count = configurations[0].companies.length;
+  const lines = [`Evaluation against ${evaluation.goldenSet} (${count} ${count === 1 ? 'company' : 'companies'})`, ''];
+  
+  for (const configuration of configurations) {
+    lines.push(`${configuration.name}: template ${configuration.template || '-'}, model ${configuration.model}`);
+  }
+  lines.push('');
+  
+  const width = Math.max(...Object.values(METRIC_NAMES).map(name => name.length)) + 2;
+  const header = ['Metric'.padEnd(width), ...configurations.map(configuration => configuration.name.padStart(12))];
+  if (comparison) header.push('Change'.padStart(12));
+  lines.push(header.join(''));
+  
+  for (const metric of METRICS) {
+    const row = [METRIC_NAMES[metric].padEnd(width), ...configurations.map(configuration => formatShare(configuration.summary[metric].score).padStart(12))];
+    if (comparison) row.push(formatDelta(comparison.metrics[metric].delta).padStart(12));
+    lines.push(row.join(''));
+  }
+  
+  for (const configuration of configurations) {
+    lines.push('', `${configuration.name} per company:`);
+    for (const company of configuration.companies) {
+      const shares = METRICS.map(metric => `${metric} ${formatShare(getShare(company.scores?.[metric]))}`).join(', ');
+      lines.push(`  ${company.companyId} (${company.status}): ${shares}`);
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+export default {
+  METRICS,
+  METRIC_NAMES,
+  CONFIGURATION_KEYS,
+  ACTION_MATCH_THRESHOLD,
+  loadGoldenSet,
+  parseConfiguration,
+  actionSimilarity,
+  splitQuotes,
+  scoreExtraction,
+  getShare,
+  summarizeScores,
+  compareEvaluations,
+  formatEvaluationReport
+};
@@ -0,0 +1,438 @@
+/**
+ * extraction-request.js
+ *
+ * This module prepares the Claude request for a single company.
+ * It is shared by direct and batch extraction so both modes send
+ * the same prompts and the same document content.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import { determineUrlType, ensureDirectoryExists, logToFile } from '../utils.js';
+import esgCriteria from './esg-criteria.js';
+import { formatIndustryResolution } from './industry-resolver.js';
+import systemPrompt from '../prompts/system-prompt.js';
+import userPrompt from '../prompts/user-prompt.js';
+import websiteExtractor from './extractors/website-extractor.js';
+import { extractPdfPages, formatPdfPagesForClaude } from './extractors/pdf-text-extractor.js';
+import { selectRelevantPages } from './page-filter.js';
+import { detectLanguage, parseLanguage } from './language-detector.js';
+import { loadPromptTemplate, selectPromptTemplateName, getTemplateStamp } from './prompt-templates.js';
+import { loadPdfDocument, splitPdfIntoChunks, createDocumentBlock } from './document-loader.js';
+import { supportsToolUse, createExtractionTool, EXTRACTION_TOOL_NAME } from './extraction-schema.js';
+
+/**
+ * Extraction modes recorded for each company
+ */
+export const EXTRACTION_MODES = {
+  PDF_DOCUMENT: 'pdf_document',
+  PDF_CHUNKED: 'pdf_chunked',
+  PDF_FILTERED_TEXT: 'pdf_filtered_text',
+  WEBSITE_CONTENT: 'website_content'
+};
+
+// Below this average amount of text per page a PDF is treated as scanned
+const MIN_TEXT_CHARS_PER_PAGE = 100;
+
+// Pages read to detect the language of a PDF that is sent as a whole
+const LANGUAGE_SAMPLE_PAGES = 10;
+
+/**
+ * Prepare the prompts and content blocks for extracting a company's data
+ * @param {Object} company - Company object with companyId, name, url and industry
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} - Prepared request (status 'ready') or a failure status with a message
+ */
+export async function prepareExtractionRequest(company, options = {}) {
+  const { isBatch = false } = options;
+  const { companyId, url, industry } = company;
+  
+  const urlType = determineUrlType(url);
+  
+  // Industries can be given as slug, name or NACE/GICS code; unknown industries are not extracted
+  const resolution = await esgCriteria.resolveIndustry(industry);
+  if (resolution.status !== 'resolved') {
+    return {
+      urlType,
+      industry: industry || '',
+      status: 'industry_unresolved',
+      message: formatIndustryResolution(resolution)
+    };
+  }
+  
+  const normalizedIndustry = resolution.industry;
+  console.log(`Using industry: ${normalizedIndustry}`);
+  
+  // Get industry-specific criteria from the catalogue, with the company's overrides applied
+  const { criteria: relevantCriteria, overrides } = await esgCriteria.getCompanyCriteria({ ...company, industry: normalizedIndustry });
+  console.log(`Using ${relevantCriteria.length} relevant criteria for ${normalizedIndustry || 'unknown industry'}${overrides.length > 0 ? ` (${overrides.length} company overrides)` : ''}`);
+  
+  // Log the actual criteria being used for debugging
+  const criteriaNames = relevantCriteria.map(c => c.name_en || c.id);
+  console.log('Criteria used:', criteriaNames.join(', '));
+  
+  // Older models without tool use fall back to free-text JSON
+  const useToolUse = supportsToolUse(config.claudeModel);
+  
+  // Results are written in the document's language unless the run forces one
+  const outputLanguage = parseLanguage(config.outputLanguage);
+  
+  // Wording of the prompts, chosen per run or per industry
+  const template = await loadPromptTemplate(selectPromptTemplateName(normalizedIndustry));
+  console.log(`Using prompt template ${template.name} (${template.version})`);
+  
+  const prepared = {
+    urlType,
+    industry: normalizedIndustry,
+    relevantCriteria,
+    // Catalogue version and hash of the criteria, stored with the extraction result
+    criteriaCatalogue: await esgCriteria.createCriteriaStamp(normalizedIndustry, relevantCriteria, overrides),
+    useToolUse,
+    documentLanguage: null,
+    outputLanguage,
+    template,
+    // Name and version of the template, stored with the raw response and the extraction result
+    promptTemplate: getTemplateStamp(template),
+    systemPrompt: systemPrompt.createSystemPrompt(normalizedIndustry, isBatch, urlType, useToolUse, outputLanguage, template)
+  };
+  
+  if (urlType === 'pdf') {
+    const document = await loadPdfDocument(company);
+    
+    // Optionally send only the text of the most relevant pages instead of the whole PDF
+    if (config.usePageFilter && document.buffer) {
+      const filtered = await prepareFilteredTextRequest(company, prepared, document, isBatch);
+      if (filtered) {
+        return filtered;
+      }
+    }
+    
+    if (document.buffer) {
+      prepared.documentLanguage = await detectPdfLanguage(companyId, document.buffer);
+    }
+    
+    // Large documents are split into page ranges and merged after extraction (direct mode only)
+    if (document.status === 'document_too_large' && config.useChunkedExtraction && !isBatch) {
+      return await prepareChunkedRequest(company, prepared, document);
+    }
+    
+    if (document.status !== 'loaded') {
+      const chunkingHint = document.status === 'document_too_large' && config.useChunkedExtraction
+        ? ' - chunked extraction is only available in direct mode'
+        : '';
+      return {
+        ...prepared,
+        status: document.status === 'document_too_large' ? 'document_too_large' : 'extraction_failed',
+        message: `${document.message}${chunkingHint}`,
+        document
+      };
+    }
+    
+    prepared.extractionMode = EXTRACTION_MODES.PDF_DOCUMENT;
+    prepared.document = {
+      documentPath: document.documentPath,
+      sizeBytes: document.sizeBytes,
+      pageCount: document.pageCount
+    };
+    prepared.userPrompt = userPrompt.createUserPrompt(url, relevantCriteria, {
+      includeCriteriaDescriptions: config.includeCriteriaDescriptions,
+      maxActions: 5,
+      isBatch,
+      useToolUse,
+      contentType: 'pdf',
+      language: prepared.documentLanguage,
+      outputLanguage,
+      template
+    });
+    prepared.content = [
+      createDocumentBlock(document.buffer),
+      { type: 'text', text: prepared.userPrompt }
+    ];
+  } else {
+    // For websites, extract the content first
+    console.log(`Extracting content from website: ${url}`);
+    let formattedContent;
+    try {
+      const extractedWebContent = await websiteExtractor.extractWebsiteContent(url);
+      console.log(`Successfully extracted website content: ${extractedWebContent.title}`);
+      
+      // Format the content for Claude
+      formattedContent = websiteExtractor.formatWebsiteContentForClaude(extractedWebContent);
+      prepared.documentLanguage = logDocumentLanguage(companyId, extractedWebContent.content);
+    } catch (extractionError) {
+      console.error(`Failed to extract website content for ${companyId}: ${extractionError.message}`);
+      return {
+        ...prepared,
+        status: 'extraction_failed',
+        message: `Website content extraction failed: ${extractionError.message}`
+      };
+    }
+    
+    prepared.extractionMode = EXTRACTION_MODES.WEBSITE_CONTENT;
+    prepared.userPrompt = userPrompt.createUserPrompt(url, relevantCriteria, {
+      includeCriteriaDescriptions: config.includeCriteriaDescriptions,
+      maxActions: 5,
+      isBatch,
+      useToolUse,
+      contentType: 'website',
+      websiteContent: formattedContent,
+      language: prepared.documentLanguage,
+      outputLanguage,
+      template
+    });
+    prepared.content = [
+      { type: 'text', text: prepared.userPrompt }
+    ];
+  }
+  
+  return {
+    ...prepared,
+    status: 'ready'
+  };
+}
+
+/**
+ * Prepare a request with the locally extracted text of the most relevant PDF pages
+ * @param {Object} company - Company object
+ * @param {Object} prepared - Shared request data (criteria, system prompt)
+ * @param {Object} document - Loaded document (status loaded or document_too_large)
+ * @param {boolean} isBatch - Whether the request is part of a batch
+ * @returns {Promise<Object|null>} - Prepared request, or null to fall back to sending the PDF
+ */
+async function prepareFilteredTextRequest(company, prepared, document, isBatch) {
+  const { companyId, url } = company;
+  
+  let pages;
+  try {
+    pages = await extractPdfPages(document.buffer);
+  } catch (error) {
+    console.warn(`Local text extraction failed for ${companyId}, sending the PDF instead: ${error.message}`);
+    return null;
+  }
+  
+  // Scanned reports have no text layer, Claude has to read the page images
+  const textLength = pages.reduce((sum, page) => sum + page.text.length, 0);
+  if (textLength < MIN_TEXT_CHARS_PER_PAGE * pages.length) {
+    console.warn(`PDF for ${companyId} has little extractable text (${textLength} characters on ${pages.length} pages), sending the PDF instead`);
+    return null;
+  }
+  
+  const documentLanguage = logDocumentLanguage(companyId, pages.map(page => page.text).join('\n'));
+  const { selectedPages, selection } = selectRelevantPages(pages, prepared.relevantCriteria, {
+    tokenBudget: config.pageFilterTokenBudget
+  });
+  
+  await recordPageSelection(companyId, selection);
+  
+  const documentText = formatPdfPagesForClaude(selectedPages, { url, totalPages: pages.length });
+  const filteredPrompt = userPrompt.createUserPrompt(url, prepared.relevantCriteria, {
+    includeCriteriaDescriptions: config.includeCriteriaDescriptions,
+    maxActions: 5,
+    isBatch,
+    useToolUse: prepared.useToolUse,
+    contentType: 'pdf_text',
+    documentText,
+    language: documentLanguage,
+    outputLanguage: prepared.outputLanguage,
+    template: prepared.template
+  });
+  
+  return {
+    ...prepared,
+    status: 'ready',
+    documentLanguage,
+    extractionMode: EXTRACTION_MODES.PDF_FILTERED_TEXT,
+    document: {
+      documentPath: document.documentPath,
+      sizeBytes: document.sizeBytes,
+      pageCount: pages.length
+    },
+    pageSelection: selection,
+    userPrompt: filteredPrompt,
+    content: [
+      { type: 'text', text: filteredPrompt }
+    ]
+  };
+}
+
+/**
+ * Detect the language of a document and log the result
+ * @param {string} companyId - Company ID
+ * @param {string} text - Document text
+ * @returns {string|null} - 'de', 'en' or null if the language is unclear
+ */
+function logDocumentLanguage(companyId, text) {
+  const { language, counts } = detectLanguage(text);
+  console.log(`Document language for ${companyId}: ${language || 'unknown'} (${counts.de} German and ${counts.en} English function words)`);
+  return language;
+}
+
+/**
+ * Detect the language of a PDF from the text of its first pages
+ * @param {string} companyId - Company ID
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<string|null>} - 'de', 'en' or null if the language is unclear
+ */
+async function detectPdfLanguage(companyId, buffer) {
+  try {
+    const pages = await extractPdfPages(buffer, { maxPages: LANGUAGE_SAMPLE_PAGES });
+    return logDocumentLanguage(companyId, pages.map(page => page.text).join('\n'));
+  } catch (error) {
+    console.warn(`Could not detect the language of the PDF for ${companyId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Describe the languages of an extraction for the result and the database
+ * @param {Object} prepared - Prepared extraction request
+ * @returns {Object} - { document, output } where output is the forced or the document language
+ */
+export function getExtractionLanguage(prepared) {
+  return {
+    document: prepared.documentLanguage || null,
+    output: prepared.outputLanguage || prepared.documentLanguage || null
+  };
+}
+
+/**
+ * Log and save which pages were sent to Claude so the model input can be audited
+ * @param {string} companyId - Company ID
+ * @param {Object} selection - Page selection from selectRelevantPages
+ * @returns {Promise<void>}
+ */
+async function recordPageSelection(companyId, selection) {
+  const message = `Page filter for ${companyId}: kept ${selection.keptPages.length} of ${selection.totalPages} pages ` +
+    `(~${selection.estimatedTokens} of ${selection.tokenBudget} tokens): ${selection.keptPages.join(', ')}`;
+  console.log(message);
+  await logToFile(message);
+  
+  const debugDir = path.join(config.outputDir, 'raw_responses');
+  await ensureDirectoryExists(debugDir);
+  await fs.writeFile(
+    path.join(debugDir, `${companyId}_page_selection.json`),
+    JSON.stringify(selection, null, 2)
+  );
+}
+
+/**
+ * Read the saved page selection of a company (e.g. when processing batch results)
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object|null>} - Page selection or null if none was saved
+ */
+export async function loadPageSelection(companyId) {
+  try {
+    const content = await fs.readFile(path.join(config.outputDir, 'raw_responses', `${companyId}_page_selection.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Prepare one request per page-range chunk of a document that exceeds the PDF limits
+ * @param {Object} company - Company object
+ * @param {Object} prepared - Shared request data (criteria, system prompt)
+ * @param {Object} document - Loaded document (status document_too_large)
+ * @returns {Promise<Object>} - Prepared chunked request or a failure status
+ */
+async function prepareChunkedRequest(company, prepared, document) {
+  const { companyId, url } = company;
+  
+  let chunks;
+  try {
+    chunks = await splitPdfIntoChunks(document.buffer, config.chunkPageSize);
+  } catch (error) {
+    return {
+      ...prepared,
+      status: 'document_too_large',
+      message: `${document.message}; splitting into chunks failed: ${error.message}`,
+      document
+    };
+  }
+  
+  const pageCount = document.pageCount || chunks[chunks.length - 1]?.endPage || 0;
+  console.log(`Splitting PDF for ${companyId} into ${chunks.length} chunks of up to ${config.chunkPageSize} pages`);
+  
+  // Each chunk must fit the per-request size limit on its own
+  const oversized = chunks.find(chunk => chunk.buffer.length / (1024 * 1024) > config.maxPdfSizeMb);
+  if (oversized) {
+    return {
+      ...prepared,
+      status: 'document_too_large',
+      message: `Pages ${oversized.startPage}-${oversized.endPage} exceed ${config.maxPdfSizeMb} MB even after chunking; lower CHUNK_PAGE_SIZE`,
+      document
+    };
+  }
+  
+  return {
+    ...prepared,
+    status: 'ready',
+    extractionMode: EXTRACTION_MODES.PDF_CHUNKED,
+    document: {
+      documentPath: document.documentPath,
+      sizeBytes: document.sizeBytes,
+      pageCount
+    },
+    chunks: chunks.map(chunk => {
+      const pageRange = { startPage: chunk.startPage, endPage: chunk.endPage, pageCount };
+      const chunkPrompt = userPrompt.createUserPrompt(url, prepared.relevantCriteria, {
+        includeCriteriaDescriptions: config.includeCriteriaDescriptions,
+        maxActions: 5,
+        isBatch: false,
+        useToolUse: prepared.useToolUse,
+        contentType: 'pdf',
+        pageRange,
+        language: prepared.documentLanguage,
+        outputLanguage: prepared.outputLanguage,
+        template: prepared.template
+      });
+      
+      return {
+        ...pageRange,
+        userPrompt: chunkPrompt,
+        content: [
+          createDocumentBlock(chunk.buffer),
+          { type: 'text', text: chunkPrompt }
+        ]
+      };
+    })
+  };
+}
+
+/**
+ * Build Messages API parameters from a prepared extraction request
+ * @param {Object} prepared - Result of prepareExtractionRequest, or one of its chunks merged over it
+ * @returns {Object} - Parameters for messages.create or a batch request
+ */
+export function buildMessageParams(prepared) {
+  const params = {
+    model: config.claudeModel,
+    max_tokens: config.extractionMaxTokens,
+    system: prepared.systemPrompt,
+    messages: [
+      {
+        role: 'user',
+        content: prepared.content
+      }
+    ],
+    temperature: 0.2
+  };
+  
+  // Force the extraction tool so the result follows the generated schema
+  if (prepared.useToolUse) {
+    params.tools = [createExtractionTool(prepared.relevantCriteria, { maxActions: 5 })];
+    params.tool_choice = { type: 'tool', name: EXTRACTION_TOOL_NAME };
+  }
+  
+  return params;
+}
+
+export default {
+  EXTRACTION_MODES,
+  prepareExtractionRequest,
+  loadPageSelection,
+  getExtractionLanguage,
+  buildMessageParams
+};
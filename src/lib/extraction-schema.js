@@ -0,0 +1,174 @@
+/**
+ * extraction-schema.js
+ *
+ * This module generates the JSON Schema of an extraction result from the
+ * industry criteria and wraps it in a tool definition. Forcing Claude to call
+ * the tool gives schema-shaped output instead of free text that has to be parsed.
+ */
+
+import config from '../config.js';
+
+/**
+ * Name of the tool Claude is forced to call with the extracted data
+ */
+export const EXTRACTION_TOOL_NAME = 'record_esg_data';
+
+// Models that predate tool use and need the free-text JSON fallback
+const MODELS_WITHOUT_TOOL_USE = /^claude-(instant|2)/;
+
+/**
+ * Check whether extraction requests for a model should use the extraction tool
+ * @param {string} model - Claude model name
+ * @returns {boolean} - Whether to use tool use
+ */
+export function supportsToolUse(model = config.claudeModel) {
+  return config.useToolUse && !MODELS_WITHOUT_TOOL_USE.test(model || '');
+}
+
+/**
+ * Create a string property with a description
+ * @param {string} description - Property description
+ * @returns {Object} - JSON Schema property
+ */
+function text(description) {
+  return { type: 'string', description };
+}
+
+/**
+ * Create an object property whose listed fields are all required strings
+ * @param {Object} fields - Map of field name to description
+ * @param {string} description - Object description
+ * @returns {Object} - JSON Schema property
+ */
+function textObject(fields, description) {
+  return {
+    type: 'object',
+    description,
+    properties: Object.fromEntries(Object.entries(fields).map(([key, fieldDescription]) => [key, text(fieldDescription)])),
+    required: Object.keys(fields)
+  };
+}
+
+/**
+ * Create the JSON Schema for the extraction result of an industry
+ * @param {Array} relevantCriteria - Criteria for the company's industry
+ * @param {Object} options - Additional options
+ * @returns {Object} - JSON Schema of the extraction result
+ */
+export function createExtractionSchema(relevantCriteria, options = {}) {
+  const { maxActions = 5 } = options;
+  
+  const criteriaProperties = Object.fromEntries(relevantCriteria.map(criterion => [
+    criterion.id,
+    {
+      type: 'object',
+      description: `Actions and solutions for the criterion "${criterion.name_en}"`,
+      properties: {
+        actions: {
+          type: 'array',
+          description: `Top ${maxActions} actions/solutions, each starting with "#" and under 150 characters`,
+          items: { type: 'string', pattern: '^#', maxLength: 150 },
+          minItems: 1,
+          maxItems: maxActions
+        },
+        extracts: text('Direct quotes from the document, in its original language, supporting the actions')
+      },
+      required: ['actions', 'extracts']
+    }
+  ]));
+  
+  const yesNo = { type: 'string', enum: ['Yes', 'No'] };
+  
+  return {
+    type: 'object',
+    properties: {
+      basicInformation: textObject({
+        companyName: 'Company name',
+        reportYear: 'Report year or period',
+        reportTitle: 'Report title'
+      }, 'Basic information about the report'),
+      abstract: text('Summary of business and sustainability strategy (max 500 characters)'),
+      highlights: textObject({
+        courage: 'Highest entrepreneurial courage (max 400 characters)',
+        action: 'Most important internal sustainability action (max 400 characters)',
+        solution: 'Most important customer sustainability solution (max 400 characters)'
+      }, 'Three sustainability highlights'),
+      ...criteriaProperties,
+      carbonFootprint: textObject({
+        scope1: 'Scope 1 emissions as "x.xxx t CO2e (year)"',
+        scope2: 'Scope 2 emissions as "x.xxx t CO2e (year)"',
+        scope3: 'Scope 3 emissions as "x.xxx t CO2e (year)"',
+        total: 'Total emissions as "x.xxx t CO2e (year)"'
+      }, 'Carbon footprint data for available years'),
+      climateStandards: {
+        type: 'object',
+        description: 'Climate standards compliance',
+        properties: {
+          iso14001: yesNo,
+          iso50001: yesNo,
+          emas: yesNo,
+          cdp: yesNo,
+          sbti: yesNo
+        },
+        required: ['iso14001', 'iso50001', 'emas', 'cdp', 'sbti']
+      },
+      otherInitiatives: text('Other important sustainability initiatives (max 1000 characters)'),
+      controversies: text('Any controversies and responses (max 1000 characters)')
+    },
+    required: [
+      'basicInformation',
+      'abstract',
+      'highlights',
+      ...relevantCriteria.map(criterion => criterion.id),
+      'carbonFootprint',
+      'climateStandards',
+      'otherInitiatives',
+      'controversies'
+    ],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Create the extraction tool definition for the Messages API
+ * @param {Array} relevantCriteria - Criteria for the company's industry
+ * @param {Object} options - Additional options passed to createExtractionSchema
+ * @returns {Object} - Tool definition
+ */
+export function createExtractionTool(relevantCriteria, options = {}) {
+  return {
+    name: EXTRACTION_TOOL_NAME,
+    description: 'Record the ESG data extracted from the provided sustainability report or website. Call this tool exactly once with all extracted information.',
+    input_schema: createExtractionSchema(relevantCriteria, options)
+  };
+}
+
+/**
+ * Read the extraction result from a Claude response message
+ * @param {Object} message - Messages API response (direct or batch result)
+ * @returns {Object} - { toolInput, responseText }; toolInput is null when the tool was not called
+ */
+export function readExtractionResponse(message) {
+  const content = message?.content || [];
+  const toolUse = content.find(block => block.type === 'tool_use' && block.name === EXTRACTION_TOOL_NAME);
+  
+  if (toolUse) {
+    return {
+      toolInput: toolUse.input,
+      responseText: JSON.stringify(toolUse.input, null, 2)
+    };
+  }
+  
+  return {
+    toolInput: null,
+    responseText: content.filter(block => block.type === 'text').map(block => block.text).join('')
+  };
+}
+
+export default {
+  EXTRACTION_TOOL_NAME,
+  supportsToolUse,
+  createExtractionSchema,
+  createExtractionTool,
+  readExtractionResponse
+};
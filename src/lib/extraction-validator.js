@@ -0,0 +1,232 @@
+/**
+ * extraction-validator.js
+ *
+ * This module validates extracted data against the published JSON Schema of the
+ * extraction output (src/lib/data/extraction-output.schema.json) and the criteria
+ * of the company's industry. Invalid results get one repair round-trip: Claude
+ * receives the exact list of errors and is asked for a corrected object.
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import config from '../config.js';
+import { ensureDirectoryExists, logToFile } from '../utils.js';
+import { readExtractionResponse } from './extraction-schema.js';
+import errorHandler from './error-handler.js';
+
+/**
+ * Published JSON Schema of the extraction output
+ */
+export const EXTRACTION_OUTPUT_SCHEMA = JSON.parse(
+  readFileSync(new URL('./data/extraction-output.schema.json', import.meta.url), 'utf8')
+);
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(EXTRACTION_OUTPUT_SCHEMA);
+
+/**
+ * Shorten a value for an error message
+ * @param {any} value - Offending value
+ * @returns {string} - Short JSON representation
+ */
+function describeValue(value) {
+  const json = JSON.stringify(value);
+  if (json === undefined) return 'undefined';
+  return json.length > 80 ? `${json.substring(0, 77)}...` : json;
+}
+
+/**
+ * Get the value at a JSON pointer path
+ * @param {Object} data - Root object
+ * @param {string} pointer - JSON pointer (e.g. /industry_1/actions/0)
+ * @returns {any} - Value at the path
+ */
+function getValueAtPath(data, pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), data);
+}
+
+/**
+ * Validate extracted data against the output schema and the industry criteria
+ * @param {Object} data - Parsed extraction result
+ * @param {Array} relevantCriteria - Criteria for the company's industry
+ * @returns {Object} - { valid, errors } where errors are { path, message }
+ */
+export function validateExtraction(data, relevantCriteria = []) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: [{ path: '/', message: 'must be a JSON object' }] };
+  }
+  
+  const errors = [];
+  
+  if (!validateSchema(data)) {
+    for (const error of validateSchema.errors) {
+      const errorPath = error.instancePath || '/';
+      
+      // Show the offending value for value errors (length, pattern, enum)
+      const showValue = ['maxLength', 'pattern', 'enum', 'type'].includes(error.keyword);
+      const valueSuffix = showValue ? ` (got ${describeValue(getValueAtPath(data, error.instancePath))})` : '';
+      
+      errors.push({ path: errorPath, message: `${error.message}${valueSuffix}` });
+    }
+  }
+  
+  // Every criterion of the industry must be present, and no others
+  const criterionIds = new Set(relevantCriteria.map(criterion => criterion.id));
+  
+  for (const criterion of relevantCriteria) {
+    if (data[criterion.id] === undefined) {
+      errors.push({ path: `/${criterion.id}`, message: `missing criterion "${criterion.name_en}"` });
+    }
+  }
+  
+  if (relevantCriteria.length > 0) {
+    for (const key of Object.keys(data)) {
+      if (!EXTRACTION_OUTPUT_SCHEMA.properties[key] && !criterionIds.has(key)) {
+        errors.push({ path: `/${key}`, message: 'unexpected property (not a criterion of this industry)' });
+      }
+    }
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as a bullet list
+ * @param {Array} errors - Validation errors
+ * @returns {string} - One line per error
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+/**
+ * Create the follow-up messages asking Claude to correct an invalid result
+ * @param {Object} response - Claude response with the invalid result
+ * @param {Array} errors - Validation errors
+ * @param {boolean} useToolUse - Whether the result was returned through the extraction tool
+ * @returns {Array} - Assistant and user messages to append to the original request
+ */
+export function createRepairMessages(response, errors, useToolUse) {
+  const toolUse = useToolUse ? response.content.find(block => block.type === 'tool_use') : null;
+  
+  const instructions = `The extracted data does not match the required output schema. Fix exactly these ${errors.length} errors and keep all other values unchanged:
+${formatValidationErrors(errors)}
+
+${toolUse ? 'Call the record_esg_data tool again with the complete corrected object.' : 'Return the complete corrected JSON object only, without any text before or after it.'}`;
+
+  // A tool call must be answered with a tool result, so report the errors as a failed tool call
+  const userContent = toolUse
+    ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: instructions }]
+    : [{ type: 'text', text: instructions }];
+  
+  return [
+    { role: 'assistant', content: response.content },
+    { role: 'user', content: userContent }
+  ];
+}
+
+/**
+ * Validate an extraction result and send one repair request if it is invalid
+ * @param {Object} options - Validation options
+ * @param {string} options.companyId - Company ID for logging
+ * @param {Object} options.data - Parsed extraction result
+ * @param {Object} options.response - Claude response the result was read from
+ * @param {Object} options.params - Messages API parameters of the original request
+ * @param {Array} options.relevantCriteria - Criteria for the company's industry
+ * @param {boolean} options.useToolUse - Whether the extraction tool was used
+ * @param {Function} options.send - Sends Messages API parameters and returns the response
+ * @returns {Promise<Object>} - { data, repairResponse, repairText, report }
+ */
+export async function validateAndRepair(options) {
+  const { companyId, data, response, params, relevantCriteria, useToolUse, send } = options;
+  
+  const initial = validateExtraction(data, relevantCriteria);
+  const report = {
+    companyId,
+    validatedAt: new Date().toISOString(),
+    valid: initial.valid,
+    initialErrors: initial.errors,
+    repairAttempted: false,
+    repaired: false,
+    errors: initial.errors
+  };
+  
+  if (initial.valid) {
+    return { data, report };
+  }
+  
+  console.warn(`Extraction for ${companyId} has ${initial.errors.length} schema violations`);
+  await logToFile(`Schema violations for ${companyId}:\n${formatValidationErrors(initial.errors)}`);
+  
+  if (!config.repairInvalidExtractions || !response || !params) {
+    return { data, report };
+  }
+  
+  report.repairAttempted = true;
+  
+  try {
+    console.log(`Requesting a corrected extraction for ${companyId}...`);
+    const repairResponse = await send({
+      ...params,
+      messages: [...params.messages, ...createRepairMessages(response, initial.errors, useToolUse)]
+    });
+    
+    const { toolInput, responseText: repairText } = readExtractionResponse(repairResponse);
+    const parsed = toolInput ? { success: true, data: toolInput } : errorHandler.parseJSON(repairText);
+    
+    if (!parsed.success) {
+      report.repairError = 'Corrected response could not be parsed';
+      return { data, repairResponse, repairText, report };
+    }
+    
+    const repaired = validateExtraction(parsed.data, relevantCriteria);
+    
+    // Only keep the correction if it is actually better
+    if (repaired.errors.length >= initial.errors.length) {
+      report.repairError = `Corrected response still has ${repaired.errors.length} errors`;
+      return { data, repairResponse, repairText, report };
+    }
+    
+    report.valid = repaired.valid;
+    report.repaired = true;
+    report.errors = repaired.errors;
+    console.log(`Repaired extraction for ${companyId}: ${initial.errors.length} -> ${repaired.errors.length} errors`);
+    
+    return { data: parsed.data, repairResponse, repairText, report };
+  } catch (error) {
+    await errorHandler.handleError('Extraction repair', error, companyId);
+    report.repairError = error.message;
+    return { data, report };
+  }
+}
+
+/**
+ * Save a validation report next to the raw response
+ * @param {string} companyId - Company ID
+ * @param {Object} report - Validation report from validateAndRepair
+ * @returns {Promise<void>}
+ */
+export async function saveValidationReport(companyId, report) {
+  const debugDir = path.join(config.outputDir, 'raw_responses');
+  await ensureDirectoryExists(debugDir);
+  
+  await fs.writeFile(
+    path.join(debugDir, `${companyId}_validation.json`),
+    JSON.stringify(report, null, 2)
+  );
+}
+
+export default {
+  EXTRACTION_OUTPUT_SCHEMA,
+  validateExtraction,
+  formatValidationErrors,
+  createRepairMessages,
+  validateAndRepair,
+  saveValidationReport
+};
@@ -0,0 +1,79 @@
+/**
+ * pdf-text-extractor.js
+ *
+ * This module extracts text from PDF documents locally, page by page.
+ * It is used to pre-filter report pages before anything is sent to Claude.
+ */
+
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Extract the text of every page of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { maxPages } to only read the first pages
+ * @returns {Promise<Array>} - Array of { pageNumber, text } objects (1-based page numbers)
+ */
+export async function extractPdfPages(buffer, options = {}) {
+  // pdf.js takes ownership of the array, so pass a copy
+  const data = new Uint8Array(buffer);
+  const loadingTask = pdfjs.getDocument({ data, useSystemFonts: true, verbosity: 0 });
+  const pdf = await loadingTask.promise;
+  
+  try {
+    const pages = [];
+    const lastPage = options.maxPages ? Math.min(pdf.numPages, options.maxPages) : pdf.numPages;
+    
+    for (let pageNumber = 1; pageNumber <= lastPage; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      
+      // Join text items, keeping line breaks where pdf.js reports them
+      const text = textContent.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s+/g, '\n')
+        .trim();
+      
+      pages.push({ pageNumber, text });
+      page.cleanup();
+    }
+    
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Format selected PDF pages for Claude input
+ * @param {Array} pages - Array of { pageNumber, text } objects
+ * @param {Object} metadata - Document metadata (url, totalPages)
+ * @returns {string} - Formatted text for Claude input
+ */
+export function formatPdfPagesForClaude(pages, metadata = {}) {
+  let formattedContent = `PDF TEXT EXTRACTION\n\n`;
+  
+  if (metadata.url) {
+    formattedContent += `URL: ${metadata.url}\n`;
+  }
+  
+  if (metadata.totalPages) {
+    formattedContent += `PAGES INCLUDED: ${pages.length} of ${metadata.totalPages} (${pages.map(p => p.pageNumber).join(', ')})\n`;
+  }
+  
+  for (const page of pages) {
+    formattedContent += `\n--- PAGE ${page.pageNumber} ---\n\n`;
+    formattedContent += page.text;
+    formattedContent += `\n`;
+  }
+  
+  formattedContent += `\n--- CONTENT END ---\n`;
+  
+  return formattedContent;
+}
+
+export default {
+  extractPdfPages,
+  formatPdfPagesForClaude
+};
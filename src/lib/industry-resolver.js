@@ -0,0 +1,326 @@
+/**
+ * industry-resolver.js
+ *
+ * Resolves the industry given for a company (company_urls.csv) to an industry of
+ * the criteria catalogue. An industry can be given as
+ * - the catalogue slug (`automotive`, or `82_automotive` with the industry number)
+ * - an English or German name or a synonym from data/IndustryMapping.csv
+ * - a NACE Rev. 2 code (`C29.1`, `nace:29.10`) or a GICS code (`25102010`, `gics:2510`);
+ *   the most specific code listed in the mapping wins
+ *
+ * Names are only matched exactly (ignoring case and punctuation). Inputs that
+ * match several industries are reported as ambiguous, inputs that match none as
+ * unresolved, both with suggestions.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const mappingFilePath = path.join(__dirname, '../../data/IndustryMapping.csv');
+
+// Words ignored when suggesting industries for an unresolved input
+const STOP_WORDS = new Set(['and', 'und', 'of', 'the', 'industry', 'industrie']);
+
+// Cached mapping entries
+let mappingPromise = null;
+
+/**
+ * Split a semicolon-separated mapping column
+ * @param {string} value - Column value
+ * @returns {Array<string>} - Non-empty values
+ */
+function splitList(value) {
+  return (value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the industry mapping file
+ * @returns {Promise<Array>} - Entries ({ industry, name_en, name_de, synonyms, nace, gics })
+ */
+async function readMappingFile() {
+  try {
+    const records = parse(await fs.readFile(mappingFilePath, 'utf8'), {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+    
+    return records
+      .filter(record => record.industry)
+      .map(record => ({
+        industry: record.industry,
+        name_en: record.name_en || null,
+        name_de: record.name_de || null,
+        synonyms: splitList(record.synonyms),
+        nace: splitList(record.nace),
+        gics: splitList(record.gics)
+      }));
+  } catch (error) {
+    console.warn(`Could not read industry mapping ${path.basename(mappingFilePath)}: ${error.message}. Only catalogue slugs will be resolved.`);
+    return [];
+  }
+}
+
+/**
+ * Load the industry mapping once
+ * @returns {Promise<Array>} - Mapping entries
+ */
+export function loadIndustryMapping() {
+  if (!mappingPromise) {
+    mappingPromise = readMappingFile();
+  }
+  return mappingPromise;
+}
+
+/**
+ * Normalize an industry name for matching
+ * @param {string} value - Industry name, slug or synonym (e.g. "Back- und Süßwaren")
+ * @returns {string} - Lowercase words joined by underscores (e.g. "back_und_süßwaren")
+ */
+export function normalizeIndustryName(value) {
+  return String(value || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Normalize a code of an industry classification to its digits
+ * NACE section letters and dots are dropped (C29.10 -> 2910) so codes match by prefix.
+ * @param {string} code - NACE or GICS code
+ * @returns {string} - Digits of the code
+ */
+function normalizeCode(code) {
+  return String(code || '').replace(/^[a-z]\s*/i, '').replace(/\D/g, '');
+}
+
+/**
+ * Recognize an industry classification code
+ * @param {string} value - Industry as given for a company
+ * @returns {Object|null} - { system: 'nace'|'gics', code } or null if the value is not a code
+ */
+export function parseIndustryCode(value) {
+  const input = String(value || '').trim();
+  
+  const prefixed = input.match(/^(nace|gics)\s*:\s*(\S+)$/i);
+  if (prefixed) {
+    const code = normalizeCode(prefixed[2]);
+    return code.length >= 2 ? { system: prefixed[1].toLowerCase(), code } : null;
+  }
+  
+  // NACE: section letter and division, optionally group and class (C29, C29.1, C29.10)
+  if (/^[a-u]\s?\d{2}(\.\d{1,2}){0,2}$/i.test(input)) {
+    return { system: 'nace', code: normalizeCode(input) };
+  }
+  
+  // GICS: industry (6 digits) or sub-industry (8 digits); shorter codes need the gics: prefix
+  if (/^(\d{6}|\d{8})$/.test(input)) {
+    return { system: 'gics', code: input };
+  }
+  
+  return null;
+}
+
+/**
+ * Build the lookup tables of the resolver
+ * @param {Array<string>} industries - Industry slugs of the loaded catalogue
+ * @param {Array} mapping - Mapping entries (see loadIndustryMapping)
+ * @param {Object} catalogueNames - Additional names per industry from the catalogue ({ slug: [names] })
+ * @returns {Object} - Resolver index ({ industries, names, codes })
+ */
+export function createIndustryIndex(industries, mapping, catalogueNames = {}) {
+  const index = {
+    industries: new Set(industries),
+    names: new Map(),
+    codes: { nace: new Map(), gics: new Map() }
+  };
+  
+  const add = (table, key, industry) => {
+    if (!key) return;
+    if (!table.has(key)) table.set(key, new Set());
+    table.get(key).add(industry);
+  };
+  
+  for (const industry of industries) {
+    for (const name of catalogueNames[industry] || []) {
+      add(index.names, normalizeIndustryName(name), industry);
+    }
+  }
+  
+  // Entries for industries that are not in the catalogue are ignored
+  for (const entry of mapping.filter(entry => index.industries.has(entry.industry))) {
+    for (const name of [entry.name_en, entry.name_de, ...entry.synonyms]) {
+      add(index.names, normalizeIndustryName(name), entry.industry);
+    }
+    for (const system of ['nace', 'gics']) {
+      for (const code of entry[system]) {
+        add(index.codes[system], normalizeCode(code), entry.industry);
+      }
+    }
+  }
+  
+  return index;
+}
+
+/**
+ * Compute the edit distance of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Suggest industries for an input that could not be resolved
+ * Candidates are names within a small edit distance and names whose words are
+ * all contained in the input (or the other way round).
+ * @param {string} name - Normalized input
+ * @param {Object} index - Resolver index
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<string>} - Industry slugs, best match first
+ */
+function suggestIndustries(name, index, limit = 3) {
+  if (!name) return [];
+  
+  const words = name.split('_').filter(word => !STOP_WORDS.has(word));
+  const scores = new Map();
+  const score = (industry, value) => {
+    if (!scores.has(industry) || scores.get(industry) > value) scores.set(industry, value);
+  };
+  
+  const candidates = [
+    ...[...index.industries].map(industry => [industry, [industry]]),
+    ...[...index.names.entries()].map(([key, industries]) => [key, [...industries]])
+  ];
+  
+  for (const [key, industries] of candidates) {
+    const distance = editDistance(name, key);
+    const keyWords = key.split('_').filter(word => !STOP_WORDS.has(word));
+    const shared = keyWords.filter(word => words.includes(word)).length;
+    const contained = shared > 0 && (shared === keyWords.length || shared === words.length);
+    
+    if (distance <= Math.max(1, Math.floor(Math.max(name.length, key.length) / 4))) {
+      industries.forEach(industry => score(industry, distance / Math.max(name.length, key.length)));
+    } else if (contained) {
+      // More shared words rank higher
+      industries.forEach(industry => score(industry, 1 - shared / Math.max(words.length, keyWords.length)));
+    }
+  }
+  
+  return [...scores.entries()]
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([industry]) => industry);
+}
+
+/**
+ * Resolve an industry to a catalogue industry
+ * @param {string} input - Industry as given for a company (slug, name, synonym or code)
+ * @param {Object} index - Resolver index (see createIndustryIndex)
+ * @returns {Object} - { input, status, industry, matchedBy, candidates, suggestions }
+ *   status: 'resolved', 'ambiguous' (candidates lists the matches) or 'unresolved'
+ */
+export function resolveIndustry(input, index) {
+  const result = { input: input || '', status: 'unresolved', industry: null, matchedBy: null, candidates: [], suggestions: [] };
+  const name = normalizeIndustryName(input);
+  
+  if (!name) {
+    return result;
+  }
+  
+  const resolved = (industry, matchedBy) => ({ ...result, status: 'resolved', industry, matchedBy });
+  
+  if (index.industries.has(name)) {
+    return resolved(name, 'slug');
+  }
+  
+  // Classification codes: the longest code that is a prefix of the input wins
+  const code = parseIndustryCode(input);
+  if (code) {
+    let matches = [];
+    let matchLength = 0;
+    for (const [listed, industries] of index.codes[code.system]) {
+      if (code.code.startsWith(listed) && listed.length >= matchLength) {
+        matches = listed.length > matchLength ? [...industries] : [...new Set([...matches, ...industries])];
+        matchLength = listed.length;
+      }
+    }
+    
+    if (matches.length === 1) {
+      return resolved(matches[0], code.system);
+    }
+    return matches.length > 1
+      ? { ...result, status: 'ambiguous', matchedBy: code.system, candidates: matches.sort() }
+      : result;
+  }
+  
+  // "82_automotive": industry number and slug
+  const numbered = name.match(/^\d+_(.+)$/);
+  if (numbered && index.industries.has(numbered[1])) {
+    return resolved(numbered[1], 'slug');
+  }
+  
+  const named = index.names.get(name);
+  if (named?.size === 1) {
+    return resolved([...named][0], 'name');
+  }
+  if (named?.size > 1) {
+    return { ...result, status: 'ambiguous', matchedBy: 'name', candidates: [...named].sort() };
+  }
+  
+  return { ...result, suggestions: suggestIndustries(name, index) };
+}
+
+/**
+ * Describe an industry that could not be resolved
+ * @param {Object} resolution - Result of resolveIndustry
+ * @returns {string} - Message with the candidates or suggestions
+ */
+export function formatIndustryResolution(resolution) {
+  if (resolution.status === 'resolved') {
+    return `Industry '${resolution.input}' resolved to '${resolution.industry}' (${resolution.matchedBy})`;
+  }
+  
+  if (!resolution.input) {
+    return 'No industry given';
+  }
+  
+  if (resolution.status === 'ambiguous') {
+    return `Industry '${resolution.input}' is ambiguous, it matches: ${resolution.candidates.join(', ')}`;
+  }
+  
+  const suggestions = resolution.suggestions.length > 0
+    ? ` Did you mean: ${resolution.suggestions.join(', ')}?`
+    : '';
+  return `Unknown industry '${resolution.input}'.${suggestions}`;
+}
+
+export default {
+  loadIndustryMapping,
+  normalizeIndustryName,
+  parseIndustryCode,
+  createIndustryIndex,
+  resolveIndustry,
+  formatIndustryResolution
+};
@@ -0,0 +1,87 @@
+/**
+ * language-detector.js
+ *
+ * Detects whether a report is written in German or English by counting common
+ * function words. Reports are only ever German or English, so this is enough
+ * to pick the language of the criteria names, descriptions and keywords sent
+ * with the prompt.
+ */
+
+// Languages the criteria catalogue and descriptions are available in
+export const SUPPORTED_LANGUAGES = ['de', 'en'];
+
+export const LANGUAGE_NAMES = {
+  de: 'German',
+  en: 'English'
+};
+
+// Frequent words that are (almost) never used in the other language
+const FUNCTION_WORDS = {
+  de: new Set([
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'auf', 'wir', 'ein', 'eine', 'einer',
+    'den', 'dem', 'des', 'von', 'zu', 'zur', 'zum', 'im', 'sich', 'werden', 'wird', 'auch', 'bei',
+    'durch', 'unsere', 'unser', 'sind', 'wurde', 'oder', 'nach', 'über', 'sowie'
+  ]),
+  en: new Set([
+    'the', 'and', 'of', 'to', 'is', 'for', 'with', 'that', 'we', 'our', 'on', 'are', 'by', 'this',
+    'be', 'from', 'which', 'has', 'have', 'was', 'were', 'their', 'its', 'it', 'at', 'an', 'as',
+    'or', 'not', 'also', 'these', 'will'
+  ])
+};
+
+// Below this number of function words the text is too short to tell
+const MIN_FUNCTION_WORDS = 20;
+
+// Share of the function words one language needs to be detected
+const MIN_SHARE = 0.65;
+
+// Only the beginning of long documents is looked at
+const MAX_SAMPLE_CHARS = 50000;
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Document text (e.g. extracted PDF pages or website content)
+ * @returns {Object} - { language: 'de'|'en'|null, counts: { de, en } }; null if the text is
+ *   too short or mixes both languages
+ */
+export function detectLanguage(text) {
+  const counts = { de: 0, en: 0 };
+  const words = String(text || '').slice(0, MAX_SAMPLE_CHARS).toLowerCase().match(/\p{L}+/gu) || [];
+  
+  for (const word of words) {
+    for (const language of SUPPORTED_LANGUAGES) {
+      if (FUNCTION_WORDS[language].has(word)) counts[language]++;
+    }
+  }
+  
+  const total = counts.de + counts.en;
+  if (total < MIN_FUNCTION_WORDS) {
+    return { language: null, counts };
+  }
+  
+  const language = counts.de >= counts.en ? 'de' : 'en';
+  return { language: counts[language] / total >= MIN_SHARE ? language : null, counts };
+}
+
+/**
+ * Check a language setting such as OUTPUT_LANGUAGE
+ * @param {string} value - Language code or name ('de', 'German', 'deutsch', 'en', ...)
+ * @returns {string|null} - 'de' or 'en', or null if the value is empty
+ * @throws {Error} - If the language is not supported
+ */
+export function parseLanguage(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  
+  if (['de', 'ger', 'deu', 'german', 'deutsch'].includes(normalized)) return 'de';
+  if (['en', 'eng', 'english', 'englisch'].includes(normalized)) return 'en';
+  
+  throw new Error(`Unsupported language '${value}', use one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+}
+
+export default {
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES,
+  detectLanguage,
+  parseLanguage
+};
@@ -0,0 +1,65 @@
+/**
+ * anthropic-client.js
+ *
+ * LLM client backed by the Anthropic SDK.
+ * The SDK client is created on first use, so importing the pipeline modules
+ * does not require an API key.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import config from '../../config.js';
+
+/**
+ * Create an LLM client that calls the Anthropic API
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - Claude API key
+ * @returns {Object} - LLM client (see lib/llm/index.js)
+ */
+export function createAnthropicClient(options = {}) {
+  const { apiKey = config.claudeApiKey } = options;
+  let anthropic = null;
+  
+  /**
+   * Get the SDK client, creating it on first use
+   * @returns {Anthropic} - SDK client
+   */
+  function getSdkClient() {
+    if (!anthropic) {
+      anthropic = new Anthropic({ apiKey });
+    }
+    return anthropic;
+  }
+  
+  return {
+    name: 'anthropic',
+    
+    supportsBatches() {
+      const client = getSdkClient();
+      return !!(client.messages && client.messages.batches);
+    },
+    
+    async createMessage(params) {
+      return await getSdkClient().messages.create(params);
+    },
+    
+    async createBatch(requests) {
+      return await getSdkClient().messages.batches.create({ requests });
+    },
+    
+    async retrieveBatch(batchId) {
+      return await getSdkClient().messages.batches.retrieve(batchId);
+    },
+    
+    async getBatchResults(batchId) {
+      return await getSdkClient().messages.batches.results(batchId);
+    },
+    
+    async cancelBatch(batchId) {
+      return await getSdkClient().messages.batches.cancel(batchId);
+    }
+  };
+}
+
+export default {
+  createAnthropicClient
+};
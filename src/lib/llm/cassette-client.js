@@ -0,0 +1,302 @@
+/**
+ * cassette-client.js
+ *
+ * Record-and-replay for Claude API calls.
+ * - record: calls the Anthropic API and writes every request/response pair to a
+ *   cassette file in CASSETTES_DIR
+ * - replay: serves the recorded responses without network access
+ *
+ * A cassette is keyed by a hash of the model, the system prompt and the prompt text
+ * of all messages (including repair and continuation turns). Attached documents are
+ * not part of the key; only their SHA-256 is stored, and replay warns when a document
+ * differs from the recorded one. A cassette holds the responses in call order, so
+ * retries of the same prompt (e.g. with a higher max_tokens) are replayed in sequence.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../../config.js';
+import { ensureDirectoryExists, logToFile } from '../../utils.js';
+import { createLocalBatches } from './local-batches.js';
+
+/**
+ * Compute the SHA-256 hex digest of a value
+ * @param {string|Buffer} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Get the prompt text of a content block
+ * @param {Object} block - Message content block
+ * @returns {string|null} - Text, or null for documents and images
+ */
+function getBlockText(block) {
+  switch (block.type) {
+    case 'text':
+      return block.text;
+    case 'tool_use':
+      return JSON.stringify(block.input);
+    case 'tool_result':
+      return typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Summarize a request for the cassette: prompt text and document hashes
+ * @param {Object} params - Messages API parameters
+ * @returns {Object} - Request summary
+ */
+export function summarizeRequest(params) {
+  const documents = [];
+  const messages = (params.messages || []).map(message => {
+    if (typeof message.content === 'string') {
+      return { role: message.role, text: message.content };
+    }
+    
+    const texts = [];
+    for (const block of message.content || []) {
+      const text = getBlockText(block);
+      if (text !== null) {
+        texts.push(text);
+      } else if (block.source?.type === 'base64') {
+        documents.push({
+          type: block.type,
+          mediaType: block.source.media_type,
+          sha256: sha256(Buffer.from(block.source.data, 'base64')),
+          bytes: Buffer.byteLength(block.source.data, 'base64')
+        });
+      }
+    }
+    return { role: message.role, text: texts.join('\n') };
+  });
+  
+  return {
+    model: params.model,
+    system: typeof params.system === 'string' ? params.system : JSON.stringify(params.system || ''),
+    messages,
+    documents,
+    maxTokens: params.max_tokens,
+    tool: params.tool_choice?.name || null
+  };
+}
+
+/**
+ * Compute the cassette key of a request
+ * @param {Object} params - Messages API parameters
+ * @returns {string} - Hex key
+ */
+export function getCassetteKey(params) {
+  const { model, system, messages } = summarizeRequest(params);
+  return sha256(JSON.stringify({ model, system, messages }));
+}
+
+/**
+ * Read a cassette
+ * @param {string} cassettesDir - Cassettes directory
+ * @param {string} key - Cassette key
+ * @returns {Promise<Object|null>} - Cassette, or null if none was recorded
+ */
+async function readCassette(cassettesDir, key) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(cassettesDir, `${key}.json`), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load all cassettes of a directory
+ * @param {string} cassettesDir - Cassettes directory
+ * @returns {Promise<Array>} - Cassettes sorted by key
+ */
+export async function loadCassettes(cassettesDir = config.cassettesDir) {
+  let files;
+  
+  try {
+    files = (await fs.readdir(cassettesDir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    return [];
+  }
+  
+  const cassettes = [];
+  for (const file of files) {
+    cassettes.push(JSON.parse(await fs.readFile(path.join(cassettesDir, file), 'utf8')));
+  }
+  
+  return cassettes;
+}
+
+/**
+ * Create a client that records all calls of another client to cassettes
+ * @param {Object} options - Client options
+ * @param {Object} options.client - LLM client that makes the real calls
+ * @param {string} options.cassettesDir - Directory for cassette files
+ * @returns {Object} - LLM client (see lib/llm/index.js)
+ */
+export function createRecordingClient(options) {
+  const { client, cassettesDir = config.cassettesDir } = options;
+  const pendingDir = path.join(cassettesDir, 'batches');
+  
+  // Keys recorded by this process; a new recording of a key replaces older ones
+  const recordedKeys = new Set();
+  
+  /**
+   * Append a response to the cassette of a request
+   * @param {string} key - Cassette key
+   * @param {Object} request - Request summary
+   * @param {Object} interaction - { response } or { batchResult }, plus metadata
+   * @returns {Promise<void>}
+   */
+  async function record(key, request, interaction) {
+    await ensureDirectoryExists(cassettesDir);
+    
+    const existing = recordedKeys.has(key) ? await readCassette(cassettesDir, key) : null;
+    const cassette = existing || { key, request, interactions: [] };
+    cassette.interactions.push({ recordedAt: new Date().toISOString(), ...interaction });
+    recordedKeys.add(key);
+    
+    await fs.writeFile(path.join(cassettesDir, `${key}.json`), JSON.stringify(cassette, null, 2));
+  }
+  
+  return {
+    name: 'record',
+    
+    supportsBatches() {
+      return client.supportsBatches();
+    },
+    
+    async createMessage(params) {
+      const response = await client.createMessage(params);
+      await record(getCassetteKey(params), summarizeRequest(params), { response });
+      return response;
+    },
+    
+    async createBatch(requests) {
+      const batch = await client.createBatch(requests);
+      
+      // Results arrive later (possibly in another process), so keep the requests until then
+      const pending = Object.fromEntries(requests.map(request => [
+        request.custom_id,
+        { key: getCassetteKey(request.params), request: summarizeRequest(request.params) }
+      ]));
+      await ensureDirectoryExists(pendingDir);
+      await fs.writeFile(path.join(pendingDir, `${batch.id}.json`), JSON.stringify(pending, null, 2));
+      
+      return batch;
+    },
+    
+    async retrieveBatch(batchId) {
+      return await client.retrieveBatch(batchId);
+    },
+    
+    async getBatchResults(batchId) {
+      let pending = {};
+      try {
+        pending = JSON.parse(await fs.readFile(path.join(pendingDir, `${batchId}.json`), 'utf8'));
+      } catch (error) {
+        console.warn(`No recorded requests for batch ${batchId}, its results will not be recorded`);
+      }
+      
+      const results = await client.getBatchResults(batchId);
+      return (async function* () {
+        for await (const result of results) {
+          const entry = pending[result.custom_id];
+          if (entry) {
+            const interaction = result.result.type === 'succeeded'
+              ? { response: result.result.message }
+              : { batchResult: result.result };
+            await record(entry.key, entry.request, { customId: result.custom_id, batchId, ...interaction });
+          }
+          yield result;
+        }
+      })();
+    },
+    
+    async cancelBatch(batchId) {
+      return await client.cancelBatch(batchId);
+    }
+  };
+}
+
+/**
+ * Create a client that serves recorded responses without network access
+ * @param {Object} options - Client options
+ * @param {string} options.cassettesDir - Directory with cassette files
+ * @param {string} options.stateDir - Directory for replayed batch state
+ * @returns {Object} - LLM client (see lib/llm/index.js)
+ */
+export function createReplayClient(options = {}) {
+  const {
+    cassettesDir = config.cassettesDir,
+    stateDir = path.join(config.dataDir, 'replay_batches')
+  } = options;
+  
+  // Number of responses already served per key
+  const positions = new Map();
+  
+  /**
+   * Find the next recorded response for a request
+   * @param {Object} params - Messages API parameters
+   * @returns {Promise<Object>} - { message, batchResult }
+   */
+  async function respond(params) {
+    const key = getCassetteKey(params);
+    const cassette = await readCassette(cassettesDir, key);
+    
+    if (!cassette || cassette.interactions.length === 0) {
+      throw new Error(`No recorded response for request ${key} (model ${params.model}) in ${cassettesDir}`);
+    }
+    
+    // Warn when the attached documents are not the ones the response was recorded for
+    const recordedHashes = (cassette.request.documents || []).map(document => document.sha256).join(',');
+    const currentHashes = summarizeRequest(params).documents.map(document => document.sha256).join(',');
+    if (recordedHashes !== currentHashes) {
+      const message = `Replaying cassette ${key} with a document that differs from the recorded one`;
+      console.warn(message);
+      await logToFile(message);
+    }
+    
+    // Serve the responses in call order and repeat the last one
+    const position = positions.get(key) || 0;
+    positions.set(key, position + 1);
+    const interaction = cassette.interactions[Math.min(position, cassette.interactions.length - 1)];
+    
+    return {
+      message: interaction.response || interaction.batchResult?.message || null,
+      batchResult: interaction.response ? null : interaction.batchResult
+    };
+  }
+  
+  return {
+    name: 'replay',
+    
+    supportsBatches() {
+      return true;
+    },
+    
+    async createMessage(params) {
+      const { message, batchResult } = await respond(params);
+      if (!message) {
+        const error = batchResult?.error?.error || batchResult?.error || {};
+        throw new Error(`Recorded request failed: ${error.message || batchResult?.type || 'no response'}`);
+      }
+      return message;
+    },
+    
+    ...createLocalBatches({ stateDir, idPrefix: 'msgbatch_replay_', respond })
+  };
+}
+
+export default {
+  summarizeRequest,
+  getCassetteKey,
+  loadCassettes,
+  createRecordingClient,
+  createReplayClient
+};
@@ -0,0 +1,79 @@
+/**
+ * llm/index.js
+ *
+ * Single entry point for LLM access. All modules call Claude through the client
+ * returned by getLlmClient(), which is selected with LLM_PROVIDER:
+ * - anthropic: the Anthropic API (default)
+ * - mock: a deterministic offline backend serving fixtures (see mock-client.js)
+ * - record: the Anthropic API, recording every call to cassettes (see cassette-client.js)
+ * - replay: serves recorded cassettes without network access
+ *
+ * Every client implements the same interface:
+ * - name: provider name
+ * - supportsBatches(): whether the Message Batches API is available
+ * - createMessage(params): Messages API call, resolves to a message
+ * - createBatch(requests): creates a message batch
+ * - retrieveBatch(batchId): resolves to the batch status
+ * - getBatchResults(batchId): resolves to an async iterable of batch results
+ * - cancelBatch(batchId): cancels a batch
+ */
+
+import config from '../../config.js';
+import { createAnthropicClient } from './anthropic-client.js';
+import { createMockClient } from './mock-client.js';
+import { createRecordingClient, createReplayClient } from './cassette-client.js';
+
+// Providers that run without network access (documents come from disk)
+const OFFLINE_PROVIDERS = ['mock', 'replay'];
+
+// Shared client instance, created on first use
+let client = null;
+
+/**
+ * Create an LLM client for a provider
+ * @param {string} provider - Provider name (anthropic, mock, record or replay)
+ * @returns {Object} - LLM client
+ */
+export function createLlmClient(provider = config.llmProvider) {
+  switch (provider) {
+    case 'anthropic':
+      return createAnthropicClient();
+    case 'mock':
+      return createMockClient();
+    case 'record':
+      return createRecordingClient({ client: createAnthropicClient() });
+    case 'replay':
+      return createReplayClient();
+    default:
+      throw new Error(`Unknown LLM provider '${provider}'. Use 'anthropic', 'mock', 'record' or 'replay'.`);
+  }
+}
+
+/**
+ * Check whether a provider runs without network access
+ * @param {string} provider - Provider name
+ * @returns {boolean} - Whether documents must be read from disk instead of downloaded
+ */
+export function isOfflineProvider(provider = config.llmProvider) {
+  return OFFLINE_PROVIDERS.includes(provider);
+}
+
+/**
+ * Get the shared LLM client for the configured provider
+ * @returns {Object} - LLM client
+ */
+export function getLlmClient() {
+  if (!client) {
+    client = createLlmClient();
+    if (client.name !== 'anthropic') {
+      console.log(`Using ${client.name} LLM provider`);
+    }
+  }
+  return client;
+}
+
+export default {
+  createLlmClient,
+  isOfflineProvider,
+  getLlmClient
+};
@@ -0,0 +1,122 @@
+/**
+ * local-batches.js
+ *
+ * Message Batches implementation for offline clients (mock and replay).
+ * Batches end immediately: all results are computed when the batch is created
+ * and stored in a state directory, so that check-batches and the monitor can
+ * read them from another process.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDirectoryExists } from '../../utils.js';
+
+/**
+ * Create the batch methods of an offline LLM client
+ * @param {Object} options - Batch options
+ * @param {string} options.stateDir - Directory for batch state files
+ * @param {string} options.idPrefix - Prefix of the generated batch IDs (e.g. msgbatch_mock_)
+ * @param {Function} options.respond - Resolves Messages API parameters to { message, batchResult }
+ * @returns {Object} - createBatch, retrieveBatch, getBatchResults and cancelBatch
+ */
+export function createLocalBatches(options) {
+  const { stateDir, idPrefix, respond } = options;
+  
+  /**
+   * Read the stored state of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - Batch state
+   */
+  async function readBatch(batchId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(stateDir, `${batchId}.json`), 'utf8'));
+    } catch (error) {
+      throw new Error(`Batch ${batchId} not found in ${stateDir}`);
+    }
+  }
+  
+  /**
+   * Store the state of a batch
+   * @param {Object} state - Batch state with batch and results
+   * @returns {Promise<void>}
+   */
+  async function writeBatch(state) {
+    await ensureDirectoryExists(stateDir);
+    await fs.writeFile(path.join(stateDir, `${state.batch.id}.json`), JSON.stringify(state, null, 2));
+  }
+  
+  return {
+    async createBatch(requests) {
+      await ensureDirectoryExists(stateDir);
+      const existing = (await fs.readdir(stateDir)).filter(file => file.startsWith(idPrefix)).length;
+      const batchId = `${idPrefix}${String(existing + 1).padStart(4, '0')}`;
+      
+      // Batches end immediately, so the results are computed up front
+      const results = [];
+      for (const request of requests) {
+        try {
+          const { message, batchResult } = await respond(request.params);
+          results.push({
+            custom_id: request.custom_id,
+            result: batchResult || { type: 'succeeded', message }
+          });
+        } catch (error) {
+          results.push({
+            custom_id: request.custom_id,
+            result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: error.message } } }
+          });
+        }
+      }
+      
+      const countOf = type => results.filter(r => r.result.type === type).length;
+      const now = new Date().toISOString();
+      const batch = {
+        id: batchId,
+        type: 'message_batch',
+        processing_status: 'ended',
+        request_counts: {
+          processing: 0,
+          succeeded: countOf('succeeded'),
+          errored: countOf('errored'),
+          canceled: countOf('canceled'),
+          expired: countOf('expired')
+        },
+        created_at: now,
+        ended_at: now,
+        expires_at: now,
+        cancel_initiated_at: null,
+        results_url: null
+      };
+      
+      await writeBatch({ batch, results });
+      return batch;
+    },
+    
+    async retrieveBatch(batchId) {
+      const { batch } = await readBatch(batchId);
+      return batch;
+    },
+    
+    async getBatchResults(batchId) {
+      const { results } = await readBatch(batchId);
+      return (async function* () {
+        yield* results;
+      })();
+    },
+    
+    async cancelBatch(batchId) {
+      const state = await readBatch(batchId);
+      state.batch.cancel_initiated_at = state.batch.cancel_initiated_at || new Date().toISOString();
+      // As with the API, only a batch that has not ended moves to canceling
+      if (state.batch.processing_status !== 'ended') {
+        state.batch.processing_status = 'canceling';
+      }
+      await writeBatch(state);
+      return state.batch;
+    }
+  };
+}
+
+export default {
+  createLocalBatches
+};
@@ -0,0 +1,217 @@
+/**
+ * mock-client.js
+ *
+ * Deterministic offline LLM client. Responses come from fixture files in
+ * MOCK_FIXTURES_DIR/messages (first fixture whose match text occurs in the request wins).
+ * Requests without a matching fixture get a synthesized response:
+ * - extraction tool calls: tool input generated from the tool's input_schema
+ * - free-text extractions: JSON generated from the criteria listed in the prompt
+ * - solution ranking: the JSON embedded in the prompt, unchanged
+ *
+ * Batches complete immediately; their results are stored in DATA_DIR/mock_batches
+ * so that check-batches and the monitor can pick them up from another process.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../../config.js';
+import { createExtractionSchema } from '../extraction-schema.js';
+import { createLocalBatches } from './local-batches.js';
+
+/**
+ * Hash a value for deterministic IDs
+ * @param {any} value - Value to hash
+ * @returns {string} - Short hex hash
+ */
+function shortHash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 24);
+}
+
+/**
+ * Collect the text of a request (system prompt and all text blocks)
+ * @param {Object} params - Messages API parameters
+ * @returns {string} - Request text
+ */
+function getRequestText(params) {
+  const parts = [typeof params.system === 'string' ? params.system : JSON.stringify(params.system || '')];
+  
+  for (const message of params.messages || []) {
+    if (typeof message.content === 'string') {
+      parts.push(message.content);
+      continue;
+    }
+    for (const block of message.content || []) {
+      if (block.type === 'text') parts.push(block.text);
+      if (block.type === 'tool_result') parts.push(typeof block.content === 'string' ? block.content : JSON.stringify(block.content));
+    }
+  }
+  
+  return parts.join('\n');
+}
+
+/**
+ * Load the message fixtures
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<Array>} - Fixtures sorted by file name
+ */
+async function loadMessageFixtures(fixturesDir) {
+  const messagesDir = path.join(fixturesDir, 'messages');
+  let files;
+  
+  try {
+    files = (await fs.readdir(messagesDir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    return [];
+  }
+  
+  const fixtures = [];
+  for (const file of files) {
+    const fixture = JSON.parse(await fs.readFile(path.join(messagesDir, file), 'utf8'));
+    fixtures.push({ ...fixture, file });
+  }
+  
+  return fixtures;
+}
+
+/**
+ * Generate a value that satisfies a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {string} key - Property path used for placeholder text
+ * @returns {any} - Generated value
+ */
+function synthesizeValue(schema, key) {
+  if (schema.enum) {
+    return schema.enum[schema.enum.length - 1];
+  }
+  
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([property, propertySchema]) => [
+          property,
+          synthesizeValue(propertySchema, key ? `${key}.${property}` : property)
+        ])
+      );
+    case 'array':
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, (_, i) => synthesizeValue(schema.items || { type: 'string' }, `${key}[${i}]`));
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default: {
+      const text = schema.pattern === '^#' ? `# Mock ${key}` : `Mock ${key}`;
+      return schema.maxLength ? text.substring(0, schema.maxLength) : text;
+    }
+  }
+}
+
+/**
+ * Read the criteria listed in an extraction prompt ("- id: name" lines)
+ * @param {string} text - Request text
+ * @returns {Array} - Criteria objects with id and name_en
+ */
+function parsePromptCriteria(text) {
+  const listStart = text.indexOf('ESG criteria (no more, no less):');
+  if (listStart === -1) return [];
+  
+  const listText = text.substring(listStart).split('Your goal is')[0];
+  return [...listText.matchAll(/^- ([\w-]+): (.+)$/gm)].map(match => ({ id: match[1], name_en: match[2].trim() }));
+}
+
+/**
+ * Create the content of a synthesized response
+ * @param {Object} params - Messages API parameters
+ * @param {string} requestText - Request text
+ * @returns {Array} - Message content blocks
+ */
+function synthesizeContent(params, requestText) {
+  // Forced tool call: fill the tool's input schema
+  const toolName = params.tool_choice?.name || params.tools?.[0]?.name;
+  const tool = (params.tools || []).find(t => t.name === toolName);
+  if (tool) {
+    return [{
+      type: 'tool_use',
+      id: `toolu_mock_${shortHash(requestText)}`,
+      name: tool.name,
+      input: synthesizeValue(tool.input_schema, '')
+    }];
+  }
+  
+  // Free-text extraction: build the JSON from the criteria in the prompt
+  const criteria = parsePromptCriteria(requestText);
+  if (criteria.length > 0) {
+    const data = synthesizeValue(createExtractionSchema(criteria), '');
+    return [{ type: 'text', text: JSON.stringify(data, null, 2) }];
+  }
+  
+  // Ranking and similar requests embed JSON data that is returned unchanged
+  const embeddedJson = requestText.match(/```json\s*([\s\S]*?)\s*```/);
+  return [{ type: 'text', text: embeddedJson ? embeddedJson[1] : '{}' }];
+}
+
+/**
+ * Create a deterministic offline LLM client
+ * @param {Object} options - Client options
+ * @param {string} options.fixturesDir - Directory with message fixtures
+ * @param {string} options.stateDir - Directory for mock batch state
+ * @returns {Object} - LLM client (see lib/llm/index.js)
+ */
+export function createMockClient(options = {}) {
+  const {
+    fixturesDir = config.mockFixturesDir,
+    stateDir = path.join(config.dataDir, 'mock_batches')
+  } = options;
+  let fixturesPromise = null;
+  
+  /**
+   * Build the mock response (and optional batch result override) for a request
+   * @param {Object} params - Messages API parameters
+   * @returns {Promise<Object>} - { message, batchResult }
+   */
+  async function respond(params) {
+    fixturesPromise = fixturesPromise || loadMessageFixtures(fixturesDir);
+    const fixtures = await fixturesPromise;
+    const requestText = getRequestText(params);
+    const fixture = fixtures.find(f => f.match?.text && requestText.includes(f.match.text));
+    
+    const content = fixture?.response?.content || synthesizeContent(params, requestText);
+    const outputText = JSON.stringify(content);
+    
+    const message = {
+      id: `msg_mock_${shortHash(params)}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content,
+      stop_reason: fixture?.response?.stop_reason || (content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+      stop_sequence: null,
+      usage: fixture?.response?.usage || {
+        input_tokens: Math.ceil(requestText.length / 4),
+        output_tokens: Math.ceil(outputText.length / 4)
+      }
+    };
+    
+    return { message, batchResult: fixture?.batchResult || null, fixture: fixture?.file || null };
+  }
+  
+  return {
+    name: 'mock',
+    
+    supportsBatches() {
+      return true;
+    },
+    
+    async createMessage(params) {
+      const { message } = await respond(params);
+      return message;
+    },
+    
+    ...createLocalBatches({ stateDir, idPrefix: 'msgbatch_mock_', respond })
+  };
+}
+
+export default {
+  createMockClient
+};
@@ -0,0 +1,162 @@
+/**
+ * page-filter.js
+ *
+ * This module scores PDF pages against the keywords of the industry criteria
+ * and selects the most relevant pages within a token budget.
+ * Only the selected pages are sent to Claude, which cuts token spend on
+ * long reports where most pages are not about the extraction criteria.
+ */
+
+import { getCriterionDescription } from './data/criteria-descriptions.js';
+import { getCriterionSlug } from './criterion-registry.js';
+
+// Keywords for the fields every extraction asks for regardless of the criteria
+const GENERAL_KEYWORDS = [
+  'sustainability', 'greenhouse gas', 'GHG', 'CO2', 'scope 1', 'scope 2', 'scope 3',
+  'ISO 14001', 'ISO 50001', 'EMAS', 'CDP', 'SBTi', 'science based targets'
+];
+
+// Rough characters-per-token ratio for English and German text
+const CHARS_PER_TOKEN = 4;
+
+// Cap per keyword and page so one repeated word cannot dominate the score
+const MAX_HITS_PER_KEYWORD = 5;
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Get the keywords used to score pages for a criterion
+ * @param {Object} criterion - Criterion object with id and name_en
+ * @returns {Array<string>} - English and German keywords (always includes the criterion names)
+ */
+export function getCriterionKeywords(criterion) {
+  // Descriptions are keyed by criterion slug; criteria with custom IDs are looked up by name,
+  // custom criteria from the company's overrides bring their own keywords
+  const nameSlug = getCriterionSlug(criterion.name_en);
+  const description = criterion.customDescription ||
+    getCriterionDescription(criterion.id) || (nameSlug ? getCriterionDescription(nameSlug) : null);
+  
+  // Reports are German or English, so pages are scored with the keywords of both languages
+  const keywords = [criterion.name_en, criterion.name_de, ...(description?.keywords || []), ...(description?.keywords_de || [])]
+    .filter(keyword => keyword && keyword.trim().length > 1)
+    .map(keyword => keyword.trim().toLowerCase());
+  
+  return [...new Set(keywords)];
+}
+
+/**
+ * Count how often a keyword occurs in a text
+ * @param {string} text - Lowercased page text
+ * @param {string} keyword - Lowercased keyword
+ * @returns {number} - Number of occurrences (capped)
+ */
+function countOccurrences(text, keyword) {
+  let count = 0;
+  let index = text.indexOf(keyword);
+  
+  while (index !== -1 && count < MAX_HITS_PER_KEYWORD) {
+    count++;
+    index = text.indexOf(keyword, index + keyword.length);
+  }
+  
+  return count;
+}
+
+/**
+ * Score each page against the criteria keywords
+ * @param {Array} pages - Array of { pageNumber, text } objects
+ * @param {Array} criteria - Criteria for the company's industry
+ * @returns {Array} - Pages with score, estimatedTokens and matchedCriteria
+ */
+export function scorePages(pages, criteria) {
+  const keywordSets = [
+    ...criteria.map(criterion => ({ id: criterion.id, keywords: getCriterionKeywords(criterion) })),
+    { id: 'general', keywords: GENERAL_KEYWORDS.map(k => k.toLowerCase()) }
+  ];
+  
+  return pages.map(page => {
+    const text = page.text.toLowerCase();
+    let score = 0;
+    const matchedCriteria = [];
+    
+    for (const { id, keywords } of keywordSets) {
+      const hits = keywords.reduce((sum, keyword) => sum + countOccurrences(text, keyword), 0);
+      if (hits > 0) {
+        // Pages covering several criteria are worth more than pages repeating one
+        score += 1 + Math.log2(1 + hits);
+        matchedCriteria.push(id);
+      }
+    }
+    
+    return {
+      ...page,
+      score: Math.round(score * 100) / 100,
+      estimatedTokens: estimateTokens(page.text),
+      matchedCriteria
+    };
+  });
+}
+
+/**
+ * Select the most relevant pages that fit into a token budget
+ * @param {Array} pages - Array of { pageNumber, text } objects
+ * @param {Array} criteria - Criteria for the company's industry
+ * @param {Object} options - Selection options
+ * @returns {Object} - Selected pages (in page order) and an audit record of the selection
+ */
+export function selectRelevantPages(pages, criteria, options = {}) {
+  const { tokenBudget = 60000, leadingPages = 2 } = options;
+  
+  const scoredPages = scorePages(pages, criteria);
+  const selected = new Map();
+  let usedTokens = 0;
+  
+  // The first pages usually hold the company name, report title and year
+  for (const page of scoredPages.slice(0, leadingPages)) {
+    if (usedTokens + page.estimatedTokens > tokenBudget) break;
+    selected.set(page.pageNumber, page);
+    usedTokens += page.estimatedTokens;
+  }
+  
+  // Then fill the budget with the highest scoring pages
+  const candidates = scoredPages
+    .filter(page => page.score > 0 && !selected.has(page.pageNumber))
+    .sort((a, b) => b.score - a.score || a.pageNumber - b.pageNumber);
+  
+  for (const page of candidates) {
+    if (usedTokens + page.estimatedTokens > tokenBudget) continue;
+    selected.set(page.pageNumber, page);
+    usedTokens += page.estimatedTokens;
+  }
+  
+  const selectedPages = [...selected.values()].sort((a, b) => a.pageNumber - b.pageNumber);
+  
+  return {
+    selectedPages,
+    selection: {
+      totalPages: pages.length,
+      keptPages: selectedPages.map(page => page.pageNumber),
+      estimatedTokens: usedTokens,
+      tokenBudget,
+      pageScores: selectedPages.map(page => ({
+        page: page.pageNumber,
+        score: page.score,
+        matchedCriteria: page.matchedCriteria
+      }))
+    }
+  };
+}
+
+export default {
+  estimateTokens,
+  getCriterionKeywords,
+  scorePages,
+  selectRelevantPages
+};
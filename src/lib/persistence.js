@@ -11,6 +11,19 @@ import config from '../config.js';
 
 let db;
 
+// Details recorded for each request when a batch is created, by property and column (stored as JSON).
+// The results of a batch are processed with these, not with whatever a later submission recorded for the company.
+// repairText is the corrected result of a repair request, recorded when the batch is processed.
+const BATCH_REQUEST_FIELDS = {
+  industry: 'industry',
+  extractionMode: 'extraction_mode',
+  cacheKey: 'cache_key',
+  criteriaCatalogue: 'criteria_catalogue',
+  language: 'language',
+  promptTemplate: 'prompt_template',
+  repairText: 'repair_text'
+};
+
 /**
  * Initialize the persistence layer
  */
@@ -79,10 +92,37 @@ export async function initPersistence() {
     )
   `);
   
+  // Columns added after the initial schema (existing databases are migrated in place)
+  await ensureColumn('processing_status', 'extraction_mode', 'TEXT');
+  await ensureColumn('companies', 'industry', 'TEXT');
+  await ensureColumn('batches', 'parent_batch_id', 'TEXT');
+  await ensureColumn('batches', 'attempt', 'INTEGER DEFAULT 1');
+  await ensureColumn('batches', 'canceled_at', 'TEXT');
+  await ensureColumn('batches', 'archive_path', 'TEXT');
+  await ensureColumn('batches', 'resubmitted_from', 'TEXT');
+  for (const column of Object.values(BATCH_REQUEST_FIELDS)) {
+    await ensureColumn('batch_companies', column, 'TEXT');
+  }
+  
   console.log('Database initialization complete');
   return db;
 }
 
+/**
+ * Add a column to an existing table if it is missing
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+async function ensureColumn(table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  
+  if (!columns.some(c => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${column} to ${table}`);
+  }
+}
+
 /**
  * Record or update company information
  */
@@ -114,6 +154,26 @@ export async function updateCompany(companyId, name, url, documentPath = null) {
   }
 }
 
+/**
+ * Record the industry of a company (used to look up its criteria when batch results arrive)
+ * @param {string} companyId - Company ID
+ * @param {string} industry - Industry name
+ */
+export async function updateCompanyIndustry(companyId, industry) {
+  if (!db) await initPersistence();
+  
+  try {
+    await db.run(
+      `UPDATE companies SET industry = ?, last_updated = CURRENT_TIMESTAMP WHERE company_id = ?`,
+      [industry || null, companyId]
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error updating industry for ${companyId}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Update processing status for a company
  */
@@ -178,6 +238,32 @@ export async function updateProcessingStatus(companyId, stage, status, message =
   }
 }
 
+/**
+ * Record which extraction mode was used for a company (e.g. pdf_document, website_content)
+ */
+export async function updateExtractionMode(companyId, mode) {
+  if (!db) await initPersistence();
+  
+  try {
+    const result = await db.run(
+      `UPDATE processing_status SET extraction_mode = ?, last_updated = CURRENT_TIMESTAMP WHERE company_id = ?`,
+      [mode, companyId]
+    );
+    
+    if (result.changes === 0) {
+      await db.run(
+        `INSERT INTO processing_status (company_id, extraction_mode) VALUES (?, ?)`,
+        [companyId, mode]
+      );
+    }
+    
+    return true;
+  } catch (error) {
+    console.error(`Error updating extraction mode for ${companyId}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Check if a company should be processed based on its status
  * NOTE: This doesn't consider the shouldUpdate flag from the input data,
@@ -264,7 +350,7 @@ export async function getAllProcessingStatus() {
       SELECT c.company_id, c.name, c.url, c.document_path, 
              ps.download_status, ps.download_message,
              ps.extraction_status, ps.extraction_message,
-             ps.last_updated
+             ps.extraction_mode, ps.last_updated
       FROM companies c
       LEFT JOIN processing_status ps ON c.company_id = ps.company_id
     `);
@@ -302,22 +388,28 @@ export async function resetExtractionStatus(companyId = null) {
 
 /**
  * Store batch information and associate companies with it
+ * @param {string} batchId - Batch ID
+ * @param {Array<Object>} batchRequests - { companyId } of each request in the batch, with its details (see BATCH_REQUEST_FIELDS)
+ * @param {Object} details - { parentBatchId, attempt } of a follow-up batch that retries failed requests,
+ *   { resubmittedFrom } of a batch resubmitted from an archive and the archivePath of the batch's requests
  */
-export async function storeBatchInfo(batchId, companyIds) {
+export async function storeBatchInfo(batchId, batchRequests, { parentBatchId = null, attempt = 1, archivePath = null, resubmittedFrom = null } = {}) {
   if (!db) await initPersistence();
   
   try {
     // Insert batch info
     await db.run(
-      `INSERT INTO batches (batch_id, status) VALUES (?, 'in_progress')`,
-      [batchId]
+      `INSERT INTO batches (batch_id, status, parent_batch_id, attempt, archive_path, resubmitted_from) VALUES (?, 'in_progress', ?, ?, ?, ?)`,
+      [batchId, parentBatchId, attempt, archivePath, resubmittedFrom]
     );
     
-    // Associate companies with this batch
-    for (const companyId of companyIds) {
+    // Associate companies with this batch and keep the details of their requests
+    const fields = Object.entries(BATCH_REQUEST_FIELDS);
+    for (const request of batchRequests) {
       await db.run(
-        `INSERT INTO batch_companies (batch_id, company_id) VALUES (?, ?)`,
-        [batchId, companyId]
+        `INSERT INTO batch_companies (batch_id, company_id, ${fields.map(([, column]) => column).join(', ')})
+         VALUES (?, ?, ${fields.map(() => '?').join(', ')})`,
+        [batchId, request.companyId, ...fields.map(([property]) => request[property] == null ? null : JSON.stringify(request[property]))]
       );
     }
     
@@ -366,6 +458,119 @@ export async function getBatchCompanyIds(batchId) {
   }
 }
 
+/**
+ * Get the requests of a batch with the details recorded when the batch was created
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Array>} - { companyId, ...details } per request (see BATCH_REQUEST_FIELDS), details are null if not recorded
+ */
+export async function getBatchRequests(batchId) {
+  if (!db) await initPersistence();
+  
+  try {
+    const records = await db.all(
+      `SELECT * FROM batch_companies WHERE batch_id = ? ORDER BY id`,
+      [batchId]
+    );
+    
+    return records.map(record => {
+      const request = { companyId: record.company_id };
+      for (const [property, column] of Object.entries(BATCH_REQUEST_FIELDS)) {
+        request[property] = record[column] ? JSON.parse(record[column]) : null;
+      }
+      return request;
+    });
+  } catch (error) {
+    console.error(`Error getting batch requests: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Record details of a batch request after the batch was created
+ * @param {string} batchId - Batch ID
+ * @param {string} companyId - Company ID
+ * @param {Object} details - Details to record (see BATCH_REQUEST_FIELDS)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function updateBatchRequest(batchId, companyId, details) {
+  if (!db) await initPersistence();
+  
+  const fields = Object.entries(BATCH_REQUEST_FIELDS).filter(([property]) => property in details);
+  if (fields.length === 0) {
+    return true;
+  }
+  
+  try {
+    await db.run(
+      `UPDATE batch_companies SET ${fields.map(([, column]) => `${column} = ?`).join(', ')} WHERE batch_id = ? AND company_id = ?`,
+      [...fields.map(([property]) => details[property] == null ? null : JSON.stringify(details[property])), batchId, companyId]
+    );
+    
+    return true;
+  } catch (error) {
+    console.error(`Error updating batch request: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} - Batch record (with parent_batch_id and attempt), or null if unknown
+ */
+export async function getBatch(batchId) {
+  if (!db) await initPersistence();
+  
+  try {
+    return await db.get(
+      `SELECT * FROM batches WHERE batch_id = ?`,
+      [batchId]
+    ) || null;
+  } catch (error) {
+    console.error(`Error getting batch: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record that a batch was canceled
+ * The batch stays in progress, so the results of its finished requests are still processed.
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function markBatchCanceled(batchId) {
+  if (!db) await initPersistence();
+  
+  try {
+    await db.run(
+      `UPDATE batches SET canceled_at = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP WHERE batch_id = ?`,
+      [batchId]
+    );
+    
+    return true;
+  } catch (error) {
+    console.error(`Error marking batch as canceled: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get all batches, newest first
+ * @returns {Promise<Array>} - Batch records
+ */
+export async function getAllBatches() {
+  if (!db) await initPersistence();
+  
+  try {
+    return await db.all(
+      `SELECT * FROM batches ORDER BY created_at DESC, rowid DESC`
+    );
+  } catch (error) {
+    console.error(`Error getting batches: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Get all active (in-progress) batches
  */
@@ -414,6 +619,8 @@ export default {
   initPersistence,
   updateCompany,
   updateProcessingStatus,
+  updateCompanyIndustry,
+  updateExtractionMode,
   shouldProcessCompany,
   filterCompaniesToProcess,
   getAllProcessingStatus,
@@ -421,6 +628,11 @@ export default {
   storeBatchInfo,
   updateBatchStatus,
   getBatchCompanyIds,
+  getBatchRequests,
+  updateBatchRequest,
+  getBatch,
+  markBatchCanceled,
+  getAllBatches,
   getActiveBatches,
   getCompany,
   closePersistence
@@ -0,0 +1,284 @@
+/**
+ * prompt-templates.js
+ *
+ * Loads the wording of the extraction prompts from template files, so prompt
+ * changes need no code change and every result can name the wording it was
+ * extracted with. A template is a directory in src/prompts/templates (or
+ * PROMPT_TEMPLATES_DIR) with a system.txt and a user.txt. Templates know two
+ * kinds of tags:
+ *   {{name}}                           - the value of a variable
+ *   {{#if name}}...{{else}}...{{/if}}  - a section used when the variable is set (may be nested)
+ *
+ * The version of a template is a hash of its files. Variables the prompt
+ * modules do not provide are an error when the template is loaded, so a typo in
+ * a template fails before anything is sent.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+
+// Files of a template directory, by prompt
+export const TEMPLATE_FILES = {
+  system: 'system.txt',
+  user: 'user.txt'
+};
+
+export const DEFAULT_TEMPLATE = 'default';
+
+// Variables the prompt modules provide, by prompt (see system-prompt.js and user-prompt.js)
+export const TEMPLATE_VARIABLES = {
+  system: [
+    'industry', 'isBatch', 'contentType', 'isPdf', 'useToolUse', 'outputLanguage', 'outputLanguageName'
+  ],
+  user: [
+    'documentUrl', 'contentType', 'isPdf', 'isPdfText', 'isWebsite', 'isBatch', 'pageRange', 'startPage',
+    'endPage', 'pageCount', 'documentText', 'websiteContent', 'criteriaCount', 'criteriaList',
+    'criteriaInGerman', 'criteriaStructure', 'maxActions', 'useToolUse', 'language', 'outputLanguage',
+    'outputLanguageName'
+  ]
+};
+
+// Loaded templates, by name
+const templateCache = new Map();
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} source - Template text
+ * @param {string} file - Template file, for messages
+ * @returns {Array} - Nodes ({ type: 'text', value }, { type: 'variable', name }, { type: 'if', name, then, else })
+ */
+function parseTemplate(source, file) {
+  const root = { then: [] };
+  const stack = [];
+  let current = root;
+  let branch = 'then';
+  let position = 0;
+  
+  const tagPattern = /\{\{\s*(#if\s+(\w+)|else|\/if|(\w+))\s*\}\}/g;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > position) {
+      current[branch].push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = tagPattern.lastIndex;
+    
+    if (match[2]) {
+      const section = { type: 'if', name: match[2], then: [], else: [] };
+      current[branch].push(section);
+      stack.push({ node: current, branch });
+      current = section;
+      branch = 'then';
+    } else if (match[1] === 'else') {
+      if (stack.length === 0 || branch === 'else') {
+        throw new Error(`Unexpected {{else}} in ${file}`);
+      }
+      branch = 'else';
+    } else if (match[1] === '/if') {
+      if (stack.length === 0) {
+        throw new Error(`Unexpected {{/if}} in ${file}`);
+      }
+      ({ node: current, branch } = stack.pop());
+    } else {
+      current[branch].push({ type: 'variable', name: match[3] });
+    }
+  }
+  
+  if (stack.length > 0) {
+    throw new Error(`Missing {{/if}} for {{#if ${current.name}}} in ${file}`);
+  }
+  if (position < source.length) {
+    root.then.push({ type: 'text', value: source.slice(position) });
+  }
+  
+  return root.then;
+}
+
+/**
+ * Collect the variables used by parsed template nodes
+ * @param {Array} nodes - Nodes from parseTemplate
+ * @returns {Set<string>} - Variable names
+ */
+function collectVariables(nodes) {
+  const names = new Set();
+  for (const node of nodes) {
+    if (node.type === 'text') continue;
+    names.add(node.name);
+    if (node.type === 'if') {
+      for (const name of [...collectVariables(node.then), ...collectVariables(node.else)]) names.add(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Render parsed template nodes
+ * @param {Array} nodes - Nodes from parseTemplate
+ * @param {Object} variables - Variable values
+ * @param {string} file - Template file, for messages
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, variables, file) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    
+    if (!(node.name in variables)) {
+      throw new Error(`Unknown variable '${node.name}' in ${file}`);
+    }
+    
+    const value = variables[node.name];
+    if (node.type === 'if') {
+      return renderNodes(value ? node.then : node.else, variables, file);
+    }
+    return value === null || value === undefined ? '' : String(value);
+  }).join('');
+}
+
+/**
+ * Load a prompt template once
+ * @param {string} name - Template name (directory in the templates directory)
+ * @returns {Promise<Object>} - { name, version, directory, system, user }
+ * @throws {Error} - If the template does not exist or cannot be parsed
+ */
+export function loadPromptTemplate(name) {
+  if (!templateCache.has(name)) {
+    const loading = readPromptTemplate(name);
+    templateCache.set(name, loading);
+    // Failed loads are not cached
+    loading.catch(() => templateCache.delete(name));
+  }
+  return templateCache.get(name);
+}
+
+/**
+ * Read and parse the files of a prompt template
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} - Loaded template
+ */
+async function readPromptTemplate(name) {
+  if (!/^[\w.-]+$/.test(name || '')) {
+    throw new Error(`Invalid prompt template name '${name}'`);
+  }
+  
+  const directory = path.join(config.promptTemplatesDir, name);
+  const sources = {};
+  
+  for (const [part, file] of Object.entries(TEMPLATE_FILES)) {
+    try {
+      // A single trailing newline at the end of the file is not part of the prompt
+      sources[part] = (await fs.readFile(path.join(directory, file), 'utf8')).replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`Prompt template '${name}' has no ${file} in ${config.promptTemplatesDir}`);
+    }
+  }
+  
+  const template = {
+    name,
+    version: crypto.createHash('sha256').update(JSON.stringify(sources)).digest('hex').substring(0, 16),
+    directory
+  };
+  for (const [part, file] of Object.entries(TEMPLATE_FILES)) {
+    template[part] = parseTemplate(sources[part], `${name}/${file}`);
+    
+    // Check the variables now, so a typo stops the run instead of each extraction
+    const unknown = [...collectVariables(template[part])].filter(variable => !TEMPLATE_VARIABLES[part].includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(variable => `'${variable}'`).join(', ')} in ${name}/${file}, available: ${TEMPLATE_VARIABLES[part].join(', ')}`);
+    }
+  }
+  
+  return template;
+}
+
+/**
+ * Render one prompt of a template
+ * @param {Object} template - Loaded template (see loadPromptTemplate)
+ * @param {string} part - 'system' or 'user'
+ * @param {Object} variables - Variable values
+ * @returns {string} - Prompt text
+ */
+export function renderPromptTemplate(template, part, variables) {
+  if (!template?.[part]) {
+    throw new Error(`No prompt template given for the ${part} prompt`);
+  }
+  return renderNodes(template[part], variables, `${template.name}/${TEMPLATE_FILES[part]}`);
+}
+
+/**
+ * Parse the per-industry template setting
+ * @param {string} value - e.g. "banks=finance,insurance=finance"
+ * @returns {Map} - Template name by industry
+ */
+export function parseIndustryTemplates(value) {
+  const templates = new Map();
+  
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [industry, name] = entry.split('=').map(item => item.trim());
+    if (!industry || !name) {
+      throw new Error(`Invalid PROMPT_TEMPLATES_BY_INDUSTRY entry '${entry}', use industry=template`);
+    }
+    templates.set(industry, name);
+  }
+  
+  return templates;
+}
+
+/**
+ * Choose the template of an extraction
+ * The run's --prompt-template wins, then the industry's template, then PROMPT_TEMPLATE.
+ * @param {string} industry - Catalogue industry of the company
+ * @returns {string} - Template name
+ */
+export function selectPromptTemplateName(industry) {
+  return config.runPromptTemplate ||
+    parseIndustryTemplates(config.promptTemplatesByIndustry).get(industry) ||
+    config.promptTemplate ||
+    DEFAULT_TEMPLATE;
+}
+
+/**
+ * Get the names of all templates the configuration refers to
+ * @returns {Array<string>} - Template names
+ */
+export function getConfiguredTemplateNames() {
+  const names = [
+    config.runPromptTemplate || config.promptTemplate || DEFAULT_TEMPLATE,
+    // Industry templates are only used without --prompt-template
+    ...(config.runPromptTemplate ? [] : parseIndustryTemplates(config.promptTemplatesByIndustry).values())
+  ];
+  return [...new Set(names)];
+}
+
+/**
+ * Describe a template for the extraction metadata
+ * @param {Object} template - Loaded template
+ * @returns {Object} - { name, version }
+ */
+export function getTemplateStamp(template) {
+  return { name: template.name, version: template.version };
+}
+
+/**
+ * Format the header line written above each raw response
+ * @param {Object|null} stamp - { name, version } of the template
+ * @returns {string} - Header line with a line break, or an empty string without a template
+ */
+export function formatTemplateHeader(stamp) {
+  return stamp ? `===== prompt template ${stamp.name} (${stamp.version}) =====\n` : '';
+}
+
+export default {
+  TEMPLATE_FILES,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_VARIABLES,
+  loadPromptTemplate,
+  renderPromptTemplate,
+  parseIndustryTemplates,
+  selectPromptTemplateName,
+  getConfiguredTemplateNames,
+  getTemplateStamp,
+  formatTemplateHeader
+};
@@ -0,0 +1,167 @@
+/**
+ * response-cache.js
+ *
+ * Content-addressed cache of extraction results. An entry is keyed by the
+ * SHA-256 of the downloaded document, a hash of the rendered prompts (system
+ * prompt, user prompts and extraction tool schema) and the Claude model, so a
+ * company is only extracted again when one of them changes.
+ * Entries hold the parsed (validated) result and the raw response text.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+import { ensureDirectoryExists, logToFile } from '../utils.js';
+import { createExtractionTool } from './extraction-schema.js';
+
+/**
+ * Compute the SHA-256 hex digest of a value
+ * @param {string|Buffer} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Compute the cache key of a prepared extraction request
+ * @param {Object} prepared - Result of prepareExtractionRequest (status 'ready')
+ * @returns {Promise<Object>} - { key, documentHash, promptHash, model }
+ */
+export async function getCacheKey(prepared) {
+  // Websites have no document; their content is part of the prompt
+  const documentHash = prepared.document?.documentPath
+    ? sha256(await fs.readFile(prepared.document.documentPath))
+    : null;
+  
+  const userPrompts = prepared.chunks
+    ? prepared.chunks.map(chunk => chunk.userPrompt)
+    : [prepared.userPrompt];
+  
+  const promptHash = sha256(JSON.stringify({
+    system: prepared.systemPrompt,
+    user: userPrompts,
+    tool: prepared.useToolUse ? createExtractionTool(prepared.relevantCriteria, { maxActions: 5 }) : null
+  }));
+  
+  const model = config.claudeModel;
+  
+  return {
+    key: sha256(JSON.stringify({ documentHash, promptHash, model })),
+    documentHash,
+    promptHash,
+    model
+  };
+}
+
+/**
+ * Get the path of a cache entry
+ * @param {string} key - Cache key
+ * @returns {string} - Entry file path
+ */
+function getEntryPath(key) {
+  return path.join(config.cacheDir, `${key}.json`);
+}
+
+/**
+ * Look up a cached extraction result
+ * @param {Object} cacheKey - Result of getCacheKey
+ * @returns {Promise<Object|null>} - Cache entry, or null on a miss or when the cache is disabled (--no-cache)
+ */
+export async function lookupCachedResult(cacheKey) {
+  if (!config.useResponseCache || !cacheKey) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(await fs.readFile(getEntryPath(cacheKey.key), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store an extraction result in the cache
+ * @param {Object} cacheKey - Result of getCacheKey
+ * @param {Object} entry - Entry data
+ * @param {string} entry.companyId - Company the result was extracted for
+ * @param {string} entry.extractionMode - How the content was sent to Claude
+ * @param {Object} entry.data - Parsed and validated extraction result
+ * @param {string} entry.responseText - Raw response text
+ * @param {Object} entry.usage - Token usage of the extraction ({ inputTokens, outputTokens, isBatch })
+ * @returns {Promise<void>}
+ */
+export async function storeCachedResult(cacheKey, entry) {
+  if (!cacheKey) {
+    return;
+  }
+  
+  try {
+    await ensureDirectoryExists(config.cacheDir);
+    await fs.writeFile(getEntryPath(cacheKey.key), JSON.stringify({
+      ...cacheKey,
+      createdAt: new Date().toISOString(),
+      ...entry
+    }, null, 2));
+  } catch (error) {
+    // A failed cache write must not fail the extraction
+    console.warn(`Could not store cached result for ${entry.companyId}: ${error.message}`);
+    await logToFile(`Could not store cached result for ${entry.companyId}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} options - Prune options
+ * @param {boolean} options.all - Remove every entry
+ * @param {number} options.olderThanDays - Remove entries created more than this many days ago
+ * @param {boolean} options.otherModels - Remove entries created with a model other than config.claudeModel
+ * @returns {Promise<Object>} - { removed, kept, freedBytes }
+ */
+export async function pruneCache(options = {}) {
+  const { all = false, olderThanDays = null, otherModels = false } = options;
+  const summary = { removed: 0, kept: 0, freedBytes: 0 };
+  
+  let files;
+  try {
+    files = (await fs.readdir(config.cacheDir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    return summary;
+  }
+  
+  const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+  
+  for (const file of files) {
+    const filePath = path.join(config.cacheDir, file);
+    let entry = null;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      // Unreadable entries are always removed
+    }
+    
+    const remove = all ||
+      !entry ||
+      (cutoff !== null && new Date(entry.createdAt).getTime() < cutoff) ||
+      (otherModels && entry.model !== config.claudeModel);
+    
+    if (remove) {
+      const { size } = await fs.stat(filePath);
+      await fs.unlink(filePath);
+      summary.removed++;
+      summary.freedBytes += size;
+    } else {
+      summary.kept++;
+    }
+  }
+  
+  return summary;
+}
+
+export default {
+  getCacheKey,
+  lookupCachedResult,
+  storeCachedResult,
+  pruneCache
+};
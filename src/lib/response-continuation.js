@@ -0,0 +1,104 @@
+/**
+ * response-continuation.js
+ *
+ * This module detects responses that were cut off at the max_tokens limit and
+ * completes them. Free-text responses are continued by sending the partial text
+ * back as the start of the assistant turn; tool calls cannot be continued, so the
+ * request is repeated with a higher token budget.
+ */
+
+import config from '../config.js';
+import { logToFile } from '../utils.js';
+
+/**
+ * Check whether a response stopped because it hit the max_tokens limit
+ * @param {Object} response - Messages API response
+ * @returns {boolean} - Whether the response is truncated
+ */
+export function isTruncated(response) {
+  return response?.stop_reason === 'max_tokens';
+}
+
+/**
+ * Get the text of a response
+ * @param {Object} response - Messages API response
+ * @returns {string} - Concatenated text blocks
+ */
+function getResponseText(response) {
+  return (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Complete a truncated response by continuing the assistant turn or retrying with more tokens
+ * @param {Object} options - Continuation options
+ * @param {string} options.label - Label for logging (e.g. company ID)
+ * @param {Object} options.params - Messages API parameters of the truncated request
+ * @param {Object} options.response - Truncated response
+ * @param {Function} options.send - Sends Messages API parameters and returns the response (records token usage)
+ * @param {number} options.maxAttempts - Maximum number of follow-up calls
+ * @returns {Promise<Object>} - { response, attempts, truncated } with the stitched response
+ */
+export async function completeTruncatedResponse(options) {
+  const { label, params, send, maxAttempts = config.maxContinuations } = options;
+  let { response } = options;
+  let attempts = 0;
+  let maxTokensUsed = params.max_tokens || config.extractionMaxTokens;
+  
+  // Tool input cannot be continued, only regenerated
+  const isToolCall = Boolean(params.tool_choice) || (response.content || []).some(block => block.type === 'tool_use');
+  
+  while (isTruncated(response) && attempts < maxAttempts) {
+    attempts++;
+    
+    if (isToolCall) {
+      const maxTokens = Math.min(maxTokensUsed * 2, config.maxOutputTokensLimit);
+      
+      if (maxTokens <= maxTokensUsed) {
+        console.warn(`Response for ${label} is truncated at the ${maxTokensUsed} token limit and cannot be retried with more tokens`);
+        break;
+      }
+      
+      const message = `Response for ${label} truncated at ${response.usage?.output_tokens || '?'} output tokens, retrying with max_tokens ${maxTokens} (attempt ${attempts}/${maxAttempts})`;
+      console.warn(message);
+      await logToFile(message);
+      
+      response = await send({ ...params, max_tokens: maxTokens });
+      maxTokensUsed = maxTokens;
+      continue;
+    }
+    
+    // The API rejects a prefilled assistant turn that ends with whitespace
+    const partialText = getResponseText(response).trimEnd();
+    
+    const message = `Response for ${label} truncated after ${partialText.length} characters, continuing generation (attempt ${attempts}/${maxAttempts})`;
+    console.warn(message);
+    await logToFile(message);
+    
+    const continuation = await send({
+      ...params,
+      messages: [...params.messages, { role: 'assistant', content: partialText }]
+    });
+    
+    // Stitch the continuation onto the partial text
+    response = {
+      ...continuation,
+      content: [{ type: 'text', text: partialText + getResponseText(continuation) }]
+    };
+  }
+  
+  const truncated = isTruncated(response);
+  if (truncated) {
+    console.warn(`Response for ${label} is still truncated after ${attempts} follow-up calls`);
+    await logToFile(`Response for ${label} is still truncated after ${attempts} follow-up calls`);
+  }
+  
+  return { response, attempts, truncated };
+}
+
+export default {
+  isTruncated,
+  completeTruncatedResponse
+};
@@ -13,12 +13,32 @@ import config from '../config.js';
 const usageData = {
   extraction: {}, // Company-level usage details for regular extraction
   batchExtraction: {}, // Company-level usage details for batch extraction
+  cacheHits: {}, // Companies served from the response cache, with the usage of the original extraction
   totalInputTokens: 0,
   totalOutputTokens: 0,
   calls: 0,
   batchCalls: 0
 };
 
+// Claude pricing in dollars per 1M tokens - Claude 3.7 Sonnet pricing as of March 2025
+// Batch API pricing is 50% of the regular price
+const PRICING = {
+  regular: { inputPerMillion: 5.00, outputPerMillion: 15.00 },
+  batch: { inputPerMillion: 2.50, outputPerMillion: 7.50 }
+};
+
+/**
+ * Calculate the cost of a number of tokens
+ * @param {number} inputTokens - Number of input tokens
+ * @param {number} outputTokens - Number of output tokens
+ * @param {string} rate - Pricing rate ('regular' or 'batch')
+ * @returns {number} - Cost in dollars
+ */
+function calculateCost(inputTokens, outputTokens, rate = 'regular') {
+  const pricing = PRICING[rate];
+  return (inputTokens * pricing.inputPerMillion + outputTokens * pricing.outputPerMillion) / 1000000;
+}
+
 /**
  * Record token usage from a Claude API extraction call
  * @param {string} companyId - Identifier for the company
@@ -58,11 +78,16 @@ function recordClaudeExtractionUsage(companyId, apiResponse) {
   
   const { input_tokens, output_tokens } = apiResponse.usage;
   
-  // Record company-specific usage
+  // Record company-specific usage, adding up multiple calls (e.g. chunked extraction)
+  const previous = usageData.extraction[companyId];
+  const inputTokens = (previous?.inputTokens || 0) + input_tokens;
+  const outputTokens = (previous?.outputTokens || 0) + output_tokens;
+  
   usageData.extraction[companyId] = {
-    inputTokens: input_tokens,
-    outputTokens: output_tokens,
-    totalTokens: input_tokens + output_tokens,
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    calls: (previous?.calls || 0) + 1,
     timestamp: new Date().toISOString()
   };
   
@@ -117,19 +142,48 @@ function recordClaudeBatchExtractionUsage(companyId, inputTokens, outputTokens)
   console.log(`Recorded batch token usage for ${companyId}: ${inputTokens} input + ${outputTokens} output tokens`);
 }
 
+/**
+ * Record a company served from the response cache instead of the API
+ * @param {string} companyId - Identifier for the company
+ * @param {object} savedUsage - Usage of the cached extraction ({ inputTokens, outputTokens, isBatch })
+ */
+function recordCacheHit(companyId, savedUsage = {}) {
+  usageData.cacheHits[companyId] = {
+    inputTokens: savedUsage.inputTokens || 0,
+    outputTokens: savedUsage.outputTokens || 0,
+    isBatch: Boolean(savedUsage.isBatch),
+    timestamp: new Date().toISOString()
+  };
+  
+  console.log(`Recorded cache hit for ${companyId} (saved ~${savedUsage.inputTokens || 0} input + ~${savedUsage.outputTokens || 0} output tokens)`);
+}
+
+/**
+ * Get the token usage recorded for a company in this run (direct and batch calls)
+ * @param {string} companyId - Identifier for the company
+ * @returns {object} - { inputTokens, outputTokens, isBatch }
+ */
+function getCompanyUsage(companyId) {
+  const regular = usageData.extraction[companyId];
+  const batch = usageData.batchExtraction[companyId];
+  
+  return {
+    inputTokens: (regular?.inputTokens || 0) + (batch?.inputTokens || 0),
+    outputTokens: (regular?.outputTokens || 0) + (batch?.outputTokens || 0),
+    isBatch: Boolean(batch)
+  };
+}
+
 /**
  * Generate a human-readable report of token usage
  * @returns {string} - Formatted usage report
  */
 function generateUsageReport() {
   // Calculate cost estimates based on current Claude pricing
-  // Regular API pricing - Claude 3.7 Sonnet pricing as of March 2025
-  const regularInputCostPer1K = 5.00 / 1000000;  // $5 per 1M input tokens
-  const regularOutputCostPer1K = 15.00 / 1000000; // $15 per 1M output tokens
-  
-  // Batch API pricing (typically around 50% of regular for high volume)
-  const batchInputCostPer1K = 2.50 / 1000000;  // $2.50 per 1M input tokens 
-  const batchOutputCostPer1K = 7.50 / 1000000; // $7.50 per 1M output tokens
+  const regularInputCostPer1K = PRICING.regular.inputPerMillion / 1000000;
+  const regularOutputCostPer1K = PRICING.regular.outputPerMillion / 1000000;
+  const batchInputCostPer1K = PRICING.batch.inputPerMillion / 1000000;
+  const batchOutputCostPer1K = PRICING.batch.outputPerMillion / 1000000;
   
   // Count tokens by type
   let regularInputTokens = 0;
@@ -204,6 +258,18 @@ function generateUsageReport() {
   report += `Total Tokens: ${(usageData.totalInputTokens + usageData.totalOutputTokens).toLocaleString()}\n`;
   report += `Total API Cost: ${totalCost}\n\n`;
   
+  // Response cache
+  const cacheHits = Object.values(usageData.cacheHits);
+  const savedInputTokens = cacheHits.reduce((sum, hit) => sum + hit.inputTokens, 0);
+  const savedOutputTokens = cacheHits.reduce((sum, hit) => sum + hit.outputTokens, 0);
+  const savedCost = cacheHits.reduce((sum, hit) => sum + calculateCost(hit.inputTokens, hit.outputTokens, hit.isBatch ? 'batch' : 'regular'), 0);
+  
+  report += 'Response Cache:\n';
+  report += '---------------\n';
+  report += `Cache Hits: ${cacheHits.length}\n`;
+  report += `Tokens Saved: ${savedInputTokens.toLocaleString()} input + ${savedOutputTokens.toLocaleString()} output\n`;
+  report += `Cost Saved: ${savedCost.toFixed(4)}\n\n`;
+  
   // Pricing assumptions
   report += 'Pricing Assumptions:\n';
   report += '-------------------\n';
@@ -215,7 +281,11 @@ function generateUsageReport() {
   report += '-------------------\n';
   
   // Get all company IDs from both regular and batch extraction
-  const companyIds = new Set([...Object.keys(usageData.extraction), ...Object.keys(usageData.batchExtraction)]);
+  const companyIds = new Set([
+    ...Object.keys(usageData.extraction),
+    ...Object.keys(usageData.batchExtraction),
+    ...Object.keys(usageData.cacheHits)
+  ]);
   
   if (companyIds.size === 0) {
     report += 'No company data recorded\n';
@@ -234,6 +304,12 @@ function generateUsageReport() {
         const estimatedFlag = batchUsage.isEstimated ? ' (estimated)' : '';
         report += `${companyId} (Batch)${estimatedFlag}: ${batchUsage.inputTokens} input + ${batchUsage.outputTokens} output = ${batchUsage.totalTokens} total tokens\n`;
       }
+      
+      // Served from the response cache
+      const cacheHit = usageData.cacheHits[companyId];
+      if (cacheHit) {
+        report += `${companyId} (Cached): no API call, saved ${cacheHit.inputTokens} input + ${cacheHit.outputTokens} output tokens\n`;
+      }
     }
   }
   
@@ -266,8 +342,12 @@ async function saveTokenUsage() {
 }
 
 const tokenTracker = {
+  PRICING,
+  calculateCost,
   recordClaudeExtractionUsage,
   recordClaudeBatchExtractionUsage,
+  recordCacheHit,
+  getCompanyUsage,
   generateUsageReport,
   saveUsageReport,
   saveTokenUsage
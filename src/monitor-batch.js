@@ -5,20 +5,15 @@
  * runs the exporter when all batches are complete.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import config from './config.js';
 import { exportAllFormats } from './exporter.js';
 import * as persistence from './lib/persistence.js';
 import { logToFile } from './utils.js';
+import { getLlmClient } from './lib/llm/index.js';
 import path from 'path';
 
-// Initialize the Claude client
-const anthropic = new Anthropic({
-  apiKey: config.claudeApiKey
-});
-
 // Check if batch API is available
-const isBatchAPIAvailable = !!(anthropic && anthropic.messages && anthropic.messages.batches);
+const isBatchAPIAvailable = getLlmClient().supportsBatches();
 if (!isBatchAPIAvailable) {
   console.error('Batch API is not available in the current SDK version.');
   process.exit(1);
@@ -34,7 +29,7 @@ const DEFAULT_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
  */
 async function checkBatchStatus(batchId) {
   try {
-    const batch = await anthropic.messages.batches.retrieve(batchId);
+    const batch = await getLlmClient().retrieveBatch(batchId);
     return batch;
   } catch (error) {
     console.error(`Error checking batch ${batchId}: ${error.message}`);
@@ -109,13 +104,14 @@ function displayProgress(batch, elapsedMinutes) {
 /**
  * Process completed batch results and run exporter
  * @param {Object} batch - Completed batch object
+ * @returns {Promise<Array<string>>} - IDs of the follow-up batches with the retried requests
  */
 async function processCompletedBatch(batch) {
   console.log(`\n✅ Batch ${batch.id} has completed processing!`);
   
   try {
     // Import the batch module dynamically to avoid circular dependencies
-    const { processBatchResults } = await import('./claude-batch-extractor.js');
+    const { processBatchResults, formatAttemptSummary } = await import('./claude-batch-extractor.js');
     
     console.log('Processing batch results...');
     const batchResults = await processBatchResults(batch.id);
@@ -123,6 +119,11 @@ async function processCompletedBatch(batch) {
     if (batchResults.status === 'completed' && batchResults.results) {
       console.log(`Successfully processed ${batchResults.results.filter(r => r.status === 'extraction_complete').length} results`);
       
+      const attemptSummary = formatAttemptSummary(batchResults.results);
+      if (attemptSummary) {
+        console.log(`Attempts: ${attemptSummary}`);
+      }
+      
       // Run the exporter
       console.log('\nRunning exporter...');
       const exportResults = await exportAllFormats(batchResults.results);
@@ -144,8 +145,11 @@ async function processCompletedBatch(batch) {
     } else {
       console.log(`Batch processing completed with status: ${batchResults.status}`);
     }
+    
+    return batchResults.retry?.followUpBatchIds || [];
   } catch (error) {
     console.error(`Error processing completed batch: ${error.message}`);
+    return [];
   }
 }
 
@@ -176,7 +180,13 @@ async function monitorBatch(batchId, checkInterval = DEFAULT_CHECK_INTERVAL) {
       if (batch.processing_status === 'ended') {
         isComplete = true;
         console.log('\n✨ Batch processing has completed!');
-        await processCompletedBatch(batch);
+        const followUpBatchIds = await processCompletedBatch(batch);
+        
+        // Failed requests were resubmitted, so keep monitoring until they are done
+        for (const followUpBatchId of followUpBatchIds) {
+          console.log(`\nMonitoring follow-up batch ${followUpBatchId} with the retried requests`);
+          await monitorBatch(followUpBatchId, checkInterval);
+        }
         break;
       }
       
@@ -2,46 +2,35 @@
  * system-prompt.js
  *
  * This module provides system prompts for Claude API interactions.
+ * The wording is in the system.txt of the prompt template (see lib/prompt-templates.js).
  */
 
+import { LANGUAGE_NAMES } from '../lib/language-detector.js';
+import { renderPromptTemplate } from '../lib/prompt-templates.js';
+
 /**
  * Create a system prompt for ESG extraction
  * @param {string} industry - Industry of the company
  * @param {boolean} isBatch - Whether this is a batch request
  * @param {string} contentType - Type of content ('pdf' or 'website')
+ * @param {boolean} useToolUse - Whether results are returned through the extraction tool
+ * @param {string|null} outputLanguage - Forced language of the results ('de' or 'en'), null for the document's language
+ * @param {Object} template - Prompt template (see loadPromptTemplate)
  * @returns {string} - System prompt
  */
-export function createSystemPrompt(industry, isBatch = false, contentType = 'pdf') {
-  const normalizedIndustry = industry || 'general';
-  
-  // Adjust document reference based on content type
-  const contentDescription = contentType === 'pdf' ? 'PDF content' : 'website content';
-  const documentType = contentType === 'pdf' ? 'PDF' : 'website';
-  
-  return `You are an expert ESG data extraction assistant specializing in corporate sustainability reports for the ${normalizedIndustry} industry.
-Your task is to carefully examine the provided ${contentDescription} and extract structured ESG data according to specific criteria.
-Generate results in the language of the ${documentType} (German or English).
-
-EXTRACTION METHODOLOGY:
-1. Thoroughly read the entire document before extraction
-2. Only extract information explicitly stated in the document
-3. For each criterion, first locate relevant sections, then identify specific actions and measurable outcomes
-4. Distinguish between:
-   - ACTIONS: Internal measures implemented by the company
-   - SOLUTIONS: Products/services offered to customers that improve sustainability
-5. When information is missing or unclear, mark it as "Not found" rather than making assumptions
-6. For metrics (especially carbon data), maintain exact values and units from the document
-7. For website content, focus on sustainability-related information, which may be spread across different sections
-
-HALLUCINATION PREVENTION:
-- Never infer information not explicitly stated in the document
-- Include source context (quotes, page references for PDFs, section headers for websites) for important extractions
-- If the same information appears with discrepancies, note the inconsistency
-
-Format your response as a single, valid JSON object with the exact structure matching the criteria IDs. Do not include backticks, markdown formatting, or any text before or after the JSON.
-Be especially careful about carbon emissions data, looking for terms like "GHG emissions," "carbon footprint," "CO2e," and "Scope 1/2/3."`;
+export function createSystemPrompt(industry, isBatch = false, contentType = 'pdf', useToolUse = false, outputLanguage = null, template = null) {
+  return renderPromptTemplate(template, 'system', {
+    industry: industry || 'general',
+    isBatch,
+    contentType,
+    isPdf: contentType === 'pdf',
+    // With tool use the output format is defined by the tool's input schema
+    useToolUse,
+    outputLanguage,
+    outputLanguageName: outputLanguage ? LANGUAGE_NAMES[outputLanguage] : null
+  });
 }
 
 export default {
   createSystemPrompt
-};
\ No newline at end of file
+};
@@ -2,13 +2,17 @@
  * user-prompt.js
  *
  * This module provides user prompts for Claude API interactions.
+ * The wording is in the user.txt of the prompt template (see lib/prompt-templates.js);
+ * this module provides the variables, such as the formatted criteria list.
  */
 
-import { getCriterionDescription } from '../lib/data/criteria-descriptions.js';
+import { getCriterionDescription, localizeCriterionDescription } from '../lib/data/criteria-descriptions.js';
+import { LANGUAGE_NAMES } from '../lib/language-detector.js';
+import { renderPromptTemplate } from '../lib/prompt-templates.js';
 
 /**
  * Create a user prompt for ESG extraction
- * @param {string} documentUrl - URL of the document (PDF or website) to analyze
+ * @param {string} documentUrl - Source URL of the document (PDF or website) to analyze
  * @param {Array} relevantCriteria - Array of relevant criteria for the industry
  * @param {Object} options - Additional options
  * @returns {string} - User prompt
@@ -18,122 +22,60 @@ export function createUserPrompt(documentUrl, relevantCriteria, options = {}) {
     includeCriteriaDescriptions = true,
     maxActions = 5,
     isBatch = false,
-    contentType = 'pdf',  // 'pdf' or 'website'
-    websiteContent = null // For website content extraction
+    contentType = 'pdf',  // 'pdf', 'pdf_text' or 'website'
+    websiteContent = null, // For website content extraction
+    pageRange = null,     // { startPage, endPage, pageCount } when only a chunk of the PDF is attached
+    documentText = null,  // Locally extracted text of the selected PDF pages (contentType 'pdf_text')
+    useToolUse = false,   // Results are returned through the record_esg_data tool instead of free text
+    language = null,      // Detected language of the document ('de' or 'en'), null if unknown
+    outputLanguage = null, // Forced language of the results ('de' or 'en'), null keeps the document's language
+    template = null       // Prompt template with the wording (see loadPromptTemplate)
   } = options;
   
-  // Format criteria list for the prompt with descriptions and keywords
-  const criteriaList = formatCriteriaList(relevantCriteria, includeCriteriaDescriptions);
-  
-  // Create the criteria structure for the JSON
-  const criteriaStructure = createCriteriaStructure(relevantCriteria, maxActions);
-  
-  // Different intro based on content type
-  let promptIntro;
-  if (contentType === 'pdf') {
-    promptIntro = `Extract ESG information from the sustainability report at URL: ${documentUrl}`;
-  } else {
-    promptIntro = `Extract ESG information from the website at URL: ${documentUrl}
-
-The website content has been extracted and is provided below:`;
-    
-    // If we have website content, append it to the prompt
-    if (websiteContent) {
-      promptIntro += `\n\n${websiteContent}`;
-    }
-  }
-  
-  return `${promptIntro}
-
-Extract information for EXACTLY the following ${relevantCriteria.length} ESG criteria (no more, no less):
-${criteriaList}
-
-Your goal is to extract the following information:
-01. Company name, report year/period, and title
-02. Overall sustainability abstract (max 500 characters)
-03. Three highlights:
-   - Highest entrepreneurial courage (max 400 characters)
-   - Most important internal sustainability action (max 400 characters)
-   - Most important customer sustainability solution (max 400 characters)
-04. Actions and solutions for each criterion
-05. Carbon footprint data (scope 1, 2, 3 and totals) for available years
-06. Climate standards compliance (ISO 14001, EMAS, ISO 50001, CDP, SBTi)
-07. Other important sustainability initiatives
-08. Any sustainability-related controversies and company responses
-
-For each criterion, extract:
-- Maximum ${maxActions} concrete actions/solutions the company is taking, including any supporting numbers
-- For each action/solution, identify relevant direct text excerpts from the document that support it
- 
-Format your response as a JSON object with this structure:
-{
-  "basicInformation": {
-    "companyName": "Name",
-    "reportYear": "Year",
-    "reportTitle": "Title"
-  },
-  "abstract": "Summary of business and sustainability strategy",
-  "highlights": {
-    "courage": "Most courageous initiative",
-    "action": "Most important internal action",
-    "solution": "Most important customer solution"
-  },
-${criteriaStructure},
-  "carbonFootprint": {
-    "scope1": "x.xxx t CO2e (year)",
-    "scope2": "x.xxx t CO2e (year)",
-    "scope3": "x.xxx t CO2e (year)",
-    "total": "x.xxx t CO2e (year)"
-  },
-  "climateStandards": {
-    "iso14001": "Yes/No",
-    "iso50001": "Yes/No",
-    "emas": "Yes/No",
-    "cdp": "Yes/No",
-    "sbti": "Yes/No"
-  },
-  "otherInitiatives": "Other important sustainability initiatives (max 1000 chars)",
-  "controversies": "Any controversies and responses (max 1000 chars)"
-}
-
-FORMATTING REQUIREMENTS (CRITICAL):
-1. Include EXACTLY the ${relevantCriteria.length} criteria listed above with their exact IDs as shown - do not add or remove any criteria
-2. Include a MAXIMUM of ${maxActions} actions/solutions per criterion (less if fewer are mentioned in the document). These should be the TOP actions of the company in this criterion.
-3. Keep each action under 150 characters
-4. Format each action/solution as a bullet point starting with "#"
-5. Rank actions by importance (customer solutions first, then internal actions)
-6. For the "extracts" field, include direct quotes from the document that supports the actions
-
-CONTENT REQUIREMENTS:
-1. YOUR RESPONSE MUST INCLUDE ALL ${relevantCriteria.length} CRITERIA LISTED ABOVE WITH THEIR EXACT IDs, even if there's limited or no information for some criteria
-2. For criteria with no information, include an action with "# No specific actions found for [CRITERION NAME]" and note "No relevant information found in the report for [CRITERION NAME]" in extracts
-3. Include ONLY information explicitly stated in the document
-4. Generate the results in the document's original language (German or English) - don't translate
-5. Use original wording from the document where possible
-6. For carbon emissions, use x.xxx t CO2e format (calculate if needed)
-7. When a data point does not exist in the document, say "Not stated" in the extracts field
-
-FINAL VERIFICATION:
-Before submitting, verify that:
-1. You've included only information explicitly stated in the document
-2. All actions/solutions are formatted correctly with "#" and under 150 characters
-3. You've addressed all ${relevantCriteria.length} required criteria
-4. Your output is valid, parseable JSON
-5. You've preserved the original language of the document
-
-Your response MUST be valid JSON that can be parsed with JSON.parse().`;
+  return renderPromptTemplate(template, 'user', {
+    documentUrl,
+    contentType,
+    isPdf: contentType === 'pdf',
+    isPdfText: contentType === 'pdf_text',
+    isWebsite: contentType !== 'pdf' && contentType !== 'pdf_text',
+    isBatch,
+    // For chunked extraction, which part of the report is attached
+    pageRange,
+    startPage: pageRange?.startPage ?? null,
+    endPage: pageRange?.endPage ?? null,
+    pageCount: pageRange?.pageCount ?? null,
+    documentText,
+    websiteContent,
+    criteriaCount: relevantCriteria.length,
+    // Criteria list with descriptions and keywords in the document's language
+    criteriaList: formatCriteriaList(relevantCriteria, includeCriteriaDescriptions, language),
+    criteriaInGerman: language === 'de',
+    criteriaStructure: createCriteriaStructure(relevantCriteria, maxActions),
+    maxActions,
+    useToolUse,
+    language,
+    // Quotes always stay in the document's language, even when the results are translated
+    outputLanguage,
+    outputLanguageName: outputLanguage ? LANGUAGE_NAMES[outputLanguage] : null
+  });
 }
 
 /**
  * Format a list of criteria for the prompt
+ * German documents get the German names, descriptions and keywords; the IDs stay the same.
  * @param {Array} criteria - Array of criteria objects
  * @param {boolean} includeDescriptions - Whether to include descriptions
+ * @param {string|null} language - Language of the document ('de' or 'en')
  * @returns {string} - Formatted criteria list
  */
-function formatCriteriaList(criteria, includeDescriptions = false) {
+function formatCriteriaList(criteria, includeDescriptions = false, language = null) {
   return criteria.map(criterion => {
-    const description = getCriterionDescription(criterion.id);
-    let item = `- ${criterion.id}: ${criterion.name_en}`;
+    // Custom criteria from the company's overrides bring their own description
+    const description = criterion.customDescription
+      ? localizeCriterionDescription(criterion.customDescription, language || 'en')
+      : getCriterionDescription(criterion.id, language || 'en');
+    const name = language === 'de' ? criterion.name_de || criterion.name_en : criterion.name_en;
+    let item = `- ${criterion.id}: ${name}`;
     
     if (includeDescriptions && description) {
       item += `\n  Description: ${description.description}`;
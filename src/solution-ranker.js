@@ -4,18 +4,16 @@
  * This module handles ranking solutions extracted by Claude and filtering to top N.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import config from './config.js';
 import { logToFile, sleep, ensureDirectoryExists } from './utils.js';
 import tokenTracker from './lib/token-tracker.js';
 import errorHandler from './lib/error-handler.js';
+import { isTruncated, completeTruncatedResponse } from './lib/response-continuation.js';
+import { getLlmClient } from './lib/llm/index.js';
+import { getCompanyCriteria } from './lib/esg-criteria.js';
 import fs from 'fs/promises';
 import path from 'path';
 
-// Initialize the Claude client
-const anthropic = new Anthropic({
-  apiKey: config.claudeApiKey
-});
 
 /**
  * Retry a function with exponential backoff
@@ -48,6 +46,26 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000) {
   }
 }
 
+/**
+ * Get the criteria whose solutions are ranked
+ * @param {Object} companyData - Company data (optionally with relevantCriteria)
+ * @returns {Promise<Array|null>} - The company's criteria with its overrides, or null if unknown
+ */
+async function getRankingCriteria(companyData) {
+  const { companyId, extractedData, relevantCriteria } = companyData;
+  
+  if (relevantCriteria) {
+    return relevantCriteria;
+  }
+  
+  try {
+    return (await getCompanyCriteria({ companyId, industry: extractedData.industry })).criteria;
+  } catch (error) {
+    console.warn(`Could not load the criteria of ${companyId}, ranking all criteria of the result: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Rank solutions for a company by importance
  * @param {Object} companyData - Extracted company data with all solutions
@@ -59,32 +77,49 @@ export async function rankSolutions(companyData) {
   try {
     console.log(`Ranking solutions for ${companyId}...`);
     
-    // Create a prompt for Claude to rank the solutions
-    const prompt = createRankingPrompt(extractedData);
+    // Create a prompt for Claude to rank the solutions of the company's criteria
+    const relevantCriteria = await getRankingCriteria(companyData);
+    const prompt = createRankingPrompt(extractedData, relevantCriteria);
+    
+    const rankingParams = {
+      model: config.claudeModel,
+      max_tokens: config.rankingMaxTokens,
+      system: "You are an expert in ESG initiatives who specializes in ranking company sustainability solutions by their importance and impact. Your task is to analyze a list of ESG solutions and rank them from most to least important based on their environmental/social impact, innovation, scale, and alignment with industry best practices.",
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: prompt
+            }
+          ]
+        }
+      ],
+      temperature: 0.2
+    };
     
     // Send the request to Claude with retry logic
-    const response = await retryWithBackoff(async () => {
-      return await anthropic.messages.create({
-        model: config.claudeModel,
-        max_tokens: 4000,
-        system: "You are an expert in ESG initiatives who specializes in ranking company sustainability solutions by their importance and impact. Your task is to analyze a list of ESG solutions and rank them from most to least important based on their environmental/social impact, innovation, scale, and alignment with industry best practices.",
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt
-              }
-            ]
-          }
-        ],
-        temperature: 0.2
+    // Record token usage of every call - reuse the existing extraction usage tracking
+    const send = async (params) => {
+      const rankingResponse = await retryWithBackoff(async () => {
+        return await getLlmClient().createMessage(params);
       });
-    });
+      tokenTracker.recordClaudeExtractionUsage(`${companyId}_ranking`, rankingResponse);
+      return rankingResponse;
+    };
     
-    // Record token usage - reuse the existing extraction usage tracking
-    tokenTracker.recordClaudeExtractionUsage(`${companyId}_ranking`, response);
+    let response = await send(rankingParams);
+    
+    // Continue the generation if the ranking was cut off at max_tokens
+    if (isTruncated(response)) {
+      ({ response } = await completeTruncatedResponse({
+        label: `${companyId} ranking`,
+        params: rankingParams,
+        response,
+        send
+      }));
+    }
     
     // Process Claude's response
     const responseText = response.content[0].text;
@@ -175,16 +210,19 @@ export async function rankSolutions(companyData) {
 /**
  * Create a prompt for ranking solutions
  * @param {Object} extractedData - Extracted company data
+ * @param {Array|null} relevantCriteria - Criteria of the company (industry criteria with overrides)
  * @returns {string} - Prompt for Claude
  */
-function createRankingPrompt(extractedData) {
-  // Get all criteria IDs except basicInformation and industry
-  const criteriaIds = Object.keys(extractedData).filter(
-    id => id !== 'basicInformation' && id !== 'industry'
-  );
+function createRankingPrompt(extractedData, relevantCriteria = null) {
+  // Use the company's criteria when known, otherwise all keys except basicInformation and industry
+  const criteriaIds = relevantCriteria
+    ? relevantCriteria.map(criterion => criterion.id)
+    : Object.keys(extractedData).filter(id => id !== 'basicInformation' && id !== 'industry');
   
   return `I need you to rank the ESG solutions for each criterion by importance and impact.
 
+The criteria to rank are: ${criteriaIds.join(', ')}
+
 Review the following ESG data extracted from a company's sustainability report. For each criterion:
 1. Analyze all the actions/solutions listed
 2. Rank them from most to least important based on environmental/social impact, innovation, scale, and alignment with industry best practices
@@ -206,19 +244,20 @@ Your response should be valid JSON that can be parsed with JSON.parse().`;
 
 /**
  * Filter ranked solutions to keep only the top N
- * @param {Object} companyData - Company data with ranked solutions
+ * @param {Object} companyData - Company data with ranked solutions (and optionally relevantCriteria)
  * @param {number} topN - Number of top solutions to keep (default: 5)
  * @returns {Object} - Company data with filtered solutions
  */
 export function filterTopSolutions(companyData, topN = 5) {
-  const { companyId, extractedData } = companyData;
+  const { companyId, extractedData, relevantCriteria } = companyData;
   
   console.log(`Filtering to top ${topN} solutions for ${companyId}...`);
   
-  // Get all criteria IDs except basicInformation and industry
-  const criteriaIds = Object.keys(extractedData).filter(
-    id => id !== 'basicInformation' && id !== 'industry'
-  );
+  // Use the company's criteria when known (industries have different numbers of criteria),
+  // otherwise all keys except basicInformation and industry
+  const criteriaIds = relevantCriteria
+    ? relevantCriteria.map(criterion => criterion.id)
+    : Object.keys(extractedData).filter(id => id !== 'basicInformation' && id !== 'industry');
   
   // Create a new object with filtered solutions
   const filteredData = {
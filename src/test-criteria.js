@@ -5,6 +5,7 @@
  */
 
 import esgCriteria from './lib/esg-criteria.js';
+import { formatIndustryResolution } from './lib/industry-resolver.js';
 
 async function testCriteriaLoading() {
   console.log('==== Testing ESG Criteria Loading ====');
@@ -14,24 +15,33 @@ async function testCriteriaLoading() {
   console.log(`Found ${industries.length} industries`);
   console.log('Sample industries:', industries.slice(0, 10));
   
-  // Test a few specific industries
+  // Test a few specific industries, names and codes
   const testIndustries = [
     'technology', 
     'construction', 
     'energy_production',
     'it', 
     'food_processing',
+    'Automobilindustrie',
+    'C29.10',
+    'gics:25301020',
+    'energy',
     'general',
     'invalid_industry'
   ];
   
   for (const industry of testIndustries) {
     console.log(`\nTesting industry: ${industry}`);
+    const resolution = await esgCriteria.resolveIndustry(industry);
+    console.log(formatIndustryResolution(resolution));
+    if (resolution.status !== 'resolved') continue;
+    
     const criteria = await esgCriteria.getIndustryCriteria(industry);
-    console.log(`Found ${criteria.length} criteria for ${industry}:`);
+    console.log(`Found ${criteria.length} criteria for ${resolution.industry}:`);
     
     criteria.forEach((criterion, index) => {
-      console.log(`  ${index + 1}. ${criterion.id}: ${criterion.name_en}`);
+      const taxonomy = criterion.field_name_en ? ` (${criterion.field_name_en} / ${criterion.sub_topic_name_en}, ${criterion.type_en})` : '';
+      console.log(`  ${index + 1}. ${criterion.id}: ${criterion.name_en}${taxonomy}`);
     });
   }
 }